@@ -0,0 +1,108 @@
+const {
+  ApproveProAuthError,
+  ApproveProNotFoundError,
+  ApproveProValidationError,
+  ApproveProServerError,
+  ApproveProNetworkError,
+  createApproveProClient
+} = require('../approvepro-client');
+const { createMockApp } = require('../approvepro-mock');
+
+// The client runs against the local ApprovePro mock on a free port
+let server;
+let mockUrl;
+
+function createClient(options) {
+  return createApproveProClient({ apiKey: 'test-key', baseUrl: `${mockUrl}/api/v1`, baseDelay: 1, ...options });
+}
+
+function injectFailures(body) {
+  return fetch(`${mockUrl}/mock/failures`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+beforeAll(done => {
+  server = createMockApp({ apiKey: 'test-key', webhookSecret: null }).listen(0, () => {
+    mockUrl = `http://localhost:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await fetch(`${mockUrl}/mock/reset`, { method: 'POST' });
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('createApproveProClient', () => {
+  test('sends a design and reads the order status back', async () => {
+    const client = createClient();
+    expect(await client.getDesignStatus('1001')).toBe('awaiting_design');
+
+    const design = await client.createDesign('1001', { files: ['https://flow.example.com/public/proofs/1001.pdf'], comment: 'v1' });
+    expect(design).toMatchObject({ id: 'd_1', order_id: '1001', comment: 'v1', approval_mode: 'AS_ONE', status: 'Pending' });
+    expect(await client.getDesignStatus('1001')).toBe('pending');
+
+    await client.rejectDesign('1001', design.id, { reason: 'spelling', comment: 'Typo in the name' });
+    expect(await client.getDesignStatus('1001')).toBe('needs_revision');
+  });
+
+  test('retries a GET after a 5xx', async () => {
+    await injectFailures({ count: 2, status: 503 });
+    expect((await createClient().getOrder('1001')).status).toBe('Awaiting Design');
+  });
+
+  test('does not retry a POST after a 5xx, since the design may exist', async () => {
+    await injectFailures({ count: 1, status: 500 });
+    const error = await createClient().createDesign('1001', { files: ['https://x.test/a.pdf'] }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ApproveProServerError);
+    expect(error.status).toBe(500);
+    expect(error.method).toBe('POST');
+    expect(error.resource).toBe('/orders/1001/designs');
+  });
+
+  test('retries a POST after a 429', async () => {
+    // The mock answers with Retry-After: 1
+    await injectFailures({ count: 1, status: 429 });
+    expect((await createClient().createDesign('1001', { files: ['https://x.test/a.pdf'] })).id).toBe('d_1');
+  });
+
+  test('gives up on GETs after maxRetries attempts', async () => {
+    await injectFailures({ count: 3, status: 502 });
+    await expect(createClient({ maxRetries: 3 }).getOrder('1001')).rejects.toBeInstanceOf(ApproveProServerError);
+    // All three injected failures were used up
+    expect((await createClient().getOrder('1001')).id).toBe('1001');
+  });
+
+  test('throws typed errors for rejected requests', async () => {
+    await expect(createClient({ apiKey: 'wrong-key' }).getOrder('1001')).rejects.toBeInstanceOf(ApproveProAuthError);
+    await expect(createClient().rejectDesign('1001', 'd_9', { reason: 'other' })).rejects.toBeInstanceOf(ApproveProNotFoundError);
+
+    const error = await createClient().createDesign('1001', { files: [] }).catch(e => e);
+    expect(error).toBeInstanceOf(ApproveProValidationError);
+    expect(error.response.data.error).toBe('invalid_design');
+  });
+
+  test('throws ApproveProNetworkError when nothing answers', async () => {
+    const client = createClient({ baseUrl: 'http://127.0.0.1:9/api/v1', maxRetries: 1 });
+    await expect(client.getOrder('1001')).rejects.toBeInstanceOf(ApproveProNetworkError);
+  });
+
+  test('throws ApproveProAuthError without a request when no API key is configured', async () => {
+    const error = await createClient({ apiKey: '' }).getOrder('1001').catch(e => e);
+    expect(error).toBeInstanceOf(ApproveProAuthError);
+    expect(error.status).toBeNull();
+    expect(error.message).toBe('ApprovePro API key not configured');
+  });
+});
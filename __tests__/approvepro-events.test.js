@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { toDesignStatus, verifySignature, parseEvent, nextDesignStatus } = require('../approvepro-events');
+
+const SECRET = 'shared-secret';
+
+function sign(body, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+describe('verifySignature', () => {
+  const body = Buffer.from('{"event":"design.approved"}');
+
+  test('accepts the HMAC of the raw body, with or without the sha256= prefix', () => {
+    expect(verifySignature(body, sign(body), SECRET)).toBe(true);
+    expect(verifySignature(body, `sha256=${sign(body)}`, SECRET)).toBe(true);
+  });
+
+  test('rejects a signature made with another secret or over another body', () => {
+    expect(verifySignature(body, sign(body, 'other-secret'), SECRET)).toBe(false);
+    expect(verifySignature(Buffer.from('{"event":"design.rejected"}'), sign(body), SECRET)).toBe(false);
+  });
+
+  test('rejects malformed or missing signatures', () => {
+    expect(verifySignature(body, 'not-hex', SECRET)).toBe(false);
+    expect(verifySignature(body, sign(body).slice(0, 10), SECRET)).toBe(false);
+    expect(verifySignature(body, undefined, SECRET)).toBe(false);
+  });
+
+  test('rejects everything when no secret is configured or the body is not raw', () => {
+    expect(verifySignature(body, sign(body, ''), '')).toBe(false);
+    expect(verifySignature(body.toString(), sign(body), SECRET)).toBe(false);
+  });
+});
+
+describe('parseEvent', () => {
+  test('flattens an event body', () => {
+    expect(parseEvent({
+      id: 'evt_123',
+      event: 'design.rejected',
+      created_at: '2026-10-01T10:00:00Z',
+      order: { id: 5551234 },
+      design: { id: 'd_1' },
+      comment: { body: 'Please fix the spelling', author: 'Jane' }
+    })).toEqual({
+      eventId: 'evt_123',
+      type: 'design.rejected',
+      action: 'rejected',
+      status: 'needs_revision',
+      orderId: '5551234',
+      designId: 'd_1',
+      comment: 'Please fix the spelling',
+      author: 'Jane',
+      occurredAt: '2026-10-01T10:00:00.000Z'
+    });
+  });
+
+  test('accepts the type and order_id spellings and a plain comment', () => {
+    const event = parseEvent({ type: 'design.commented', order_id: '42', comment: 'Looks great' });
+    expect(event).toMatchObject({ type: 'design.commented', action: 'commented', status: 'commented', orderId: '42', comment: 'Looks great', eventId: null });
+  });
+
+  test('falls back to now for a missing or invalid created_at', () => {
+    const event = parseEvent({ event: 'design.approved', order: { id: 1 }, created_at: 'yesterday' });
+    expect(Date.now() - new Date(event.occurredAt).getTime()).toBeLessThan(5000);
+  });
+
+  test('throws for unsupported events or a missing order id', () => {
+    expect(() => parseEvent({ event: 'design.deleted', order: { id: 1 } })).toThrow('Unsupported ApprovePro event: design.deleted');
+    expect(() => parseEvent({ event: 'design.approved', order: {} })).toThrow('ApprovePro event has no order id');
+  });
+});
+
+describe('nextDesignStatus', () => {
+  test('a comment does not override an approval or rejection', () => {
+    const comment = { status: 'commented' };
+    expect(nextDesignStatus('approved', comment)).toBe('approved');
+    expect(nextDesignStatus('needs_revision', comment)).toBe('needs_revision');
+    expect(nextDesignStatus('sent_to_customer', comment)).toBe('commented');
+  });
+
+  test('approvals and rejections always apply', () => {
+    expect(nextDesignStatus('commented', { status: 'approved' })).toBe('approved');
+    expect(nextDesignStatus('approved', { status: 'needs_revision' })).toBe('needs_revision');
+  });
+});
+
+describe('toDesignStatus', () => {
+  test('maps ApprovePro order statuses', () => {
+    expect(toDesignStatus('Awaiting Design')).toBe('awaiting_design');
+    expect(toDesignStatus('Rejected')).toBe('needs_revision');
+    expect(toDesignStatus('Needs Revision')).toBe('needs_revision');
+    expect(toDesignStatus(undefined)).toBe('pending');
+  });
+});
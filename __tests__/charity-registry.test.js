@@ -0,0 +1,52 @@
+const { normalizeCharityName, matchCharity } = require('../charity-registry');
+
+const registry = [
+  { id: 1, name: 'Act for Kids', active: 1, aliases: ['Act 4 Kids Foundation'] },
+  { id: 2, name: 'Beyond Blue', active: 1, aliases: [] },
+  { id: 3, name: 'Old Charity', active: 0, aliases: ['Retired Name'] }
+];
+
+describe('normalizeCharityName', () => {
+  test('ignores case, spacing and punctuation', () => {
+    expect(normalizeCharityName(' Act For-Kids ')).toBe('actforkids');
+  });
+
+  test('spells out 4, 2 and &', () => {
+    expect(normalizeCharityName('ACT4Kids')).toBe('actforkids');
+    expect(normalizeCharityName('Back 2 School & Play')).toBe('backtoschoolandplay');
+  });
+
+  test('leaves digits inside numbers alone', () => {
+    expect(normalizeCharityName('Charity 2024')).toBe('charity2024');
+  });
+});
+
+describe('matchCharity', () => {
+  test('matches the canonical name exactly', () => {
+    expect(matchCharity(registry, 'ACT4Kids')).toEqual({ charity: registry[0], score: 1, method: 'exact' });
+  });
+
+  test('matches an alias exactly', () => {
+    expect(matchCharity(registry, 'act for kids foundation').charity.id).toBe(1);
+  });
+
+  test('matches inactive charities exactly, so old orders still resolve', () => {
+    expect(matchCharity(registry, 'Retired name').charity.id).toBe(3);
+  });
+
+  test('fuzzy matches small misspellings of active charities', () => {
+    const match = matchCharity(registry, 'Beyond Bleu');
+    expect(match.charity.id).toBe(2);
+    expect(match.method).toBe('fuzzy');
+    expect(match.score).toBeLessThan(1);
+  });
+
+  test('does not fuzzy match inactive charities', () => {
+    expect(matchCharity(registry, 'Old Charityy')).toBeNull();
+  });
+
+  test('returns null for unknown or empty values', () => {
+    expect(matchCharity(registry, 'Something Else Entirely')).toBeNull();
+    expect(matchCharity(registry, '  ')).toBeNull();
+  });
+});
@@ -0,0 +1,45 @@
+const { REJECTION_REASONS, SENDABLE_STATUSES, REJECTABLE_STATUSES, parseRejection } = require('../design-revisions');
+const { EVENT_STATUSES } = require('../approvepro-events');
+
+describe('parseRejection', () => {
+  test('accepts a reason code with an optional comment', () => {
+    expect(parseRejection({ reasonCode: 'spelling', comment: '  Name is misspelt ' })).toEqual({ reasonCode: 'spelling', comment: 'Name is misspelt' });
+    expect(parseRejection({ reasonCode: 'layout', comment: '   ' })).toEqual({ reasonCode: 'layout', comment: null });
+    expect(parseRejection({ reasonCode: 'layout', comment: 42 })).toEqual({ reasonCode: 'layout', comment: null });
+  });
+
+  test('rejects unknown reason codes with a 400', () => {
+    for (const body of [{ reasonCode: 'ugly' }, {}, undefined]) {
+      let error;
+      try {
+        parseRejection(body);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.statusCode).toBe(400);
+      expect(error.message).toBe(`reasonCode must be one of ${Object.keys(REJECTION_REASONS).join(', ')}`);
+    }
+  });
+
+  test('requires a comment for "other"', () => {
+    expect(() => parseRejection({ reasonCode: 'other' })).toThrow('A comment is required when the reason is "other"');
+    expect(parseRejection({ reasonCode: 'other', comment: 'Wrong card' }).comment).toBe('Wrong card');
+  });
+
+  test('limits comments to 2000 characters', () => {
+    expect(parseRejection({ reasonCode: 'spelling', comment: 'x'.repeat(2000) }).comment).toHaveLength(2000);
+    expect(() => parseRejection({ reasonCode: 'spelling', comment: 'x'.repeat(2001) })).toThrow('comment must be at most 2000 characters');
+  });
+});
+
+describe('statuses', () => {
+  test('an order the customer rejected can be sent again but not rejected again', () => {
+    expect(EVENT_STATUSES['design.rejected']).toBe('needs_revision');
+    expect(SENDABLE_STATUSES).toContain('needs_revision');
+    expect(REJECTABLE_STATUSES).not.toContain('needs_revision');
+  });
+
+  test('no status is both sendable and rejectable', () => {
+    expect(SENDABLE_STATUSES.filter(status => REJECTABLE_STATUSES.includes(status))).toEqual([]);
+  });
+});
@@ -0,0 +1,183 @@
+const {
+  toCents,
+  parseAmountCents,
+  getNetTotalCents,
+  findRate,
+  calculateOrderDonation,
+  validateRate
+} = require('../donation-calculator');
+
+function rate(overrides) {
+  return {
+    id: 1,
+    name: 'Default',
+    enabled: 1,
+    rate_type: 'percentage',
+    percentage: 10,
+    basis: 'subtotal',
+    fixed_cents: null,
+    charity: null,
+    product: null,
+    starts_on: null,
+    ends_on: null,
+    ...overrides
+  };
+}
+
+function order(overrides) {
+  return {
+    created_at: '2026-10-01T09:00:00+10:00',
+    total_price: '44.90',
+    line_items: [
+      { id: 1, sku: 'CARD-A', price: '19.95', quantity: 2, discount_allocations: [{ amount: '3.00' }] },
+      { id: 2, sku: 'CARD-B', price: '10.00', quantity: 1, discount_allocations: [] }
+    ],
+    refunds: [],
+    ...overrides
+  };
+}
+
+const bothCharities = [
+  { name: 'Act for Kids', lineItems: [1] },
+  { name: 'Beyond Blue', lineItems: [2] }
+];
+
+describe('calculateOrderDonation', () => {
+  test('applies a percentage to each charity\'s line items', () => {
+    const result = calculateOrderDonation(order(), bothCharities, [rate()]);
+    expect(result.allocations.map(a => [a.charity, a.grossCents, a.donationCents, a.percentage])).toEqual([
+      ['Act for Kids', 3990, 399, 10],
+      ['Beyond Blue', 1000, 100, 10]
+    ]);
+    expect(result.donationCents).toBe(499);
+    expect(result.donationAmount).toBe('4.99');
+  });
+
+  test('rounds each line item half up to the cent', () => {
+    const result = calculateOrderDonation(
+      order({ line_items: [{ id: 1, price: '9.98', quantity: 2 }] }),
+      [{ name: 'Act for Kids', lineItems: [1] }],
+      [rate({ percentage: 12.5 })]
+    );
+    expect(result.donationCents).toBe(250); // 12.5% of 19.96 = 2.495
+  });
+
+  test('subtracts discounts on the subtotal_less_discounts basis', () => {
+    const result = calculateOrderDonation(order(), bothCharities, [rate({ basis: 'subtotal_less_discounts' })]);
+    expect(result.allocations[0].grossCents).toBe(3690);
+    expect(result.allocations[0].donationCents).toBe(369);
+  });
+
+  test('shares the whole order total across line items on the total basis', () => {
+    const result = calculateOrderDonation(order(), bothCharities, [rate({ basis: 'total', percentage: 100 })]);
+    const gross = result.allocations.map(a => a.grossCents);
+    expect(gross[0] + gross[1]).toBe(4490);
+    expect(gross[0]).toBeGreaterThan(gross[1]);
+  });
+
+  test('gives a fixed amount per unit', () => {
+    const result = calculateOrderDonation(order(), bothCharities, [rate({ rate_type: 'fixed', fixed_cents: 150 })]);
+    expect(result.allocations.map(a => a.donationCents)).toEqual([300, 150]);
+  });
+
+  test('leaves out refunded quantities', () => {
+    const refunded = order({
+      refunds: [{
+        refund_line_items: [{ line_item_id: 1, quantity: 1 }],
+        transactions: [{ kind: 'refund', status: 'success', amount: '19.95' }]
+      }]
+    });
+    const result = calculateOrderDonation(refunded, bothCharities, [rate()]);
+    expect(result.allocations[0].grossCents).toBe(1995);
+    expect(result.allocations[0].donationCents).toBe(200); // 199.5 rounded up
+  });
+
+  test('gives nothing when no rate applies', () => {
+    const result = calculateOrderDonation(order(), bothCharities, [rate({ enabled: 0 })]);
+    expect(result.donationCents).toBe(0);
+  });
+});
+
+describe('getNetTotalCents', () => {
+  test('subtracts successful refund transactions only', () => {
+    const refunded = order({
+      refunds: [{
+        transactions: [
+          { kind: 'refund', status: 'success', amount: '10.00' },
+          { kind: 'refund', status: 'failure', amount: '5.00' },
+          { kind: 'sale', status: 'success', amount: '44.90' }
+        ]
+      }]
+    });
+    expect(getNetTotalCents(refunded)).toBe(3490);
+  });
+
+  test('never goes below zero', () => {
+    const refunded = order({ refunds: [{ transactions: [{ kind: 'refund', status: 'success', amount: '99.00' }] }] });
+    expect(getNetTotalCents(refunded)).toBe(0);
+  });
+});
+
+describe('findRate', () => {
+  const item = { sku: 'CARD-A', product_id: 99 };
+  const context = { charity: 'Act for Kids', item, date: '2026-10-01' };
+
+  test('prefers the most specific rate', () => {
+    const rates = [
+      rate({ id: 1 }),
+      rate({ id: 2, charity: 'act for kids' }),
+      rate({ id: 3, product: 'card-a' }),
+      rate({ id: 4, product: '99', charity: 'Act for Kids' })
+    ];
+    expect(findRate(rates, context).id).toBe(4);
+    expect(findRate(rates.slice(0, 3), context).id).toBe(3);
+  });
+
+  test('prefers the rate that started most recently', () => {
+    const rates = [rate({ id: 1, starts_on: '2026-09-01' }), rate({ id: 2, starts_on: '2026-01-01' })];
+    expect(findRate(rates, context).id).toBe(1);
+  });
+
+  test('ignores rates outside their dates', () => {
+    const rates = [rate({ id: 1, ends_on: '2026-09-30' }), rate({ id: 2, starts_on: '2026-10-02' })];
+    expect(findRate(rates, context)).toBeNull();
+  });
+});
+
+describe('toCents and parseAmountCents', () => {
+  test('toCents converts Shopify money strings', () => {
+    expect(toCents('19.95')).toBe(1995);
+    expect(toCents(undefined)).toBe(0);
+  });
+
+  test('parseAmountCents accepts dollar amounts', () => {
+    expect(parseAmountCents('5')).toBe(500);
+    expect(parseAmountCents(' 5.5 ')).toBe(550);
+    expect(parseAmountCents('0.05')).toBe(5);
+  });
+
+  test('parseAmountCents rejects anything else', () => {
+    for (const value of ['', 'abc', '-1', '1.234', '$5', null, undefined]) {
+      expect(parseAmountCents(value)).toBeNaN();
+    }
+  });
+});
+
+describe('validateRate', () => {
+  test('accepts a valid percentage rate', () => {
+    expect(validateRate(rate())).toBeNull();
+  });
+
+  test('rejects percentages outside 0-100', () => {
+    expect(validateRate(rate({ percentage: 101 }))).toBe('Percentage must be a number between 0 and 100');
+  });
+
+  test('rejects a fixed amount that is not whole cents', () => {
+    const fixed = rate({ rate_type: 'fixed', percentage: null, fixed_cents: NaN });
+    expect(validateRate(fixed)).toBe('Fixed amount must be a dollar amount of zero or more');
+  });
+
+  test('rejects a start date after the end date', () => {
+    expect(validateRate(rate({ starts_on: '2026-12-01', ends_on: '2026-11-01' }))).toBe('Start date must be on or before the end date');
+  });
+});
@@ -0,0 +1,253 @@
+const sqlite3 = require('sqlite3');
+const { wrapDatabase } = require('../database');
+const { formatDonationRow, createDonationLedger } = require('../donation-ledger');
+
+let conn;
+let db;
+let ledger;
+
+const order = { id: 1001, order_number: 1001, currency: 'AUD' };
+
+function allocation(charity, grossCents, percentage = 10) {
+  return { charity, grossCents, percentage, donationCents: Math.round(grossCents * percentage / 100) };
+}
+
+function getRows() {
+  return db.all('SELECT * FROM donations ORDER BY charity');
+}
+
+beforeEach(async () => {
+  conn = new sqlite3.Database(':memory:');
+  db = wrapDatabase(conn);
+  await db.run(`CREATE TABLE donations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id TEXT NOT NULL,
+    order_number TEXT,
+    charity TEXT NOT NULL,
+    gross_cents INTEGER NOT NULL DEFAULT 0,
+    percentage REAL NOT NULL,
+    donation_cents INTEGER NOT NULL DEFAULT 0,
+    currency TEXT,
+    state TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    confirmed_at DATETIME,
+    voided_at DATETIME,
+    paid_out_at DATETIME,
+    UNIQUE(order_id, charity)
+  )`);
+  await db.run(`CREATE TABLE payout_batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    charity TEXT NOT NULL,
+    period_from TEXT,
+    period_to TEXT,
+    currency TEXT,
+    total_cents INTEGER NOT NULL,
+    donation_count INTEGER NOT NULL,
+    reference TEXT,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await db.run(`CREATE TABLE payout_batch_items (
+    batch_id INTEGER NOT NULL REFERENCES payout_batches(id),
+    donation_id INTEGER UNIQUE NOT NULL REFERENCES donations(id)
+  )`);
+  ledger = createDonationLedger(db);
+});
+
+afterEach(done => {
+  conn.close(done);
+});
+
+describe('writeDonationLedger', () => {
+  test('writes one row per charity', async () => {
+    await ledger.writeDonationLedger(order, [allocation('Beyond Blue', 5000), allocation('RSPCA', 2000)], 'pending');
+
+    const rows = await getRows();
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ order_id: '1001', order_number: '1001', charity: 'Beyond Blue', gross_cents: 5000, donation_cents: 500, currency: 'AUD', state: 'pending' });
+    expect(rows[1]).toMatchObject({ charity: 'RSPCA', gross_cents: 2000, donation_cents: 200, state: 'pending' });
+    expect(rows[0].confirmed_at).toBeNull();
+  });
+
+  test('updates the existing row for a charity instead of adding another', async () => {
+    await ledger.writeDonationLedger(order, [allocation('RSPCA', 2000)], 'pending');
+    await ledger.writeDonationLedger(order, [allocation('RSPCA', 3000)], 'confirmed');
+
+    const rows = await getRows();
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ gross_cents: 3000, donation_cents: 300, state: 'confirmed' });
+    expect(rows[0].confirmed_at).not.toBeNull();
+  });
+
+  test('keeps the state of existing rows with preserveState', async () => {
+    await ledger.writeDonationLedger(order, [allocation('RSPCA', 2000)], 'confirmed');
+    await ledger.writeDonationLedger(order, [allocation('RSPCA', 1500), allocation('Beyond Blue', 1000)], 'pending', { preserveState: true });
+
+    const rows = await getRows();
+    expect(rows.find(row => row.charity === 'RSPCA')).toMatchObject({ gross_cents: 1500, donation_cents: 150, state: 'confirmed' });
+    expect(rows.find(row => row.charity === 'Beyond Blue')).toMatchObject({ state: 'pending' });
+  });
+
+  test('never changes rows that have been paid out', async () => {
+    await ledger.writeDonationLedger(order, [allocation('RSPCA', 2000)], 'confirmed');
+    await db.run(`UPDATE donations SET state = 'paid_out', paid_out_at = CURRENT_TIMESTAMP`);
+
+    await ledger.writeDonationLedger(order, [allocation('RSPCA', 500)], 'voided');
+
+    const [row] = await getRows();
+    expect(row).toMatchObject({ gross_cents: 2000, donation_cents: 200, state: 'paid_out' });
+    expect(row.voided_at).toBeNull();
+  });
+
+  test('zeroes charities that are no longer on the order', async () => {
+    await ledger.writeDonationLedger(order, [allocation('Beyond Blue', 5000), allocation('RSPCA', 2000)], 'pending');
+    await ledger.writeDonationLedger(order, [allocation('Beyond Blue', 5000)], 'pending', { preserveState: true });
+
+    const rows = await getRows();
+    expect(rows.find(row => row.charity === 'Beyond Blue')).toMatchObject({ gross_cents: 5000, donation_cents: 500 });
+    expect(rows.find(row => row.charity === 'RSPCA')).toMatchObject({ gross_cents: 0, donation_cents: 0, state: 'pending' });
+  });
+
+  test('does not zero a removed charity that has been paid out', async () => {
+    await ledger.writeDonationLedger(order, [allocation('Beyond Blue', 5000), allocation('RSPCA', 2000)], 'confirmed');
+    await db.run(`UPDATE donations SET state = 'paid_out' WHERE charity = 'RSPCA'`);
+    await ledger.writeDonationLedger(order, [allocation('Beyond Blue', 5000)], 'confirmed');
+
+    const rows = await getRows();
+    expect(rows.find(row => row.charity === 'RSPCA')).toMatchObject({ donation_cents: 200, state: 'paid_out' });
+  });
+
+  test('only touches the given order', async () => {
+    await ledger.writeDonationLedger({ ...order, id: 2002 }, [allocation('RSPCA', 2000)], 'pending');
+    await ledger.writeDonationLedger(order, [allocation('Beyond Blue', 5000)], 'pending');
+
+    const rows = await db.all('SELECT * FROM donations WHERE order_id = ?', ['2002']);
+    expect(rows[0]).toMatchObject({ charity: 'RSPCA', donation_cents: 200 });
+  });
+});
+
+describe('voidOrderDonations', () => {
+  test('voids every row that has not been paid out', async () => {
+    await ledger.writeDonationLedger(order, [allocation('Beyond Blue', 5000), allocation('RSPCA', 2000)], 'confirmed');
+    await db.run(`UPDATE donations SET state = 'paid_out' WHERE charity = 'RSPCA'`);
+
+    await ledger.voidOrderDonations(order.id);
+
+    const rows = await getRows();
+    expect(rows.find(row => row.charity === 'Beyond Blue')).toMatchObject({ state: 'voided', donation_cents: 500 });
+    expect(rows.find(row => row.charity === 'Beyond Blue').voided_at).not.toBeNull();
+    expect(rows.find(row => row.charity === 'RSPCA')).toMatchObject({ state: 'paid_out' });
+  });
+});
+
+// Three RSPCA orders: one confirmed, one pending and one voided
+async function writeReportOrders() {
+  await ledger.writeDonationLedger({ ...order, id: 1 }, [allocation('RSPCA', 2000)], 'confirmed');
+  await ledger.writeDonationLedger({ ...order, id: 2 }, [allocation('RSPCA', 3000)], 'pending');
+  await ledger.writeDonationLedger({ ...order, id: 3 }, [allocation('RSPCA', 9000)], 'voided');
+}
+
+describe('getPayoutSummary', () => {
+  test('totals each state and leaves voided rows out', async () => {
+    await writeReportOrders();
+
+    const [summary] = await ledger.getPayoutSummary();
+    expect(summary).toMatchObject({
+      charity: 'RSPCA',
+      currency: 'AUD',
+      owed_cents: 200,
+      pending_cents: 300,
+      paid_out_cents: 0,
+      order_count: 2,
+      owedAmount: '2.00'
+    });
+  });
+
+  test('filters by the confirmed date', async () => {
+    await writeReportOrders();
+    await db.run(`UPDATE donations SET created_at = '2026-01-02 10:00:00', confirmed_at = NULL`);
+    await db.run(`UPDATE donations SET confirmed_at = '2026-02-15 10:00:00' WHERE order_id = '1'`);
+
+    expect(await ledger.getPayoutSummary('2026-01-01', '2026-01-31')).toEqual([
+      expect.objectContaining({ owed_cents: 0, pending_cents: 300 })
+    ]);
+    expect(await ledger.getPayoutSummary('2026-02-01', '2026-02-28')).toEqual([
+      expect.objectContaining({ owed_cents: 200, pending_cents: 0 })
+    ]);
+    expect(await ledger.getPayoutSummary('2026-03-01')).toEqual([]);
+  });
+});
+
+describe('getStatementRows', () => {
+  test('lists only the confirmed rows for the charity', async () => {
+    await writeReportOrders();
+    await ledger.writeDonationLedger({ ...order, id: 4 }, [allocation('Beyond Blue', 1000)], 'confirmed');
+
+    const rows = await ledger.getStatementRows({ charity: 'RSPCA' });
+    expect(rows.map(row => row.order_id)).toEqual(['1']);
+  });
+});
+
+describe('markPaidOut', () => {
+  test('moves the owed rows into a payout batch', async () => {
+    await writeReportOrders();
+    await ledger.writeDonationLedger({ ...order, id: 4 }, [allocation('RSPCA', 1000)], 'confirmed');
+
+    const batch = await ledger.markPaidOut({ charity: 'RSPCA', reference: 'EFT 42', createdBy: 'admin' });
+
+    expect(batch).toEqual({ batchId: 1, donationCount: 2, totalCents: 300 });
+    expect(await db.get('SELECT * FROM payout_batches WHERE id = 1')).toMatchObject({
+      charity: 'RSPCA', currency: 'AUD', total_cents: 300, donation_count: 2, reference: 'EFT 42', created_by: 'admin'
+    });
+    const paid = await db.all(`SELECT order_id FROM donations WHERE state = 'paid_out' ORDER BY order_id`);
+    expect(paid.map(row => row.order_id)).toEqual(['1', '4']);
+    expect((await ledger.getStatementRows({ batchId: 1 })).map(row => row.order_id)).toEqual(['1', '4']);
+  });
+
+  test('marking paid twice does not count the rows again', async () => {
+    await writeReportOrders();
+    await ledger.markPaidOut({ charity: 'RSPCA' });
+
+    await expect(ledger.markPaidOut({ charity: 'RSPCA' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Nothing owed to RSPCA for this period'
+    });
+
+    const [summary] = await ledger.getPayoutSummary();
+    expect(summary).toMatchObject({ owed_cents: 0, paid_out_cents: 200 });
+    expect(await db.get('SELECT COUNT(*) AS count FROM payout_batches')).toEqual({ count: 1 });
+  });
+
+  test('only totals rows still confirmed when it updates them', async () => {
+    await writeReportOrders();
+    // Another request pays the row out between the select and the update
+    const handle = {
+      ...db,
+      all: async (sql, params) => {
+        const rows = await db.all(sql, params);
+        await db.run(`UPDATE donations SET state = 'paid_out' WHERE order_id = '1'`);
+        return rows;
+      }
+    };
+
+    const batch = await createDonationLedger(handle).markPaidOut({ charity: 'RSPCA' });
+
+    expect(batch).toMatchObject({ donationCount: 0, totalCents: 0 });
+    expect(await db.get('SELECT COUNT(*) AS count FROM payout_batch_items')).toEqual({ count: 0 });
+  });
+
+  test('refuses rows in more than one currency', async () => {
+    await ledger.writeDonationLedger({ ...order, id: 1 }, [allocation('RSPCA', 2000)], 'confirmed');
+    await ledger.writeDonationLedger({ ...order, id: 2, currency: 'NZD' }, [allocation('RSPCA', 2000)], 'confirmed');
+
+    await expect(ledger.markPaidOut({ charity: 'RSPCA' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(await db.get(`SELECT COUNT(*) AS count FROM donations WHERE state = 'paid_out'`)).toEqual({ count: 0 });
+  });
+});
+
+describe('formatDonationRow', () => {
+  test('adds dollar amounts', () => {
+    expect(formatDonationRow({ gross_cents: 12345, donation_cents: 1235 })).toMatchObject({ grossAmount: '123.45', donationAmount: '12.35' });
+  });
+});
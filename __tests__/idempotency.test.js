@@ -0,0 +1,99 @@
+const sqlite3 = require('sqlite3');
+const { wrapDatabase } = require('../database');
+const { tagWriteKey, createIdempotencyStore } = require('../idempotency');
+
+let conn;
+let db;
+let store;
+
+beforeEach(async () => {
+  conn = new sqlite3.Database(':memory:');
+  db = wrapDatabase(conn);
+  await db.run(`CREATE TABLE idempotency_keys (
+    key TEXT PRIMARY KEY,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await db.run(`CREATE TABLE webhook_deliveries (
+    webhook_id TEXT NOT NULL,
+    topic TEXT NOT NULL,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (webhook_id, topic)
+  )`);
+  store = createIdempotencyStore(db, { dedupeWindowHours: 48 });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(done => {
+  console.log.mockRestore();
+  conn.close(done);
+});
+
+describe('runOnce', () => {
+  test('sends one thank-you email per order, even when two jobs run it together', async () => {
+    const sendEmail = jest.fn().mockResolvedValue('sent');
+
+    const outcomes = await Promise.all([
+      store.runOnce('donation-email:1001', sendEmail),
+      store.runOnce('donation-email:1001', sendEmail)
+    ]);
+    const later = await store.runOnce('donation-email:1001', sendEmail);
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(outcomes).toContainEqual({ skipped: false, result: 'sent' });
+    expect(outcomes).toContainEqual({ skipped: true });
+    expect(later).toEqual({ skipped: true });
+    expect(await store.isDone('donation-email:1001')).toBe(true);
+  });
+
+  test('releases the key when the side effect fails, so a retry runs it', async () => {
+    const sendEmail = jest.fn()
+      .mockRejectedValueOnce(new Error('SMTP connection refused'))
+      .mockResolvedValueOnce('sent');
+
+    await expect(store.runOnce('donation-email:1001', sendEmail)).rejects.toThrow('SMTP connection refused');
+    expect(await store.isDone('donation-email:1001')).toBe(false);
+
+    expect(await store.runOnce('donation-email:1001', sendEmail)).toEqual({ skipped: false, result: 'sent' });
+    expect(sendEmail).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps keys for different orders apart', async () => {
+    const sendEmail = jest.fn().mockResolvedValue();
+    await store.runOnce('donation-email:1001', sendEmail);
+    await store.runOnce('donation-email:1002', sendEmail);
+    expect(sendEmail).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('recordWebhookDelivery', () => {
+  test('reports a redelivery within the window as a duplicate', async () => {
+    expect(await store.recordWebhookDelivery('w-1', 'orders/create')).toBe(true);
+    expect(await store.recordWebhookDelivery('w-1', 'orders/create')).toBe(false);
+  });
+
+  test('keeps the same webhook id on another topic apart', async () => {
+    expect(await store.recordWebhookDelivery('w-1', 'orders/create')).toBe(true);
+    expect(await store.recordWebhookDelivery('w-1', 'orders/updated')).toBe(true);
+  });
+
+  test('accepts a redelivery once it is outside WEBHOOK_DEDUPE_WINDOW_HOURS', async () => {
+    await db.run(`INSERT INTO webhook_deliveries (webhook_id, topic, received_at) VALUES ('w-1', 'orders/create', datetime('now', '-49 hours'))`);
+    await db.run(`INSERT INTO webhook_deliveries (webhook_id, topic, received_at) VALUES ('w-2', 'orders/create', datetime('now', '-47 hours'))`);
+
+    expect(await store.recordWebhookDelivery('w-1', 'orders/create')).toBe(true);
+    expect(await store.recordWebhookDelivery('w-2', 'orders/create')).toBe(false);
+  });
+
+  test('accepts a delivery again once it has been forgotten', async () => {
+    await store.recordWebhookDelivery('w-1', 'orders/create');
+    await store.forgetWebhookDelivery('w-1', 'orders/create');
+    expect(await store.recordWebhookDelivery('w-1', 'orders/create')).toBe(true);
+  });
+});
+
+describe('tagWriteKey', () => {
+  test('ignores tag order and case, and is scoped to one run', () => {
+    expect(tagWriteKey(1001, ['Donated', 'charity:x'], 'job-5')).toBe(tagWriteKey(1001, ['charity:X', 'donated'], 'job-5'));
+    expect(tagWriteKey(1001, ['donated'], 'job-5')).not.toBe(tagWriteKey(1001, ['donated'], 'job-6'));
+  });
+});
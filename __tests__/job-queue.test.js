@@ -0,0 +1,196 @@
+const sqlite3 = require('sqlite3');
+const { wrapDatabase } = require('../database');
+const { isRetryableError, getRetryDelay, createJobQueue } = require('../job-queue');
+const { ShopifyAuthError, ShopifyRateLimitError, ShopifyValidationError } = require('../shopify-client');
+const { ApproveProAuthError } = require('../approvepro-client');
+
+let conn;
+let db;
+
+beforeEach(async () => {
+  conn = new sqlite3.Database(':memory:');
+  db = wrapDatabase(conn);
+  await db.run(`CREATE TABLE jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+    webhook_event_id INTEGER
+  )`);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(done => {
+  console.warn.mockRestore();
+  console.error.mockRestore();
+  conn.close(done);
+});
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { errors: `Failed with ${status}` }, headers };
+  return error;
+}
+
+// due_in: seconds from the job's last update to when it runs next
+function getJob(id) {
+  return db.get(`SELECT *, CAST(ROUND((julianday(run_at) - julianday(updated_at)) * 86400) AS INTEGER) AS due_in FROM jobs WHERE id = ?`, [id]);
+}
+
+// Make a rescheduled job due now, as if its backoff had passed
+function makeDue(id) {
+  return db.run(`UPDATE jobs SET run_at = datetime('now', '-1 second') WHERE id = ?`, [id]);
+}
+
+// Claim and run every due job once
+async function runDueJobs(queue) {
+  let job;
+  while ((job = await queue.claimNextJob())) {
+    await queue.runJob(job);
+  }
+}
+
+function createQueue(handler, options) {
+  const outcomes = [];
+  const queue = createJobQueue(db, {
+    handlers: { 'orders/create': handler },
+    createContext: job => ({ scope: `job-${job.id}` }),
+    onOutcome: async (job, outcome, error) => outcomes.push([job.id, outcome, error]),
+    maxAttempts: 3,
+    baseDelay: 30000,
+    maxDelay: 100000,
+    ...options
+  });
+  return { queue, outcomes };
+}
+
+describe('createJobQueue', () => {
+  test('runs a job with its payload and context and marks it completed', async () => {
+    const handler = jest.fn().mockResolvedValue();
+    const { queue, outcomes } = createQueue(handler);
+
+    const id = await queue.enqueueJob('orders/create', { id: 1001 }, 7);
+    await runDueJobs(queue);
+
+    expect(handler).toHaveBeenCalledWith({ id: 1001 }, { scope: `job-${id}` });
+    expect(await getJob(id)).toMatchObject({ status: 'completed', attempts: 1, max_attempts: 3, last_error: null, webhook_event_id: 7 });
+    expect(outcomes).toEqual([[id, 'processed', null]]);
+  });
+
+  test('claims a job only once', async () => {
+    const { queue } = createQueue(jest.fn());
+    const id = await queue.enqueueJob('orders/create', {});
+
+    expect(await queue.claimNextJob()).toMatchObject({ id, attempts: 1 });
+    expect(await queue.claimNextJob()).toBeNull();
+    expect((await getJob(id)).status).toBe('processing');
+  });
+
+  test('retries with exponential backoff, then dead-letters after max attempts', async () => {
+    const handler = jest.fn().mockRejectedValue(httpError(503));
+    const { queue, outcomes } = createQueue(handler);
+    const id = await queue.enqueueJob('orders/create', {});
+
+    await runDueJobs(queue);
+    expect(await getJob(id)).toMatchObject({ status: 'pending', attempts: 1, last_error: '{"errors":"Failed with 503"}', due_in: 30 });
+
+    // Not due yet, so nothing runs
+    await runDueJobs(queue);
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    await makeDue(id);
+    await runDueJobs(queue);
+    expect(await getJob(id)).toMatchObject({ status: 'pending', attempts: 2, due_in: 60 });
+
+    await makeDue(id);
+    await runDueJobs(queue);
+    expect(await getJob(id)).toMatchObject({ status: 'dead', attempts: 3 });
+    expect(outcomes.map(outcome => outcome[1])).toEqual(['retrying', 'retrying', 'dead']);
+  });
+
+  test('waits as long as Shopify\'s Retry-After asks', async () => {
+    const { queue } = createQueue(jest.fn().mockRejectedValue(httpError(429, { 'retry-after': '4' })));
+    const id = await queue.enqueueJob('orders/create', {});
+
+    await runDueJobs(queue);
+    expect(await getJob(id)).toMatchObject({ status: 'pending', due_in: 4 });
+  });
+
+  test.each([
+    ['a 4xx response', httpError(422)],
+    ['a Shopify validation error', new ShopifyValidationError('Shopify PUT orders/1.json failed with 422')],
+    ['missing Shopify configuration', new ShopifyAuthError('Shopify configuration missing')],
+    ['a missing ApprovePro API key', new ApproveProAuthError('ApprovePro API key not configured')],
+    ['rejected SMTP credentials', Object.assign(new Error('Invalid login'), { code: 'EAUTH' })]
+  ])('dead-letters straight away on %s', async (label, error) => {
+    const { queue, outcomes } = createQueue(jest.fn().mockRejectedValue(error));
+    const id = await queue.enqueueJob('orders/create', {});
+
+    await runDueJobs(queue);
+    expect(await getJob(id)).toMatchObject({ status: 'dead', attempts: 1 });
+    expect(outcomes[0][1]).toBe('dead');
+  });
+
+  test('dead-letters jobs with no handler', async () => {
+    const { queue } = createQueue(jest.fn());
+    const id = await queue.enqueueJob('products/update', {});
+
+    await runDueJobs(queue);
+    expect(await getJob(id)).toMatchObject({ status: 'dead', last_error: 'No handler for job type products/update' });
+  });
+
+  test('replays a dead job with a fresh set of attempts', async () => {
+    const handler = jest.fn().mockRejectedValueOnce(httpError(400)).mockResolvedValueOnce();
+    const { queue } = createQueue(handler);
+    const id = await queue.enqueueJob('orders/create', {});
+    await runDueJobs(queue);
+
+    expect(await queue.replayJob(id)).toBe(true);
+    expect(await getJob(id)).toMatchObject({ status: 'pending', attempts: 0 });
+    await runDueJobs(queue);
+    expect(await getJob(id)).toMatchObject({ status: 'completed', attempts: 1 });
+
+    // Only dead jobs can be replayed
+    expect(await queue.replayJob(id)).toBe(false);
+    expect(await queue.replayJob(999)).toBe(false);
+  });
+
+  test('requeues jobs left processing by a restart', async () => {
+    const { queue } = createQueue(jest.fn());
+    const id = await queue.enqueueJob('orders/create', {});
+    await queue.claimNextJob();
+
+    await queue.requeueInterruptedJobs();
+    expect(await getJob(id)).toMatchObject({ status: 'pending', attempts: 1 });
+  });
+});
+
+describe('isRetryableError', () => {
+  test('retries throttling, timeouts, 5xx and network errors', () => {
+    expect(isRetryableError(new ShopifyRateLimitError('Shopify GraphQL request throttled'))).toBe(true);
+    expect(isRetryableError(httpError(408))).toBe(true);
+    expect(isRetryableError(httpError(429))).toBe(true);
+    expect(isRetryableError(httpError(500))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }))).toBe(true);
+  });
+
+  test('does not retry other 4xx responses', () => {
+    expect(isRetryableError(httpError(404))).toBe(false);
+    expect(isRetryableError(httpError(401))).toBe(false);
+  });
+});
+
+describe('getRetryDelay', () => {
+  test('doubles from the base delay up to the maximum', () => {
+    const options = { baseDelay: 1000, maxDelay: 5000 };
+    expect([1, 2, 3, 4].map(attempts => getRetryDelay(new Error('x'), attempts, options))).toEqual([1000, 2000, 4000, 5000]);
+  });
+});
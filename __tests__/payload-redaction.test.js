@@ -0,0 +1,60 @@
+const { REDACTED, redactPayload } = require('../payload-redaction');
+
+const payload = {
+  id: 1001,
+  name: '#1042',
+  email: 'buyer@example.com',
+  phone: '',
+  note: null,
+  total_price: '25.00',
+  tags: 'xmas',
+  browser_ip: '203.0.113.7',
+  client_details: { user_agent: 'Mozilla/5.0' },
+  customer: { id: 5, first_name: 'Sam', last_name: 'Lee', email: 'buyer@example.com', default_address: { name: 'Sam Lee', city: 'Sydney' } },
+  shipping_address: { name: 'Sam Lee', address1: '1 George St', zip: '2000', city: 'Sydney', country: 'Australia', country_code: 'AU' },
+  line_items: [
+    { id: 1, name: 'Christmas Card - 10 pack', sku: 'CARD-XMAS-10', properties: [{ name: 'Charity Name', value: 'Act for Kids' }] }
+  ]
+};
+
+describe('redactPayload', () => {
+  const redacted = redactPayload(payload);
+
+  test('replaces personal and payment details', () => {
+    expect(redacted.email).toBe(REDACTED);
+    expect(redacted.browser_ip).toBe(REDACTED);
+    expect(redacted.client_details).toBe(REDACTED);
+    expect(redacted.customer).toEqual({
+      id: 5,
+      first_name: REDACTED,
+      last_name: REDACTED,
+      email: REDACTED,
+      default_address: { name: REDACTED, city: 'Sydney' }
+    });
+    expect(redacted.shipping_address).toEqual({
+      name: REDACTED,
+      address1: REDACTED,
+      zip: REDACTED,
+      city: 'Sydney',
+      country: 'Australia',
+      country_code: 'AU'
+    });
+  });
+
+  test('keeps order, product and property names', () => {
+    expect(redacted.name).toBe('#1042');
+    expect(redacted.line_items).toEqual(payload.line_items);
+    expect(redacted.total_price).toBe('25.00');
+    expect(redacted.tags).toBe('xmas');
+  });
+
+  test('leaves empty values as they are', () => {
+    expect(redacted.phone).toBe('');
+    expect(redacted.note).toBeNull();
+  });
+
+  test('does not change the original payload', () => {
+    expect(payload.email).toBe('buyer@example.com');
+    expect(payload.customer.first_name).toBe('Sam');
+  });
+});
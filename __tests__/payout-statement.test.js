@@ -0,0 +1,75 @@
+const { PassThrough } = require('stream');
+const { writePayoutStatement, statementCsv, summaryCsv } = require('../payout-statement');
+
+const rows = [
+  { id: 1, order_id: '5001', order_number: '1001', charity: 'RSPCA', gross_cents: 2000, percentage: 10, donation_cents: 200, currency: 'AUD', state: 'confirmed', created_at: '2026-01-02 09:00:00', confirmed_at: '2026-01-05 12:00:00' },
+  { id: 2, order_id: '5002', order_number: '1002', charity: 'RSPCA', gross_cents: 1550, percentage: 10, donation_cents: 155, currency: 'AUD', state: 'paid_out', created_at: '2026-01-03 09:00:00', confirmed_at: null }
+];
+
+// Render a statement and collect the PDF in a buffer
+function renderStatement(statement) {
+  return new Promise((resolve, reject) => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    output.on('end', () => resolve(Buffer.concat(chunks)));
+    output.on('error', reject);
+    writePayoutStatement(statement, output);
+  });
+}
+
+describe('writePayoutStatement', () => {
+  test('renders a PDF', async () => {
+    const pdf = await renderStatement({ charity: 'RSPCA', from: '2026-01-01', to: '2026-01-31', currency: 'AUD', rows });
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.subarray(-6).toString()).toContain('%%EOF');
+  });
+
+  test('renders a statement with no rows', async () => {
+    const pdf = await renderStatement({ charity: 'RSPCA', rows: [] });
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('adds pages for long statements', async () => {
+    const manyRows = Array.from({ length: 120 }, (_, index) => ({ ...rows[0], id: index, order_number: String(1000 + index) }));
+    const short = await renderStatement({ charity: 'RSPCA', rows });
+    const long = await renderStatement({ charity: 'RSPCA', rows: manyRows });
+
+    expect(long.toString('latin1').match(/\/Type \/Page\b/g).length).toBeGreaterThan(1);
+    expect(short.toString('latin1').match(/\/Type \/Page\b/g)).toHaveLength(1);
+  });
+});
+
+describe('statementCsv', () => {
+  test('lists each row with dollar amounts and its report date', () => {
+    expect(statementCsv(rows).split('\n')).toEqual([
+      '"Order","Shopify Order ID","Charity","Date","Order Amount","Percentage","Donation","Currency","State"',
+      '"1001","5001","RSPCA","2026-01-05","20.00","10","2.00","AUD","confirmed"',
+      '"1002","5002","RSPCA","2026-01-03","15.50","10","1.55","AUD","paid_out"',
+      ''
+    ]);
+  });
+
+  test('escapes quotes', () => {
+    const [, line] = statementCsv([{ ...rows[0], charity: 'Kids "First"' }]).split('\n');
+    expect(line).toContain('"Kids ""First"""');
+  });
+});
+
+describe('summaryCsv', () => {
+  test('lists each charity', () => {
+    const csv = summaryCsv([
+      { charity: 'RSPCA', currency: 'AUD', order_count: 2, owedAmount: '2.00', pendingAmount: '3.00', paidOutAmount: '0.00' }
+    ]);
+
+    expect(csv).toBe(
+      '"Charity","Currency","Orders","Owed (confirmed, unpaid)","Pending (unfulfilled)","Paid Out"\n' +
+      '"RSPCA","AUD","2","2.00","3.00","0.00"\n'
+    );
+  });
+
+  test('has only a header when nothing is owed', () => {
+    expect(summaryCsv([]).split('\n').filter(Boolean)).toHaveLength(1);
+  });
+});
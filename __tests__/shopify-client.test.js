@@ -0,0 +1,164 @@
+jest.mock('axios');
+const axios = require('axios');
+const {
+  ShopifyAuthError,
+  ShopifyNotFoundError,
+  ShopifyValidationError,
+  ShopifyServerError,
+  ShopifyNetworkError,
+  ShopifyRateLimitError,
+  ShopifyGraphQLError,
+  createShopifyClient,
+  checkUserErrors,
+  getNextPageInfo
+} = require('../shopify-client');
+
+function httpError(status, data = {}, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data, headers };
+  return error;
+}
+
+function networkError() {
+  const error = new Error('socket hang up');
+  error.code = 'ECONNRESET';
+  return error;
+}
+
+function createClient(options) {
+  return createShopifyClient({ shopDomain: 'shop.example', accessToken: 'token', baseDelay: 1, maxRetries: 3, ...options });
+}
+
+beforeEach(() => {
+  axios.request.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('request', () => {
+  test('calls the versioned Admin API with the access token', async () => {
+    axios.request.mockResolvedValue({ status: 200, data: { order: { id: 1 } }, headers: {} });
+    const response = await createClient().get('orders/1.json', { fields: 'id' });
+
+    expect(response.data.order.id).toBe(1);
+    expect(axios.request).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'get',
+      url: 'https://shop.example/admin/api/2024-10/orders/1.json',
+      params: { fields: 'id' },
+      headers: expect.objectContaining({ 'X-Shopify-Access-Token': 'token' })
+    }));
+  });
+
+  test('retries 5xx and network errors', async () => {
+    axios.request
+      .mockRejectedValueOnce(httpError(502))
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValueOnce({ status: 200, data: {}, headers: {} });
+
+    await createClient().get('orders.json');
+    expect(axios.request).toHaveBeenCalledTimes(3);
+  });
+
+  test('retries a 429 after Retry-After', async () => {
+    axios.request
+      .mockRejectedValueOnce(httpError(429, { errors: 'Exceeded 2 calls per second' }, { 'retry-after': '0' }))
+      .mockResolvedValueOnce({ status: 200, data: {}, headers: {} });
+
+    await createClient().get('orders.json');
+    expect(axios.request).toHaveBeenCalledTimes(2);
+  });
+
+  test('throws the matching error without retrying 4xx responses', async () => {
+    const cases = [
+      [401, ShopifyAuthError],
+      [403, ShopifyAuthError],
+      [404, ShopifyNotFoundError],
+      [422, ShopifyValidationError]
+    ];
+    for (const [status, ErrorClass] of cases) {
+      axios.request.mockReset();
+      axios.request.mockRejectedValue(httpError(status, { errors: 'Nope' }));
+
+      const error = await createClient().put('orders/1.json', {}).catch(e => e);
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error.status).toBe(status);
+      expect(error.response.data).toEqual({ errors: 'Nope' });
+      expect(error.message).toBe(`Shopify PUT orders/1.json failed with ${status}: Nope`);
+      expect(axios.request).toHaveBeenCalledTimes(1);
+    }
+  });
+
+  test('gives up after maxRetries attempts', async () => {
+    axios.request.mockRejectedValue(httpError(503));
+    await expect(createClient().get('orders.json')).rejects.toBeInstanceOf(ShopifyServerError);
+    expect(axios.request).toHaveBeenCalledTimes(3);
+
+    axios.request.mockReset();
+    axios.request.mockRejectedValue(networkError());
+    await expect(createClient().get('orders.json')).rejects.toBeInstanceOf(ShopifyNetworkError);
+
+    axios.request.mockReset();
+    axios.request.mockRejectedValue(httpError(429, {}, { 'retry-after': '0' }));
+    await expect(createClient().get('orders.json')).rejects.toBeInstanceOf(ShopifyRateLimitError);
+  });
+
+  test('throws ShopifyAuthError when the shop is not configured', async () => {
+    await expect(createClient({ accessToken: '' }).get('orders.json')).rejects.toThrow(new ShopifyAuthError('Shopify configuration missing'));
+    expect(axios.request).not.toHaveBeenCalled();
+  });
+});
+
+describe('graphql', () => {
+  const throttleStatus = { currentlyAvailable: 1000, maximumAvailable: 1000, restoreRate: 50 };
+
+  test('resolves with the data', async () => {
+    axios.request.mockResolvedValue({
+      status: 200,
+      headers: {},
+      data: { data: { order: { id: 'gid://shopify/Order/1' } }, extensions: { cost: { requestedQueryCost: 5, throttleStatus } } }
+    });
+
+    const data = await createClient().graphql('query { order }', { id: 1 });
+    expect(data.order.id).toBe('gid://shopify/Order/1');
+    expect(axios.request.mock.calls[0][0].data).toEqual({ query: 'query { order }', variables: { id: 1 } });
+  });
+
+  test('throws ShopifyGraphQLError for errors in a 200 response', async () => {
+    axios.request.mockResolvedValue({ status: 200, headers: {}, data: { errors: [{ message: 'Field does not exist' }] } });
+
+    const error = await createClient().graphql('query { nope }').catch(e => e);
+    expect(error).toBeInstanceOf(ShopifyGraphQLError);
+    expect(error.errors).toEqual([{ message: 'Field does not exist' }]);
+  });
+
+  test('retries THROTTLED responses', async () => {
+    axios.request
+      .mockResolvedValueOnce({
+        status: 200,
+        headers: {},
+        data: { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }], extensions: { cost: { throttleStatus } } }
+      })
+      .mockResolvedValueOnce({ status: 200, headers: {}, data: { data: { ok: true } } });
+
+    expect(await createClient().graphql('query { ok }')).toEqual({ ok: true });
+    expect(axios.request).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('helpers', () => {
+  test('getNextPageInfo reads the next cursor from a Link header', () => {
+    const link = '<https://shop.example/admin/api/2024-10/orders.json?limit=250&page_info=abc>; rel="previous", ' +
+      '<https://shop.example/admin/api/2024-10/orders.json?limit=250&page_info=def>; rel="next"';
+    expect(getNextPageInfo(link)).toBe('def');
+    expect(getNextPageInfo(undefined)).toBeNull();
+  });
+
+  test('checkUserErrors throws for mutation userErrors', () => {
+    expect(() => checkUserErrors({ userErrors: [] }, 'tagsAdd')).not.toThrow();
+    expect(() => checkUserErrors({ userErrors: [{ message: 'Tag too long' }] }, 'tagsAdd'))
+      .toThrow(new ShopifyGraphQLError('Shopify tagsAdd failed: Tag too long'));
+  });
+});
@@ -0,0 +1,290 @@
+const { ShopifyGraphQLError, ShopifyNotFoundError } = require('../shopify-client');
+const { Readable } = require('stream');
+const { createOrderApi, readBulkOrders, toRestOrder } = require('../shopify-orders');
+
+function lineItemNode(id, overrides = {}) {
+  return {
+    id: `gid://shopify/LineItem/${id}`,
+    sku: `SKU-${id}`,
+    title: `Card ${id}`,
+    quantity: 1,
+    product: { legacyResourceId: '55', productType: 'Greeting Card' },
+    originalUnitPriceSet: { shopMoney: { amount: '10.00' } },
+    customAttributes: [{ key: 'Charity Name', value: 'Act for Kids' }],
+    discountAllocations: [],
+    ...overrides
+  };
+}
+
+function orderNode(overrides = {}) {
+  return {
+    id: 'gid://shopify/Order/1001',
+    legacyResourceId: '1001',
+    name: '#1042',
+    email: 'buyer@example.com',
+    createdAt: '2026-10-01T00:00:00Z',
+    updatedAt: '2026-10-02T00:00:00Z',
+    cancelledAt: null,
+    tags: ['xmas', 'charity:Act for Kids'],
+    displayFinancialStatus: 'PARTIALLY_REFUNDED',
+    displayFulfillmentStatus: 'PARTIALLY_FULFILLED',
+    currencyCode: 'AUD',
+    totalPriceSet: { shopMoney: { amount: '25.00' } },
+    customer: { firstName: 'Sam', lastName: 'Lee', email: 'buyer@example.com' },
+    shippingAddress: { country: 'Australia', countryCodeV2: 'AU' },
+    lineItems: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [lineItemNode(1)] },
+    ...overrides
+  };
+}
+
+function page(nodes, endCursor = null) {
+  return { pageInfo: { hasNextPage: !!endCursor, endCursor }, nodes };
+}
+
+function refundNode(id, overrides = {}) {
+  return {
+    id: `gid://shopify/Refund/${id}`,
+    legacyResourceId: String(id),
+    refundLineItems: page([{ quantity: 1, lineItem: { id: 'gid://shopify/LineItem/1' } }]),
+    transactions: page([{ kind: 'REFUND', status: 'SUCCESS', amountSet: { shopMoney: { amount: '10.00' } } }]),
+    ...overrides
+  };
+}
+
+// A client whose graphql() answers each query by its operation name
+function fakeClient(handlers) {
+  return {
+    graphql: jest.fn(async (query, variables) => {
+      const name = /(?:query|mutation) (\w+)/.exec(query)[1];
+      if (!handlers[name]) {
+        throw new Error(`Unexpected ${name} query`);
+      }
+      return handlers[name](variables);
+    }),
+    get: jest.fn(),
+    put: jest.fn()
+  };
+}
+
+describe('toRestOrder', () => {
+  test('converts a GraphQL order to the REST / webhook shape', () => {
+    const node = orderNode();
+    const order = toRestOrder(node, node.lineItems.nodes);
+
+    expect(order).toEqual({
+      id: 1001,
+      name: '#1042',
+      order_number: 1042,
+      email: 'buyer@example.com',
+      created_at: '2026-10-01T00:00:00Z',
+      updated_at: '2026-10-02T00:00:00Z',
+      cancelled_at: null,
+      tags: 'xmas, charity:Act for Kids',
+      financial_status: 'partially_refunded',
+      fulfillment_status: 'partial',
+      currency: 'AUD',
+      total_price: '25.00',
+      customer: { first_name: 'Sam', last_name: 'Lee', email: 'buyer@example.com' },
+      shipping_address: { country: 'Australia', country_code: 'AU' },
+      line_items: [{
+        id: 1,
+        sku: 'SKU-1',
+        title: 'Card 1',
+        quantity: 1,
+        price: '10.00',
+        product_id: 55,
+        product_type: 'Greeting Card',
+        properties: [{ name: 'Charity Name', value: 'Act for Kids' }],
+        discount_allocations: []
+      }]
+    });
+  });
+
+  test('converts refunds when the order has them', () => {
+    const order = toRestOrder(orderNode({ refunds: [refundNode(7)] }), []);
+    expect(order.refunds).toEqual([{
+      id: 7,
+      refund_line_items: [{ line_item_id: 1, quantity: 1 }],
+      transactions: [{ kind: 'refund', status: 'success', amount: '10.00' }]
+    }]);
+  });
+});
+
+describe('getOrder', () => {
+  test('fetches every page of line items, refund line items and refund transactions', async () => {
+    const refund = refundNode(7, {
+      refundLineItems: page([{ quantity: 1, lineItem: { id: 'gid://shopify/LineItem/1' } }], 'rli-1'),
+      transactions: page([{ kind: 'REFUND', status: 'SUCCESS', amountSet: { shopMoney: { amount: '10.00' } } }], 'tx-1')
+    });
+    const client = fakeClient({
+      Order: () => ({ order: orderNode({ lineItems: page([lineItemNode(1)], 'li-1'), refunds: [refund] }) }),
+      OrderLineItems: () => ({ order: { lineItems: page([lineItemNode(2)]) } }),
+      RefundLineItems: () => ({ node: { refundLineItems: page([{ quantity: 2, lineItem: { id: 'gid://shopify/LineItem/2' } }]) } }),
+      RefundTransactions: () => ({ node: { transactions: page([{ kind: 'REFUND', status: 'FAILURE', amountSet: { shopMoney: { amount: '5.00' } } }]) } })
+    });
+
+    const order = await createOrderApi(client).getOrder(1001);
+
+    expect(order.line_items.map(item => item.id)).toEqual([1, 2]);
+    expect(order.refunds[0].refund_line_items).toEqual([
+      { line_item_id: 1, quantity: 1 },
+      { line_item_id: 2, quantity: 2 }
+    ]);
+    expect(order.refunds[0].transactions.map(transaction => transaction.status)).toEqual(['success', 'failure']);
+    expect(client.graphql).toHaveBeenCalledWith(expect.stringContaining('RefundLineItems'), { id: 'gid://shopify/Refund/7', after: 'rli-1' });
+  });
+
+  test('fails for an order with more refunds than one query returns', async () => {
+    const refunds = Array.from({ length: 21 }, (_, i) => refundNode(i + 1));
+    const client = fakeClient({ Order: () => ({ order: orderNode({ refunds }) }) });
+
+    await expect(createOrderApi(client).getOrder(1001)).rejects.toThrow(ShopifyGraphQLError);
+  });
+
+  test('throws ShopifyNotFoundError for an unknown order', async () => {
+    const client = fakeClient({ Order: () => ({ order: null }) });
+    await expect(createOrderApi(client).getOrder(1)).rejects.toThrow(ShopifyNotFoundError);
+  });
+
+  test('reads the REST order as-is with SHOPIFY_API=rest', async () => {
+    const client = fakeClient({});
+    client.get.mockResolvedValue({ data: { order: { id: 1001 } } });
+
+    expect(await createOrderApi(client, { api: 'rest' }).getOrder(1001)).toEqual({ id: 1001 });
+    expect(client.get).toHaveBeenCalledWith('orders/1001.json');
+  });
+});
+
+describe('listOrders', () => {
+  test('returns a cursor that carries the filter and sort', async () => {
+    const client = fakeClient({
+      Orders: ({ after }) => ({ orders: after ? page([]) : page([orderNode()], 'page-1') })
+    });
+    const api = createOrderApi(client);
+
+    const first = await api.listOrders({ updatedAtMin: '2026-10-01T00:00:00Z' });
+    expect(first.orders.map(order => order.id)).toEqual([1001]);
+    expect(client.graphql.mock.calls[0][1]).toEqual({
+      first: 10,
+      after: null,
+      query: "updated_at:>='2026-10-01T00:00:00Z'",
+      sortKey: 'UPDATED_AT'
+    });
+
+    const second = await api.listOrders({ cursor: first.nextCursor });
+    expect(second).toEqual({ orders: [], nextCursor: null });
+    expect(client.graphql.mock.calls[1][1]).toMatchObject({ after: 'page-1', query: "updated_at:>='2026-10-01T00:00:00Z'" });
+  });
+
+  test('rejects a REST page_info as a GraphQL cursor', async () => {
+    await expect(createOrderApi(fakeClient({})).listOrders({ cursor: 'eyJsYXN0X2lkIjo' })).rejects.toThrow('Invalid GraphQL order cursor');
+  });
+});
+
+describe('addOrderTags and removeOrderTags', () => {
+  test('adds only tags the order does not have, ignoring case', async () => {
+    const client = fakeClient({
+      OrderTags: () => ({ order: { tags: ['xmas', 'Charity:Act for Kids'] } }),
+      TagsAdd: () => ({ tagsAdd: { userErrors: [] } })
+    });
+
+    const result = await createOrderApi(client).addOrderTags(1001, ['charity:act for kids', 'donated', 'DONATED']);
+    expect(result).toEqual({ added: ['donated'], tags: ['xmas', 'Charity:Act for Kids', 'donated'] });
+    expect(client.graphql).toHaveBeenLastCalledWith(expect.stringContaining('tagsAdd'), { id: 'gid://shopify/Order/1001', tags: ['donated'] });
+  });
+
+  test('makes no write when every tag is already there', async () => {
+    const client = fakeClient({ OrderTags: () => ({ order: { tags: ['xmas'] } }) });
+    expect((await createOrderApi(client).addOrderTags(1001, ['XMAS'])).added).toEqual([]);
+    expect(client.graphql).toHaveBeenCalledTimes(1);
+  });
+
+  test('throws on mutation userErrors', async () => {
+    const client = fakeClient({
+      OrderTags: () => ({ order: { tags: [] } }),
+      TagsAdd: () => ({ tagsAdd: { userErrors: [{ field: ['tags'], message: 'Tag is too long' }] } })
+    });
+    await expect(createOrderApi(client).addOrderTags(1001, ['x'])).rejects.toThrow('Shopify tagsAdd failed: Tag is too long');
+  });
+
+  test('writes the full tag list over REST', async () => {
+    const client = fakeClient({});
+    client.get.mockResolvedValue({ data: { order: { id: 1001, tags: 'xmas, donated' } } });
+
+    const remaining = await createOrderApi(client, { api: 'rest' }).removeOrderTags(1001, ['Donated']);
+    expect(remaining).toEqual(['xmas']);
+    expect(client.put).toHaveBeenCalledWith('orders/1001.json', { order: { id: 1001, tags: 'xmas' } });
+  });
+});
+
+describe('readBulkOrders', () => {
+  async function readAll(input) {
+    const orders = [];
+    for await (const order of readBulkOrders(input)) {
+      orders.push(order);
+    }
+    return orders;
+  }
+
+  function jsonl(objects) {
+    return Readable.from(objects.map(object => (typeof object === 'string' ? object : JSON.stringify(object)) + '\n').join(''));
+  }
+
+  test('groups each order with the line items that follow it', async () => {
+    const { lineItems, ...first } = orderNode();
+    const second = { ...first, id: 'gid://shopify/Order/1002', legacyResourceId: '1002', name: '#1043' };
+
+    const orders = await readAll(jsonl([
+      first,
+      { ...lineItemNode(1), __parentId: first.id },
+      { ...lineItemNode(2), __parentId: first.id },
+      '',
+      second
+    ]));
+
+    expect(orders.map(order => [order.id, order.line_items.map(item => item.id)])).toEqual([[1001, [1, 2]], [1002, []]]);
+  });
+
+  test('groups line items that are interleaved with other orders', async () => {
+    const { lineItems, ...first } = orderNode();
+    const second = { ...first, id: 'gid://shopify/Order/1002', legacyResourceId: '1002', name: '#1043' };
+    const third = { ...first, id: 'gid://shopify/Order/1003', legacyResourceId: '1003', name: '#1044' };
+
+    const orders = await readAll(jsonl([
+      first,
+      second,
+      { ...lineItemNode(1), __parentId: first.id },
+      { ...lineItemNode(3), __parentId: second.id },
+      { ...lineItemNode(2), __parentId: first.id },
+      { ...lineItemNode(5), __parentId: third.id },
+      third,
+      { ...lineItemNode(4), __parentId: second.id }
+    ]));
+
+    expect(orders.map(order => [order.id, order.line_items.map(item => item.id)])).toEqual([
+      [1001, [1, 2]],
+      [1002, [3, 4]],
+      [1003, [5]]
+    ]);
+  });
+
+  test('fails on a line item whose order is not in the export', async () => {
+    const { lineItems, ...order } = orderNode();
+    await expect(readAll(jsonl([order, { ...lineItemNode(1), __parentId: 'gid://shopify/Order/9' }])))
+      .rejects.toThrow('Line 2 of the bulk export belongs to gid://shopify/Order/9, which is not in the export');
+  });
+
+  test('fails on invalid JSON with the line number', async () => {
+    const { lineItems, ...order } = orderNode();
+    await expect(readAll(jsonl([order, '{"id": ']))).rejects.toThrow(/^Invalid JSON on line 2 of the bulk export/);
+  });
+
+  test('rethrows an error from the input stream', async () => {
+    const { lineItems, ...order } = orderNode();
+    const input = new Readable({ read() {} });
+    input.push(JSON.stringify(order) + '\n');
+    setImmediate(() => input.destroy(new Error('aborted')));
+
+    await expect(readAll(input)).rejects.toThrow('aborted');
+  });
+});
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const { verifyWebhookSignature, createWebhookVerifier, getCallbackUrl, planWebhookSubscriptions, createWebhookApi } = require('../shopify-webhooks');
+
+const BASE_URL = 'https://flow.example.com/';
+const options = { topics: ['orders/create', 'orders/paid'], baseUrl: BASE_URL, apiVersion: '2024-10' };
+
+function subscription(overrides) {
+  return {
+    id: 'gid://shopify/WebhookSubscription/1',
+    topic: 'ORDERS_CREATE',
+    format: 'JSON',
+    apiVersion: '2024-10',
+    callbackUrl: 'https://flow.example.com/webhook/orders/create',
+    endpointType: 'WebhookHttpEndpoint',
+    createdAt: '2026-01-01T00:00:00Z',
+    ...overrides
+  };
+}
+
+function summarize(plan) {
+  return plan.map(entry => [entry.topic, entry.status, entry.action, entry.subscription?.id || null]);
+}
+
+describe('getCallbackUrl', () => {
+  test('joins the base URL and topic', () => {
+    expect(getCallbackUrl(BASE_URL, 'orders/paid')).toBe('https://flow.example.com/webhook/orders/paid');
+  });
+});
+
+describe('planWebhookSubscriptions', () => {
+  test('registers missing topics and leaves correct ones alone', () => {
+    expect(summarize(planWebhookSubscriptions([subscription()], options))).toEqual([
+      ['orders/create', 'ok', null, 'gid://shopify/WebhookSubscription/1'],
+      ['orders/paid', 'missing', 'register', null]
+    ]);
+  });
+
+  test('points subscriptions at the wrong address at this server', () => {
+    const plan = planWebhookSubscriptions([subscription({ callbackUrl: 'https://old.example.com/webhook/orders/create' })], options);
+    expect(plan[0]).toMatchObject({
+      status: 'address_mismatch',
+      action: 'update',
+      expectedUrl: 'https://flow.example.com/webhook/orders/create'
+    });
+  });
+
+  test('keeps the subscription at the right address and removes duplicates', () => {
+    const subscriptions = [
+      subscription({ id: 'old', callbackUrl: 'https://old.example.com/webhook/orders/create', createdAt: '2025-01-01T00:00:00Z' }),
+      subscription({ id: 'right' })
+    ];
+    expect(summarize(planWebhookSubscriptions(subscriptions, options)).slice(0, 2)).toEqual([
+      ['orders/create', 'ok', null, 'right'],
+      ['orders/create', 'duplicate', 'remove', 'old']
+    ]);
+  });
+
+  test('removes unhandled topics pointing here and leaves other apps\' alone', () => {
+    const subscriptions = [
+      subscription({ id: 'ours', topic: 'PRODUCTS_UPDATE', callbackUrl: 'https://flow.example.com/webhook/products/update' }),
+      subscription({ id: 'theirs', topic: 'PRODUCTS_UPDATE', callbackUrl: 'https://elsewhere.example.com/hook' })
+    ];
+    expect(summarize(planWebhookSubscriptions(subscriptions, options)).slice(2)).toEqual([
+      ['PRODUCTS_UPDATE', 'unhandled', 'remove', 'ours'],
+      ['PRODUCTS_UPDATE', 'other', null, 'theirs']
+    ]);
+  });
+
+  test('warns about API version and format mismatches', () => {
+    const plan = planWebhookSubscriptions([subscription({ apiVersion: '2023-04', format: 'XML' })], options);
+    expect(plan[0].status).toBe('ok');
+    expect(plan[0].warnings).toHaveLength(2);
+  });
+});
+
+describe('createWebhookApi', () => {
+  test('registers a subscription with the GraphQL topic enum', async () => {
+    const node = {
+      id: 'gid://shopify/WebhookSubscription/9',
+      topic: 'ORDERS_PAID',
+      format: 'JSON',
+      createdAt: '2026-10-01T00:00:00Z',
+      apiVersion: { handle: '2024-10' },
+      endpoint: { __typename: 'WebhookHttpEndpoint', callbackUrl: 'https://flow.example.com/webhook/orders/paid' }
+    };
+    const client = { graphql: jest.fn().mockResolvedValue({ webhookSubscriptionCreate: { webhookSubscription: node, userErrors: [] } }) };
+
+    const created = await createWebhookApi(client).createSubscription('orders/paid', node.endpoint.callbackUrl);
+    expect(client.graphql.mock.calls[0][1]).toEqual({ topic: 'ORDERS_PAID', callbackUrl: node.endpoint.callbackUrl });
+    expect(created).toEqual({
+      id: node.id,
+      topic: 'ORDERS_PAID',
+      format: 'JSON',
+      apiVersion: '2024-10',
+      callbackUrl: node.endpoint.callbackUrl,
+      endpointType: 'WebhookHttpEndpoint',
+      createdAt: node.createdAt
+    });
+  });
+
+  test('throws on userErrors', async () => {
+    const client = { graphql: jest.fn().mockResolvedValue({ webhookSubscriptionDelete: { userErrors: [{ message: 'Not found' }] } }) };
+    await expect(createWebhookApi(client).deleteSubscription('x')).rejects.toThrow('Shopify webhookSubscriptionDelete failed: Not found');
+  });
+});
+
+describe('createWebhookVerifier', () => {
+  const SECRETS = ['current-secret', 'previous-secret'];
+  const SHOP = 'charity-cards.myshopify.com';
+  const body = Buffer.from(JSON.stringify({ id: 1001, name: '#1042' }));
+
+  function sign(secret, rawBody = body) {
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+  }
+
+  // A signed orders/create delivery, with headers overridden or removed (undefined)
+  function request(headers = {}) {
+    const allHeaders = {
+      'X-Shopify-Hmac-Sha256': sign(SECRETS[0]),
+      'X-Shopify-Shop-Domain': SHOP,
+      'X-Shopify-Topic': 'orders/create',
+      'X-Shopify-Webhook-Id': 'delivery-1',
+      ...headers
+    };
+    return {
+      path: '/orders/create',
+      body,
+      get: name => allHeaders[name]
+    };
+  }
+
+  function response() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  }
+
+  async function verify(req, options = {}) {
+    const onReject = jest.fn(async () => {});
+    const next = jest.fn();
+    const res = response();
+    await createWebhookVerifier({ secrets: SECRETS, shopDomain: SHOP, onReject, ...options })(req, res, next);
+    return { res, next, onReject };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('accepts a delivery signed with the current secret', async () => {
+    const req = request();
+    const { res, next, onReject } = await verify(req);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(onReject).not.toHaveBeenCalled();
+    expect(req.webhook).toMatchObject({ topic: 'orders/create', shopDomain: SHOP, webhookId: 'delivery-1', hmac: 'valid' });
+  });
+
+  test('accepts a delivery signed with a previous secret while rotating', async () => {
+    const { next } = await verify(request({ 'X-Shopify-Hmac-Sha256': sign(SECRETS[1]) }));
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('accepts any shop when no shop domain is configured', async () => {
+    const { next } = await verify(request({ 'X-Shopify-Shop-Domain': 'other.myshopify.com' }), { shopDomain: undefined });
+    expect(next).toHaveBeenCalled();
+  });
+
+  test.each([
+    ['no secret is configured', {}, { secrets: [] }, 500, 'SHOPIFY_WEBHOOK_SECRET is not set'],
+    ['the signature header is missing', { 'X-Shopify-Hmac-Sha256': undefined }, {}, 401, 'Missing X-Shopify-Hmac-Sha256 header'],
+    ['the signature is wrong', { 'X-Shopify-Hmac-Sha256': sign('another-secret') }, {}, 401, 'HMAC signature does not match'],
+    ['the signature is too short', { 'X-Shopify-Hmac-Sha256': sign(SECRETS[0]).slice(0, 20) }, {}, 401, 'HMAC signature does not match'],
+    ['the shop is another shop', { 'X-Shopify-Shop-Domain': 'other.myshopify.com' }, {}, 403, `X-Shopify-Shop-Domain other.myshopify.com is not ${SHOP}`],
+    ['the topic header does not match the route', { 'X-Shopify-Topic': 'orders/paid' }, {}, 400, 'X-Shopify-Topic orders/paid does not match orders/create']
+  ])('rejects when %s', async (_, headers, options, status, reason) => {
+    const { res, next, onReject } = await verify(request(headers), options);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(status);
+    expect(onReject).toHaveBeenCalledWith(expect.objectContaining({ topic: 'orders/create' }), reason);
+  });
+
+  test('logs the payload only once the signature is valid', async () => {
+    const unsigned = await verify(request({ 'X-Shopify-Hmac-Sha256': sign('another-secret') }));
+    expect(unsigned.onReject.mock.calls[0][0]).toMatchObject({ hmac: 'invalid', payload: null });
+
+    const signed = await verify(request({ 'X-Shopify-Topic': 'orders/paid' }));
+    expect(signed.onReject.mock.calls[0][0]).toMatchObject({ hmac: 'valid', payload: { id: 1001, name: '#1042' } });
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  const body = Buffer.from('{}');
+  const signature = crypto.createHmac('sha256', 'secret').update(body).digest('base64');
+
+  test('needs a Buffer body and at least one secret', () => {
+    expect(verifyWebhookSignature(body, signature, ['secret'])).toBe(true);
+    expect(verifyWebhookSignature('{}', signature, ['secret'])).toBe(false);
+    expect(verifyWebhookSignature(body, signature, [])).toBe(false);
+  });
+});
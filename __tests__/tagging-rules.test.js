@@ -0,0 +1,96 @@
+const { evaluateRules, renderTagTemplate, validateRule } = require('../tagging-rules');
+
+function rule(overrides) {
+  return {
+    id: 1,
+    name: 'Charity',
+    enabled: 1,
+    match_type: 'property',
+    property_name: 'charity',
+    operator: 'exists',
+    match_value: null,
+    tag_template: 'charity:{value}',
+    ...overrides
+  };
+}
+
+const order = {
+  total_price: '59.90',
+  shipping_address: { country_code: 'AU' },
+  line_items: [
+    {
+      sku: 'CARD-XMAS-10',
+      product_type: 'Greeting Card',
+      properties: [
+        { name: 'Charity Name', value: 'Act for Kids' },
+        { name: 'Font', value: 'Script' }
+      ]
+    },
+    {
+      sku: 'CARD-XMAS-25',
+      product_type: 'Greeting Card',
+      properties: [{ name: 'Charity Name', value: 'act for kids' }]
+    }
+  ]
+};
+
+describe('evaluateRules', () => {
+  test('tags each matching line item and de-duplicates case-insensitively', () => {
+    const result = evaluateRules([rule()], order);
+    expect(result.tags).toEqual(['charity:Act for Kids']);
+    expect(result.matches).toEqual([
+      { ruleId: 1, ruleName: 'Charity', tags: ['charity:Act for Kids', 'charity:act for kids'] }
+    ]);
+  });
+
+  test('skips disabled rules', () => {
+    expect(evaluateRules([rule({ enabled: 0 })], order).tags).toEqual([]);
+  });
+
+  test('matches order-level rules', () => {
+    const rules = [
+      rule({ id: 2, match_type: 'order_total', operator: 'gte', match_value: '50', tag_template: 'big-order' }),
+      rule({ id: 3, match_type: 'order_total', operator: 'lte', match_value: '50', tag_template: 'small-order' }),
+      rule({ id: 4, match_type: 'shipping_country', operator: 'equals', match_value: 'au', tag_template: 'ship:{value}' })
+    ];
+    expect(evaluateRules(rules, order).tags).toEqual(['big-order', 'ship:AU']);
+  });
+
+  test('matches SKUs with contains', () => {
+    const rules = [rule({ match_type: 'sku', operator: 'contains', match_value: 'xmas-25', tag_template: 'pack-25' })];
+    expect(evaluateRules(rules, order).tags).toEqual(['pack-25']);
+  });
+});
+
+describe('renderTagTemplate', () => {
+  test('fills placeholders from the line item, then the rest of the order', () => {
+    const lineItem = order.line_items[1];
+    expect(renderTagTemplate('font:{Font}', { order, lineItem, value: null })).toBe('font:Script');
+  });
+
+  test('returns null when a placeholder cannot be resolved', () => {
+    expect(renderTagTemplate('colour:{Colour}', { order, lineItem: null, value: null })).toBeNull();
+  });
+
+  test('removes commas, which Shopify treats as tag separators', () => {
+    expect(renderTagTemplate('charity:{value}', { order, lineItem: null, value: 'Kids, Inc' })).toBe('charity:Kids Inc');
+  });
+});
+
+describe('validateRule', () => {
+  test('accepts a valid rule', () => {
+    expect(validateRule(rule())).toBeNull();
+  });
+
+  test('requires a match value except for exists', () => {
+    expect(validateRule(rule({ operator: 'equals', match_value: ' ' }))).toBe('Match value is required for this operator');
+  });
+
+  test('requires a number for gte and lte', () => {
+    expect(validateRule(rule({ operator: 'gte', match_value: 'lots' }))).toBe('Match value must be a number for gte/lte');
+  });
+
+  test('rejects unknown match types', () => {
+    expect(validateRule(rule({ match_type: 'vendor' }))).toMatch(/^Match type must be one of/);
+  });
+});
@@ -0,0 +1,185 @@
+// ApprovePro API client
+// Every call to the ApprovePro API goes through one client, with a timeout on
+// each request and retries with exponential backoff. GETs are retried on 429,
+// 5xx and network errors; POSTs only on 429, since ApprovePro may already
+// have created the design when a 5xx or dropped connection comes back.
+//
+// Failed calls throw an ApproveProError subclass. The axios response is kept
+// on error.response, so error.response.status and .data still work.
+
+const axios = require('axios');
+const { toDesignStatus } = require('./approvepro-events');
+
+const DEFAULT_OPTIONS = {
+  baseUrl: 'https://app.approvepro.com/api/v1',
+  timeout: 15000,
+  maxRetries: 3, // attempts per request
+  baseDelay: 1000, // first backoff delay in ms, doubled on each attempt
+  maxDelay: 15000
+};
+
+// Base class for failed ApprovePro calls
+class ApproveProError extends Error {
+  constructor(message, { status = null, response = null, method = null, resource = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.response = response;
+    this.method = method;
+    this.resource = resource;
+  }
+}
+
+// No API key configured, or 401 / 403
+class ApproveProAuthError extends ApproveProError {}
+
+// 404: ApprovePro has no such order
+class ApproveProNotFoundError extends ApproveProError {}
+
+// 400 / 422: ApprovePro rejected the request
+class ApproveProValidationError extends ApproveProError {}
+
+// 429 after every retry
+class ApproveProRateLimitError extends ApproveProError {}
+
+// 5xx after every retry
+class ApproveProServerError extends ApproveProError {}
+
+// No response: timeout, DNS or connection failure
+class ApproveProNetworkError extends ApproveProError {}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Wrap an axios error in the matching ApproveProError subclass
+function toApproveProError(error, method, path) {
+  const response = error.response || null;
+  const details = { status: response?.status ?? null, response, method, resource: path };
+
+  if (!response) {
+    return new ApproveProNetworkError(`ApprovePro ${method} ${path} failed: ${error.message}`, details);
+  }
+
+  const reason = response.data?.message || response.data?.error || JSON.stringify(response.data ?? '');
+  const message = `ApprovePro ${method} ${path} failed with ${response.status}: ${reason}`;
+  if (response.status === 401 || response.status === 403) {
+    return new ApproveProAuthError(message, details);
+  }
+  if (response.status === 404) {
+    return new ApproveProNotFoundError(message, details);
+  }
+  if (response.status === 400 || response.status === 422) {
+    return new ApproveProValidationError(message, details);
+  }
+  if (response.status === 429) {
+    return new ApproveProRateLimitError(message, details);
+  }
+  if (response.status >= 500) {
+    return new ApproveProServerError(message, details);
+  }
+  return new ApproveProError(message, details);
+}
+
+// Create a client.
+// options: { apiKey, ...DEFAULT_OPTIONS overrides }
+function createApproveProClient(options) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  function isRetryable(error, method) {
+    const status = error.response?.status;
+    if (status === 429) {
+      return true;
+    }
+    return method === 'GET' && (!status || status >= 500);
+  }
+
+  function retryDelay(error, attempt) {
+    const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+    if (!isNaN(retryAfter)) {
+      return retryAfter * 1000;
+    }
+    return Math.min(config.baseDelay * Math.pow(2, attempt - 1), config.maxDelay);
+  }
+
+  // Make an API request. path is relative to baseUrl, e.g. '/orders/123'.
+  // Resolves with the response body.
+  async function request(method, path, data) {
+    method = method.toUpperCase();
+    if (!config.apiKey) {
+      throw new ApproveProAuthError('ApprovePro API key not configured', { method, resource: path });
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await axios.request({
+          method,
+          url: `${config.baseUrl.replace(/\/+$/, '')}${path}`,
+          data,
+          timeout: config.timeout,
+          headers: {
+            'Authorization': `Bearer ${config.apiKey}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        return response.data;
+      } catch (error) {
+        if (!isRetryable(error, method) || attempt >= config.maxRetries) {
+          throw toApproveProError(error, method, path);
+        }
+
+        const delay = retryDelay(error, attempt);
+        console.log(`ApprovePro ${method} ${path} failed (${error.response?.status || error.code || error.message}), retrying in ${delay / 1000}s (attempt ${attempt})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // An ApprovePro order, including its status ("Awaiting Design", "Approved", ...)
+  function getOrder(orderId) {
+    return request('get', `/orders/${encodeURIComponent(orderId)}`);
+  }
+
+  // An order's status as a design status ("awaiting_design", "approved", ...)
+  async function getDesignStatus(orderId) {
+    const order = await getOrder(orderId);
+    return toDesignStatus(order.status);
+  }
+
+  // Send a proof to the customer: a design with one or more file URLs
+  function createDesign(orderId, { files, comment = '', approvalMode = 'AS_ONE' }) {
+    return request('post', `/orders/${encodeURIComponent(orderId)}/designs`, {
+      comment,
+      files,
+      approval_mode: approvalMode
+    });
+  }
+
+  // Reject a proof on the customer's behalf, asking for a new revision
+  function rejectDesign(orderId, designId, { reason, comment = '' }) {
+    return request('post', `/orders/${encodeURIComponent(orderId)}/designs/${encodeURIComponent(designId)}/reject`, {
+      reason,
+      comment
+    });
+  }
+
+  return {
+    config,
+    request,
+    getOrder,
+    getDesignStatus,
+    createDesign,
+    rejectDesign
+  };
+}
+
+module.exports = {
+  ApproveProError,
+  ApproveProAuthError,
+  ApproveProNotFoundError,
+  ApproveProValidationError,
+  ApproveProRateLimitError,
+  ApproveProServerError,
+  ApproveProNetworkError,
+  createApproveProClient
+};
@@ -0,0 +1,102 @@
+// ApprovePro webhook events
+// ApprovePro posts an event to /approvepro/webhook when a customer approves,
+// rejects or comments on a proof. Each request is signed with the shared
+// secret: X-ApprovePro-Signature is the hex HMAC-SHA256 of the raw body,
+// optionally prefixed with "sha256=".
+//
+// Expected body:
+//   {
+//     "id": "evt_123",
+//     "event": "design.approved" | "design.rejected" | "design.commented",
+//     "created_at": "2024-06-01T10:00:00Z",
+//     "order": { "id": "5551234" },
+//     "design": { "id": "d_1" },
+//     "comment": { "body": "Please fix the spelling", "author": "Jane" }
+//   }
+
+const crypto = require('crypto');
+
+// Event type -> design status it sets. A customer rejection asks for a new
+// revision, so the order can be sent to the customer again.
+const EVENT_STATUSES = {
+  'design.approved': 'approved',
+  'design.rejected': 'needs_revision',
+  'design.commented': 'commented'
+};
+
+// Once the customer has approved or rejected a proof, a later comment on it
+// doesn't change the status
+const DECIDED_STATUSES = ['approved', 'needs_revision'];
+
+// ApprovePro order status ("Awaiting Design") -> design status ("awaiting_design")
+function toDesignStatus(status) {
+  switch (status) {
+    case 'Approved':
+      return 'approved';
+    case 'Rejected':
+      return 'needs_revision';
+    case 'Awaiting Design':
+      return 'awaiting_design';
+    case 'Design Ready':
+      return 'design_ready';
+    case 'Pending':
+      return 'pending';
+    case 'Draft':
+      return 'draft';
+    default:
+      return String(status || 'pending').toLowerCase().replace(/\s+/g, '_');
+  }
+}
+
+// Whether a raw body was signed with the shared secret
+function verifySignature(rawBody, signature, secret) {
+  if (!secret || !signature || !Buffer.isBuffer(rawBody)) {
+    return false;
+  }
+
+  const received = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Flatten an event body. Throws if it isn't an event this server handles.
+function parseEvent(payload) {
+  const type = payload?.event || payload?.type;
+  if (!EVENT_STATUSES[type]) {
+    throw new Error(`Unsupported ApprovePro event: ${type || '(none)'}`);
+  }
+
+  const orderId = payload.order?.id ?? payload.order_id;
+  if (orderId === undefined || orderId === null || orderId === '') {
+    throw new Error('ApprovePro event has no order id');
+  }
+
+  const occurredAt = new Date(payload.created_at || Date.now());
+  return {
+    eventId: payload.id ? String(payload.id) : null,
+    type,
+    action: type.replace(/^design\./, ''), // approved | rejected | commented
+    status: EVENT_STATUSES[type],
+    orderId: String(orderId),
+    designId: payload.design?.id ? String(payload.design.id) : null,
+    comment: payload.comment?.body ?? (typeof payload.comment === 'string' ? payload.comment : null),
+    author: payload.comment?.author || null,
+    occurredAt: isNaN(occurredAt) ? new Date().toISOString() : occurredAt.toISOString()
+  };
+}
+
+// The design status an order moves to after an event
+function nextDesignStatus(currentStatus, event) {
+  if (event.status === 'commented' && DECIDED_STATUSES.includes(currentStatus)) {
+    return currentStatus;
+  }
+  return event.status;
+}
+
+module.exports = {
+  EVENT_STATUSES,
+  toDesignStatus,
+  verifySignature,
+  parseEvent,
+  nextDesignStatus
+};
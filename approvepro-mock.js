@@ -0,0 +1,258 @@
+// Local stand-in for the ApprovePro API
+// Run with: npm run approvepro:mock
+// Implements the order, design and status endpoints this server uses, keeping
+// everything in memory, so the proofing flow can be run end to end without
+// the real service. Point the server at it with
+// APPROVEPRO_BASE_URL=http://localhost:4010/api/v1.
+//
+// API (Bearer APPROVEPRO_API_KEY; any key is accepted if it isn't set):
+//   GET  /api/v1/orders/:id           order and its status; unknown orders start as "Awaiting Design"
+//   POST /api/v1/orders/:id/designs   send a proof: { comment, files: [url], approval_mode }
+//   GET  /api/v1/orders/:id/designs   proofs sent for an order
+//   POST /api/v1/orders/:id/designs/:designId/reject
+//                                     reject a proof: { reason, comment }; the order moves to "Needs Revision"
+//
+// Controls for driving the flow:
+//   POST /mock/orders/:id/events      act as the customer: { event: "design.approved" | "design.rejected" |
+//                                     "design.commented", comment, author }. Updates the order and posts a
+//                                     signed event to the server's /approvepro/webhook.
+//   POST /mock/failures               fail the next API requests: { count, status, delayMs }
+//   GET  /mock/state                  every order, design and delivered event
+//   POST /mock/reset                  clear all state
+//   GET  /mock/files/:name            a small sample PDF, usable as a design file URL
+
+require('dotenv').config();
+const express = require('express');
+const crypto = require('crypto');
+const axios = require('axios');
+const { EVENT_STATUSES } = require('./approvepro-events');
+
+const MOCK_CONFIG = {
+  port: parseInt(process.env.APPROVEPRO_MOCK_PORT) || 4010,
+  apiKey: process.env.APPROVEPRO_API_KEY,
+  webhookSecret: process.env.APPROVEPRO_WEBHOOK_SECRET,
+  webhookUrl: process.env.APPROVEPRO_MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/approvepro/webhook`
+};
+
+// Order status each customer event leaves the ApprovePro order in.
+// A comment leaves it as it was.
+const EVENT_ORDER_STATUSES = {
+  'design.approved': 'Approved',
+  'design.rejected': 'Rejected'
+};
+
+const APPROVAL_MODES = ['AS_ONE', 'INDIVIDUALLY'];
+
+// One-page PDF served at /mock/files/:name
+const SAMPLE_PDF = Buffer.from(
+  '%PDF-1.4\n1 0 obj<</Type/Catalog/Pages 2 0 R>>endobj\n' +
+  '2 0 obj<</Type/Pages/Kids[3 0 R]/Count 1>>endobj\n' +
+  '3 0 obj<</Type/Page/Parent 2 0 R/MediaBox[0 0 200 200]>>endobj\n' +
+  'trailer<</Root 1 0 R>>\n%%EOF\n'
+);
+
+function createMockApp(options = {}) {
+  const config = { ...MOCK_CONFIG, ...options };
+  const app = express();
+  app.use(express.json());
+
+  let state;
+  function reset() {
+    state = { orders: new Map(), events: [], failures: [], nextDesignId: 1, nextEventId: 1 };
+  }
+  reset();
+
+  function getOrder(id) {
+    if (!state.orders.has(id)) {
+      const now = new Date().toISOString();
+      state.orders.set(id, { id, status: 'Awaiting Design', designs: [], created_at: now, updated_at: now });
+    }
+    return state.orders.get(id);
+  }
+
+  function toOrderResponse(order) {
+    const latest = order.designs[order.designs.length - 1];
+    return {
+      id: order.id,
+      status: order.status,
+      design_count: order.designs.length,
+      latest_design_id: latest ? latest.id : null,
+      created_at: order.created_at,
+      updated_at: order.updated_at
+    };
+  }
+
+  // Bearer auth, then any injected failure
+  app.use('/api/v1', async (req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match || (config.apiKey && match[1] !== config.apiKey)) {
+      return res.status(401).json({ error: 'unauthorized', message: 'Invalid API key' });
+    }
+
+    const failure = state.failures.shift();
+    if (failure) {
+      if (failure.delayMs) {
+        await new Promise(resolve => setTimeout(resolve, failure.delayMs));
+      }
+      if (failure.status) {
+        console.log(`🧪 Injected ${failure.status} for ${req.method} ${req.originalUrl}`);
+        if (failure.status === 429) {
+          res.set('Retry-After', '1');
+        }
+        return res.status(failure.status).json({ error: 'injected_failure', message: `Injected ${failure.status}` });
+      }
+    }
+    next();
+  });
+
+  app.get('/api/v1/orders/:orderId', (req, res) => {
+    res.json(toOrderResponse(getOrder(req.params.orderId)));
+  });
+
+  app.get('/api/v1/orders/:orderId/designs', (req, res) => {
+    res.json({ designs: getOrder(req.params.orderId).designs });
+  });
+
+  app.post('/api/v1/orders/:orderId/designs', (req, res) => {
+    const { comment = '', files, approval_mode: approvalMode = 'AS_ONE' } = req.body || {};
+    if (!Array.isArray(files) || files.length === 0 || files.some(file => typeof file !== 'string' || !file)) {
+      return res.status(422).json({ error: 'invalid_design', message: 'files must be a non-empty array of URLs' });
+    }
+    if (!APPROVAL_MODES.includes(approvalMode)) {
+      return res.status(422).json({ error: 'invalid_design', message: `approval_mode must be one of ${APPROVAL_MODES.join(', ')}` });
+    }
+
+    const order = getOrder(req.params.orderId);
+    const now = new Date().toISOString();
+    const design = {
+      id: `d_${state.nextDesignId++}`,
+      order_id: order.id,
+      comment,
+      files,
+      approval_mode: approvalMode,
+      status: 'Pending',
+      created_at: now
+    };
+    order.designs.push(design);
+    order.status = 'Pending';
+    order.updated_at = now;
+
+    console.log(`📨 Design ${design.id} sent for order ${order.id} (${files.length} file(s))`);
+    res.status(201).json(design);
+  });
+
+  app.post('/api/v1/orders/:orderId/designs/:designId/reject', (req, res) => {
+    const order = getOrder(req.params.orderId);
+    const design = order.designs.find(candidate => candidate.id === req.params.designId);
+    if (!design) {
+      return res.status(404).json({ error: 'not_found', message: `No design ${req.params.designId} on order ${order.id}` });
+    }
+    if (design.status === 'Approved') {
+      return res.status(422).json({ error: 'invalid_state', message: 'An approved design cannot be rejected' });
+    }
+
+    const now = new Date().toISOString();
+    design.status = 'Rejected';
+    design.rejection = { reason: req.body?.reason || null, comment: req.body?.comment || '', rejected_at: now };
+    order.status = 'Needs Revision';
+    order.updated_at = now;
+
+    console.log(`↩️  Design ${design.id} rejected for order ${order.id} (${design.rejection.reason})`);
+    res.json(design);
+  });
+
+  // Act as the customer on the latest proof and deliver the signed event
+  app.post('/mock/orders/:orderId/events', async (req, res) => {
+    const { event: type, comment, author = 'Customer' } = req.body || {};
+    if (!EVENT_STATUSES[type]) {
+      return res.status(400).json({ error: `event must be one of ${Object.keys(EVENT_STATUSES).join(', ')}` });
+    }
+
+    const order = getOrder(req.params.orderId);
+    const design = order.designs[order.designs.length - 1];
+    if (!design) {
+      return res.status(409).json({ error: 'No design has been sent for this order' });
+    }
+
+    const now = new Date().toISOString();
+    if (EVENT_ORDER_STATUSES[type]) {
+      order.status = EVENT_ORDER_STATUSES[type];
+      design.status = EVENT_ORDER_STATUSES[type];
+      order.updated_at = now;
+    }
+
+    const event = {
+      id: `evt_mock_${state.nextEventId++}`,
+      event: type,
+      created_at: now,
+      order: { id: order.id },
+      design: { id: design.id },
+      comment: comment ? { body: comment, author } : null
+    };
+
+    const body = JSON.stringify(event);
+    const delivery = { url: config.webhookUrl, status: null, error: null };
+    if (!config.webhookSecret) {
+      delivery.error = 'APPROVEPRO_WEBHOOK_SECRET is not set; event not delivered';
+    } else {
+      try {
+        const response = await axios.post(config.webhookUrl, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-ApprovePro-Signature': crypto.createHmac('sha256', config.webhookSecret).update(body).digest('hex')
+          },
+          timeout: 10000,
+          validateStatus: () => true
+        });
+        delivery.status = response.status;
+      } catch (error) {
+        delivery.error = error.message;
+      }
+    }
+
+    state.events.push({ ...event, delivery });
+    console.log(`👤 ${type} for order ${order.id} -> ${delivery.status || delivery.error}`);
+    res.json({ event, delivery });
+  });
+
+  app.post('/mock/failures', (req, res) => {
+    const count = Math.max(parseInt(req.body?.count) || 1, 1);
+    const status = req.body?.status === undefined ? 500 : parseInt(req.body.status) || 0;
+    const delayMs = parseInt(req.body?.delayMs) || 0;
+    for (let i = 0; i < count; i++) {
+      state.failures.push({ status, delayMs });
+    }
+    res.json({ pending: state.failures.length });
+  });
+
+  app.get('/mock/state', (req, res) => {
+    res.json({
+      orders: [...state.orders.values()],
+      events: state.events,
+      pendingFailures: state.failures.length
+    });
+  });
+
+  app.post('/mock/reset', (req, res) => {
+    reset();
+    res.json({ success: true });
+  });
+
+  app.get('/mock/files/:name', (req, res) => {
+    res.type('application/pdf').send(SAMPLE_PDF);
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  createMockApp().listen(MOCK_CONFIG.port, () => {
+    console.log(`🧪 ApprovePro mock running on port ${MOCK_CONFIG.port}`);
+    console.log(`🔗 API base URL: http://localhost:${MOCK_CONFIG.port}/api/v1`);
+    console.log(`🪝 Delivering events to ${MOCK_CONFIG.webhookUrl}${MOCK_CONFIG.webhookSecret ? '' : ' (disabled: APPROVEPRO_WEBHOOK_SECRET is not set)'}`);
+  });
+}
+
+module.exports = {
+  createMockApp
+};
@@ -0,0 +1,45 @@
+// Tag historical orders with the current tagging rules
+// Run with: npm run backfill:tags -- --from 2024-01-01 --to 2024-06-30 [--dry-run] [--throttle 500] [--csv report.csv]
+// Scans every order created in the date range, adds the rule tags it is
+// missing and prints a summary of tagged, skipped and failed orders.
+
+const fs = require('fs');
+const { runTagBackfill, getBackfillCsv } = require('./server');
+
+// Value following a --flag, e.g. --from 2024-01-01
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const csvPath = getArg('csv');
+  const options = { from: getArg('from'), to: getArg('to'), dryRun, createdBy: 'cli' };
+  if (getArg('throttle') !== undefined) {
+    options.throttleMs = getArg('throttle');
+  }
+
+  console.log(`🏷️  Backfilling tags for orders created ${options.from} to ${options.to}${dryRun ? ' (dry run, nothing will be written)' : ''}...`);
+  const run = await runTagBackfill(options);
+
+  console.log(`✅ Backfill ${run.id} finished`);
+  console.log(`   Scanned: ${run.scanned}`);
+  console.log(`   ${dryRun ? 'Would tag' : 'Tagged'}: ${run.tagged}`);
+  console.log(`   Skipped: ${run.skipped}`);
+  console.log(`   Failed:  ${run.failed}`);
+
+  if (csvPath) {
+    fs.writeFileSync(csvPath, await getBackfillCsv(run.id));
+    console.log(`📄 Results written to ${csvPath}`);
+  }
+
+  return run.failed > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Backfill failed:', error.response?.data || error.message);
+    process.exit(1);
+  });
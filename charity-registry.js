@@ -0,0 +1,84 @@
+// Charity name matching
+// Customily sends charity names with inconsistent spelling and casing
+// ("Act for kids", "Act For Kids ", "ACT4Kids"). These helpers map a raw
+// value onto a canonical charity from the registry tables.
+
+// Minimum similarity (0-1) for a fuzzy match to count
+const FUZZY_MATCH_THRESHOLD = 0.8;
+
+// Reduce a name to a comparison key: lowercase, "4" -> "for", "&" -> "and",
+// punctuation and whitespace removed
+function normalizeCharityName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/(^|[^0-9])4(?=[^0-9]|$)/g, '$1for')
+    .replace(/(^|[^0-9])2(?=[^0-9]|$)/g, '$1to')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Levenshtein edit distance between two strings
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+// Similarity between two normalized keys, 1 meaning identical
+function similarity(a, b) {
+  if (!a.length && !b.length) return 1;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// Match a raw value against registry entries ({ id, name, active, aliases: [] }).
+// Exact matches on the canonical name or an alias always win, even for
+// inactive charities, so historical orders still resolve. Fuzzy matching
+// only considers active charities.
+function matchCharity(registry, rawValue) {
+  const key = normalizeCharityName(rawValue);
+  if (!key) {
+    return null;
+  }
+
+  for (const charity of registry) {
+    const keys = [charity.name, ...(charity.aliases || [])].map(normalizeCharityName);
+    if (keys.includes(key)) {
+      return { charity, score: 1, method: 'exact' };
+    }
+  }
+
+  let best = null;
+  for (const charity of registry) {
+    if (!charity.active) continue;
+
+    for (const candidate of [charity.name, ...(charity.aliases || [])]) {
+      const score = similarity(key, normalizeCharityName(candidate));
+      if (score >= FUZZY_MATCH_THRESHOLD && (!best || score > best.score)) {
+        best = { charity, score, method: 'fuzzy' };
+      }
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  FUZZY_MATCH_THRESHOLD,
+  normalizeCharityName,
+  matchCharity
+};
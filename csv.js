@@ -0,0 +1,15 @@
+// CSV export helper
+
+// Serialize rows to CSV, quoting every field.
+// columns: [{ key, label }], taken from each row in order
+function toCsv(columns, rows) {
+  const escape = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  return [
+    columns.map(column => escape(column.label)).join(','),
+    ...rows.map(row => columns.map(column => escape(row[column.key])).join(','))
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  toCsv
+};
@@ -0,0 +1,25 @@
+// SQLite helpers
+// Promise wrappers around the sqlite3 callback API. Modules that work on the
+// database take one of these handles ({ run, get, all }) rather than a
+// connection, so they can be given the shared connection, a transaction (see
+// withTransaction in server.js) or an in-memory database in tests.
+
+// run resolves with { lastID, changes }, get with a row (or undefined), all with rows
+function wrapDatabase(conn) {
+  const call = (method, sql, params = []) => new Promise((resolve, reject) => {
+    conn[method](sql, params, function (err, result) {
+      if (err) reject(err);
+      else resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+    });
+  });
+
+  return {
+    run: (sql, params) => call('run', sql, params),
+    get: (sql, params) => call('get', sql, params),
+    all: (sql, params) => call('all', sql, params)
+  };
+}
+
+module.exports = {
+  wrapDatabase
+};
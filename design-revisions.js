@@ -0,0 +1,59 @@
+// Design revisions
+// Every proof sent to a customer starts a new numbered revision of the order's
+// design (1, 2, ...). Rejections and approvals are recorded against the
+// revision they were made on, so an order's history reads as
+// "revision 1 sent, rejected (spelling); revision 2 sent, approved".
+
+// Reason codes for rejecting a design, with their dashboard labels
+const REJECTION_REASONS = {
+  spelling: 'Spelling or text error',
+  layout: 'Layout or positioning',
+  image_quality: 'Image quality',
+  wrong_charity: 'Wrong charity',
+  wrong_product: 'Wrong product or size',
+  customer_request: 'Customer requested changes',
+  other: 'Other'
+};
+
+// Entries in a revision history
+const REVISION_ACTIONS = ['sent', 'rejected', 'approved'];
+
+// Design statuses a design can be sent to the customer from: nothing has
+// been sent yet, or the last revision was rejected
+const SENDABLE_STATUSES = ['pending', 'awaiting_design', 'needs_revision'];
+
+// Design statuses a design can be rejected from: it has been made, and the
+// customer hasn't approved or already rejected it
+const REJECTABLE_STATUSES = ['design_ready', 'sent_to_customer', 'commented'];
+
+// Check a rejection request body. Throws a 400 error if it's invalid.
+function parseRejection(body) {
+  const reasonCode = body?.reasonCode;
+  if (!REJECTION_REASONS[reasonCode]) {
+    const error = new Error(`reasonCode must be one of ${Object.keys(REJECTION_REASONS).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const comment = typeof body.comment === 'string' ? body.comment.trim() : '';
+  if (reasonCode === 'other' && !comment) {
+    const error = new Error('A comment is required when the reason is "other"');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (comment.length > 2000) {
+    const error = new Error('comment must be at most 2000 characters');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { reasonCode, comment: comment || null };
+}
+
+module.exports = {
+  REJECTION_REASONS,
+  REVISION_ACTIONS,
+  SENDABLE_STATUSES,
+  REJECTABLE_STATUSES,
+  parseRejection
+};
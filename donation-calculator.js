@@ -0,0 +1,280 @@
+// Donation calculator
+// Works out what each charity on an order receives, from the donation rates
+// stored in the donation_rates table. Shared by the webhook jobs (ledger and
+// emails), the dashboard and the reports so they always agree.
+//
+// All arithmetic is in integer cents. Each line item's donation is rounded
+// half up to the nearest cent; a charity receives the sum of its line items.
+
+const RATE_TYPES = ['percentage', 'fixed'];
+
+// What a percentage rate is applied to:
+//   subtotal                - line item price x quantity
+//   subtotal_less_discounts - subtotal minus the discounts allocated to the line
+//   total                   - the order total (shipping and tax included), shared across line items
+const BASES = ['subtotal', 'subtotal_less_discounts', 'total'];
+
+// Percentages are held in millionths of a percent so rounding stays in integers
+const PERCENT_SCALE = 1000000;
+
+// Convert a Shopify money string to integer cents
+function toCents(value) {
+  return Math.round((parseFloat(value) || 0) * 100);
+}
+
+// Parse a dollar amount typed into the dashboard ("5", "5.5", "5.50") to
+// integer cents. Returns NaN for anything else, where toCents would give 0.
+function parseAmountCents(value) {
+  const amount = String(value ?? '').trim();
+  return /^\d+(\.\d{1,2})?$/.test(amount) ? toCents(amount) : NaN;
+}
+
+// Format integer cents as a dollar string, e.g. 1234 -> "12.34"
+function formatCents(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+// Divide two non-negative integers, rounding half up
+function divideRoundHalfUp(numerator, denominator) {
+  return Math.floor((2 * numerator + denominator) / (2 * denominator));
+}
+
+// Apply a percentage (e.g. 10 or 12.5) to an amount in cents, rounding half up
+function applyPercentage(cents, percentage) {
+  const scaled = Math.round((parseFloat(percentage) || 0) * PERCENT_SCALE);
+  return divideRoundHalfUp(cents * scaled, 100 * PERCENT_SCALE);
+}
+
+// Split cents in proportion to integer weights. Leftover cents go to the
+// largest remainders so the parts always add up to the total.
+function distributeCents(totalCents, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0 || totalCents <= 0) {
+    return weights.map(() => 0);
+  }
+
+  const shares = weights.map(weight => ({
+    cents: Math.floor(totalCents * weight / totalWeight),
+    remainder: (totalCents * weight) % totalWeight
+  }));
+
+  let leftover = totalCents - shares.reduce((sum, share) => sum + share.cents, 0);
+  for (const share of [...shares].sort((a, b) => b.remainder - a.remainder)) {
+    if (leftover <= 0) break;
+    share.cents += 1;
+    leftover -= 1;
+  }
+
+  return shares.map(share => share.cents);
+}
+
+// Total refunded on an order, in cents, from its successful refund transactions
+function getRefundedCents(order) {
+  let refunded = 0;
+
+  for (const refund of order.refunds || []) {
+    for (const transaction of refund.transactions || []) {
+      if (transaction.kind === 'refund' && !['failure', 'error'].includes(transaction.status)) {
+        refunded += toCents(transaction.amount);
+      }
+    }
+  }
+
+  return refunded;
+}
+
+// Order total less refunds, in cents
+function getNetTotalCents(order) {
+  return Math.max(0, toCents(order.total_price) - getRefundedCents(order));
+}
+
+// Each line item's amount under every basis, net of refunded quantities
+function getLineItemBases(order) {
+  const refundedQuantities = new Map();
+  for (const refund of order.refunds || []) {
+    for (const refundLine of refund.refund_line_items || []) {
+      const id = String(refundLine.line_item_id);
+      refundedQuantities.set(id, (refundedQuantities.get(id) || 0) + (refundLine.quantity || 0));
+    }
+  }
+
+  const lines = (order.line_items || []).map(item => {
+    const quantity = item.quantity || 1;
+    const netQuantity = Math.max(0, quantity - (refundedQuantities.get(String(item.id)) || 0));
+
+    // Shopify puts order-level and line-level discounts in discount_allocations
+    const discountCents = Array.isArray(item.discount_allocations) && item.discount_allocations.length > 0
+      ? item.discount_allocations.reduce((sum, allocation) => sum + toCents(allocation.amount), 0)
+      : toCents(item.total_discount);
+
+    const subtotal = toCents(item.price) * netQuantity;
+    const discount = divideRoundHalfUp(discountCents * netQuantity, quantity);
+
+    return {
+      id: String(item.id),
+      item,
+      netQuantity,
+      subtotal,
+      subtotal_less_discounts: Math.max(0, subtotal - discount)
+    };
+  });
+
+  // Shipping and tax belong to the whole order, so share the net total by discounted subtotal
+  const totals = distributeCents(getNetTotalCents(order), lines.map(line => line.subtotal_less_discounts));
+  lines.forEach((line, index) => {
+    line.total = totals[index];
+  });
+
+  return lines;
+}
+
+// Whether a rate applies to a line item on a given date (YYYY-MM-DD)
+function rateApplies(rate, { charity, item, date }) {
+  if (!rate.enabled) return false;
+  if (rate.starts_on && date < rate.starts_on) return false;
+  if (rate.ends_on && date > rate.ends_on) return false;
+
+  if (rate.charity && rate.charity.trim().toLowerCase() !== String(charity || '').trim().toLowerCase()) {
+    return false;
+  }
+
+  if (rate.product) {
+    const wanted = rate.product.trim().toLowerCase();
+    const candidates = [item.sku, item.product_id].filter(value => value !== undefined && value !== null);
+    if (!candidates.some(value => String(value).trim().toLowerCase() === wanted)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// How specific a rate is: product and charity beats product, beats charity, beats a default
+function rateSpecificity(rate) {
+  return (rate.product ? 2 : 0) + (rate.charity ? 1 : 0);
+}
+
+// The rate for a line item: the most specific one that applies, then the one
+// starting most recently, then the newest
+function findRate(rates, context) {
+  let best = null;
+
+  for (const rate of rates) {
+    if (!rateApplies(rate, context)) continue;
+
+    if (!best) {
+      best = rate;
+      continue;
+    }
+
+    const specificity = rateSpecificity(rate) - rateSpecificity(best);
+    const starts = (rate.starts_on || '').localeCompare(best.starts_on || '');
+    if (specificity > 0 || (specificity === 0 && (starts > 0 || (starts === 0 && rate.id > best.id)))) {
+      best = rate;
+    }
+  }
+
+  return best;
+}
+
+// Donation for one line item under a rate
+function calculateLineDonation(rate, line) {
+  if (!rate) {
+    return { basisCents: 0, donationCents: 0 };
+  }
+
+  const basisCents = line[rate.basis] ?? line.total;
+  const donationCents = rate.rate_type === 'fixed'
+    ? (rate.fixed_cents || 0) * line.netQuantity
+    : applyPercentage(basisCents, rate.percentage);
+
+  return { basisCents, donationCents };
+}
+
+// Calculate the donation for an order.
+// charities: [{ name, lineItems: [lineItemId] }] with canonical charity names
+// rates: rows from donation_rates
+// Returns { donationCents, donationAmount, allocations: [{ charity, lineItems,
+// grossCents, donationCents, percentage, grossAmount, donationAmount }] }
+function calculateOrderDonation(order, charities, rates) {
+  const lines = getLineItemBases(order);
+  const date = String(order.created_at || new Date().toISOString()).slice(0, 10);
+
+  const allocations = charities.map(charity => {
+    let grossCents = 0;
+    let donationCents = 0;
+    const applied = new Set();
+
+    for (const lineItemId of charity.lineItems) {
+      const line = lines.find(candidate => candidate.id === String(lineItemId));
+      if (!line) continue;
+
+      const rate = findRate(rates, { charity: charity.name, item: line.item, date });
+      const result = calculateLineDonation(rate, line);
+      grossCents += result.basisCents;
+      donationCents += result.donationCents;
+      applied.add(rate);
+    }
+
+    // Report the rate itself when a single percentage rate was used, otherwise the effective rate
+    const [onlyRate] = applied;
+    const percentage = applied.size === 1 && onlyRate && onlyRate.rate_type === 'percentage'
+      ? onlyRate.percentage
+      : (grossCents > 0 ? Math.round(donationCents * 10000 / grossCents) / 100 : 0);
+
+    return {
+      charity: charity.name,
+      lineItems: charity.lineItems,
+      grossCents,
+      donationCents,
+      percentage,
+      grossAmount: formatCents(grossCents),
+      donationAmount: formatCents(donationCents)
+    };
+  });
+
+  const donationCents = allocations.reduce((sum, allocation) => sum + allocation.donationCents, 0);
+  return { donationCents, donationAmount: formatCents(donationCents), allocations };
+}
+
+// Validate a rate coming from the dashboard editor, returning an error message or null
+function validateRate(rate) {
+  if (!rate.name || !String(rate.name).trim()) {
+    return 'Rate name is required';
+  }
+  if (!RATE_TYPES.includes(rate.rate_type)) {
+    return `Rate type must be one of: ${RATE_TYPES.join(', ')}`;
+  }
+  if (rate.rate_type === 'percentage') {
+    if (rate.percentage === null || isNaN(rate.percentage) || rate.percentage < 0 || rate.percentage > 100) {
+      return 'Percentage must be a number between 0 and 100';
+    }
+    if (!BASES.includes(rate.basis)) {
+      return `Basis must be one of: ${BASES.join(', ')}`;
+    }
+  }
+  if (rate.rate_type === 'fixed' && (!Number.isInteger(rate.fixed_cents) || rate.fixed_cents < 0)) {
+    return 'Fixed amount must be a dollar amount of zero or more';
+  }
+  for (const field of ['starts_on', 'ends_on']) {
+    if (rate[field] && !/^\d{4}-\d{2}-\d{2}$/.test(rate[field])) {
+      return 'Dates must be in YYYY-MM-DD format';
+    }
+  }
+  if (rate.starts_on && rate.ends_on && rate.starts_on > rate.ends_on) {
+    return 'Start date must be on or before the end date';
+  }
+  return null;
+}
+
+module.exports = {
+  RATE_TYPES,
+  BASES,
+  toCents,
+  parseAmountCents,
+  formatCents,
+  getNetTotalCents,
+  findRate,
+  calculateOrderDonation,
+  validateRate
+};
@@ -0,0 +1,196 @@
+// Donation ledger
+// One row per order per charity in the donations table, amounts in cents.
+// State is pending (ordered), confirmed (fulfilled), voided (cancelled or
+// fully refunded) or paid_out. Rows that have been paid out are final.
+
+// Date the payout report uses for a ledger row: when it was confirmed, else when it was created
+const DONATION_REPORT_DATE = 'date(COALESCE(confirmed_at, created_at))';
+
+// WHERE clause for a payout report date range
+function buildReportDateFilter(from, to) {
+  const conditions = [];
+  const params = [];
+
+  if (from) {
+    conditions.push(`${DONATION_REPORT_DATE} >= date(?)`);
+    params.push(from);
+  }
+  if (to) {
+    conditions.push(`${DONATION_REPORT_DATE} <= date(?)`);
+    params.push(to);
+  }
+
+  return { conditions, params };
+}
+
+// Format a ledger row for the API, converting cents to dollar strings
+function formatDonationRow(row) {
+  return {
+    ...row,
+    grossAmount: (row.gross_cents / 100).toFixed(2),
+    donationAmount: (row.donation_cents / 100).toFixed(2)
+  };
+}
+
+// Create a ledger on a database handle ({ run, get, all }, see database.js)
+function createDonationLedger(db) {
+  // Write an order's per-charity donations to the ledger. With preserveState,
+  // existing rows keep their state and only have their amounts recalculated.
+  // Rows already paid out are never changed, and charities no longer on the
+  // order have their amounts zeroed.
+  async function writeDonationLedger(order, allocations, state, { preserveState = false } = {}) {
+    const orderId = order.id.toString();
+    const newState = preserveState ? 'donations.state' : 'excluded.state';
+
+    for (const allocation of allocations) {
+      await db.run(
+        `INSERT INTO donations (order_id, order_number, charity, gross_cents, percentage, donation_cents, currency, state, confirmed_at, voided_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?,
+           CASE WHEN ? = 'confirmed' THEN CURRENT_TIMESTAMP END,
+           CASE WHEN ? = 'voided' THEN CURRENT_TIMESTAMP END)
+         ON CONFLICT(order_id, charity) DO UPDATE SET
+           order_number = excluded.order_number,
+           gross_cents = excluded.gross_cents,
+           percentage = excluded.percentage,
+           donation_cents = excluded.donation_cents,
+           currency = excluded.currency,
+           state = ${newState},
+           confirmed_at = CASE WHEN ${newState} = 'confirmed' THEN COALESCE(donations.confirmed_at, CURRENT_TIMESTAMP) ELSE donations.confirmed_at END,
+           voided_at = CASE WHEN ${newState} = 'voided' THEN COALESCE(donations.voided_at, CURRENT_TIMESTAMP) ELSE NULL END,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE donations.state != 'paid_out'`,
+        [
+          orderId,
+          String(order.order_number || order.name || ''),
+          allocation.charity,
+          allocation.grossCents,
+          allocation.percentage,
+          allocation.donationCents,
+          order.currency || null,
+          state,
+          state,
+          state
+        ]
+      );
+    }
+
+    const charities = allocations.map(allocation => allocation.charity);
+    await db.run(
+      `UPDATE donations SET gross_cents = 0, donation_cents = 0, updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = ? AND state != 'paid_out' AND donation_cents != 0
+         AND charity NOT IN (${charities.map(() => '?').join(', ')})`,
+      [orderId, ...charities]
+    );
+  }
+
+  // Void every ledger row for an order that has not been paid out yet
+  async function voidOrderDonations(orderId) {
+    await db.run(
+      `UPDATE donations SET state = 'voided', voided_at = COALESCE(voided_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = ? AND state != 'paid_out'`,
+      [orderId.toString()]
+    );
+  }
+
+  // Donations per charity for a date range, excluding voided rows
+  async function getPayoutSummary(from, to) {
+    const { conditions, params } = buildReportDateFilter(from, to);
+    const rows = await db.all(
+      `SELECT charity, currency,
+         SUM(CASE WHEN state = 'confirmed' THEN donation_cents ELSE 0 END) AS owed_cents,
+         SUM(CASE WHEN state = 'pending' THEN donation_cents ELSE 0 END) AS pending_cents,
+         SUM(CASE WHEN state = 'paid_out' THEN donation_cents ELSE 0 END) AS paid_out_cents,
+         COUNT(DISTINCT order_id) AS order_count
+       FROM donations
+       WHERE ${['state != \'voided\'', ...conditions].join(' AND ')}
+       GROUP BY charity, currency
+       ORDER BY charity`,
+      params
+    );
+
+    return rows.map(row => ({
+      ...row,
+      owedAmount: (row.owed_cents / 100).toFixed(2),
+      pendingAmount: (row.pending_cents / 100).toFixed(2),
+      paidOutAmount: (row.paid_out_cents / 100).toFixed(2)
+    }));
+  }
+
+  // Ledger rows behind a charity's statement: either a payout batch, or the confirmed (owed) rows in a date range
+  async function getStatementRows({ charity, from, to, batchId }) {
+    if (batchId) {
+      return db.all(
+        `SELECT donations.* FROM donations
+         JOIN payout_batch_items ON payout_batch_items.donation_id = donations.id
+         WHERE payout_batch_items.batch_id = ?
+         ORDER BY ${DONATION_REPORT_DATE}, donations.id`,
+        [batchId]
+      );
+    }
+
+    const { conditions, params } = buildReportDateFilter(from, to);
+    return db.all(
+      `SELECT * FROM donations
+       WHERE ${['charity = ?', 'state = \'confirmed\'', ...conditions].join(' AND ')}
+       ORDER BY ${DONATION_REPORT_DATE}, id`,
+      [charity, ...params]
+    );
+  }
+
+  // Move a charity's owed (confirmed) rows in a date range into a new payout
+  // batch, so they are never counted twice. Run it on a transaction handle so
+  // rows confirmed or paid out by another request in between are not counted.
+  // Resolves with { batchId, donationCount, totalCents }.
+  async function markPaidOut({ charity, from, to, reference, createdBy }) {
+    const rows = await getStatementRows({ charity, from, to });
+    if (rows.length === 0) {
+      const error = new Error(`Nothing owed to ${charity} for this period`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const currencies = [...new Set(rows.map(row => row.currency))];
+    if (currencies.length > 1) {
+      const error = new Error(`Donations for ${charity} span several currencies (${currencies.join(', ')})`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const batchId = (await db.run(
+      `INSERT INTO payout_batches (charity, period_from, period_to, currency, total_cents, donation_count, reference, created_by)
+       VALUES (?, ?, ?, ?, 0, 0, ?, ?)`,
+      [charity, from || null, to || null, currencies[0], reference || null, createdBy || null]
+    )).lastID;
+
+    // Total only the rows this update actually moved to paid_out
+    let donationCount = 0;
+    let totalCents = 0;
+    for (const row of rows) {
+      const { changes } = await db.run(
+        `UPDATE donations SET state = 'paid_out', paid_out_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND state = 'confirmed'`,
+        [row.id]
+      );
+      if (changes > 0) {
+        await db.run('INSERT INTO payout_batch_items (batch_id, donation_id) VALUES (?, ?)', [batchId, row.id]);
+        donationCount++;
+        totalCents += row.donation_cents;
+      }
+    }
+
+    await db.run('UPDATE payout_batches SET total_cents = ?, donation_count = ? WHERE id = ?', [totalCents, donationCount, batchId]);
+    return { batchId, donationCount, totalCents };
+  }
+
+  return {
+    writeDonationLedger,
+    voidOrderDonations,
+    getPayoutSummary,
+    getStatementRows,
+    markPaidOut
+  };
+}
+
+module.exports = {
+  formatDonationRow,
+  createDonationLedger
+};
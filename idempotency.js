@@ -0,0 +1,70 @@
+// Idempotency keys and webhook delivery deduplication
+// Shopify delivers webhooks at least once and failed jobs are retried, so a
+// side effect that must only happen once (a donation email, a tag write) is
+// guarded by a key in the idempotency_keys table, and each delivery's
+// X-Shopify-Webhook-Id is remembered for a while in webhook_deliveries.
+
+// Idempotency key for writing a set of tags to an order. Tag writes merge into
+// the order's tags, so they only need deduplicating within one job, sync or
+// backfill run (scope); a later run can add a tag again after it was removed.
+function tagWriteKey(orderId, tags, scope) {
+  const normalized = tags.map(tag => tag.toLowerCase()).sort().join('|');
+  return `order-tags:${scope}:${orderId}:${normalized}`;
+}
+
+// Create a store on a database handle ({ run, get, all }, see database.js).
+// options: { dedupeWindowHours: how long a webhook delivery is remembered }
+function createIdempotencyStore(db, { dedupeWindowHours = 48 } = {}) {
+  // Run a side effect only if its idempotency key has not been used yet.
+  // The key is claimed before the side effect runs, so two workers can't both
+  // run it, and released again if it fails so the failure can be retried.
+  // Resolves with { skipped, result }.
+  async function runOnce(key, fn) {
+    const { changes } = await db.run('INSERT OR IGNORE INTO idempotency_keys (key) VALUES (?)', [key]);
+    if (changes === 0) {
+      console.log(`Skipping ${key}: already done`);
+      return { skipped: true };
+    }
+
+    try {
+      const result = await fn();
+      return { skipped: false, result };
+    } catch (error) {
+      await db.run('DELETE FROM idempotency_keys WHERE key = ?', [key]);
+      throw error;
+    }
+  }
+
+  // Whether a key has been used
+  async function isDone(key) {
+    return !!await db.get('SELECT key FROM idempotency_keys WHERE key = ?', [key]);
+  }
+
+  // Record a webhook delivery, returning false if it was already seen within the window
+  async function recordWebhookDelivery(webhookId, topic) {
+    await db.run(
+      `DELETE FROM webhook_deliveries WHERE received_at < datetime('now', ?)`,
+      [`-${dedupeWindowHours} hours`]
+    );
+
+    const result = await db.run('INSERT OR IGNORE INTO webhook_deliveries (webhook_id, topic) VALUES (?, ?)', [webhookId, topic]);
+    return result.changes > 0;
+  }
+
+  // Forget a delivery, so Shopify's retry of it is not treated as a duplicate
+  function forgetWebhookDelivery(webhookId, topic) {
+    return db.run('DELETE FROM webhook_deliveries WHERE webhook_id = ? AND topic = ?', [webhookId, topic]);
+  }
+
+  return {
+    runOnce,
+    isDone,
+    recordWebhookDelivery,
+    forgetWebhookDelivery
+  };
+}
+
+module.exports = {
+  tagWriteKey,
+  createIdempotencyStore
+};
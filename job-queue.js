@@ -0,0 +1,159 @@
+// Webhook job queue
+// Webhook work is stored as jobs in the jobs table and run one at a time, so
+// a failure (Shopify throttling, SMTP down) is retried with backoff instead
+// of being lost. A job that keeps failing, or fails in a way a retry can't
+// fix, is moved to the dead-letter list (status dead) until it is replayed
+// from /dashboard/jobs.
+//
+// Job status is pending, processing, completed or dead.
+
+const shopifyClient = require('./shopify-client');
+const approveProClient = require('./approvepro-client');
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 5,
+  baseDelay: 30000, // first backoff delay in ms, doubled on each attempt
+  maxDelay: 60 * 60 * 1000 // 1 hour
+};
+
+// Shopify 429/5xx and GraphQL throttling, timeouts and network or SMTP failures are worth retrying;
+// other 4xx responses (including GraphQL and mutation errors), missing configuration and
+// rejected credentials will fail the same way every time
+function isRetryableError(error) {
+  if (error instanceof shopifyClient.ShopifyRateLimitError) {
+    return true;
+  }
+  if (error instanceof shopifyClient.ShopifyAuthError || error instanceof approveProClient.ApproveProAuthError || error.code === 'EAUTH') {
+    return false;
+  }
+  if (error instanceof shopifyClient.ShopifyValidationError || error instanceof shopifyClient.ShopifyNotFoundError) {
+    return false;
+  }
+  const status = error.response?.status;
+  if (!status) {
+    return true;
+  }
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Delay before the next attempt: Shopify's Retry-After when given, otherwise exponential backoff
+function getRetryDelay(error, attempts, { baseDelay, maxDelay } = DEFAULT_OPTIONS) {
+  const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+  if (!isNaN(retryAfter)) {
+    return retryAfter * 1000;
+  }
+  return Math.min(baseDelay * Math.pow(2, attempts - 1), maxDelay);
+}
+
+// Create a queue on a database handle ({ run, get, all }, see database.js).
+// options: {
+//   handlers: { [type]: async (payload, context) => ... },
+//   createContext: job => context passed to the handler,
+//   onOutcome: (job, outcome, error, durationMs) => ..., outcome being processed | retrying | dead,
+//   ...DEFAULT_OPTIONS overrides
+// }
+function createJobQueue(db, options = {}) {
+  const config = {
+    handlers: {},
+    createContext: () => undefined,
+    onOutcome: async () => {},
+    ...DEFAULT_OPTIONS,
+    ...options
+  };
+
+  // Persist a job so it survives restarts and failed attempts
+  async function enqueueJob(type, payload, webhookEventId = null) {
+    const result = await db.run(
+      'INSERT INTO jobs (type, payload, max_attempts, webhook_event_id) VALUES (?, ?, ?, ?)',
+      [type, JSON.stringify(payload), config.maxAttempts, webhookEventId]
+    );
+    return result.lastID;
+  }
+
+  // Claim the next due job, or null if there is nothing to do
+  async function claimNextJob() {
+    const job = await db.get(
+      `SELECT * FROM jobs WHERE status = 'pending' AND run_at <= datetime('now') ORDER BY run_at, id LIMIT 1`
+    );
+    if (!job) {
+      return null;
+    }
+
+    const claimed = await db.run(
+      `UPDATE jobs SET status = 'processing', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [job.id]
+    );
+    return claimed.changes > 0 ? { ...job, attempts: job.attempts + 1 } : null;
+  }
+
+  // Run a single claimed job, rescheduling or dead-lettering it on failure
+  async function runJob(job) {
+    const handler = config.handlers[job.type];
+    const startedAt = Date.now();
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler for job type ${job.type}`);
+      }
+
+      await handler(JSON.parse(job.payload), config.createContext(job));
+      await db.run(
+        `UPDATE jobs SET status = 'completed', last_error = NULL, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [job.id]
+      );
+      await config.onOutcome(job, 'processed', null, Date.now() - startedAt);
+    } catch (error) {
+      const message = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+
+      if (!handler || !isRetryableError(error) || job.attempts >= job.max_attempts) {
+        console.error(`Job ${job.id} (${job.type}) moved to dead-letter list after ${job.attempts} attempt(s): ${message}`);
+        await db.run(
+          `UPDATE jobs SET status = 'dead', last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [message, job.id]
+        );
+        await config.onOutcome(job, 'dead', message, Date.now() - startedAt);
+        return;
+      }
+
+      const delay = getRetryDelay(error, job.attempts, config);
+      console.warn(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}, retrying in ${Math.round(delay / 1000)}s: ${message}`);
+      await db.run(
+        `UPDATE jobs SET status = 'pending', last_error = ?, run_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [message, `+${Math.ceil(delay / 1000)} seconds`, job.id]
+      );
+      await config.onOutcome(job, 'retrying', message, Date.now() - startedAt);
+    }
+  }
+
+  // Put a dead-lettered job back in the queue with a fresh set of attempts.
+  // Returns false if there is no such dead job.
+  async function replayJob(jobId) {
+    const result = await db.run(
+      `UPDATE jobs SET status = 'pending', attempts = 0, run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'dead'`,
+      [jobId]
+    );
+    return result.changes > 0;
+  }
+
+  // Jobs left mid-flight by a crash or restart are picked up again
+  function requeueInterruptedJobs() {
+    return db.run(`UPDATE jobs SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE status = 'processing'`);
+  }
+
+  return {
+    config,
+    enqueueJob,
+    claimNextJob,
+    runJob,
+    replayJob,
+    requeueInterruptedJobs
+  };
+}
+
+module.exports = {
+  isRetryableError,
+  getRetryDelay,
+  createJobQueue
+};
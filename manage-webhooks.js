@@ -0,0 +1,52 @@
+// Check and fix the app's Shopify webhook subscriptions
+// Run with: npm run webhooks [-- --sync]
+// Lists each handled topic with its subscription status. With --sync, also
+// registers missing topics, points wrong addresses at WEBHOOK_BASE_URL and
+// removes duplicate or stale subscriptions.
+
+const { SUBSCRIPTION_STATUSES } = require('./shopify-webhooks');
+const { getWebhookSubscriptionPlan, syncWebhookSubscriptions } = require('./server');
+
+function printPlan(plan) {
+  for (const item of plan) {
+    const address = item.subscription?.callbackUrl || item.subscription?.endpointType || '-';
+    console.log(`${item.status === 'ok' && item.warnings.length === 0 ? '✅' : '⚠️ '} ${item.topic} [${item.status}] ${address}`);
+    console.log(`   ${SUBSCRIPTION_STATUSES[item.status]}`);
+    if (item.expectedUrl && address !== item.expectedUrl) {
+      console.log(`   Expected: ${item.expectedUrl}`);
+    }
+    for (const warning of item.warnings) {
+      console.log(`   Warning: ${warning}`);
+    }
+    if (item.result) {
+      console.log(`   ${item.action}: ${item.result === 'failed' ? `failed (${item.error})` : 'done'}`);
+    }
+  }
+}
+
+async function main() {
+  const sync = process.argv.includes('--sync');
+
+  console.log(`🪝 ${sync ? 'Syncing' : 'Checking'} Shopify webhook subscriptions...`);
+  const plan = sync ? await syncWebhookSubscriptions() : await getWebhookSubscriptionPlan();
+  printPlan(plan);
+
+  const actions = plan.filter(item => item.action);
+  const failed = actions.filter(item => item.result === 'failed');
+  if (!sync) {
+    console.log(actions.length > 0
+      ? `📋 ${actions.length} change(s) needed. Run with --sync to apply them.`
+      : '✅ Subscriptions match this server');
+  } else {
+    console.log(`✅ ${actions.length - failed.length} change(s) applied, ${failed.length} failed`);
+  }
+
+  return failed.length > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Webhook check failed:', error.response?.data || error.message);
+    process.exit(1);
+  });
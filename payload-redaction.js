@@ -0,0 +1,68 @@
+// Webhook payload redaction
+// Strips customer personal details and payment data from Shopify webhook
+// payloads before they are kept in the webhook event log. What is left (ids,
+// line items and their properties, totals, tags, country) is enough to see why
+// an order was or wasn't tagged.
+
+const REDACTED = '[redacted]';
+
+// Keys whose values are replaced wherever they appear
+const REDACTED_KEYS = new Set([
+  'email',
+  'contact_email',
+  'phone',
+  'first_name',
+  'last_name',
+  'address1',
+  'address2',
+  'zip',
+  'latitude',
+  'longitude',
+  'company',
+  'browser_ip',
+  'client_details',
+  'payment_details',
+  'receipt',
+  'note',
+  'note_attributes',
+  'token',
+  'cart_token',
+  'checkout_token',
+  'landing_site',
+  'referring_site'
+]);
+
+// Objects describing a person, where "name" is the person's name rather than
+// an order or product name
+const PERSON_KEYS = new Set(['customer', 'billing_address', 'shipping_address', 'default_address', 'addresses']);
+
+function redactValue(value, inPerson) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, inPerson));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const redacted = {};
+  for (const [key, child] of Object.entries(value)) {
+    const empty = child === null || child === undefined || child === '';
+    if (!empty && (REDACTED_KEYS.has(key) || (inPerson && key === 'name'))) {
+      redacted[key] = REDACTED;
+    } else {
+      redacted[key] = redactValue(child, inPerson || PERSON_KEYS.has(key));
+    }
+  }
+  return redacted;
+}
+
+// Copy of a webhook payload with personal and payment details replaced.
+// Empty values are left as they are, so a missing email still shows as missing.
+function redactPayload(payload) {
+  return redactValue(payload, false);
+}
+
+module.exports = {
+  REDACTED,
+  redactPayload
+};
@@ -0,0 +1,119 @@
+// Per-charity payout statements
+// The printable PDF lists the donations owed to one charity for a date range,
+// with our logo from public/images. The CSV exports carry the same rows, or
+// the per-charity summary, for spreadsheets.
+
+const PDFDocument = require('pdfkit');
+const path = require('path');
+const fs = require('fs');
+const { toCsv } = require('./csv');
+const { formatDonationRow } = require('./donation-ledger');
+
+const LOGO_PATH = path.join(__dirname, 'public', 'images', 'logo.png');
+const COMPANY_NAME = process.env.COMPANY_NAME || 'Charity Greeting Cards Pty Ltd';
+
+// Format cents as a dollar amount
+function formatCents(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+// Write a payout statement PDF to a writable stream (e.g. an Express response).
+// statement: { charity, from, to, currency, rows: [{ order_number, confirmed_at, gross_cents, percentage, donation_cents, state }] }
+function writePayoutStatement(statement, output) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(output);
+
+  // Header
+  if (fs.existsSync(LOGO_PATH)) {
+    doc.image(LOGO_PATH, 50, 45, { height: 60 });
+  }
+  doc.fontSize(18).text('Donation Statement', 200, 50, { align: 'right' });
+  doc.fontSize(10).fillColor('#666666')
+    .text(COMPANY_NAME, 200, 75, { align: 'right' })
+    .text(`Generated ${new Date().toISOString().slice(0, 10)}`, { align: 'right' });
+
+  // Summary
+  const totalCents = statement.rows.reduce((sum, row) => sum + row.donation_cents, 0);
+  doc.moveDown(3).fillColor('#000000');
+  doc.fontSize(12).text(`Charity: ${statement.charity}`, 50);
+  doc.text(`Period: ${statement.from || 'start'} to ${statement.to || 'today'}`);
+  doc.text(`Orders: ${statement.rows.length}`);
+  doc.fontSize(14).text(`Total donation: ${formatCents(totalCents)} ${statement.currency || ''}`.trim());
+  doc.moveDown();
+
+  // Table
+  const columns = [
+    { label: 'Order', x: 50, width: 80 },
+    { label: 'Date', x: 130, width: 90 },
+    { label: 'Order amount', x: 220, width: 100 },
+    { label: 'Rate', x: 320, width: 60 },
+    { label: 'Donation', x: 380, width: 90 },
+    { label: 'Status', x: 470, width: 80 }
+  ];
+
+  const drawHeader = () => {
+    const y = doc.y;
+    doc.fontSize(10).fillColor('#666666');
+    columns.forEach(column => doc.text(column.label, column.x, y, { width: column.width }));
+    doc.moveTo(50, doc.y + 2).lineTo(545, doc.y + 2).strokeColor('#dddddd').stroke();
+    doc.moveDown(0.5).fillColor('#000000');
+  };
+
+  drawHeader();
+  for (const row of statement.rows) {
+    if (doc.y > 760) {
+      doc.addPage();
+      drawHeader();
+    }
+
+    const y = doc.y;
+    const values = [
+      `#${row.order_number}`,
+      (row.confirmed_at || row.created_at || '').slice(0, 10),
+      formatCents(row.gross_cents),
+      `${row.percentage}%`,
+      formatCents(row.donation_cents),
+      row.state.replace('_', ' ')
+    ];
+    columns.forEach((column, index) => doc.text(values[index], column.x, y, { width: column.width }));
+    doc.moveDown(0.3);
+  }
+
+  doc.moveDown(2).fontSize(9).fillColor('#666666')
+    .text(`Thank you for your partnership. Questions about this statement can be sent to ${process.env.EMAIL_USER || 'orders@charitygreetingcards.com.au'}.`, 50);
+
+  doc.end();
+}
+
+// A statement's ledger rows as CSV
+function statementCsv(rows) {
+  return toCsv([
+    { key: 'order_number', label: 'Order' },
+    { key: 'order_id', label: 'Shopify Order ID' },
+    { key: 'charity', label: 'Charity' },
+    { key: 'date', label: 'Date' },
+    { key: 'grossAmount', label: 'Order Amount' },
+    { key: 'percentage', label: 'Percentage' },
+    { key: 'donationAmount', label: 'Donation' },
+    { key: 'currency', label: 'Currency' },
+    { key: 'state', label: 'State' }
+  ], rows.map(row => ({ ...formatDonationRow(row), date: (row.confirmed_at || row.created_at || '').slice(0, 10) })));
+}
+
+// The per-charity payout summary (see getPayoutSummary in donation-ledger.js) as CSV
+function summaryCsv(charities) {
+  return toCsv([
+    { key: 'charity', label: 'Charity' },
+    { key: 'currency', label: 'Currency' },
+    { key: 'order_count', label: 'Orders' },
+    { key: 'owedAmount', label: 'Owed (confirmed, unpaid)' },
+    { key: 'pendingAmount', label: 'Pending (unfulfilled)' },
+    { key: 'paidOutAmount', label: 'Paid Out' }
+  ], charities);
+}
+
+module.exports = {
+  writePayoutStatement,
+  statementCsv,
+  summaryCsv
+};
@@ -10,6 +10,23 @@ const sqlite3 = require('sqlite3').verbose();
 const jwt = require('jsonwebtoken');
 const path = require('path');
 const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const taggingRules = require('./tagging-rules');
+const charityRegistry = require('./charity-registry');
+const payoutStatement = require('./payout-statement');
+const donationCalculator = require('./donation-calculator');
+const shopifyClient = require('./shopify-client');
+const shopifyOrders = require('./shopify-orders');
+const shopifyWebhooks = require('./shopify-webhooks');
+const { redactPayload } = require('./payload-redaction');
+const approveProEvents = require('./approvepro-events');
+const approveProClient = require('./approvepro-client');
+const designRevisions = require('./design-revisions');
+const { wrapDatabase } = require('./database');
+const { createJobQueue } = require('./job-queue');
+const { createIdempotencyStore, tagWriteKey } = require('./idempotency');
+const { createDonationLedger, formatDonationRow } = require('./donation-ledger');
+const { toCsv } = require('./csv');
 require('dotenv').config();
 
 const app = express();
@@ -55,22 +72,54 @@ app.use(session({
 // Serve static files (for logo and assets)
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
-// Serve temporary PDF files
+// Serve temporary PDF files (proofs sent before versioning still link here)
 app.use('/public/temp', express.static(path.join(__dirname, 'public', 'temp')));
 
-// Custom middleware to handle webhook verification
-app.use('/webhook', express.raw({ type: 'application/json', limit: '10mb' }));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
-
 // Shopify configuration
 const SHOPIFY_CONFIG = {
   shopDomain: process.env.SHOPIFY_SHOP_DOMAIN,
   accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
-  webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET,
-  apiVersion: '2024-01'
+  // The current webhook secret first, then any still accepted while rotating
+  webhookSecrets: [process.env.SHOPIFY_WEBHOOK_SECRET, ...(process.env.SHOPIFY_WEBHOOK_PREVIOUS_SECRETS || '').split(',')]
+    .map(secret => (secret || '').trim())
+    .filter(Boolean),
+  webhookBaseUrl: process.env.WEBHOOK_BASE_URL, // public URL Shopify delivers webhooks to, e.g. https://tags.example.com
+  apiVersion: process.env.SHOPIFY_API_VERSION || '2024-10',
+  api: shopifyOrders.ORDER_APIS.includes(process.env.SHOPIFY_API) ? process.env.SHOPIFY_API : 'graphql', // order reads and tag writes
+  graphqlPageSize: parseInt(process.env.SHOPIFY_GRAPHQL_PAGE_SIZE) || 10, // orders per GraphQL page, kept under the query cost limit
+  maxRetries: parseInt(process.env.SHOPIFY_MAX_RETRIES) || 5 // attempts per request for 429, 5xx and network errors
 };
 
+// Shared Admin API client, so every Shopify call counts against one rate limiter
+const shopify = shopifyClient.createShopifyClient({
+  shopDomain: SHOPIFY_CONFIG.shopDomain,
+  accessToken: SHOPIFY_CONFIG.accessToken,
+  apiVersion: SHOPIFY_CONFIG.apiVersion,
+  maxRetries: SHOPIFY_CONFIG.maxRetries
+});
+
+// Order reads and tag writes, over GraphQL or REST depending on SHOPIFY_API
+const orderApi = shopifyOrders.createOrderApi(shopify, {
+  api: SHOPIFY_CONFIG.api,
+  graphqlPageSize: SHOPIFY_CONFIG.graphqlPageSize
+});
+
+// Webhook subscription management, always over GraphQL
+const webhookApi = shopifyWebhooks.createWebhookApi(shopify);
+
+// Webhooks keep their raw body for HMAC verification, and every /webhook
+// route is checked by verifyShopifyWebhook before its handler runs.
+// Rejections are logged to the webhook event log.
+const verifyShopifyWebhook = shopifyWebhooks.createWebhookVerifier({
+  secrets: SHOPIFY_CONFIG.webhookSecrets,
+  shopDomain: SHOPIFY_CONFIG.shopDomain,
+  onReject: (event, reason) => logWebhookEvent(event, 'rejected', { error: reason, durationMs: Date.now() - event.startedAt })
+});
+app.use('/webhook', express.raw({ type: 'application/json', limit: '10mb' }), verifyShopifyWebhook);
+app.use('/approvepro/webhook', express.raw({ type: 'application/json', limit: '1mb' }));
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true }));
+
 // Email configuration
 const EMAIL_CONFIG = {
   host: process.env.EMAIL_HOST || 'smtp.gmail.com',
@@ -88,13 +137,103 @@ const emailTransporter = nodemailer.createTransport(EMAIL_CONFIG);
 // ApprovePro configuration
 const APPROVEPRO_CONFIG = {
   apiKey: process.env.APPROVEPRO_API_KEY,
-  baseUrl: process.env.APPROVEPRO_BASE_URL || 'https://app.approvepro.com/api/v1'
+  baseUrl: process.env.APPROVEPRO_BASE_URL || 'https://app.approvepro.com/api/v1', // http://localhost:4010/api/v1 for npm run approvepro:mock
+  webhookSecret: process.env.APPROVEPRO_WEBHOOK_SECRET, // signs inbound /approvepro/webhook events
+  timeout: parseInt(process.env.APPROVEPRO_TIMEOUT_MS) || 15000,
+  maxRetries: parseInt(process.env.APPROVEPRO_MAX_RETRIES) || 3, // attempts per request; POSTs are only retried on 429
+  pushRejections: process.env.APPROVEPRO_PUSH_REJECTIONS === 'true', // send dashboard rejections to ApprovePro's reject endpoint
+  publicBaseUrl: process.env.PUBLIC_BASE_URL || process.env.WEBHOOK_BASE_URL, // public URL of this server, which ApprovePro fetches proof files from
+  proofDownloadTimeout: (parseInt(process.env.PROOF_DOWNLOAD_TIMEOUT_SECONDS) || 30) * 1000 // give up on a design file download that sends nothing for this long
+};
+
+// Shared ApprovePro API client
+const approvePro = approveProClient.createApproveProClient({
+  apiKey: APPROVEPRO_CONFIG.apiKey,
+  baseUrl: APPROVEPRO_CONFIG.baseUrl,
+  timeout: APPROVEPRO_CONFIG.timeout,
+  maxRetries: APPROVEPRO_CONFIG.maxRetries
+});
+
+// HTTP status to answer with when an ApprovePro call fails
+function approveProErrorStatus(error) {
+  if (error instanceof approveProClient.ApproveProNotFoundError) {
+    return 404;
+  }
+  if (error instanceof approveProClient.ApproveProAuthError && !error.status) {
+    return 500; // no API key configured
+  }
+  if (error instanceof approveProClient.ApproveProError) {
+    return 502;
+  }
+  return error.statusCode || 500;
+}
+
+// Webhook job queue configuration
+const JOB_QUEUE_CONFIG = {
+  pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+  baseDelay: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 30000,
+  maxDelay: 60 * 60 * 1000, // 1 hour
+  retentionDays: parseInt(process.env.JOB_RETENTION_DAYS) || 7
+};
+
+// What to do when a cancellation or refund changes an order's donation
+const DONATION_ADJUSTMENT_CONFIG = {
+  tagOrders: process.env.DONATION_ADJUSTMENT_TAGS === 'true', // add donation-void / donation-adjusted tags
+  emailCustomers: process.env.DONATION_ADJUSTMENT_EMAILS === 'true', // send a corrected confirmation
+  voidTag: 'donation-void',
+  adjustedTag: 'donation-adjusted'
+};
+
+// Rate seeded into donation_rates on first start; edit rates on /dashboard/donation-rates afterwards
+const DEFAULT_DONATION_RATE = {
+  percentage: parseFloat(process.env.DONATION_PERCENTAGE) || 10,
+  basis: process.env.DONATION_BASIS || 'total'
+};
+
+// Background sync that keeps the local order index current alongside webhooks
+const ORDER_SYNC_CONFIG = {
+  interval: (parseInt(process.env.ORDER_SYNC_INTERVAL_MINUTES) || 15) * 60 * 1000,
+  staleAfter: 2 * 60 * 1000, // a running sync with no progress for this long is treated as interrupted
+  bulkPollInterval: (parseInt(process.env.ORDER_SYNC_BULK_POLL_SECONDS) || 10) * 1000, // how often to check on a bulk export
+  bulkProgressEvery: 250, // orders between progress saves during a bulk import
+  bulkDownloadTimeout: (parseInt(process.env.ORDER_SYNC_BULK_DOWNLOAD_TIMEOUT_SECONDS) || 60) * 1000 // give up on a bulk export download that sends nothing for this long
+};
+
+// Tag backfill: pause after each Shopify write so a large backfill doesn't starve the webhooks
+const BACKFILL_CONFIG = {
+  throttleMs: parseInt(process.env.BACKFILL_THROTTLE_MS) || 500
+};
+
+// Bulk "send to customer": pause between sends so a big batch doesn't flood ApprovePro
+const BULK_SEND_CONFIG = {
+  throttleMs: parseInt(process.env.BULK_SEND_THROTTLE_MS) || 1000,
+  maxOrders: 200 // orders per batch
+};
+
+// Reconciliation of recent Shopify orders against what this service has processed
+const RECONCILE_CONFIG = {
+  interval: (parseInt(process.env.RECONCILE_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  lookbackHours: parseInt(process.env.RECONCILE_LOOKBACK_HOURS) || 48,
+  graceMinutes: parseInt(process.env.RECONCILE_GRACE_MINUTES) || 15, // leave time for webhooks still in flight
+  alertEmail: process.env.RECONCILE_ALERT_EMAIL || null
 };
 
+// How long a Shopify webhook ID is remembered for duplicate detection
+const WEBHOOK_DEDUPE_WINDOW_HOURS = parseInt(process.env.WEBHOOK_DEDUPE_WINDOW_HOURS) || 48;
+
+// How long webhook deliveries are kept in the event log
+const WEBHOOK_LOG_RETENTION_DAYS = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30;
+
 // Initialize SQLite database
 const dbPath = path.join(__dirname, 'auth.db');
 const db = new sqlite3.Database(dbPath);
 
+// Wait for the write lock instead of failing while a transaction on another
+// connection (see withTransaction) is committing
+const DB_BUSY_TIMEOUT_MS = 5000;
+db.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+
 // Initialize database tables
 db.serialize(() => {
   db.run(`CREATE TABLE IF NOT EXISTS users (
@@ -103,8 +242,478 @@ db.serialize(() => {
     password TEXT NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   )`);
+
+  // Tags this service has written to Shopify orders, so we only ever touch our own
+  db.run(`CREATE TABLE IF NOT EXISTS managed_tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id TEXT NOT NULL,
+    tag TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(order_id, tag)
+  )`);
+
+  // Configurable tagging rules, evaluated against every incoming order
+  db.run(`CREATE TABLE IF NOT EXISTS tagging_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    match_type TEXT NOT NULL,
+    property_name TEXT,
+    operator TEXT NOT NULL DEFAULT 'exists',
+    match_value TEXT,
+    tag_template TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Seed the original behaviour: tag the order with any "charity" property value
+  db.run(`INSERT INTO tagging_rules (name, match_type, property_name, operator, tag_template)
+    SELECT 'Charity property', 'property', 'charity', 'exists', '{value}'
+    WHERE NOT EXISTS (SELECT 1 FROM tagging_rules)`);
+
+  // Donation rates: percentage or fixed amounts per charity, product and date range
+  db.run(`CREATE TABLE IF NOT EXISTS donation_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    charity TEXT,
+    product TEXT,
+    starts_on TEXT,
+    ends_on TEXT,
+    rate_type TEXT NOT NULL DEFAULT 'percentage',
+    percentage REAL,
+    fixed_cents INTEGER,
+    basis TEXT NOT NULL DEFAULT 'total',
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Seed the original behaviour: 10% of the order total for every charity
+  db.run(`INSERT INTO donation_rates (name, rate_type, percentage, basis)
+    SELECT 'Default', 'percentage', ?, ?
+    WHERE NOT EXISTS (SELECT 1 FROM donation_rates)`,
+    [DEFAULT_DONATION_RATE.percentage, DEFAULT_DONATION_RATE.basis]);
+
+  // Charity registry: canonical names, their aliases and unknown values awaiting review
+  db.run(`CREATE TABLE IF NOT EXISTS charities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS charity_aliases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    charity_id INTEGER NOT NULL REFERENCES charities(id) ON DELETE CASCADE,
+    alias TEXT NOT NULL,
+    normalized TEXT UNIQUE NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS unmatched_charities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    raw_value TEXT NOT NULL,
+    normalized TEXT UNIQUE NOT NULL,
+    last_order_id TEXT,
+    occurrences INTEGER NOT NULL DEFAULT 1,
+    resolved_charity_id INTEGER REFERENCES charities(id),
+    first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Durable queue for webhook work; status is pending, processing, completed or dead
+  db.run(`CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs (status, run_at)');
+
+  // The webhook event that queued a job, so its outcome can be logged. Added
+  // after the jobs table, so ignore the error once the column exists.
+  db.run('ALTER TABLE jobs ADD COLUMN webhook_event_id INTEGER', () => {});
+
+  // Donation ledger: one row per order per charity, amounts in cents.
+  // State is pending (ordered), confirmed (fulfilled), voided (cancelled or fully refunded) or paid_out.
+  db.run(`CREATE TABLE IF NOT EXISTS donations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id TEXT NOT NULL,
+    order_number TEXT,
+    charity TEXT NOT NULL,
+    gross_cents INTEGER NOT NULL DEFAULT 0,
+    percentage REAL NOT NULL,
+    donation_cents INTEGER NOT NULL DEFAULT 0,
+    currency TEXT,
+    state TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    confirmed_at DATETIME,
+    voided_at DATETIME,
+    paid_out_at DATETIME,
+    UNIQUE(order_id, charity)
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_donations_charity_state ON donations (charity, state)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_donations_created_at ON donations (created_at)');
+
+  // State timestamps, added after the donations table. Ignore the error once
+  // the column exists.
+  db.run('ALTER TABLE donations ADD COLUMN confirmed_at DATETIME', () => {});
+  db.run('ALTER TABLE donations ADD COLUMN voided_at DATETIME', () => {});
+  db.run('ALTER TABLE donations ADD COLUMN paid_out_at DATETIME', () => {});
+
+  // Local index of Shopify orders for the dashboard, fed by webhooks and the sync job.
+  // Timestamps are UTC ISO strings; design_status and sent_at come from ApprovePro.
+  db.run(`CREATE TABLE IF NOT EXISTS orders (
+    id TEXT PRIMARY KEY,
+    order_number TEXT,
+    customer_name TEXT,
+    customer_email TEXT,
+    charity TEXT,
+    total_price TEXT,
+    currency TEXT,
+    financial_status TEXT,
+    fulfillment_status TEXT,
+    cancelled_at TEXT,
+    design_status TEXT NOT NULL DEFAULT 'pending',
+    sent_at TEXT,
+    approvepro_order_id TEXT,
+    properties TEXT,
+    payload TEXT NOT NULL,
+    shopify_created_at TEXT,
+    shopify_updated_at TEXT,
+    indexed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_orders_order_number ON orders (order_number)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_orders_customer_name ON orders (customer_name)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_orders_customer_email ON orders (customer_email)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_orders_charity ON orders (charity)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_orders_design_status ON orders (design_status)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders (shopify_created_at)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_orders_updated_at ON orders (shopify_updated_at)');
+
+  // Order sync runs; the newest completed high_water_mark is the incremental checkpoint
+  db.run(`CREATE TABLE IF NOT EXISTS order_sync_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    mode TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'running',
+    updated_at_min TEXT,
+    cursor TEXT,
+    high_water_mark TEXT,
+    pages INTEGER NOT NULL DEFAULT 0,
+    orders_synced INTEGER NOT NULL DEFAULT 0,
+    total_orders INTEGER,
+    triggered_by TEXT,
+    error TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    heartbeat_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+  )`);
+
+  // Bulk export and file import runs. Added after order_sync_runs, so ignore
+  // the error once the columns exist.
+  db.run('ALTER TABLE order_sync_runs ADD COLUMN bulk_operation_id TEXT', () => {});
+  db.run('ALTER TABLE order_sync_runs ADD COLUMN import_file TEXT', () => {});
+  db.run('ALTER TABLE order_sync_runs ADD COLUMN tag_orders INTEGER NOT NULL DEFAULT 0', () => {});
+
+  // Tag backfills of historical orders, with the outcome for every order scanned
+  db.run(`CREATE TABLE IF NOT EXISTS backfill_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    date_from TEXT NOT NULL,
+    date_to TEXT NOT NULL,
+    dry_run INTEGER NOT NULL DEFAULT 0,
+    throttle_ms INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'running',
+    scanned INTEGER NOT NULL DEFAULT 0,
+    tagged INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    created_by TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS backfill_results (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL REFERENCES backfill_runs(id),
+    order_id TEXT NOT NULL,
+    order_number TEXT,
+    order_created_at TEXT,
+    outcome TEXT NOT NULL,
+    tags TEXT,
+    reason TEXT
+  )`);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_backfill_results_run ON backfill_results (run_id)');
+
+  // When the order webhooks last processed an order; the sync only indexes.
+  // Added after the orders table, so ignore the error once the column exists.
+  // Orders already indexed when it's added went through the webhooks of the
+  // time, so mark them processed or the reconciler would replay them and
+  // email their customers again.
+  db.run('ALTER TABLE orders ADD COLUMN processed_at DATETIME', error => {
+    if (!error) {
+      db.run('UPDATE orders SET processed_at = indexed_at WHERE processed_at IS NULL');
+    }
+  });
+
+  // When design_status last changed (UTC ISO string) and the customer's latest
+  // proof comment, from ApprovePro webhooks. Added after the orders table.
+  db.run('ALTER TABLE orders ADD COLUMN design_status_updated_at TEXT', () => {});
+  db.run('ALTER TABLE orders ADD COLUMN design_comment TEXT', () => {});
+
+  // Inbound ApprovePro events (proof approved, rejected or commented on)
+  db.run(`CREATE TABLE IF NOT EXISTS design_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id TEXT UNIQUE,
+    event_type TEXT NOT NULL,
+    approvepro_order_id TEXT NOT NULL,
+    order_id TEXT,
+    design_id TEXT,
+    status TEXT NOT NULL,
+    comment TEXT,
+    author TEXT,
+    occurred_at TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_design_events_order ON design_events (order_id)');
+
+  // Number of the latest design revision sent to the customer (0 before the
+  // first). Added after the orders table, so ignore the error once the column
+  // exists. Customer rejections used to leave orders as 'rejected', which
+  // can't be sent again, so when the column is added move them to
+  // needs_revision like any other rejection.
+  db.run('ALTER TABLE orders ADD COLUMN design_revision INTEGER NOT NULL DEFAULT 0', error => {
+    if (!error) {
+      db.run(`UPDATE orders SET design_status = 'needs_revision' WHERE design_status = 'rejected'`);
+    }
+  });
+
+  // Revision history of each order's design: every proof sent, and every
+  // rejection and approval of one.
+  // action: sent | rejected | approved; source: dashboard | approvepro
+  // approvepro_sync (dashboard rejections only): pushed | skipped | failed
+  db.run(`CREATE TABLE IF NOT EXISTS design_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    source TEXT NOT NULL,
+    design_id TEXT,
+    file_url TEXT,
+    reason_code TEXT,
+    comment TEXT,
+    actor TEXT,
+    approvepro_sync TEXT,
+    approvepro_error TEXT,
+    created_at TEXT NOT NULL
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_design_revisions_order ON design_revisions (order_id, id)');
+
+  // The stored proof file of a sent revision (relative to public/), the
+  // design file it was made from and ApprovePro's response. Added after the
+  // design_revisions table.
+  db.run('ALTER TABLE design_revisions ADD COLUMN file_path TEXT', () => {});
+  db.run('ALTER TABLE design_revisions ADD COLUMN source_url TEXT', () => {});
+  db.run('ALTER TABLE design_revisions ADD COLUMN approvepro_response TEXT', () => {});
+
+  // Bulk "send to customer" batches from the dashboard, with one item per selected order.
+  // Batch status: running | completed | cancelled
+  // Item status: queued | sending | sent | failed | skipped
+  db.run(`CREATE TABLE IF NOT EXISTS design_send_batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    status TEXT NOT NULL DEFAULT 'running',
+    comment TEXT,
+    total INTEGER NOT NULL DEFAULT 0,
+    sent INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS design_send_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    batch_id INTEGER NOT NULL REFERENCES design_send_batches(id),
+    order_id TEXT NOT NULL,
+    order_number TEXT,
+    status TEXT NOT NULL DEFAULT 'queued',
+    error TEXT,
+    revision INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_design_send_items_batch ON design_send_items (batch_id, status)');
+
+  // Reconciliation runs and the alerts they raise for drift they could not fix
+  db.run(`CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    window_start TEXT NOT NULL,
+    window_end TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'running',
+    checked INTEGER NOT NULL DEFAULT 0,
+    repaired INTEGER NOT NULL DEFAULT 0,
+    repairs TEXT,
+    drift INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    triggered_by TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS reconciliation_alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL REFERENCES reconciliation_runs(id),
+    summary TEXT NOT NULL,
+    details TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_at DATETIME,
+    acknowledged_by TEXT
+  )`);
+
+  // Payouts to charities; each donation row can only ever belong to one batch
+  db.run(`CREATE TABLE IF NOT EXISTS payout_batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    charity TEXT NOT NULL,
+    period_from TEXT,
+    period_to TEXT,
+    currency TEXT,
+    total_cents INTEGER NOT NULL,
+    donation_count INTEGER NOT NULL,
+    reference TEXT,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  db.run(`CREATE TABLE IF NOT EXISTS payout_batch_items (
+    batch_id INTEGER NOT NULL REFERENCES payout_batches(id),
+    donation_id INTEGER UNIQUE NOT NULL REFERENCES donations(id)
+  )`);
+
+  // Shopify delivers webhooks at least once; remember which deliveries we have seen
+  db.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    webhook_id TEXT NOT NULL,
+    topic TEXT NOT NULL,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (webhook_id, topic)
+  )`);
+
+  // Every webhook delivery, with a redacted payload, for support and replay.
+  // hmac: valid | invalid | missing (no signature header)
+  // outcome: received | queued | processed | retrying | dead | duplicate | rejected | error
+  db.run(`CREATE TABLE IF NOT EXISTS webhook_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    topic TEXT NOT NULL,
+    shop_domain TEXT,
+    webhook_id TEXT,
+    hmac TEXT NOT NULL,
+    outcome TEXT NOT NULL,
+    order_id TEXT,
+    order_name TEXT,
+    job_id INTEGER,
+    error TEXT,
+    duration_ms INTEGER,
+    payload TEXT,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    processed_at DATETIME
+  )`);
+  db.run('CREATE INDEX IF NOT EXISTS idx_webhook_events_order ON webhook_events (order_id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at ON webhook_events (received_at)');
+
+  // Webhook events run through their handler again from the event log
+  db.run(`CREATE TABLE IF NOT EXISTS webhook_event_replays (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL REFERENCES webhook_events(id),
+    dry_run INTEGER NOT NULL DEFAULT 0,
+    payload_source TEXT NOT NULL,
+    outcome TEXT NOT NULL,
+    actions TEXT,
+    result TEXT,
+    error TEXT,
+    duration_ms INTEGER,
+    replayed_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Side effects (emails, tag writes) that must only ever happen once per order
+  db.run(`CREATE TABLE IF NOT EXISTS idempotency_keys (
+    key TEXT PRIMARY KEY,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
 });
 
+// Promise wrappers around the sqlite3 callback API
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+// The same wrappers as a handle, for modules that take one (see database.js)
+const dbHandle = { run: dbRun, get: dbGet, all: dbAll };
+
+// Idempotency keys for once-only side effects, and webhook delivery deduplication
+const idempotency = createIdempotencyStore(dbHandle, { dedupeWindowHours: WEBHOOK_DEDUPE_WINDOW_HOURS });
+
+// Per-charity donation ledger
+const donationLedger = createDonationLedger(dbHandle);
+
+// Run work(tx) in a transaction on its own connection. Statements on the shared
+// connection would otherwise join the transaction, and a second request's
+// BEGIN would fail. tx has run, get and all, like dbRun, dbGet and dbAll.
+async function withTransaction(work) {
+  const conn = new sqlite3.Database(dbPath);
+  conn.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+  const tx = wrapDatabase(conn);
+
+  try {
+    await tx.run('BEGIN IMMEDIATE');
+    try {
+      const result = await work(tx);
+      await tx.run('COMMIT');
+      return result;
+    } catch (error) {
+      await tx.run('ROLLBACK');
+      throw error;
+    }
+  } finally {
+    conn.close();
+  }
+}
+
 // Initialize admin user
 async function initializeAdminUser() {
   const adminUsername = process.env.ADMIN_USERNAME || 'admin';
@@ -213,69 +822,302 @@ async function authenticateUser(username, password) {
   });
 }
 
-// Verify webhook authenticity
-function verifyWebhook(data, signature) {
-  if (!SHOPIFY_CONFIG.webhookSecret) {
-    console.warn('Webhook secret not configured, skipping verification');
-    return true;
+// Extract the charity chosen on each line item, with that line's total price
+function extractCharityLineItems(lineItems) {
+  const charityLines = [];
+
+  for (const item of lineItems) {
+    if (item.properties && Array.isArray(item.properties)) {
+      const property = item.properties.find(p => p.name && p.name.toLowerCase().includes('charity') && p.value);
+      if (property) {
+        charityLines.push({
+          lineItemId: item.id,
+          title: item.title,
+          charity: property.value,
+          amount: (parseFloat(item.price) || 0) * (item.quantity || 1)
+        });
+      }
+    }
   }
 
-  const hmac = crypto.createHmac('sha256', SHOPIFY_CONFIG.webhookSecret);
-  hmac.update(data, 'utf8');
-  const hash = hmac.digest('base64');
+  return charityLines;
+}
+
+// Load every charity with its aliases for matching
+async function loadCharityRegistry() {
+  const charities = await dbAll('SELECT * FROM charities ORDER BY name');
+  const aliases = await dbAll('SELECT * FROM charity_aliases ORDER BY alias');
 
-  return crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(signature));
+  return charities.map(charity => ({
+    ...charity,
+    active: !!charity.active,
+    aliases: aliases.filter(alias => alias.charity_id === charity.id).map(alias => alias.alias)
+  }));
 }
 
-// Extract charity value from line item properties
-function extractCharityFromProperties(lineItems) {
-  for (const item of lineItems) {
-    if (item.properties && Array.isArray(item.properties)) {
-      for (const property of item.properties) {
-        if (property.name && property.name.toLowerCase().includes('charity')) {
-          return property.value;
-        }
+// Queue a charity value we could not match so staff can map it on the dashboard
+async function recordUnmatchedCharity(rawValue, orderId) {
+  const normalized = charityRegistry.normalizeCharityName(rawValue);
+  if (!normalized) return;
+
+  await dbRun(
+    `INSERT INTO unmatched_charities (raw_value, normalized, last_order_id) VALUES (?, ?, ?)
+     ON CONFLICT(normalized) DO UPDATE SET
+       occurrences = occurrences + 1,
+       last_order_id = excluded.last_order_id,
+       last_seen_at = CURRENT_TIMESTAMP`,
+    [rawValue.trim(), normalized, orderId ? orderId.toString() : null]
+  );
+}
+
+// Map a raw charity value to its canonical name. Unknown values are returned
+// trimmed and, when an order ID is given, added to the unmatched queue.
+async function resolveCharityName(registry, rawValue, orderId = null) {
+  if (!rawValue) {
+    return null;
+  }
+
+  const match = charityRegistry.matchCharity(registry, rawValue);
+  if (match) {
+    return match.charity.name;
+  }
+
+  if (orderId) {
+    console.warn(`Unmatched charity value "${rawValue}" on order ${orderId}`);
+    await recordUnmatchedCharity(rawValue, orderId);
+  }
+  return String(rawValue).trim();
+}
+
+// Copy of the order with every charity property replaced by its canonical
+// name, so tagging rules and templates only ever see canonical values
+async function canonicalizeOrderCharities(order, registry, { record = false } = {}) {
+  const lineItems = [];
+
+  for (const item of order.line_items || []) {
+    if (!Array.isArray(item.properties)) {
+      lineItems.push(item);
+      continue;
+    }
+
+    const properties = [];
+    for (const property of item.properties) {
+      if (property.name && property.name.toLowerCase().includes('charity') && property.value) {
+        const value = await resolveCharityName(registry, property.value, record ? order.id : null);
+        properties.push({ ...property, value });
+      } else {
+        properties.push(property);
       }
     }
+    lineItems.push({ ...item, properties });
+  }
+
+  return { ...order, line_items: lineItems };
+}
+
+// Distinct canonical charities on an order, with the line items and
+// line item total that belong to each
+async function getOrderCharities(order, registry, { record = false } = {}) {
+  const charities = [];
+
+  for (const line of extractCharityLineItems(order.line_items || [])) {
+    const name = await resolveCharityName(registry, line.charity, record ? order.id : null);
+
+    let entry = charities.find(charity => charity.name.toLowerCase() === name.toLowerCase());
+    if (!entry) {
+      entry = { name, amount: 0, lineItems: [] };
+      charities.push(entry);
+    }
+    entry.amount += line.amount;
+    entry.lineItems.push(line.lineItemId);
+  }
+
+  return charities;
+}
+
+// Display value for an order's charities, e.g. "Act For Kids, Beyond Blue"
+function formatCharityNames(charities) {
+  return charities.map(charity => charity.name).join(', ') || null;
+}
+
+// Split a Shopify comma-separated tag string into trimmed, non-empty tags
+function parseTags(tags) {
+  if (Array.isArray(tags)) {
+    return tags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+  return (tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// Check whether a tag is already present (Shopify tags are case-insensitive)
+function hasTag(tags, tag) {
+  const wanted = tag.trim().toLowerCase();
+  return parseTags(tags).some(existing => existing.toLowerCase() === wanted);
+}
+
+// Union of existing and new tags, keeping existing spelling and order
+function mergeTags(existingTags, newTags) {
+  const merged = parseTags(existingTags);
+  const seen = new Set(merged.map(tag => tag.toLowerCase()));
+
+  for (const tag of parseTags(newTags)) {
+    if (!seen.has(tag.toLowerCase())) {
+      seen.add(tag.toLowerCase());
+      merged.push(tag);
+    }
+  }
+
+  return merged;
+}
+
+// Remember which tags this service added to an order
+async function recordManagedTags(orderId, tags) {
+  for (const tag of tags) {
+    await dbRun('INSERT OR IGNORE INTO managed_tags (order_id, tag) VALUES (?, ?)', [orderId.toString(), tag]);
   }
-  return null;
 }
 
-// Update order tags using Shopify Admin API
-async function updateOrderTags(orderId, charityValue) {
+// Add tags to an order, preserving tags set by staff and other apps
+async function updateOrderTags(orderId, newTags) {
   try {
-    const url = `https://${SHOPIFY_CONFIG.shopDomain}/admin/api/${SHOPIFY_CONFIG.apiVersion}/orders/${orderId}.json`;
+    // Only tags the order didn't already have are recorded as ours
+    const result = await orderApi.addOrderTags(orderId, parseTags(newTags));
 
-    const response = await axios.put(url, {
-      order: {
-        id: orderId,
-        tags: charityValue
-      }
-    }, {
-      headers: {
-        'X-Shopify-Access-Token': SHOPIFY_CONFIG.accessToken,
-        'Content-Type': 'application/json'
-      }
-    });
+    if (result.added.length === 0) {
+      console.log(`Order ${orderId} already has tags: ${parseTags(newTags).join(', ')}`);
+      return result;
+    }
 
-    console.log(`Successfully updated order ${orderId} with tag: ${charityValue}`);
-    return response.data;
+    await recordManagedTags(orderId, result.added);
+
+    console.log(`Successfully updated order ${orderId} with tags: ${result.added.join(', ')}`);
+    return result;
   } catch (error) {
     console.error(`Error updating order ${orderId}:`, error.response?.data || error.message);
     throw error;
   }
 }
 
-// Calculate donation amount (10% of order total)
-function calculateDonationAmount(orderTotal) {
-  const donationPercentage = 0.10; // 10%
-  const donationAmount = parseFloat(orderTotal) * donationPercentage;
-  return donationAmount.toFixed(2);
+// Remove tags from an order, but only ones this service added itself
+async function removeOrderTags(orderId, tagsToRemove) {
+  try {
+    const managed = await dbAll('SELECT tag FROM managed_tags WHERE order_id = ?', [orderId.toString()]);
+    const removable = parseTags(tagsToRemove).filter(tag => hasTag(managed.map(row => row.tag), tag));
+
+    if (removable.length === 0) {
+      return null;
+    }
+
+    const remaining = await orderApi.removeOrderTags(orderId, removable);
+
+    for (const tag of removable) {
+      await dbRun('DELETE FROM managed_tags WHERE order_id = ? AND lower(tag) = lower(?)', [orderId.toString(), tag]);
+    }
+
+    console.log(`Removed tags from order ${orderId}: ${removable.join(', ')}`);
+    return remaining;
+  } catch (error) {
+    console.error(`Error removing tags from order ${orderId}:`, error.response?.data || error.message);
+    throw error;
+  }
+}
+
+// Fetch a single order from Shopify, in the webhook payload shape
+async function fetchShopifyOrder(orderId) {
+  return orderApi.getOrder(orderId);
+}
+
+// Load tagging rules in evaluation order
+async function loadTaggingRules({ enabledOnly = false } = {}) {
+  const where = enabledOnly ? 'WHERE enabled = 1' : '';
+  return dbAll(`SELECT * FROM tagging_rules ${where} ORDER BY position, id`);
+}
+
+// Work out which tags the current rule set produces for an order,
+// using canonical charity names
+async function getTagsForOrder(order, registry = null) {
+  const rules = await loadTaggingRules({ enabledOnly: true });
+  const canonicalOrder = await canonicalizeOrderCharities(order, registry || await loadCharityRegistry());
+  return taggingRules.evaluateRules(rules, canonicalOrder);
+}
+
+// Normalize a rule submitted from the dashboard editor
+function parseRuleInput(body) {
+  return {
+    name: (body.name || '').trim(),
+    match_type: body.match_type,
+    property_name: body.match_type === 'property' ? (body.property_name || '').trim() : null,
+    operator: body.operator || 'exists',
+    match_value: body.operator === 'exists' ? null : (body.match_value ?? '').toString().trim(),
+    tag_template: (body.tag_template || '').trim(),
+    enabled: body.enabled === false || body.enabled === 0 ? 0 : 1,
+    position: parseInt(body.position) || 0
+  };
+}
+
+// Load donation rates, newest first
+async function loadDonationRates({ enabledOnly = false } = {}) {
+  const where = enabledOnly ? 'WHERE enabled = 1' : '';
+  return dbAll(`SELECT * FROM donation_rates ${where} ORDER BY id DESC`);
+}
+
+// Calculate an order's donation per charity from the current rates.
+// Every caller (ledger, emails, dashboard, reports) goes through here.
+async function calculateDonation(order, charities, rates = null) {
+  return donationCalculator.calculateOrderDonation(order, charities, rates || await loadDonationRates({ enabledOnly: true }));
+}
+
+// Normalize a donation rate submitted from the dashboard editor
+function parseRateInput(body) {
+  const rateType = body.rate_type || 'percentage';
+  const optional = value => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+
+  return {
+    name: (body.name || '').trim(),
+    charity: optional(body.charity),
+    product: optional(body.product),
+    starts_on: optional(body.starts_on),
+    ends_on: optional(body.ends_on),
+    rate_type: rateType,
+    percentage: rateType === 'percentage' ? parseFloat(body.percentage) : null,
+    fixed_cents: rateType === 'fixed' ? donationCalculator.parseAmountCents(body.fixed_amount) : null,
+    basis: body.basis || 'total',
+    enabled: body.enabled === false || body.enabled === 0 ? 0 : 1
+  };
+}
+
+// Format a rate for the API, adding the fixed amount in dollars
+function formatDonationRate(rate) {
+  return {
+    ...rate,
+    fixed_amount: rate.fixed_cents === null ? null : donationCalculator.formatCents(rate.fixed_cents)
+  };
+}
+
+// Escape a value for interpolation into email HTML. Charity names come from
+// line item properties the customer typed.
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 // Send donation confirmation email
-async function sendDonationConfirmationEmail(customerEmail, orderNumber, donationAmount, charityName) {
+// allocations: [{ charity, donationAmount }] from calculateDonation
+async function sendDonationConfirmationEmail(customerEmail, orderNumber, donationAmount, allocations = []) {
   try {
+    const charityName = allocations.length === 1 ? allocations[0].charity : null;
+    const breakdownHtml = allocations.length > 1 ? `
+          <ul>
+            ${allocations.map(a => `<li><strong>$${escapeHtml(a.donationAmount)}</strong> to <strong>${escapeHtml(a.charity)}</strong></li>`).join('\n            ')}
+          </ul>
+          ` : '';
+    const breakdownText = allocations.length > 1
+      ? '\n' + allocations.map(a => `  - $${a.donationAmount} to ${a.charity}`).join('\n') + '\n'
+      : '';
+
     const mailOptions = {
       from: process.env.EMAIL_FROM || 'Charity Greeting Cards Pty Ltd <orders@charitygreetingcards.com.au>',
       to: customerEmail,
@@ -288,9 +1130,9 @@ async function sendDonationConfirmationEmail(customerEmail, orderNumber, donatio
           
           <p>Thank you for supporting Australian Charities!</p>
           
-          <p>We are proud to confirm that <strong>$${donationAmount}</strong> is to be donated to your chosen charity${charityName ? `: <strong>${charityName}</strong>` : ''}.</p>
-          
-          <p>Your order number: <strong>#${orderNumber}</strong></p>
+          <p>We are proud to confirm that <strong>$${escapeHtml(donationAmount)}</strong> is to be donated to your chosen ${allocations.length > 1 ? 'charities:' : `charity${charityName ? `: <strong>${escapeHtml(charityName)}</strong>` : ''}.`}</p>
+          ${breakdownHtml}
+          <p>Your order number: <strong>#${escapeHtml(orderNumber)}</strong></p>
           
           <p>Your generosity makes a real difference in the lives of those in need. Thank you for choosing to support Australian charities through your purchase.</p>
           
@@ -309,8 +1151,8 @@ Dear Valued Customer,
 
 Thank you for supporting Australian Charities!
 
-We are proud to confirm that $${donationAmount} is to be donated to your chosen charity${charityName ? `: ${charityName}` : ''}.
-
+We are proud to confirm that $${donationAmount} is to be donated to your chosen ${allocations.length > 1 ? 'charities:' : `charity${charityName ? `: ${charityName}` : ''}.`}
+${breakdownText}
 Your order number: #${orderNumber}
 
 Your generosity makes a real difference in the lives of those in need. Thank you for choosing to support Australian charities through your purchase.
@@ -329,119 +1171,574 @@ To stop receiving these notifications, click here: Unsubscribe
   }
 }
 
-// In-memory order storage (in production, use a database)
-let orderStorage = new Map();
-
-// Extract customily properties from line items
-function extractCustomilyProperties(lineItems) {
-  const properties = {};
-
-  for (const item of lineItems) {
-    if (item.properties && Array.isArray(item.properties)) {
-      for (const property of item.properties) {
-        if (property.name && property.value) {
-          properties[property.name] = property.value;
-        }
-      }
-    }
-  }
-
-  return properties;
-}
-
-// Store order data for dashboard
-function storeOrderData(order) {
-  const orderData = {
-    id: order.id,
-    orderNumber: order.order_number || order.name,
-    customerName: order.customer?.first_name + ' ' + order.customer?.last_name || 'Unknown',
-    customerEmail: order.customer?.email,
-    totalPrice: order.total_price,
-    createdAt: order.created_at,
-    properties: extractCustomilyProperties(order.line_items || []),
-    charityValue: extractCharityFromProperties(order.line_items || []),
-    status: 'pending', // pending, sent_to_customer, approved
-    sentAt: null,
-    approveProOrderId: null
-  };
-
-  orderStorage.set(order.id.toString(), orderData);
-  console.log(`Stored order ${order.id} in dashboard`);
-  return orderData;
-}
-
-// Fetch orders from Shopify API
-async function fetchOrdersFromShopify(limit = 50) {
+// Send a corrected donation confirmation after a cancellation or refund
+async function sendDonationAdjustmentEmail(customerEmail, orderNumber, donationAmount, allocations = [], cancelled = false) {
   try {
-    if (!SHOPIFY_CONFIG.accessToken || !SHOPIFY_CONFIG.shopDomain) {
-      throw new Error('Shopify configuration missing');
-    }
+    const summary = cancelled
+      ? 'As your order has been cancelled, no donation will be made for it.'
+      : `Following a refund on your order, the amount to be donated has been updated to $${donationAmount}${allocations.length === 1 ? ` for ${allocations[0].charity}` : ''}.`;
+    const breakdown = !cancelled && allocations.length > 1 ? allocations : [];
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'Charity Greeting Cards Pty Ltd <orders@charitygreetingcards.com.au>',
+      to: customerEmail,
+      subject: `Update to the donation for your order #${orderNumber}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #2c3e50;">Update to the donation for your order</h2>
+          
+          <p>Dear Valued Customer,</p>
+          
+          <p>${escapeHtml(summary)}</p>
+          ${breakdown.length ? `
+          <ul>
+            ${breakdown.map(a => `<li><strong>$${escapeHtml(a.donationAmount)}</strong> to <strong>${escapeHtml(a.charity)}</strong></li>`).join('\n            ')}
+          </ul>
+          ` : ''}
+          <p>Your order number: <strong>#${escapeHtml(orderNumber)}</strong></p>
+          
+          <p>This replaces the donation confirmation we sent you earlier. Thank you for supporting Australian charities.</p>
+          
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          
+          <p style="font-size: 12px; color: #666;">
+            <strong>From:</strong> Charity Greeting Cards Pty Ltd - orders@charitygreetingcards.com.au<br>
+            <a href="#" style="color: #666;">To stop receiving these notifications, click here: Unsubscribe</a>
+          </p>
+        </div>
+      `,
+      text: `
+Update to the donation for your order
 
-    const url = `https://${SHOPIFY_CONFIG.shopDomain}/admin/api/${SHOPIFY_CONFIG.apiVersion}/orders.json?limit=${limit}&status=any`;
+Dear Valued Customer,
 
-    const response = await axios.get(url, {
-      headers: {
-        'X-Shopify-Access-Token': SHOPIFY_CONFIG.accessToken,
-        'Content-Type': 'application/json'
-      }
-    });
+${summary}
+${breakdown.length ? '\n' + breakdown.map(a => `  - $${a.donationAmount} to ${a.charity}`).join('\n') + '\n' : ''}
+Your order number: #${orderNumber}
 
-    const orders = response.data.orders || [];
-    console.log(`Fetched ${orders.length} orders from Shopify`);
+This replaces the donation confirmation we sent you earlier. Thank you for supporting Australian charities.
 
-    // Store each order in our system
-    orders.forEach(order => {
-      storeOrderData(order);
-    });
+From: Charity Greeting Cards Pty Ltd - orders@charitygreetingcards.com.au
+To stop receiving these notifications, click here: Unsubscribe
+      `
+    };
 
-    return orders;
+    const result = await emailTransporter.sendMail(mailOptions);
+    console.log(`Donation adjustment email sent to ${customerEmail} for order #${orderNumber}`);
+    return result;
   } catch (error) {
-    console.error('Error fetching orders from Shopify:', error.response?.data || error.message);
+    console.error(`Error sending donation adjustment email to ${customerEmail}:`, error.message);
     throw error;
   }
 }
 
-// Send design to customer via ApprovePro API
-async function sendDesignToCustomer(orderId, customilPdfUrl, comment = '') {
-  try {
-    if (!APPROVEPRO_CONFIG.apiKey) {
-      throw new Error('ApprovePro API key not configured');
+// Extract customily properties from line items
+function extractCustomilyProperties(lineItems) {
+  const properties = {};
+
+  for (const item of lineItems) {
+    if (item.properties && Array.isArray(item.properties)) {
+      for (const property of item.properties) {
+        if (property.name && property.value) {
+          properties[property.name] = property.value;
+        }
+      }
     }
+  }
+
+  return properties;
+}
+
+// Shopify timestamps as UTC ISO strings, so they sort and compare correctly.
+// Missing or unparseable values give null.
+function toUtcTimestamp(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// Add or refresh an order in the local index. The ApprovePro design status
+// is kept, and an older copy of an order never overwrites a newer one.
+async function indexOrder(order, registry = null) {
+  const charities = await getOrderCharities(order, registry || await loadCharityRegistry());
+  const customerName = `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim() || 'Unknown';
+
+  await dbRun(
+    `INSERT INTO orders (id, order_number, customer_name, customer_email, charity, total_price, currency,
+       financial_status, fulfillment_status, cancelled_at, approvepro_order_id, properties, payload,
+       shopify_created_at, shopify_updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(id) DO UPDATE SET
+       order_number = excluded.order_number,
+       customer_name = excluded.customer_name,
+       customer_email = excluded.customer_email,
+       charity = excluded.charity,
+       total_price = excluded.total_price,
+       currency = excluded.currency,
+       financial_status = excluded.financial_status,
+       fulfillment_status = excluded.fulfillment_status,
+       cancelled_at = excluded.cancelled_at,
+       properties = excluded.properties,
+       payload = excluded.payload,
+       shopify_created_at = excluded.shopify_created_at,
+       shopify_updated_at = excluded.shopify_updated_at,
+       indexed_at = CURRENT_TIMESTAMP
+     WHERE orders.shopify_updated_at IS NULL OR excluded.shopify_updated_at IS NULL
+       OR excluded.shopify_updated_at >= orders.shopify_updated_at`,
+    [
+      order.id.toString(),
+      String(order.order_number || order.name || ''),
+      customerName,
+      order.customer?.email || order.email || null,
+      formatCharityNames(charities),
+      order.total_price,
+      order.currency || null,
+      order.financial_status || null,
+      order.fulfillment_status || null,
+      order.cancelled_at || null,
+      order.id.toString(),
+      JSON.stringify(extractCustomilyProperties(order.line_items || [])),
+      JSON.stringify(order),
+      toUtcTimestamp(order.created_at),
+      toUtcTimestamp(order.updated_at)
+    ]
+  );
+  console.log(`Indexed order ${order.id} for dashboard`);
+}
+
+// Look up an order in the local index
+async function getIndexedOrder(orderId) {
+  return dbGet('SELECT * FROM orders WHERE id = ?', [orderId.toString()]);
+}
+
+// Note that the order webhooks have processed an order, for the reconciler
+async function markOrderProcessed(orderId) {
+  await dbRun('UPDATE orders SET processed_at = CURRENT_TIMESTAMP WHERE id = ?', [orderId.toString()]);
+}
+
+// Record the ApprovePro design status of an indexed order
+async function setOrderDesignStatus(orderId, status, sentAt = null) {
+  await dbRun(
+    'UPDATE orders SET design_status = ?, sent_at = COALESCE(?, sent_at), design_status_updated_at = ? WHERE id = ?',
+    [status, sentAt, new Date().toISOString(), orderId.toString()]
+  );
+}
+
+// Add an entry to an order's design revision history. A sent proof starts the
+// next revision; other entries belong to the current one (at least 1, for
+// proofs sent from ApprovePro directly). Returns the revision number.
+async function recordDesignRevision(orderId, action, details = {}) {
+  orderId = orderId.toString();
+  if (action === 'sent') {
+    await dbRun('UPDATE orders SET design_revision = design_revision + 1 WHERE id = ?', [orderId]);
+  } else {
+    await dbRun('UPDATE orders SET design_revision = MAX(design_revision, 1) WHERE id = ?', [orderId]);
+  }
+  const { design_revision: revision } = await dbGet('SELECT design_revision FROM orders WHERE id = ?', [orderId]);
+
+  await dbRun(
+    `INSERT INTO design_revisions (order_id, revision, action, source, design_id, file_url, file_path, source_url, reason_code, comment, actor,
+       approvepro_sync, approvepro_error, approvepro_response, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      orderId,
+      revision,
+      action,
+      details.source || 'dashboard',
+      details.designId || null,
+      details.fileUrl || null,
+      details.filePath || null,
+      details.sourceUrl || null,
+      details.reasonCode || null,
+      details.comment || null,
+      details.actor || null,
+      details.approveProSync || null,
+      details.approveProError || null,
+      details.approveProResponse ? JSON.stringify(details.approveProResponse) : null,
+      details.createdAt || new Date().toISOString()
+    ]
+  );
+  return revision;
+}
+
+// Whether this process is currently walking an order sync run
+let orderSyncActive = false;
 
-    const orderData = orderStorage.get(orderId);
-    if (!orderData) {
-      throw new Error('Order not found in storage');
+// Wait for the given number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Download a URL to a file. axios's timeout is an idle timeout on the socket,
+// so it also fails a download that stops sending data part way through,
+// rather than leaving the caller waiting forever.
+async function downloadToFile(url, filePath, timeoutMs) {
+  const response = await axios.get(url, { responseType: 'stream', timeout: timeoutMs });
+
+  try {
+    await pipeline(response.data, fs.createWriteStream(filePath));
+  } catch (error) {
+    fs.rmSync(filePath, { force: true });
+    throw new Error(`Download failed (no data for ${timeoutMs / 1000}s or connection lost): ${error.message}`);
+  }
+  return filePath;
+}
+
+// updated_at of the newest order covered by a completed sync. File imports
+// don't count, since the file may be an old export or a test fixture.
+async function getOrderSyncCheckpoint() {
+  const row = await dbGet(`SELECT MAX(high_water_mark) AS checkpoint FROM order_sync_runs WHERE status = 'completed' AND mode != 'import'`);
+  return row?.checkpoint || null;
+}
+
+// Start a sync run, or pick up the last one if it was interrupted. Throws if
+// another run (in this or another process) is still making progress.
+// mode: incremental | full | bulk (GraphQL bulk export) | import (bulk export JSONL file)
+async function beginOrderSyncRun({ mode = 'incremental', triggeredBy = 'schedule', file = null, tag = false } = {}) {
+  if (mode !== 'import' && (!SHOPIFY_CONFIG.accessToken || !SHOPIFY_CONFIG.shopDomain)) {
+    throw new Error('Shopify configuration missing');
+  }
+  if (mode === 'import' && !fs.existsSync(file || '')) {
+    const error = new Error(`Bulk export file not found: ${file}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const latest = await dbGet('SELECT * FROM order_sync_runs ORDER BY id DESC LIMIT 1');
+  if (latest && latest.status === 'running') {
+    const idleMs = Date.now() - new Date(`${latest.heartbeat_at.replace(' ', 'T')}Z`).getTime();
+    if (orderSyncActive || idleMs < ORDER_SYNC_CONFIG.staleAfter) {
+      const error = new Error(`Order sync run ${latest.id} is already in progress`);
+      error.statusCode = 409;
+      throw error;
     }
+  }
+
+  // An unfinished run is resumed if it was the same kind, or by an incremental
+  // sync. File imports are not resumed; run the import again instead.
+  if (latest && latest.status !== 'completed' && latest.mode !== 'import' && (mode === 'incremental' || latest.mode === mode)) {
+    await dbRun(
+      `UPDATE order_sync_runs SET status = 'running', error = NULL, heartbeat_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [latest.id]
+    );
+    console.log(`Resuming ${latest.mode} order sync run ${latest.id} after ${latest.orders_synced} orders`);
+    return dbGet('SELECT * FROM order_sync_runs WHERE id = ?', [latest.id]);
+  }
 
-    // Get the ApprovePro order ID (assuming it's synced with Shopify order ID)
-    const approveProOrderId = orderData.approveProOrderId || orderId;
+  const checkpoint = mode === 'incremental' ? await getOrderSyncCheckpoint() : null;
+  const runMode = mode === 'incremental' && !checkpoint ? 'full' : mode;
 
-    const response = await axios.post(
-      `${APPROVEPRO_CONFIG.baseUrl}/orders/${approveProOrderId}/designs`,
-      {
-        comment: comment || `Design for order #${orderData.orderNumber}`,
-        files: [customilPdfUrl],
-        approval_mode: 'AS_ONE'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${APPROVEPRO_CONFIG.apiKey}`,
-          'Content-Type': 'application/json'
-        }
+  // Estimate the work up front for the progress bar
+  const totalOrders = runMode === 'import' ? null : await orderApi.countOrders(checkpoint ? { updatedAtMin: checkpoint } : {});
+
+  const result = await dbRun(
+    'INSERT INTO order_sync_runs (mode, updated_at_min, total_orders, triggered_by, import_file, tag_orders) VALUES (?, ?, ?, ?, ?, ?)',
+    [runMode, checkpoint, totalOrders, triggeredBy, runMode === 'import' ? path.resolve(file) : null, tag ? 1 : 0]
+  );
+  console.log(`Started ${runMode} order sync run ${result.lastID}${checkpoint ? ` from ${checkpoint}` : ''}`);
+  return dbGet('SELECT * FROM order_sync_runs WHERE id = ?', [result.lastID]);
+}
+
+// Walk a sync run page by page, oldest change first. Progress is saved after
+// every page, so an interrupted run resumes from its cursor, or from the
+// newest order it indexed if the cursor has expired.
+async function syncOrderPages(run) {
+  let cursor = run.cursor;
+  let highWaterMark = run.high_water_mark;
+  const registry = await loadCharityRegistry();
+
+  while (true) {
+    const since = highWaterMark || run.updated_at_min;
+
+    let page;
+    try {
+      page = await orderApi.listOrders({ cursor, sortKey: 'updated_at', updatedAtMin: since });
+    } catch (error) {
+      // Cursors expire (or came from the other API); start again from the newest order already indexed
+      if (cursor && (error instanceof shopifyClient.ShopifyValidationError || error instanceof shopifyClient.ShopifyNotFoundError)) {
+        console.warn(`Order sync run ${run.id}: cursor rejected, restarting from ${since || 'the beginning'}`);
+        cursor = null;
+        continue;
+      }
+      throw error;
+    }
+
+    const orders = page.orders;
+    for (const order of orders) {
+      await indexOrder(order, registry);
+      const updatedAt = toUtcTimestamp(order.updated_at);
+      if (updatedAt && (!highWaterMark || updatedAt > highWaterMark)) {
+        highWaterMark = updatedAt;
       }
+    }
+
+    cursor = page.nextCursor;
+    await dbRun(
+      `UPDATE order_sync_runs
+       SET cursor = ?, high_water_mark = ?, pages = pages + 1, orders_synced = orders_synced + ?, heartbeat_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [cursor, highWaterMark, orders.length, run.id]
     );
+    console.log(`Order sync run ${run.id}: indexed ${orders.length} orders${cursor ? ', fetching next page' : ''}`);
+
+    if (!cursor) break;
+  }
+}
+
+// Stream the orders in a bulk export's JSONL into the order index and, if the
+// run asks for it, through the tagging rules. The whole file is read again
+// when a run is resumed; indexing an order twice is harmless.
+async function importBulkOrders(run, input) {
+  const registry = await loadCharityRegistry();
+  const outcomes = { tagged: 0, skipped: 0, failed: 0 };
+  let highWaterMark = null;
+  let imported = 0;
+
+  const saveProgress = () => dbRun(
+    `UPDATE order_sync_runs SET orders_synced = ?, high_water_mark = ?, heartbeat_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [imported, highWaterMark, run.id]
+  );
+
+  for await (const order of shopifyOrders.readBulkOrders(input)) {
+    await indexOrder(order, registry);
+    const updatedAt = toUtcTimestamp(order.updated_at);
+    if (updatedAt && (!highWaterMark || updatedAt > highWaterMark)) {
+      highWaterMark = updatedAt;
+    }
+
+    if (run.tag_orders) {
+      try {
+        const result = await backfillOrder(order, registry, false, `order-sync-${run.id}`);
+        outcomes[result.outcome]++;
+      } catch (error) {
+        console.error(`Order sync run ${run.id}: failed to tag order ${order.id}:`, error.response?.data || error.message);
+        outcomes.failed++;
+      }
+    }
+
+    imported++;
+    if (imported % ORDER_SYNC_CONFIG.bulkProgressEvery === 0) {
+      await saveProgress();
+      console.log(`Order sync run ${run.id}: imported ${imported} orders`);
+    }
+  }
+
+  await saveProgress();
+  if (run.tag_orders) {
+    console.log(`Order sync run ${run.id}: ${outcomes.tagged} orders tagged, ${outcomes.skipped} already tagged or unmatched, ${outcomes.failed} failed`);
+  }
+}
+
+// Export every order with a GraphQL bulk operation, wait for Shopify to
+// finish it, then stream the JSONL into the index. The operation keeps running
+// on Shopify's side, so an interrupted run goes back to polling it.
+async function syncBulkExport(run) {
+  let operationId = run.bulk_operation_id;
+  if (!operationId) {
+    const operation = await orderApi.startBulkExport();
+    operationId = operation.id;
+    await dbRun('UPDATE order_sync_runs SET bulk_operation_id = ? WHERE id = ?', [operationId, run.id]);
+    console.log(`Order sync run ${run.id}: started bulk operation ${operationId}`);
+  }
+
+  let operation;
+  while (true) {
+    operation = await orderApi.getBulkOperation(operationId);
+    await dbRun('UPDATE order_sync_runs SET heartbeat_at = CURRENT_TIMESTAMP WHERE id = ?', [run.id]);
+    if (shopifyOrders.BULK_FINISHED_STATUSES.includes(operation.status)) break;
+
+    console.log(`Order sync run ${run.id}: bulk operation ${operation.status.toLowerCase()}, ${operation.objectCount || 0} objects so far`);
+    await sleep(ORDER_SYNC_CONFIG.bulkPollInterval);
+  }
+
+  if (operation.status !== 'COMPLETED') {
+    // Start a fresh export next time
+    await dbRun('UPDATE order_sync_runs SET bulk_operation_id = NULL WHERE id = ?', [run.id]);
+    throw new Error(`Bulk operation ${operationId} ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ''}`);
+  }
+
+  // No url means the store has no orders
+  if (operation.url) {
+    // Download before importing, so a slow import can't be mistaken for a
+    // stalled download. Keep the heartbeat going while it runs.
+    const tempDir = path.join(__dirname, 'temp');
+    fs.mkdirSync(tempDir, { recursive: true });
+    const downloadPath = path.join(tempDir, `order-sync-${run.id}-${crypto.randomBytes(4).toString('hex')}.jsonl`);
+    const heartbeat = setInterval(() => {
+      dbRun('UPDATE order_sync_runs SET heartbeat_at = CURRENT_TIMESTAMP WHERE id = ?', [run.id]).catch(() => {});
+    }, ORDER_SYNC_CONFIG.staleAfter / 4);
+
+    try {
+      await downloadToFile(operation.url, downloadPath, ORDER_SYNC_CONFIG.bulkDownloadTimeout);
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    try {
+      await importBulkOrders(run, fs.createReadStream(downloadPath));
+    } finally {
+      fs.rmSync(downloadPath, { force: true });
+    }
+  }
+}
+
+// Run a sync run to completion, by the method its mode calls for
+async function walkOrderSyncRun(run) {
+  orderSyncActive = true;
 
-    // Update order status
-    orderData.status = 'sent_to_customer';
-    orderData.sentAt = new Date().toISOString();
-    orderStorage.set(orderId, orderData);
+  try {
+    if (run.mode === 'bulk') {
+      await syncBulkExport(run);
+    } else if (run.mode === 'import') {
+      console.log(`Order sync run ${run.id}: importing ${run.import_file}`);
+      await importBulkOrders(run, fs.createReadStream(run.import_file));
+    } else {
+      await syncOrderPages(run);
+    }
 
-    console.log(`Successfully sent design to customer for order ${orderId}`);
-    return response.data;
+    await dbRun(
+      `UPDATE order_sync_runs SET status = 'completed', finished_at = CURRENT_TIMESTAMP, heartbeat_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [run.id]
+    );
+    const finished = await dbGet('SELECT * FROM order_sync_runs WHERE id = ?', [run.id]);
+    console.log(`Order sync run ${run.id} completed: ${finished.orders_synced} orders${finished.pages ? ` in ${finished.pages} pages` : ''}`);
+    return finished;
   } catch (error) {
-    console.error(`Error sending design to customer for order ${orderId}:`, error.response?.data || error.message);
+    await dbRun(
+      `UPDATE order_sync_runs SET status = 'failed', error = ?, heartbeat_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [error.response ? `${error.response.status}: ${JSON.stringify(error.response.data)}` : error.message, run.id]
+    );
+    throw error;
+  } finally {
+    orderSyncActive = false;
+  }
+}
+
+// Run an order sync to completion (used by the schedule and sync-orders.js)
+async function runOrderSync(options = {}) {
+  const run = await beginOrderSyncRun(options);
+  return walkOrderSyncRun(run);
+}
+
+// Start the scheduled incremental order sync
+function startOrderSync() {
+  if (!SHOPIFY_CONFIG.accessToken || !SHOPIFY_CONFIG.shopDomain) {
+    console.warn('Shopify configuration missing, order sync disabled');
+    return;
+  }
+
+  const run = () => {
+    if (orderSyncActive) return;
+    runOrderSync({ triggeredBy: 'schedule' }).catch(error =>
+      console.error('Order sync error:', error.response?.data || error.message)
+    );
+  };
+  run();
+  setInterval(run, ORDER_SYNC_CONFIG.interval);
+}
+
+// Send design to customer via ApprovePro API, as the order's next revision.
+// options: { comment, sentBy, filePath, sourceUrl } (filePath and sourceUrl
+// describe the stored proof file, see sendProof)
+async function sendDesignToCustomer(orderId, designUrl, { comment = '', sentBy = null, filePath = null, sourceUrl = null } = {}) {
+  const orderData = await getIndexedOrder(orderId);
+  if (!orderData) {
+    const error = new Error('Order not found in index');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // Get the ApprovePro order ID (assuming it's synced with Shopify order ID)
+  const approveProOrderId = orderData.approvepro_order_id || orderId;
+
+  const design = await approvePro.createDesign(approveProOrderId, {
+    comment: comment || `Design for order #${orderData.order_number}`,
+    files: [designUrl]
+  });
+
+  // Update order status
+  await setOrderDesignStatus(orderId, 'sent_to_customer', new Date().toISOString());
+  const revision = await recordDesignRevision(orderId, 'sent', {
+    designId: design?.id ? String(design.id) : null,
+    fileUrl: designUrl,
+    filePath,
+    sourceUrl,
+    comment: comment || null,
+    actor: sentBy,
+    approveProResponse: design
+  });
+
+  console.log(`Successfully sent design to customer for order ${orderId} (revision ${revision})`);
+  return { ...design, revision };
+}
+
+// Reject an order's current design so a new revision is made. The rejection
+// is recorded locally and the order moves to needs_revision; with
+// APPROVEPRO_PUSH_REJECTIONS it is also sent to ApprovePro, and a failure
+// there is reported rather than undoing the rejection.
+async function rejectDesign(orderId, { reasonCode, comment }, rejectedBy) {
+  const order = await getIndexedOrder(orderId);
+  if (!order) {
+    const error = new Error('Order not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  if (!designRevisions.REJECTABLE_STATUSES.includes(order.design_status)) {
+    const error = new Error(`A design can't be rejected while the order is ${order.design_status}`);
+    error.statusCode = 409;
     throw error;
   }
+
+  const sent = await dbGet(
+    "SELECT design_id FROM design_revisions WHERE order_id = ? AND action = 'sent' ORDER BY id DESC LIMIT 1",
+    [order.id]
+  );
+  const approveProResult = { status: 'skipped', error: null };
+  if (APPROVEPRO_CONFIG.pushRejections && sent?.design_id && order.design_status !== 'design_ready') {
+    try {
+      await approvePro.rejectDesign(order.approvepro_order_id || order.id, sent.design_id, { reason: reasonCode, comment: comment || '' });
+      approveProResult.status = 'pushed';
+    } catch (error) {
+      console.error(`Could not push rejection of order ${order.id} to ApprovePro:`, error.message);
+      approveProResult.status = 'failed';
+      approveProResult.error = error.message;
+    }
+  }
+
+  await setOrderDesignStatus(order.id, 'needs_revision');
+  const revision = await recordDesignRevision(order.id, 'rejected', {
+    designId: sent?.design_id,
+    reasonCode,
+    comment,
+    actor: rejectedBy,
+    approveProSync: approveProResult.status,
+    approveProError: approveProResult.error
+  });
+
+  console.log(`Design revision ${revision} of order ${order.id} rejected by ${rejectedBy} (${reasonCode}); ApprovePro: ${approveProResult.status}`);
+  return { status: 'needs_revision', revision, approvePro: approveProResult };
+}
+
+// An order's design revision history, oldest first
+async function getDesignRevisions(orderId) {
+  const rows = await dbAll('SELECT * FROM design_revisions WHERE order_id = ? ORDER BY id', [orderId.toString()]);
+  return rows.map(row => ({
+    id: row.id,
+    revision: row.revision,
+    action: row.action,
+    source: row.source,
+    designId: row.design_id,
+    fileUrl: row.file_url,
+    viewUrl: row.file_path ? `/public/${row.file_path}` : row.file_url,
+    sourceUrl: row.source_url,
+    approveProResponse: row.approvepro_response ? JSON.parse(row.approvepro_response) : null,
+    reasonCode: row.reason_code,
+    reason: row.reason_code ? designRevisions.REJECTION_REASONS[row.reason_code] || row.reason_code : null,
+    comment: row.comment,
+    actor: row.actor,
+    approveProSync: row.approvepro_sync,
+    approveProError: row.approvepro_error,
+    createdAt: row.created_at
+  }));
 }
 
 // Auto-login endpoint for trusted external website
@@ -750,7 +2047,7 @@ app.get('/dashboard', requireAuth, (req, res) => {
         </style>
     </head>
     <body class="bg-gray-50 min-h-screen">
-        <div x-data="orderDashboard()" x-init="loadOrders()" class="container mx-auto px-4 py-8">
+        <div x-data="orderDashboard()" x-init="loadOrders(); loadSyncStatus(); loadDesignSends()" class="container mx-auto px-4 py-8">
             <!-- Auto-login success message -->
             ${req.query.auto_login === 'success' ? `
                 <div class="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
@@ -774,6 +2071,38 @@ app.get('/dashboard', requireAuth, (req, res) => {
                         </div>
                     </div>
                     <div class="flex items-center space-x-4">
+                        <a href="/dashboard/rules" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium transition duration-200 flex items-center">
+                            <i class="fas fa-tags mr-2"></i>
+                            Tagging Rules
+                        </a>
+                        <a href="/dashboard/charities" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium transition duration-200 flex items-center">
+                            <i class="fas fa-hand-holding-heart mr-2"></i>
+                            Charities
+                        </a>
+                        <a href="/dashboard/donations" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium transition duration-200 flex items-center">
+                            <i class="fas fa-donate mr-2"></i>
+                            Donations
+                        </a>
+                        <a href="/dashboard/donation-rates" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium transition duration-200 flex items-center">
+                            <i class="fas fa-percent mr-2"></i>
+                            Rates
+                        </a>
+                        <a href="/dashboard/reports" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium transition duration-200 flex items-center">
+                            <i class="fas fa-file-invoice-dollar mr-2"></i>
+                            Payouts
+                        </a>
+                        <a href="/dashboard/jobs" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium transition duration-200 flex items-center">
+                            <i class="fas fa-tasks mr-2"></i>
+                            Jobs
+                        </a>
+                        <a href="/dashboard/webhooks" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium transition duration-200 flex items-center">
+                            <i class="fas fa-plug mr-2"></i>
+                            Webhooks
+                        </a>
+                        <a href="/dashboard/webhook-events" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium transition duration-200 flex items-center">
+                            <i class="fas fa-stream mr-2"></i>
+                            Webhook Log
+                        </a>
                         <form method="POST" action="/logout" class="inline">
                             <button type="submit" class="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition duration-200 flex items-center">
                                 <i class="fas fa-sign-out-alt mr-2"></i>
@@ -784,6 +2113,56 @@ app.get('/dashboard', requireAuth, (req, res) => {
                 </div>
             </div>
 
+            <!-- Order Sync -->
+            <div class="bg-white rounded-lg shadow-sm p-4 mb-6 flex items-center justify-between" x-show="sync" style="display: none;">
+                <div class="flex-1 mr-6">
+                    <div class="text-sm text-gray-700">
+                        <i class="fas fa-sync-alt mr-2 text-gray-400" :class="{ 'fa-spin text-blue-600': sync && sync.running }"></i>
+                        <span x-text="describeSync()"></span>
+                    </div>
+                    <div class="w-full bg-gray-200 rounded-full h-2 mt-2" x-show="sync && sync.running">
+                        <div class="bg-blue-600 h-2 rounded-full" :style="'width: ' + syncProgress() + '%'"></div>
+                    </div>
+                </div>
+                <button @click="syncOrders({ full: true })" :disabled="sync && sync.running" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium">
+                    <i class="fas fa-history mr-2"></i>
+                    Full Sync
+                </button>
+                <button @click="syncOrders({ bulk: true })" :disabled="sync && sync.running" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium ml-2" title="Export the whole order history with a Shopify bulk operation">
+                    <i class="fas fa-file-export mr-2"></i>
+                    Bulk Export
+                </button>
+            </div>
+
+            <!-- Bulk Send to Customer -->
+            <div class="bg-white rounded-lg shadow-sm p-4 mb-6" x-show="designSend" style="display: none;">
+                <div class="flex items-center justify-between">
+                    <div class="flex-1 mr-6">
+                        <div class="text-sm text-gray-700">
+                            <i class="fas fa-paper-plane mr-2 text-gray-400" :class="{ 'text-blue-600': designSend && designSend.status === 'running' }"></i>
+                            <span x-text="describeDesignSend()"></span>
+                        </div>
+                        <div class="w-full bg-gray-200 rounded-full h-2 mt-2">
+                            <div class="bg-blue-600 h-2 rounded-full" :style="'width: ' + designSendProgress() + '%'"></div>
+                        </div>
+                    </div>
+                    <button x-show="designSend && designSend.status === 'running'" @click="cancelDesignSend()" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium">
+                        Cancel
+                    </button>
+                    <button x-show="designSend && designSend.status !== 'running'" @click="designSend = null" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium">
+                        Dismiss
+                    </button>
+                </div>
+                <div class="mt-3 max-h-64 overflow-y-auto divide-y divide-gray-100">
+                    <template x-for="item in (designSend?.items || [])" :key="item.id">
+                        <div class="flex items-center justify-between py-1 text-sm">
+                            <span class="font-medium text-gray-900" x-text="'#' + (item.order_number || item.order_id)"></span>
+                            <span class="flex-1 mx-4 text-gray-500 truncate" :title="item.error" x-text="item.error || (item.revision ? 'Revision ' + item.revision : '')"></span>
+                            <span class="status-badge" :class="designSendItemClass(item.status)" x-text="item.status"></span>
+                        </div>
+                    </template>
+                </div>
+            </div>
 
             <!-- Orders Table -->
             <div class="bg-white rounded-lg shadow-sm overflow-hidden">
@@ -807,14 +2186,32 @@ app.get('/dashboard', requireAuth, (req, res) => {
                                 <option value="awaiting_design">Awaiting Design</option>
                                 <option value="design_ready">Design Ready</option>
                                 <option value="sent_to_customer">Sent to Customer</option>
+                                <option value="commented">Customer Commented</option>
                                 <option value="approved">Approved</option>
-                                <option value="rejected">Rejected</option>
+                                <option value="needs_revision">Needs Revision</option>
                                 <option value="draft">Draft</option>
                             </select>
+                            <input type="date" x-model="fromDate" @change="filterOrders()" title="Ordered from" class="border border-gray-300 rounded-lg px-3 py-2">
+                            <input type="date" x-model="toDate" @change="filterOrders()" title="Ordered to" class="border border-gray-300 rounded-lg px-3 py-2">
+                            <button @click="syncOrders({})" :disabled="sync && sync.running" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-2 rounded-lg text-sm font-medium" title="Pull recently changed orders from Shopify">
+                                <i class="fas fa-sync-alt"></i>
+                            </button>
                         </div>
                     </div>
                     <div class="flex items-center justify-between text-sm text-gray-500">
-                        <span x-text="'Showing ' + orders.length + ' of ' + totalOrders + ' orders'"></span>
+                        <div class="flex items-center space-x-3">
+                            <span x-text="'Showing ' + orders.length + ' of ' + totalOrders + ' orders'"></span>
+                            <template x-if="selectedIds.length > 0">
+                                <div class="flex items-center space-x-2">
+                                    <span class="text-gray-700 font-medium" x-text="selectedIds.length + ' selected'"></span>
+                                    <button @click="sendSelected()" :disabled="designSend && designSend.status === 'running'" class="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 text-white px-3 py-1 rounded-lg text-sm font-medium">
+                                        <i class="fas fa-paper-plane mr-1"></i>
+                                        Send to Customer
+                                    </button>
+                                    <button @click="selectedIds = []" class="text-gray-500 hover:text-gray-700 text-sm">Clear</button>
+                                </div>
+                            </template>
+                        </div>
                         <div class="flex items-center space-x-2">
                             <span>Show:</span>
                             <select x-model="pageSize" @change="changePageSize()" class="border border-gray-300 rounded px-2 py-1 text-sm">
@@ -831,6 +2228,9 @@ app.get('/dashboard', requireAuth, (req, res) => {
                     <table class="w-full">
                         <thead class="bg-gray-50">
                             <tr>
+                                <th class="pl-6 py-3 text-left">
+                                    <input type="checkbox" :checked="allSendableSelected()" @change="toggleAllSendable($event.target.checked)" :disabled="!orders.some(order => canSend(order))" title="Select every order on this page that can be sent">
+                                </th>
                                 <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
                                 <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
                                 <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Charity</th>
@@ -841,7 +2241,7 @@ app.get('/dashboard', requireAuth, (req, res) => {
                         </thead>
                         <tbody class="bg-white divide-y divide-gray-200">
                             <tr x-show="loading">
-                                <td colspan="6" class="px-6 py-8 text-center">
+                                <td colspan="7" class="px-6 py-8 text-center">
                                     <div class="flex items-center justify-center">
                                         <i class="fas fa-spinner fa-spin text-blue-600 mr-2"></i>
                                         <span class="text-gray-500">Loading orders...</span>
@@ -850,6 +2250,9 @@ app.get('/dashboard', requireAuth, (req, res) => {
                             </tr>
                             <template x-for="order in orders" :key="order.id">
                                 <tr class="hover:bg-gray-50 cursor-pointer" @click="viewOrder(order)">
+                                    <td class="pl-6 py-4" @click.stop>
+                                        <input type="checkbox" :value="order.id" x-model="selectedIds" :disabled="!canSend(order)" :title="canSend(order) ? 'Select for bulk send' : 'No design file, or already sent'">
+                                    </td>
                                     <td class="px-6 py-4 whitespace-nowrap">
                                         <div class="text-sm font-medium text-gray-900" x-text="'#' + order.orderNumber"></div>
                                         <div class="text-sm text-gray-500" x-text="formatDate(order.createdAt)"></div>
@@ -919,7 +2322,7 @@ app.get('/dashboard', requireAuth, (req, res) => {
 
             <!-- Order Detail Modal -->
             <div x-show="selectedOrder" x-transition class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" style="display: none;">
-                <div class="bg-white rounded-lg shadow-xl max-w-4xl w-full mx-4 max-h-screen overflow-y-auto">
+                <div class="bg-white rounded-lg shadow-xl w-full mx-4 max-h-screen overflow-y-auto" :class="compareProof() ? 'max-w-7xl' : 'max-w-4xl'">
                     <div class="p-6 border-b border-gray-200">
                         <div class="flex items-center justify-between">
                             <div>
@@ -949,10 +2352,27 @@ app.get('/dashboard', requireAuth, (req, res) => {
                                         <span class="text-sm text-gray-500">Charity:</span>
                                         <span class="text-sm font-medium" x-text="selectedOrder ? (selectedOrder.charityValue || 'Not specified') : ''"></span>
                                     </div>
+                                    <div x-show="selectedOrder && selectedOrder.charities && selectedOrder.charities.length > 0" class="bg-gray-50 rounded-lg p-3">
+                                        <div class="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">Donation Breakdown</div>
+                                        <template x-for="allocation in (selectedOrder?.charities || [])" :key="allocation.charity">
+                                            <div class="flex justify-between text-sm">
+                                                <span class="text-gray-700" x-text="allocation.charity + ' (' + allocation.lineItems.length + (allocation.lineItems.length === 1 ? ' item)' : ' items)')"></span>
+                                                <span class="font-medium" x-text="'$' + allocation.donationAmount"></span>
+                                            </div>
+                                        </template>
+                                    </div>
                                     <div class="flex justify-between">
                                         <span class="text-sm text-gray-500">Status:</span>
                                         <span class="status-badge" :class="selectedOrder ? getStatusClass(selectedOrder.status) : ''" x-text="selectedOrder ? getStatusText(selectedOrder.status) : ''"></span>
                                     </div>
+                                    <div class="flex justify-between" x-show="selectedOrder?.revision > 0">
+                                        <span class="text-sm text-gray-500">Design Revision:</span>
+                                        <span class="text-sm font-medium" x-text="selectedOrder?.revision"></span>
+                                    </div>
+                                    <div class="text-sm" x-show="selectedOrder?.designComment">
+                                        <span class="text-gray-500">Customer comment:</span>
+                                        <p class="mt-1 bg-gray-50 rounded p-2 text-gray-800" x-text="selectedOrder?.designComment"></p>
+                                    </div>
                                     <div class="flex justify-between">
                                         <span class="text-sm text-gray-500">Created:</span>
                                         <span class="text-sm font-medium" x-text="selectedOrder ? formatDate(selectedOrder.createdAt) : ''"></span>
@@ -974,56 +2394,133 @@ app.get('/dashboard', requireAuth, (req, res) => {
 
                                 <!-- Action Buttons -->
                                 <div class="mt-8" x-show="selectedOrder && selectedOrder.properties && selectedOrder.properties['_customily-production-url']">
-                                    <!-- Send Button for Pending/Awaiting Design -->
+                                    <!-- Send Button for Pending/Awaiting Design, or a new revision -->
                                     <button 
-                                        x-show="selectedOrder?.status === 'pending' || selectedOrder?.status === 'awaiting_design'"
+                                        x-show="sendableStatuses.includes(selectedOrder?.status)"
                                         @click="sendToCustomer(selectedOrder)" 
                                         :disabled="sendingToCustomer"
                                         class="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 text-white font-medium py-3 px-4 rounded-lg transition duration-200 flex items-center justify-center"
                                     >
                                         <i class="fas fa-paper-plane mr-2" x-show="!sendingToCustomer"></i>
                                         <i class="fas fa-spinner fa-spin mr-2" x-show="sendingToCustomer"></i>
-                                        <span x-show="!sendingToCustomer">Send to Customer</span>
+                                        <span x-show="!sendingToCustomer" x-text="selectedOrder?.status === 'needs_revision' ? 'Send Revision ' + ((selectedOrder?.revision || 0) + 1) + ' to Customer' : 'Send to Customer'"></span>
                                         <span x-show="sendingToCustomer">Sending...</span>
                                     </button>
 
-                                    <!-- Reject Button for Design Ready -->
+                                    <!-- Reject Button for a design that hasn't been approved -->
                                     <button 
-                                        x-show="selectedOrder?.status === 'design_ready'"
-                                        @click="rejectDesign(selectedOrder)" 
+                                        x-show="rejectableStatuses.includes(selectedOrder?.status) && !rejection"
+                                        @click="startRejection()" 
                                         :disabled="sendingToCustomer"
-                                        class="w-full bg-red-600 hover:bg-red-700 disabled:bg-gray-300 text-white font-medium py-3 px-4 rounded-lg transition duration-200 flex items-center justify-center"
+                                        class="w-full bg-red-600 hover:bg-red-700 disabled:bg-gray-300 text-white font-medium py-3 px-4 rounded-lg transition duration-200 flex items-center justify-center mb-3"
                                     >
-                                        <i class="fas fa-times mr-2" x-show="!sendingToCustomer"></i>
-                                        <i class="fas fa-spinner fa-spin mr-2" x-show="sendingToCustomer"></i>
-                                        <span x-show="!sendingToCustomer">Reject Design</span>
-                                        <span x-show="sendingToCustomer">Rejecting...</span>
+                                        <i class="fas fa-times mr-2"></i>
+                                        <span>Reject Design</span>
                                     </button>
 
+                                    <!-- Rejection form -->
+                                    <template x-if="rejection">
+                                    <div class="border border-red-200 bg-red-50 rounded-lg p-4 mb-3 space-y-3">
+                                        <div>
+                                            <label class="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                                            <select x-model="rejection.reasonCode" class="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm">
+                                                <option value="">Choose a reason...</option>
+                                                <template x-for="[code, label] in Object.entries(rejectionReasons)" :key="code">
+                                                    <option :value="code" x-text="label"></option>
+                                                </template>
+                                            </select>
+                                        </div>
+                                        <div>
+                                            <label class="block text-sm font-medium text-gray-700 mb-1">What needs to change</label>
+                                            <textarea x-model="rejection.comment" rows="3" maxlength="2000" class="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm" :placeholder="rejection.reasonCode === 'other' ? 'Required' : 'Optional'"></textarea>
+                                        </div>
+                                        <div class="flex space-x-2">
+                                            <button @click="rejectDesign(selectedOrder)" :disabled="sendingToCustomer || !rejection.reasonCode" class="flex-1 bg-red-600 hover:bg-red-700 disabled:bg-gray-300 text-white font-medium py-2 px-4 rounded-lg flex items-center justify-center">
+                                                <i class="fas fa-spinner fa-spin mr-2" x-show="sendingToCustomer"></i>
+                                                <span x-text="sendingToCustomer ? 'Rejecting...' : 'Reject and Request Revision'"></span>
+                                            </button>
+                                            <button @click="rejection = null" :disabled="sendingToCustomer" class="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-medium py-2 px-4 rounded-lg">Cancel</button>
+                                        </div>
+                                    </div>
+                                    </template>
+
                                     <!-- Status Messages for Final States -->
                                     <div 
-                                        x-show="!['pending', 'awaiting_design', 'design_ready'].includes(selectedOrder?.status)"
+                                        x-show="!['pending', 'awaiting_design', 'design_ready', 'needs_revision'].includes(selectedOrder?.status)"
                                         class="w-full bg-green-100 text-green-800 font-medium py-3 px-4 rounded-lg flex items-center justify-center border border-green-200"
                                     >
                                         <i class="fas fa-check-circle mr-2"></i>
                                         <span x-show="selectedOrder?.status === 'approved'">Design Approved by Customer</span>
-                                        <span x-show="selectedOrder?.status === 'rejected'">Design Rejected by Customer</span>
                                         <span x-show="selectedOrder?.status === 'sent_to_customer'">Design Already Sent to Customer</span>
                                         <span x-show="selectedOrder?.status === 'draft'">Design in Draft Status</span>
-                                        <span x-show="!['approved', 'rejected', 'sent_to_customer', 'draft'].includes(selectedOrder?.status)">Design Processing Complete</span>
+                                        <span x-show="selectedOrder?.status === 'commented'">Customer Commented on Design</span>
+                                        <span x-show="!['approved', 'sent_to_customer', 'draft', 'commented'].includes(selectedOrder?.status)">Design Processing Complete</span>
+                                    </div>
+                                </div>
+
+                                <!-- Revision History -->
+                                <div class="mt-8" x-show="revisions.length > 0">
+                                    <h5 class="text-md font-medium text-gray-900 mb-3">Revision History</h5>
+                                    <div class="space-y-2">
+                                        <template x-for="entry in revisions" :key="entry.id">
+                                            <div class="border-l-4 pl-3 py-1 text-sm" :class="{ 'border-blue-400': entry.action === 'sent', 'border-red-400': entry.action === 'rejected', 'border-green-400': entry.action === 'approved' }">
+                                                <div class="flex justify-between">
+                                                    <span class="font-medium" x-text="(entry.action === 'sent' ? 'v' + entry.revision + ' sent' : 'Revision ' + entry.revision + ' ' + entry.action) + (entry.source === 'approvepro' ? ' by customer' : '')"></span>
+                                                    <span class="text-gray-500" x-text="formatDate(entry.createdAt)"></span>
+                                                </div>
+                                                <div class="text-gray-700" x-show="entry.reason" x-text="entry.reason"></div>
+                                                <div class="text-gray-600 italic" x-show="entry.comment" x-text="entry.comment"></div>
+                                                <div class="text-xs text-gray-500">
+                                                    <span x-show="entry.actor" x-text="entry.actor"></span>
+                                                    <span x-show="entry.approveProSync === 'pushed'"> • sent to ApprovePro</span>
+                                                    <span x-show="entry.approveProSync === 'failed'" class="text-red-600" :title="entry.approveProError"> • not sent to ApprovePro</span>
+                                                    <a x-show="entry.viewUrl" :href="entry.viewUrl" target="_blank" class="text-blue-600 hover:underline"> • view</a>
+                                                    <button x-show="entry.action === 'sent' && entry.viewUrl" @click="compareVersion = String(entry.revision)" class="text-blue-600 hover:underline"> • compare</button>
+                                                </div>
+                                                <details x-show="entry.approveProResponse" class="text-xs text-gray-500">
+                                                    <summary class="cursor-pointer">ApprovePro response</summary>
+                                                    <pre class="bg-gray-50 rounded p-2 mt-1 overflow-x-auto" x-text="JSON.stringify(entry.approveProResponse, null, 2)"></pre>
+                                                </details>
+                                            </div>
+                                        </template>
                                     </div>
                                 </div>
                             </div>
 
-                            <!-- PDF Preview -->
-                            <div x-show="selectedOrder && selectedOrder.properties && selectedOrder.properties['_customily-production-url']">
-                                <h4 class="text-lg font-medium text-gray-900 mb-4">Design Preview</h4>
-                                <div class="border rounded-lg overflow-hidden">
-                                    <iframe 
-                                        :src="selectedOrder?.properties['_customily-production-url']" 
-                                        class="w-full pdf-viewer"
-                                        frameborder="0">
-                                    </iframe>
+                            <!-- PDF Preview, with an earlier proof version next to it when comparing -->
+                            <div x-show="currentPreviewUrl()" :class="compareProof() ? 'lg:col-span-2' : ''">
+                                <div class="flex items-center justify-between mb-4">
+                                    <h4 class="text-lg font-medium text-gray-900">Design Preview</h4>
+                                    <select x-show="proofVersions().length > 0" x-model="compareVersion" class="border border-gray-300 rounded-lg px-3 py-1 text-sm">
+                                        <option value="">Compare with...</option>
+                                        <template x-for="proof in proofVersions()" :key="proof.id">
+                                            <option :value="String(proof.revision)" x-text="'v' + proof.revision + ' • ' + formatDate(proof.createdAt)"></option>
+                                        </template>
+                                    </select>
+                                </div>
+                                <div :class="compareProof() ? 'grid grid-cols-2 gap-4' : ''">
+                                    <div x-show="compareProof()">
+                                        <div class="text-sm mb-2">
+                                            <span class="font-medium" x-text="compareProof() ? 'v' + compareProof().revision : ''"></span>
+                                            <span class="text-gray-500" x-text="compareProof() ? ' • sent ' + formatDate(compareProof().createdAt) + (compareProof().actor ? ' by ' + compareProof().actor : '') : ''"></span>
+                                            <p class="text-gray-600 italic" x-show="compareProof()?.comment" x-text="compareProof()?.comment"></p>
+                                        </div>
+                                        <div class="border rounded-lg overflow-hidden">
+                                            <template x-if="compareProof()">
+                                                <iframe :src="compareProof().viewUrl" class="w-full pdf-viewer" frameborder="0"></iframe>
+                                            </template>
+                                        </div>
+                                    </div>
+                                    <div>
+                                        <div class="text-sm mb-2 font-medium" x-show="compareProof()">Current design</div>
+                                        <div class="border rounded-lg overflow-hidden">
+                                            <iframe 
+                                                :src="currentPreviewUrl()" 
+                                                class="w-full pdf-viewer"
+                                                frameborder="0">
+                                            </iframe>
+                                        </div>
+                                    </div>
                                 </div>
                             </div>
                         </div>
@@ -1038,9 +2535,20 @@ app.get('/dashboard', requireAuth, (req, res) => {
                     orders: [],
                     selectedOrder: null,
                     sendingToCustomer: false,
+                    revisions: [],
+                    compareVersion: '',
+                    rejection: null,
+                    rejectionReasons: ${JSON.stringify(designRevisions.REJECTION_REASONS)},
+                    rejectableStatuses: ${JSON.stringify(designRevisions.REJECTABLE_STATUSES)},
+                    sendableStatuses: ${JSON.stringify(designRevisions.SENDABLE_STATUSES)},
+                    selectedIds: [],
+                    designSend: null,
                     loading: false,
                     searchTerm: '',
                     statusFilter: '',
+                    fromDate: '',
+                    toDate: '',
+                    sync: null,
                     currentPage: 1,
                     pageSize: 25,
                     totalPages: 1,
@@ -1055,8 +2563,10 @@ app.get('/dashboard', requireAuth, (req, res) => {
                                 search: this.searchTerm,
                                 status: this.statusFilter
                             });
+                            if (this.fromDate) params.set('from', this.fromDate);
+                            if (this.toDate) params.set('to', this.toDate);
 
-                            console.log('Loading orders from Shopify via AJAX...');
+                            console.log('Loading orders from the order index...');
                             const response = await fetch('/api/orders?' + params);
                             
                             if (response.ok) {
@@ -1080,80 +2590,262 @@ app.get('/dashboard', requireAuth, (req, res) => {
                         await this.loadOrders();
                     },
 
-                    async changePage(newPage) {
-                        this.currentPage = newPage;
-                        await this.loadOrders();
+                    async loadSyncStatus() {
+                        const response = await fetch('/api/orders/sync');
+                        if (!response.ok) {
+                            return;
+                        }
+                        const wasRunning = this.sync && this.sync.running;
+                        this.sync = await response.json();
+
+                        // Poll while a sync is running, then reload the orders it brought in
+                        if (this.sync.running) {
+                            setTimeout(() => this.loadSyncStatus(), 3000);
+                        } else if (wasRunning) {
+                            await this.loadOrders();
+                        }
                     },
 
-                    async changePageSize() {
-                        this.currentPage = 1;
-                        await this.loadOrders();
+                    describeSync() {
+                        if (!this.sync) return '';
+                        const run = this.sync.runs[0];
+                        if (!run) {
+                            return 'Orders have not been synced from Shopify yet';
+                        }
+                        if (run.status === 'running' && run.mode === 'bulk' && !run.orders_synced) {
+                            return 'Waiting for Shopify to prepare the bulk order export';
+                        }
+                        if (run.status === 'running') {
+                            return 'Syncing ' + run.mode + ' order history: ' + run.orders_synced + (run.total_orders ? ' of ~' + run.total_orders : '') + ' orders';
+                        }
+                        if (run.status === 'failed') {
+                            return 'Last sync stopped after ' + run.orders_synced + ' orders and will resume: ' + run.error;
+                        }
+                        return this.sync.indexedOrders + ' orders indexed. Last sync ' + run.finished_at + ' UTC';
                     },
 
-
-                    viewOrder(order) {
-                        this.selectedOrder = order;
+                    syncProgress() {
+                        const run = this.sync && this.sync.runs[0];
+                        if (!run || !run.total_orders) return 0;
+                        return Math.min(100, Math.round(run.orders_synced * 100 / run.total_orders));
                     },
 
-                    async sendToCustomer(order) {
-                        if (!order.properties['_customily-production-url']) {
-                            alert('No design file found for this order');
+                    async syncOrders(options) {
+                        const response = await fetch('/api/orders/sync', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(options)
+                        });
+                        const data = await response.json();
+                        if (!response.ok) {
+                            alert('Error: ' + JSON.stringify(data.error));
                             return;
                         }
+                        await this.loadSyncStatus();
+                    },
 
-                        this.sendingToCustomer = true;
-                        try {
-                            const response = await fetch('/api/orders/' + order.id + '/send-to-customer', {
-                                method: 'POST',
-                                headers: {
-                                    'Content-Type': 'application/json'
-                                },
-                                body: JSON.stringify({
-                                    pdfUrl: order.properties['_customily-production-url']
-                                })
-                            });
+                    canSend(order) {
+                        return !!order.properties['_customily-production-url'] && this.sendableStatuses.includes(order.status);
+                    },
 
-                            if (response.ok) {
-                                // Refresh the order data to get updated status from ApprovePro
-                                await this.loadOrders();
-                                alert('Design sent to customer successfully!');
-                                // Close the modal to show updated table
-                                this.selectedOrder = null;
-                            } else {
-                                const error = await response.json();
-                                alert('Error: ' + error.message);
-                            }
-                        } catch (error) {
-                            console.error('Error sending to customer:', error);
-                            alert('Error sending design to customer');
-                        } finally {
-                            this.sendingToCustomer = false;
-                        }
+                    allSendableSelected() {
+                        const sendable = this.orders.filter(order => this.canSend(order));
+                        return sendable.length > 0 && sendable.every(order => this.selectedIds.includes(order.id));
                     },
 
-                    async rejectDesign(order) {
-                        if (!confirm('Are you sure you want to reject this design? This action cannot be undone.')) {
+                    toggleAllSendable(checked) {
+                        const pageIds = this.orders.filter(order => this.canSend(order)).map(order => order.id);
+                        this.selectedIds = checked
+                            ? [...new Set([...this.selectedIds, ...pageIds])]
+                            : this.selectedIds.filter(id => !pageIds.includes(id));
+                    },
+
+                    async sendSelected() {
+                        if (!confirm('Send the design to the customer for ' + this.selectedIds.length + ' orders?')) {
                             return;
                         }
+                        const response = await fetch('/api/design-sends', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ orderIds: this.selectedIds })
+                        });
+                        const data = await response.json();
+                        if (!response.ok) {
+                            alert('Error: ' + data.error);
+                            return;
+                        }
+                        this.selectedIds = [];
+                        this.designSend = data.batch;
+                        this.pollDesignSend();
+                    },
+
+                    // Show the latest bulk send if it is still running, e.g. after the page was closed
+                    async loadDesignSends() {
+                        const response = await fetch('/api/design-sends');
+                        if (!response.ok) {
+                            return;
+                        }
+                        const latest = (await response.json()).batches[0];
+                        if (latest && latest.status === 'running') {
+                            this.designSend = { ...latest, items: [] };
+                            await this.pollDesignSend();
+                        }
+                    },
+
+                    // Poll while a bulk send is running, then reload the orders it sent
+                    async pollDesignSend() {
+                        if (!this.designSend) return;
+                        const response = await fetch('/api/design-sends/' + this.designSend.id);
+                        if (!response.ok || !this.designSend) {
+                            return;
+                        }
+                        this.designSend = (await response.json()).batch;
+                        if (this.designSend.status === 'running') {
+                            setTimeout(() => this.pollDesignSend(), 2000);
+                        } else {
+                            await this.loadOrders();
+                        }
+                    },
+
+                    async cancelDesignSend() {
+                        const response = await fetch('/api/design-sends/' + this.designSend.id + '/cancel', { method: 'POST' });
+                        const data = await response.json();
+                        if (!response.ok) {
+                            alert('Error: ' + data.error);
+                            return;
+                        }
+                        this.designSend = data.batch;
+                        await this.loadOrders();
+                    },
+
+                    describeDesignSend() {
+                        const batch = this.designSend;
+                        if (!batch) return '';
+                        const done = batch.sent + batch.failed + batch.skipped;
+                        const counts = batch.sent + ' sent, ' + batch.failed + ' failed, ' + batch.skipped + ' skipped';
+                        if (batch.status === 'running') {
+                            return 'Sending designs to customers: ' + done + ' of ' + batch.total + ' done (' + counts + ')';
+                        }
+                        return 'Bulk send ' + batch.status + ': ' + counts;
+                    },
+
+                    designSendProgress() {
+                        const batch = this.designSend;
+                        if (!batch || !batch.total) return 0;
+                        return Math.round((batch.sent + batch.failed + batch.skipped) * 100 / batch.total);
+                    },
+
+                    designSendItemClass(status) {
+                        switch(status) {
+                            case 'sent': return 'status-approved';
+                            case 'failed': return 'bg-red-100 text-red-800';
+                            case 'sending': return 'status-sent';
+                            case 'skipped': return 'bg-gray-100 text-gray-800';
+                            default: return 'status-pending';
+                        }
+                    },
+
+                    async changePage(newPage) {
+                        this.currentPage = newPage;
+                        await this.loadOrders();
+                    },
+
+                    async changePageSize() {
+                        this.currentPage = 1;
+                        await this.loadOrders();
+                    },
+
+
+                    async viewOrder(order) {
+                        this.selectedOrder = order;
+                        this.rejection = null;
+                        this.revisions = [];
+                        this.compareVersion = '';
+                        const response = await fetch('/api/orders/' + order.id + '/revisions');
+                        if (response.ok && this.selectedOrder === order) {
+                            this.revisions = (await response.json()).revisions;
+                        }
+                    },
+
+                    async sendToCustomer(order) {
+                        if (!order.properties['_customily-production-url']) {
+                            alert('No design file found for this order');
+                            return;
+                        }
+
+                        this.sendingToCustomer = true;
+                        try {
+                            const response = await fetch('/api/orders/' + order.id + '/send-to-customer', {
+                                method: 'POST',
+                                headers: {
+                                    'Content-Type': 'application/json'
+                                },
+                                body: JSON.stringify({
+                                    pdfUrl: order.properties['_customily-production-url']
+                                })
+                            });
+
+                            if (response.ok) {
+                                // Refresh the order data to get updated status from ApprovePro
+                                await this.loadOrders();
+                                alert('Design sent to customer successfully!');
+                                // Close the modal to show updated table
+                                this.selectedOrder = null;
+                            } else {
+                                const error = await response.json();
+                                alert('Error: ' + error.error);
+                            }
+                        } catch (error) {
+                            console.error('Error sending to customer:', error);
+                            alert('Error sending design to customer');
+                        } finally {
+                            this.sendingToCustomer = false;
+                        }
+                    },
+
+                    // Proofs sent for the selected order (v1, v2, ...), newest first
+                    proofVersions() {
+                        return this.revisions.filter(entry => entry.action === 'sent' && entry.viewUrl).reverse();
+                    },
+
+                    compareProof() {
+                        return this.compareVersion
+                            ? this.proofVersions().find(proof => String(proof.revision) === this.compareVersion) || null
+                            : null;
+                    },
+
+                    // The order's design file, or its latest proof if the design file is gone
+                    currentPreviewUrl() {
+                        return this.selectedOrder?.properties?.['_customily-production-url'] || this.proofVersions()[0]?.viewUrl || null;
+                    },
+
+                    startRejection() {
+                        this.rejection = { reasonCode: '', comment: '' };
+                    },
 
+                    async rejectDesign(order) {
                         this.sendingToCustomer = true;
                         try {
                             const response = await fetch('/api/orders/' + order.id + '/reject', {
                                 method: 'POST',
                                 headers: {
                                     'Content-Type': 'application/json'
-                                }
+                                },
+                                body: JSON.stringify(this.rejection)
                             });
 
+                            const data = await response.json();
                             if (response.ok) {
                                 // Refresh the order data to get updated status
                                 await this.loadOrders();
-                                alert('Design rejected successfully!');
+                                alert(data.approvePro.status === 'failed'
+                                    ? 'Design rejected, but ApprovePro could not be updated: ' + data.approvePro.error
+                                    : 'Design rejected. Revision ' + data.revision + ' needs to be redone.');
                                 // Close the modal to show updated table
                                 this.selectedOrder = null;
+                                this.rejection = null;
                             } else {
-                                const error = await response.json();
-                                alert('Error: ' + error.message);
+                                alert('Error: ' + data.error);
                             }
                         } catch (error) {
                             console.error('Error rejecting design:', error);
@@ -1170,8 +2862,9 @@ app.get('/dashboard', requireAuth, (req, res) => {
                             case 'awaiting_design': return 'status-pending';
                             case 'design_ready': return 'bg-purple-100 text-purple-800';
                             case 'sent_to_customer': return 'status-sent';
+                            case 'commented': return 'bg-indigo-100 text-indigo-800';
                             case 'approved': return 'status-approved';
-                            case 'rejected': return 'bg-red-100 text-red-800';
+                            case 'needs_revision': return 'bg-pink-100 text-pink-800';
                             case 'draft': return 'bg-gray-100 text-gray-800';
                             default: return 'status-pending';
                         }
@@ -1183,8 +2876,9 @@ app.get('/dashboard', requireAuth, (req, res) => {
                             case 'awaiting_design': return 'Awaiting Design';
                             case 'design_ready': return 'Design Ready';
                             case 'sent_to_customer': return 'Sent to Customer';
+                            case 'commented': return 'Customer Commented';
                             case 'approved': return 'Approved';
-                            case 'rejected': return 'Rejected';
+                            case 'needs_revision': return 'Needs Revision';
                             case 'draft': return 'Draft';
                             default: return status.charAt(0).toUpperCase() + status.slice(1).replace(/_/g, ' ');
                         }
@@ -1225,455 +2919,3708 @@ app.get('/dashboard', requireAuth, (req, res) => {
   `);
 });
 
-// Get ApprovePro order status
-async function getApproveProOrderStatus(orderId) {
+// Shared layout for secondary admin pages (rules editor etc.)
+function renderAdminPage({ title, subtitle, body, script }) {
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title} - Charity Greeting Cards</title>
+        <link href="https://unpkg.com/tailwindcss@^2/dist/tailwind.min.css" rel="stylesheet">
+        <script src="https://unpkg.com/alpinejs@3.x.x/dist/cdn.min.js" defer></script>
+        <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css">
+    </head>
+    <body class="bg-gray-50 min-h-screen">
+        <div class="container mx-auto px-4 py-8">
+            <!-- Header -->
+            <div class="bg-white rounded-lg shadow-sm p-6 mb-8">
+                <div class="flex items-center justify-between">
+                    <div class="flex items-center space-x-4">
+                        <div>
+                            <img src="/public/images/logo.png" alt="Charity Greeting Cards" class="h-12 w-auto" onerror="this.style.display='none';">
+                        </div>
+                        <div>
+                            <h1 class="text-3xl font-bold text-gray-900">${title}</h1>
+                            <p class="text-gray-600 mt-2">${subtitle}</p>
+                        </div>
+                    </div>
+                    <div class="flex items-center space-x-4">
+                        <a href="/dashboard" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium transition duration-200 flex items-center">
+                            <i class="fas fa-arrow-left mr-2"></i>
+                            Back to Orders
+                        </a>
+                        <form method="POST" action="/logout" class="inline">
+                            <button type="submit" class="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition duration-200 flex items-center">
+                                <i class="fas fa-sign-out-alt mr-2"></i>
+                                Logout
+                            </button>
+                        </form>
+                    </div>
+                </div>
+            </div>
+
+            ${body}
+        </div>
+
+        <script>
+            ${script}
+        </script>
+    </body>
+    </html>
+  `;
+}
+
+// Tagging rules editor (protected)
+app.get('/dashboard/rules', requireAuth, (req, res) => {
+  res.send(renderAdminPage({
+    title: 'Tagging Rules',
+    subtitle: 'Choose which tags are added to orders based on line item properties, SKUs and order details',
+    body: `
+            <div x-data="rulesEditor()" x-init="loadRules()" class="space-y-8">
+                <!-- Rules Table -->
+                <div class="bg-white rounded-lg shadow-sm overflow-hidden">
+                    <div class="p-6 border-b border-gray-200 flex items-center justify-between">
+                        <h2 class="text-xl font-semibold text-gray-900">Rules</h2>
+                        <button @click="newRule()" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium flex items-center">
+                            <i class="fas fa-plus mr-2"></i>
+                            Add Rule
+                        </button>
+                    </div>
+                    <table class="w-full">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Condition</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tag Template</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Enabled</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            <template x-for="rule in rules" :key="rule.id">
+                                <tr>
+                                    <td class="px-6 py-4 text-sm font-medium text-gray-900" x-text="rule.name"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="describeCondition(rule)"></td>
+                                    <td class="px-6 py-4 text-sm font-mono text-gray-700" x-text="rule.tag_template"></td>
+                                    <td class="px-6 py-4 text-sm">
+                                        <input type="checkbox" :checked="rule.enabled" @change="toggleRule(rule)">
+                                    </td>
+                                    <td class="px-6 py-4 text-sm font-medium">
+                                        <button @click="editRule(rule)" class="text-blue-600 hover:text-blue-900 mr-3"><i class="fas fa-edit"></i> Edit</button>
+                                        <button @click="deleteRule(rule)" class="text-red-600 hover:text-red-900"><i class="fas fa-trash"></i> Delete</button>
+                                    </td>
+                                </tr>
+                            </template>
+                            <tr x-show="rules.length === 0">
+                                <td colspan="5" class="px-6 py-8 text-center text-sm text-gray-500">No tagging rules configured</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+
+                <!-- Rule Form -->
+                <div class="bg-white rounded-lg shadow-sm p-6" x-show="form" style="display: none;">
+                    <h2 class="text-xl font-semibold text-gray-900 mb-4" x-text="form && form.id ? 'Edit Rule' : 'New Rule'"></h2>
+                    <template x-if="form">
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <label class="block text-sm text-gray-700">Name
+                                <input type="text" x-model="form.name" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            </label>
+                            <label class="block text-sm text-gray-700">Match
+                                <select x-model="form.match_type" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                    <option value="property">Line item property</option>
+                                    <option value="sku">SKU</option>
+                                    <option value="product_type">Product type</option>
+                                    <option value="order_total">Order total</option>
+                                    <option value="shipping_country">Shipping country</option>
+                                </select>
+                            </label>
+                            <label class="block text-sm text-gray-700" x-show="form.match_type === 'property'">Property name contains
+                                <input type="text" x-model="form.property_name" placeholder="e.g. charity (blank matches any property)" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            </label>
+                            <label class="block text-sm text-gray-700">Operator
+                                <select x-model="form.operator" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                    <option value="exists">has any value</option>
+                                    <option value="equals">equals</option>
+                                    <option value="contains">contains</option>
+                                    <option value="gte">is at least</option>
+                                    <option value="lte">is at most</option>
+                                </select>
+                            </label>
+                            <label class="block text-sm text-gray-700" x-show="form.operator !== 'exists'">Value
+                                <input type="text" x-model="form.match_value" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            </label>
+                            <label class="block text-sm text-gray-700">Tag template
+                                <input type="text" x-model="form.tag_template" placeholder="e.g. charity:{value}, font:{Select Font}" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg font-mono">
+                            </label>
+                            <label class="block text-sm text-gray-700">Position
+                                <input type="number" x-model="form.position" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            </label>
+                            <label class="flex items-center text-sm text-gray-700 mt-6">
+                                <input type="checkbox" x-model="form.enabled" class="mr-2"> Enabled
+                            </label>
+                            <div class="md:col-span-2 text-xs text-gray-500">
+                                <code>{value}</code> is the matched value. Any other <code>{Property Name}</code> is replaced with that line item property.
+                            </div>
+                            <div class="md:col-span-2 flex space-x-3">
+                                <button @click="saveRule()" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium">Save Rule</button>
+                                <button @click="form = null" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium">Cancel</button>
+                            </div>
+                        </div>
+                    </template>
+                </div>
+
+                <!-- Dry Run -->
+                <div class="bg-white rounded-lg shadow-sm p-6">
+                    <h2 class="text-xl font-semibold text-gray-900 mb-4">Dry Run</h2>
+                    <p class="text-sm text-gray-500 mb-4">Preview the tags the enabled rules would add, without changing the order.</p>
+                    <div class="flex items-center space-x-3 mb-4">
+                        <input type="text" x-model="dryRunOrderId" placeholder="Shopify order ID" class="px-3 py-2 border border-gray-300 rounded-lg w-64">
+                        <span class="text-sm text-gray-500">or paste an order payload below</span>
+                    </div>
+                    <textarea x-model="dryRunPayload" rows="6" placeholder='{"id": 123, "line_items": [...]}' class="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs mb-4"></textarea>
+                    <button @click="dryRun()" class="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm font-medium">
+                        <i class="fas fa-vial mr-2"></i>Run
+                    </button>
+                    <div class="mt-4 text-sm" x-show="dryRunResult">
+                        <p><span class="text-gray-500">Tags:</span> <span class="font-mono" x-text="dryRunResult ? (dryRunResult.tags.join(', ') || 'none') : ''"></span></p>
+                        <p><span class="text-gray-500">Would add:</span> <span class="font-mono" x-text="dryRunResult ? (dryRunResult.newTags.join(', ') || 'nothing') : ''"></span></p>
+                    </div>
+                </div>
+            </div>
+    `,
+    script: `
+            function rulesEditor() {
+                return {
+                    rules: [],
+                    form: null,
+                    dryRunOrderId: '',
+                    dryRunPayload: '',
+                    dryRunResult: null,
+
+                    async loadRules() {
+                        const response = await fetch('/api/rules');
+                        if (response.ok) {
+                            const data = await response.json();
+                            this.rules = data.rules;
+                        }
+                    },
+
+                    describeCondition(rule) {
+                        const subject = rule.match_type === 'property'
+                            ? 'Property "' + (rule.property_name || 'any') + '"'
+                            : rule.match_type.replace(/_/g, ' ');
+                        return rule.operator === 'exists'
+                            ? subject + ' has any value'
+                            : subject + ' ' + rule.operator + ' ' + rule.match_value;
+                    },
+
+                    newRule() {
+                        this.form = { name: '', match_type: 'property', property_name: '', operator: 'exists', match_value: '', tag_template: '', position: 0, enabled: true };
+                    },
+
+                    editRule(rule) {
+                        this.form = Object.assign({}, rule, { enabled: !!rule.enabled });
+                    },
+
+                    async saveRule() {
+                        const response = await fetch(this.form.id ? '/api/rules/' + this.form.id : '/api/rules', {
+                            method: this.form.id ? 'PUT' : 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(this.form)
+                        });
+                        const data = await response.json();
+                        if (!response.ok) {
+                            alert('Error: ' + data.error);
+                            return;
+                        }
+                        this.form = null;
+                        await this.loadRules();
+                    },
+
+                    async toggleRule(rule) {
+                        await fetch('/api/rules/' + rule.id, {
+                            method: 'PUT',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(Object.assign({}, rule, { enabled: !rule.enabled }))
+                        });
+                        await this.loadRules();
+                    },
+
+                    async deleteRule(rule) {
+                        if (!confirm('Delete rule "' + rule.name + '"?')) {
+                            return;
+                        }
+                        await fetch('/api/rules/' + rule.id, { method: 'DELETE' });
+                        await this.loadRules();
+                    },
+
+                    async dryRun() {
+                        let body;
+                        try {
+                            body = this.dryRunPayload.trim()
+                                ? { order: JSON.parse(this.dryRunPayload) }
+                                : { orderId: this.dryRunOrderId };
+                        } catch (error) {
+                            alert('Order payload is not valid JSON');
+                            return;
+                        }
+                        const response = await fetch('/api/rules/dry-run', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(body)
+                        });
+                        const data = await response.json();
+                        if (!response.ok) {
+                            alert('Error: ' + JSON.stringify(data.error));
+                            return;
+                        }
+                        this.dryRunResult = data;
+                    }
+                }
+            }
+    `
+  }));
+});
+
+// Charity registry and unmatched queue (protected)
+app.get('/dashboard/charities', requireAuth, (req, res) => {
+  res.send(renderAdminPage({
+    title: 'Charities',
+    subtitle: 'Canonical charity names, their aliases and values that need mapping',
+    body: `
+            <div x-data="charityRegistry()" x-init="load()" class="space-y-8">
+                <!-- Unmatched Queue -->
+                <div class="bg-white rounded-lg shadow-sm overflow-hidden" x-show="unmatched.length > 0">
+                    <div class="p-6 border-b border-gray-200">
+                        <h2 class="text-xl font-semibold text-gray-900">Unmatched Values</h2>
+                        <p class="text-sm text-gray-500 mt-1">Charity values from orders that did not match any charity. Map each one to a canonical charity.</p>
+                    </div>
+                    <table class="w-full">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Seen</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Order</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Map To</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            <template x-for="item in unmatched" :key="item.id">
+                                <tr>
+                                    <td class="px-6 py-4 text-sm font-medium text-gray-900" x-text="item.raw_value"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="item.occurrences + ' times'"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="item.last_order_id || '-'"></td>
+                                    <td class="px-6 py-4 text-sm">
+                                        <div class="flex items-center space-x-2">
+                                            <select x-model="item.mapTo" class="border border-gray-300 rounded-lg px-2 py-1 text-sm">
+                                                <option value="">Select charity...</option>
+                                                <template x-for="charity in charities.filter(c => c.active)" :key="charity.id">
+                                                    <option :value="charity.id" x-text="charity.name"></option>
+                                                </template>
+                                                <option value="__new">+ New charity with this name</option>
+                                            </select>
+                                            <button @click="mapUnmatched(item)" :disabled="!item.mapTo" class="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 text-white px-3 py-1 rounded text-sm">Map</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            </template>
+                        </tbody>
+                    </table>
+                </div>
+
+                <!-- Registry -->
+                <div class="bg-white rounded-lg shadow-sm overflow-hidden">
+                    <div class="p-6 border-b border-gray-200 flex items-center justify-between">
+                        <h2 class="text-xl font-semibold text-gray-900">Registry</h2>
+                        <div class="flex items-center space-x-2">
+                            <input type="text" x-model="newCharityName" placeholder="Canonical charity name" class="px-3 py-2 border border-gray-300 rounded-lg w-64">
+                            <button @click="addCharity()" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium flex items-center">
+                                <i class="fas fa-plus mr-2"></i>
+                                Add Charity
+                            </button>
+                        </div>
+                    </div>
+                    <table class="w-full">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Aliases</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Active</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            <template x-for="charity in charities" :key="charity.id">
+                                <tr>
+                                    <td class="px-6 py-4 text-sm font-medium text-gray-900" x-text="charity.name"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700">
+                                        <div class="flex flex-wrap items-center gap-2">
+                                            <template x-for="alias in charity.aliases" :key="alias.id">
+                                                <span class="bg-gray-100 rounded-full px-3 py-1 text-xs flex items-center">
+                                                    <span x-text="alias.alias"></span>
+                                                    <button @click="removeAlias(charity, alias)" class="ml-2 text-gray-400 hover:text-red-600"><i class="fas fa-times"></i></button>
+                                                </span>
+                                            </template>
+                                            <button @click="addAlias(charity)" class="text-blue-600 hover:text-blue-900 text-xs"><i class="fas fa-plus"></i> Alias</button>
+                                        </div>
+                                    </td>
+                                    <td class="px-6 py-4 text-sm">
+                                        <input type="checkbox" :checked="charity.active" @change="toggleActive(charity)">
+                                    </td>
+                                </tr>
+                            </template>
+                            <tr x-show="charities.length === 0">
+                                <td colspan="3" class="px-6 py-8 text-center text-sm text-gray-500">No charities registered yet</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+    `,
+    script: `
+            function charityRegistry() {
+                return {
+                    charities: [],
+                    unmatched: [],
+                    newCharityName: '',
+
+                    async load() {
+                        const [charitiesResponse, unmatchedResponse] = await Promise.all([
+                            fetch('/api/charities'),
+                            fetch('/api/charities/unmatched')
+                        ]);
+                        if (charitiesResponse.ok) {
+                            this.charities = (await charitiesResponse.json()).charities;
+                        }
+                        if (unmatchedResponse.ok) {
+                            this.unmatched = (await unmatchedResponse.json()).unmatched.map(item => Object.assign(item, { mapTo: '' }));
+                        }
+                    },
+
+                    async send(url, method, body) {
+                        const response = await fetch(url, {
+                            method,
+                            headers: { 'Content-Type': 'application/json' },
+                            body: body ? JSON.stringify(body) : undefined
+                        });
+                        if (!response.ok) {
+                            const error = await response.json();
+                            alert('Error: ' + error.error);
+                        }
+                        await this.load();
+                    },
+
+                    async addCharity() {
+                        if (!this.newCharityName.trim()) return;
+                        await this.send('/api/charities', 'POST', { name: this.newCharityName });
+                        this.newCharityName = '';
+                    },
+
+                    async addAlias(charity) {
+                        const alias = prompt('Alias for ' + charity.name);
+                        if (alias) {
+                            await this.send('/api/charities/' + charity.id + '/aliases', 'POST', { alias });
+                        }
+                    },
+
+                    async removeAlias(charity, alias) {
+                        await this.send('/api/charities/' + charity.id + '/aliases/' + alias.id, 'DELETE');
+                    },
+
+                    async toggleActive(charity) {
+                        await this.send('/api/charities/' + charity.id, 'PUT', { active: !charity.active });
+                    },
+
+                    async mapUnmatched(item) {
+                        const body = item.mapTo === '__new' ? { name: item.raw_value } : { charityId: item.mapTo };
+                        await this.send('/api/charities/unmatched/' + item.id + '/map', 'POST', body);
+                    }
+                }
+            }
+    `
+  }));
+});
+
+// Donation rates editor (protected)
+app.get('/dashboard/donation-rates', requireAuth, (req, res) => {
+  res.send(renderAdminPage({
+    title: 'Donation Rates',
+    subtitle: 'Set the percentage or fixed amount donated per charity, product and date range',
+    body: `
+            <div x-data="ratesEditor()" x-init="loadRates()" class="space-y-8">
+                <!-- Rates Table -->
+                <div class="bg-white rounded-lg shadow-sm overflow-hidden">
+                    <div class="p-6 border-b border-gray-200 flex items-center justify-between">
+                        <h2 class="text-xl font-semibold text-gray-900">Rates</h2>
+                        <button @click="newRate()" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium flex items-center">
+                            <i class="fas fa-plus mr-2"></i>
+                            Add Rate
+                        </button>
+                    </div>
+                    <table class="w-full">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Applies To</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Dates</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Donation</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Enabled</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            <template x-for="rate in rates" :key="rate.id">
+                                <tr>
+                                    <td class="px-6 py-4 text-sm font-medium text-gray-900" x-text="rate.name"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="(rate.charity || 'Any charity') + ' / ' + (rate.product || 'any product')"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="rate.starts_on || rate.ends_on ? (rate.starts_on || 'start') + ' to ' + (rate.ends_on || 'open') : 'Always'"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="describeRate(rate)"></td>
+                                    <td class="px-6 py-4 text-sm">
+                                        <input type="checkbox" :checked="rate.enabled" @change="toggleRate(rate)">
+                                    </td>
+                                    <td class="px-6 py-4 text-sm font-medium">
+                                        <button @click="editRate(rate)" class="text-blue-600 hover:text-blue-900 mr-3"><i class="fas fa-edit"></i> Edit</button>
+                                        <button @click="deleteRate(rate)" class="text-red-600 hover:text-red-900"><i class="fas fa-trash"></i> Delete</button>
+                                    </td>
+                                </tr>
+                            </template>
+                            <tr x-show="rates.length === 0">
+                                <td colspan="6" class="px-6 py-8 text-center text-sm text-gray-500">No donation rates configured - orders will not generate donations</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                    <div class="px-6 py-4 text-xs text-gray-500 border-t border-gray-200">
+                        Each line item uses the most specific enabled rate: product and charity, then product, then charity, then any.
+                        Ties go to the rate starting most recently. Amounts are worked out per line item in cents, rounded half up.
+                    </div>
+                </div>
+
+                <!-- Rate Form -->
+                <div class="bg-white rounded-lg shadow-sm p-6" x-show="form" style="display: none;">
+                    <h2 class="text-xl font-semibold text-gray-900 mb-4" x-text="form && form.id ? 'Edit Rate' : 'New Rate'"></h2>
+                    <template x-if="form">
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <label class="block text-sm text-gray-700">Name
+                                <input type="text" x-model="form.name" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            </label>
+                            <label class="block text-sm text-gray-700">Charity
+                                <input type="text" x-model="form.charity" placeholder="Canonical charity name (blank for any)" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            </label>
+                            <label class="block text-sm text-gray-700">Product
+                                <input type="text" x-model="form.product" placeholder="SKU or Shopify product ID (blank for any)" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            </label>
+                            <label class="block text-sm text-gray-700">Type
+                                <select x-model="form.rate_type" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                    <option value="percentage">Percentage</option>
+                                    <option value="fixed">Fixed amount per item</option>
+                                </select>
+                            </label>
+                            <label class="block text-sm text-gray-700" x-show="form.rate_type === 'percentage'">Percentage
+                                <input type="number" step="0.01" min="0" max="100" x-model="form.percentage" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            </label>
+                            <label class="block text-sm text-gray-700" x-show="form.rate_type === 'percentage'">Of
+                                <select x-model="form.basis" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                    <option value="subtotal">Subtotal</option>
+                                    <option value="subtotal_less_discounts">Subtotal minus discounts</option>
+                                    <option value="total">Order total (incl. shipping and tax)</option>
+                                </select>
+                            </label>
+                            <label class="block text-sm text-gray-700" x-show="form.rate_type === 'fixed'">Amount ($)
+                                <input type="number" step="0.01" min="0" x-model="form.fixed_amount" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            </label>
+                            <label class="block text-sm text-gray-700">Starts on
+                                <input type="date" x-model="form.starts_on" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            </label>
+                            <label class="block text-sm text-gray-700">Ends on
+                                <input type="date" x-model="form.ends_on" class="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            </label>
+                            <label class="flex items-center text-sm text-gray-700 mt-6">
+                                <input type="checkbox" x-model="form.enabled" class="mr-2"> Enabled
+                            </label>
+                            <div class="md:col-span-2 text-xs text-gray-500">
+                                Rates apply by order date. Changing a rate does not recalculate donations already in the ledger.
+                            </div>
+                            <div class="md:col-span-2 flex space-x-3">
+                                <button @click="saveRate()" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium">Save Rate</button>
+                                <button @click="form = null" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium">Cancel</button>
+                            </div>
+                        </div>
+                    </template>
+                </div>
+
+                <!-- Preview -->
+                <div class="bg-white rounded-lg shadow-sm p-6">
+                    <h2 class="text-xl font-semibold text-gray-900 mb-4">Preview</h2>
+                    <p class="text-sm text-gray-500 mb-4">See the donation the enabled rates give an order, without changing the ledger.</p>
+                    <div class="flex items-center space-x-3 mb-4">
+                        <input type="text" x-model="previewOrderId" placeholder="Shopify order ID" class="px-3 py-2 border border-gray-300 rounded-lg w-64">
+                        <span class="text-sm text-gray-500">or paste an order payload below</span>
+                    </div>
+                    <textarea x-model="previewPayload" rows="6" placeholder='{"id": 123, "line_items": [...]}' class="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs mb-4"></textarea>
+                    <button @click="preview()" class="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm font-medium">
+                        <i class="fas fa-calculator mr-2"></i>Calculate
+                    </button>
+                    <div class="mt-4 text-sm" x-show="previewResult">
+                        <p><span class="text-gray-500">Donation:</span> <span class="font-medium" x-text="previewResult ? '$' + previewResult.donationAmount : ''"></span></p>
+                        <template x-for="allocation in (previewResult ? previewResult.allocations : [])" :key="allocation.charity">
+                            <p class="text-gray-700" x-text="allocation.charity + ': $' + allocation.donationAmount + ' (' + allocation.percentage + '% of $' + allocation.grossAmount + ')'"></p>
+                        </template>
+                    </div>
+                </div>
+            </div>
+    `,
+    script: `
+            function ratesEditor() {
+                return {
+                    rates: [],
+                    form: null,
+                    previewOrderId: '',
+                    previewPayload: '',
+                    previewResult: null,
+
+                    async loadRates() {
+                        const response = await fetch('/api/donation-rates');
+                        if (response.ok) {
+                            const data = await response.json();
+                            this.rates = data.rates;
+                        }
+                    },
+
+                    describeRate(rate) {
+                        return rate.rate_type === 'fixed'
+                            ? '$' + rate.fixed_amount + ' per item'
+                            : rate.percentage + '% of ' + rate.basis.replace(/_/g, ' ');
+                    },
+
+                    newRate() {
+                        this.form = { name: '', charity: '', product: '', rate_type: 'percentage', percentage: 10, basis: 'total', fixed_amount: '', starts_on: '', ends_on: '', enabled: true };
+                    },
+
+                    editRate(rate) {
+                        this.form = Object.assign({}, rate, { enabled: !!rate.enabled });
+                    },
+
+                    async saveRate() {
+                        const response = await fetch(this.form.id ? '/api/donation-rates/' + this.form.id : '/api/donation-rates', {
+                            method: this.form.id ? 'PUT' : 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(this.form)
+                        });
+                        const data = await response.json();
+                        if (!response.ok) {
+                            alert('Error: ' + data.error);
+                            return;
+                        }
+                        this.form = null;
+                        await this.loadRates();
+                    },
+
+                    async toggleRate(rate) {
+                        await fetch('/api/donation-rates/' + rate.id, {
+                            method: 'PUT',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(Object.assign({}, rate, { enabled: !rate.enabled }))
+                        });
+                        await this.loadRates();
+                    },
+
+                    async deleteRate(rate) {
+                        if (!confirm('Delete rate "' + rate.name + '"?')) {
+                            return;
+                        }
+                        await fetch('/api/donation-rates/' + rate.id, { method: 'DELETE' });
+                        await this.loadRates();
+                    },
+
+                    async preview() {
+                        let body;
+                        try {
+                            body = this.previewPayload.trim()
+                                ? { order: JSON.parse(this.previewPayload) }
+                                : { orderId: this.previewOrderId };
+                        } catch (error) {
+                            alert('Order payload is not valid JSON');
+                            return;
+                        }
+                        const response = await fetch('/api/donation-rates/preview', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(body)
+                        });
+                        const data = await response.json();
+                        if (!response.ok) {
+                            alert('Error: ' + JSON.stringify(data.error));
+                            return;
+                        }
+                        this.previewResult = data;
+                    }
+                }
+            }
+    `
+  }));
+});
+
+// Donation ledger (protected)
+app.get('/dashboard/donations', requireAuth, (req, res) => {
+  res.send(renderAdminPage({
+    title: 'Donation Ledger',
+    subtitle: 'One row per order per charity, written by the fulfillment, cancellation and refund webhooks',
+    body: `
+            <div x-data="donationLedger()" x-init="load()" class="space-y-8">
+                <!-- Filters -->
+                <div class="bg-white rounded-lg shadow-sm p-6 flex flex-wrap items-end gap-4">
+                    <label class="text-sm text-gray-700">State
+                        <select x-model="filters.state" @change="search()" class="mt-1 block border border-gray-300 rounded-lg px-3 py-2">
+                            <option value="">All</option>
+                            <option value="pending">Pending</option>
+                            <option value="confirmed">Confirmed</option>
+                            <option value="voided">Voided</option>
+                            <option value="paid_out">Paid out</option>
+                        </select>
+                    </label>
+                    <label class="text-sm text-gray-700">Charity
+                        <input type="text" x-model="filters.charity" @input.debounce.500ms="search()" class="mt-1 block px-3 py-2 border border-gray-300 rounded-lg">
+                    </label>
+                    <label class="text-sm text-gray-700">Order
+                        <input type="text" x-model="filters.orderId" @input.debounce.500ms="search()" class="mt-1 block px-3 py-2 border border-gray-300 rounded-lg w-32">
+                    </label>
+                    <label class="text-sm text-gray-700">From
+                        <input type="date" x-model="filters.from" @change="search()" class="mt-1 block px-3 py-2 border border-gray-300 rounded-lg">
+                    </label>
+                    <label class="text-sm text-gray-700">To
+                        <input type="date" x-model="filters.to" @change="search()" class="mt-1 block px-3 py-2 border border-gray-300 rounded-lg">
+                    </label>
+                </div>
+
+                <!-- Totals -->
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <template x-for="total in totals" :key="total.state + total.currency">
+                        <div class="bg-white rounded-lg shadow-sm p-4">
+                            <div class="text-xs font-medium text-gray-500 uppercase tracking-wider" x-text="total.state.replace('_', ' ') + ' (' + total.count + ')'"></div>
+                            <div class="text-2xl font-bold text-gray-900" x-text="'$' + total.donationAmount + ' ' + (total.currency || '')"></div>
+                        </div>
+                    </template>
+                </div>
+
+                <!-- Ledger -->
+                <div class="bg-white rounded-lg shadow-sm overflow-hidden">
+                    <table class="w-full">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Charity</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Gross</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">%</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Donation</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">State</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Updated</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            <template x-for="row in donations" :key="row.id">
+                                <tr>
+                                    <td class="px-6 py-4 text-sm font-medium text-gray-900" x-text="'#' + row.order_number"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="row.charity"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="'$' + row.grossAmount"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="row.percentage"></td>
+                                    <td class="px-6 py-4 text-sm font-medium text-gray-900" x-text="'$' + row.donationAmount + ' ' + (row.currency || '')"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="row.state.replace('_', ' ')"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-500" x-text="row.updated_at"></td>
+                                </tr>
+                            </template>
+                            <tr x-show="donations.length === 0">
+                                <td colspan="7" class="px-6 py-8 text-center text-sm text-gray-500">No donations recorded</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                    <div class="px-6 py-4 border-t border-gray-200 flex items-center justify-between text-sm text-gray-500" x-show="totalPages > 1">
+                        <span x-text="'Page ' + page + ' of ' + totalPages"></span>
+                        <div class="space-x-1">
+                            <button @click="changePage(page - 1)" :disabled="page === 1" class="px-3 py-1 rounded border disabled:bg-gray-100 disabled:text-gray-400"><i class="fas fa-angle-left"></i></button>
+                            <button @click="changePage(page + 1)" :disabled="page === totalPages" class="px-3 py-1 rounded border disabled:bg-gray-100 disabled:text-gray-400"><i class="fas fa-angle-right"></i></button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+    `,
+    script: `
+            function donationLedger() {
+                return {
+                    donations: [],
+                    totals: [],
+                    filters: { state: '', charity: '', orderId: '', from: '', to: '' },
+                    page: 1,
+                    totalPages: 1,
+
+                    async load() {
+                        const params = new URLSearchParams(Object.assign({ page: this.page }, this.filters));
+                        const response = await fetch('/api/donations?' + params);
+                        if (response.ok) {
+                            const data = await response.json();
+                            this.donations = data.donations;
+                            this.totals = data.totals;
+                            this.totalPages = data.pagination.totalPages;
+                        }
+                    },
+
+                    async search() {
+                        this.page = 1;
+                        await this.load();
+                    },
+
+                    async changePage(page) {
+                        this.page = page;
+                        await this.load();
+                    }
+                }
+            }
+    `
+  }));
+});
+
+// Charity payout reports (protected)
+app.get('/dashboard/reports', requireAuth, (req, res) => {
+  res.send(renderAdminPage({
+    title: 'Charity Payouts',
+    subtitle: 'What each charity is owed for a period, with CSV export, statements and payout batches',
+    body: `
+            <div x-data="payoutReport()" x-init="load()" class="space-y-8">
+                <!-- Period -->
+                <div class="bg-white rounded-lg shadow-sm p-6 flex flex-wrap items-end gap-4">
+                    <label class="text-sm text-gray-700">From
+                        <input type="date" x-model="from" @change="load()" class="mt-1 block px-3 py-2 border border-gray-300 rounded-lg">
+                    </label>
+                    <label class="text-sm text-gray-700">To
+                        <input type="date" x-model="to" @change="load()" class="mt-1 block px-3 py-2 border border-gray-300 rounded-lg">
+                    </label>
+                    <a :href="'/api/reports/payouts.csv?' + query()" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium flex items-center">
+                        <i class="fas fa-file-csv mr-2"></i>
+                        Export CSV
+                    </a>
+                </div>
+
+                <!-- Per Charity -->
+                <div class="bg-white rounded-lg shadow-sm overflow-hidden">
+                    <table class="w-full">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Charity</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Orders</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Owed</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pending</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Paid Out</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            <template x-for="row in charities" :key="row.charity + row.currency">
+                                <tr>
+                                    <td class="px-6 py-4 text-sm font-medium text-gray-900" x-text="row.charity"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="row.order_count"></td>
+                                    <td class="px-6 py-4 text-sm font-medium text-gray-900" x-text="'$' + row.owedAmount + ' ' + (row.currency || '')"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="'$' + row.pendingAmount"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="'$' + row.paidOutAmount"></td>
+                                    <td class="px-6 py-4 text-sm font-medium whitespace-nowrap">
+                                        <a :href="'/api/reports/payouts.csv?' + query(row.charity)" class="text-blue-600 hover:text-blue-900 mr-3"><i class="fas fa-file-csv"></i> CSV</a>
+                                        <a :href="'/api/reports/payouts/statement.pdf?' + query(row.charity)" target="_blank" class="text-blue-600 hover:text-blue-900 mr-3"><i class="fas fa-file-pdf"></i> Statement</a>
+                                        <button x-show="row.owed_cents > 0" @click="markPaid(row)" class="text-green-600 hover:text-green-900"><i class="fas fa-check"></i> Mark Paid</button>
+                                    </td>
+                                </tr>
+                            </template>
+                            <tr x-show="charities.length === 0">
+                                <td colspan="6" class="px-6 py-8 text-center text-sm text-gray-500">No donations in this period</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+
+                <!-- Payout Batches -->
+                <div class="bg-white rounded-lg shadow-sm overflow-hidden">
+                    <div class="p-6 border-b border-gray-200">
+                        <h2 class="text-xl font-semibold text-gray-900">Payout Batches</h2>
+                    </div>
+                    <table class="w-full">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Batch</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Charity</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Export</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            <template x-for="batch in batches" :key="batch.id">
+                                <tr>
+                                    <td class="px-6 py-4 text-sm">
+                                        <div class="font-medium text-gray-900" x-text="'#' + batch.id"></div>
+                                        <div class="text-gray-500" x-text="batch.created_at + ' by ' + batch.created_by"></div>
+                                    </td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="batch.charity"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="(batch.period_from || 'start') + ' to ' + (batch.period_to || 'end')"></td>
+                                    <td class="px-6 py-4 text-sm font-medium text-gray-900" x-text="'$' + batch.totalAmount + ' (' + batch.donation_count + ' orders)'"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="batch.reference || '-'"></td>
+                                    <td class="px-6 py-4 text-sm font-medium whitespace-nowrap">
+                                        <a :href="'/api/reports/payouts.csv?batchId=' + batch.id" class="text-blue-600 hover:text-blue-900 mr-3"><i class="fas fa-file-csv"></i> CSV</a>
+                                        <a :href="'/api/reports/payouts/statement.pdf?batchId=' + batch.id" target="_blank" class="text-blue-600 hover:text-blue-900"><i class="fas fa-file-pdf"></i> Statement</a>
+                                    </td>
+                                </tr>
+                            </template>
+                            <tr x-show="batches.length === 0">
+                                <td colspan="6" class="px-6 py-8 text-center text-sm text-gray-500">No payouts recorded yet</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+    `,
+    script: `
+            function payoutReport() {
+                return {
+                    from: '',
+                    to: '',
+                    charities: [],
+                    batches: [],
+
+                    query(charity) {
+                        const params = new URLSearchParams();
+                        if (this.from) params.set('from', this.from);
+                        if (this.to) params.set('to', this.to);
+                        if (charity) params.set('charity', charity);
+                        return params.toString();
+                    },
+
+                    async load() {
+                        const response = await fetch('/api/reports/payouts?' + this.query());
+                        if (response.ok) {
+                            const data = await response.json();
+                            this.charities = data.charities;
+                            this.batches = data.batches;
+                        }
+                    },
+
+                    async markPaid(row) {
+                        const reference = prompt('Mark $' + row.owedAmount + ' owed to ' + row.charity + ' as paid out?\\nPayment reference (optional):');
+                        if (reference === null) {
+                            return;
+                        }
+                        const response = await fetch('/api/reports/payouts/mark-paid', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ charity: row.charity, from: this.from, to: this.to, reference })
+                        });
+                        const data = await response.json();
+                        if (!response.ok) {
+                            alert('Error: ' + data.error);
+                        }
+                        await this.load();
+                    }
+                }
+            }
+    `
+  }));
+});
+
+// Webhook job queue and dead-letter list (protected)
+app.get('/dashboard/jobs', requireAuth, (req, res) => {
+  res.send(renderAdminPage({
+    title: 'Webhook Jobs',
+    subtitle: 'Queued webhook work and jobs that failed after every retry',
+    body: `
+            <div x-data="jobQueue()" x-init="load(); loadReconciliation()" class="space-y-8">
+                <!-- Reconciliation -->
+                <div class="bg-white rounded-lg shadow-sm p-6">
+                    <div class="flex items-center justify-between">
+                        <div>
+                            <h2 class="text-lg font-semibold text-gray-900">Reconciliation</h2>
+                            <p class="text-sm text-gray-500" x-show="lastRun" x-text="lastRun ? 'Last run ' + lastRun.started_at + ' (' + lastRun.status + '): ' + lastRun.checked + ' orders checked, ' + lastRun.repaired + ' repaired, ' + lastRun.drift + ' unresolved' : ''"></p>
+                            <p class="text-sm text-red-700" x-show="lastRun && lastRun.error" x-text="lastRun ? lastRun.error : ''"></p>
+                        </div>
+                        <button @click="reconcile()" :disabled="reconciling" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+                            <i class="fas fa-sync-alt mr-2" :class="reconciling ? 'fa-spin' : ''"></i>Run Now
+                        </button>
+                    </div>
+                    <template x-for="alert in alerts" :key="alert.id">
+                        <div class="mt-4 border border-red-200 bg-red-50 rounded-lg p-4">
+                            <div class="flex items-center justify-between">
+                                <div class="text-sm font-medium text-red-800">
+                                    <i class="fas fa-exclamation-triangle mr-2"></i><span x-text="alert.summary"></span>
+                                    <span class="text-red-600 font-normal" x-text="' - ' + alert.created_at"></span>
+                                </div>
+                                <button @click="acknowledge(alert)" class="text-sm text-gray-600 hover:text-gray-900"><i class="fas fa-check mr-1"></i>Acknowledge</button>
+                            </div>
+                            <ul class="mt-2 text-sm text-red-700 list-disc list-inside">
+                                <template x-for="item in alert.details" :key="item.orderId + item.issue">
+                                    <li x-text="item.order + ': ' + item.issue"></li>
+                                </template>
+                            </ul>
+                        </div>
+                    </template>
+                </div>
+
+                <!-- Queue Summary -->
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <template x-for="status in ['pending', 'processing', 'completed', 'dead']" :key="status">
+                        <button @click="status !== 'processing' && selectStatus(status)" class="bg-white rounded-lg shadow-sm p-4 text-left" :class="selectedStatus === status ? 'ring-2 ring-blue-500' : ''">
+                            <div class="text-xs font-medium text-gray-500 uppercase tracking-wider" x-text="status === 'dead' ? 'Dead-letter' : status"></div>
+                            <div class="text-2xl font-bold text-gray-900" x-text="counts[status] || 0"></div>
+                        </button>
+                    </template>
+                </div>
+
+                <!-- Jobs -->
+                <div class="bg-white rounded-lg shadow-sm overflow-hidden">
+                    <table class="w-full">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Job</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Error</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            <template x-for="job in jobs" :key="job.id">
+                                <tr>
+                                    <td class="px-6 py-4 text-sm">
+                                        <div class="font-medium text-gray-900" x-text="'#' + job.id + ' ' + job.type"></div>
+                                        <div class="text-gray-500" x-text="job.updated_at"></div>
+                                    </td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="job.payload.order_number ? '#' + job.payload.order_number : (job.payload.order_id || job.payload.id)"></td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="job.attempts + ' / ' + job.max_attempts"></td>
+                                    <td class="px-6 py-4 text-sm text-red-700 font-mono break-all" x-text="job.last_error || '-'"></td>
+                                    <td class="px-6 py-4 text-sm font-medium whitespace-nowrap">
+                                        <button @click="selectedJob = job" class="text-blue-600 hover:text-blue-900 mr-3"><i class="fas fa-eye"></i> Payload</button>
+                                        <template x-if="job.status === 'dead'">
+                                            <span>
+                                                <button @click="replay(job)" class="text-green-600 hover:text-green-900 mr-3"><i class="fas fa-redo"></i> Replay</button>
+                                                <button @click="discard(job)" class="text-red-600 hover:text-red-900"><i class="fas fa-trash"></i> Discard</button>
+                                            </span>
+                                        </template>
+                                    </td>
+                                </tr>
+                            </template>
+                            <tr x-show="jobs.length === 0">
+                                <td colspan="5" class="px-6 py-8 text-center text-sm text-gray-500">No jobs</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+
+                <!-- Payload Modal -->
+                <div x-show="selectedJob" class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" style="display: none;">
+                    <div class="bg-white rounded-lg shadow-xl max-w-4xl w-full mx-4 max-h-screen overflow-y-auto p-6">
+                        <div class="flex items-center justify-between mb-4">
+                            <h3 class="text-lg font-semibold text-gray-900" x-text="selectedJob ? 'Job #' + selectedJob.id + ' payload' : ''"></h3>
+                            <button @click="selectedJob = null" class="text-gray-400 hover:text-gray-600"><i class="fas fa-times text-xl"></i></button>
+                        </div>
+                        <pre class="bg-gray-50 rounded-lg p-4 text-xs overflow-x-auto" x-text="selectedJob ? JSON.stringify(selectedJob.payload, null, 2) : ''"></pre>
+                    </div>
+                </div>
+            </div>
+    `,
+    script: `
+            function jobQueue() {
+                return {
+                    jobs: [],
+                    counts: {},
+                    selectedStatus: 'dead',
+                    selectedJob: null,
+                    lastRun: null,
+                    alerts: [],
+                    reconciling: false,
+
+                    async load() {
+                        const response = await fetch('/api/jobs?status=' + this.selectedStatus);
+                        if (response.ok) {
+                            const data = await response.json();
+                            this.jobs = data.jobs;
+                            this.counts = data.counts;
+                        }
+                    },
+
+                    async loadReconciliation() {
+                        const response = await fetch('/api/reconciliation');
+                        if (response.ok) {
+                            const data = await response.json();
+                            this.lastRun = data.runs[0] || null;
+                            this.alerts = data.alerts;
+                        }
+                    },
+
+                    async reconcile() {
+                        this.reconciling = true;
+                        const response = await fetch('/api/reconciliation/run', { method: 'POST' });
+                        if (!response.ok) {
+                            alert('Error: ' + (await response.json()).error);
+                        }
+                        this.reconciling = false;
+                        await Promise.all([this.load(), this.loadReconciliation()]);
+                    },
+
+                    async acknowledge(alert) {
+                        await fetch('/api/reconciliation/alerts/' + alert.id + '/acknowledge', { method: 'POST' });
+                        await this.loadReconciliation();
+                    },
+
+                    async selectStatus(status) {
+                        this.selectedStatus = status;
+                        await this.load();
+                    },
+
+                    async replay(job) {
+                        const response = await fetch('/api/jobs/' + job.id + '/replay', { method: 'POST' });
+                        if (!response.ok) {
+                            alert('Error: ' + (await response.json()).error);
+                        }
+                        await this.load();
+                    },
+
+                    async discard(job) {
+                        if (!confirm('Discard job #' + job.id + '? Its work will never be done.')) {
+                            return;
+                        }
+                        await fetch('/api/jobs/' + job.id, { method: 'DELETE' });
+                        await this.load();
+                    }
+                }
+            }
+    `
+  }));
+});
+
+// Webhook subscriptions compared with the topics this server handles (protected)
+app.get('/dashboard/webhooks', requireAuth, (req, res) => {
+  res.send(renderAdminPage({
+    title: 'Webhook Subscriptions',
+    subtitle: 'The topics Shopify sends to this server, and where it sends them',
+    body: `
+            <div x-data="webhookSubscriptions()" x-init="load()" class="space-y-8">
+                <div class="bg-white rounded-lg shadow-sm p-6 flex items-center justify-between">
+                    <div>
+                        <p class="text-sm text-gray-600">Syncing registers missing topics, points subscriptions at this server and removes duplicates and topics it no longer handles. API version and format problems are only flagged.</p>
+                        <p class="text-sm text-gray-500 mt-1">Webhooks added by hand in the Shopify admin do not appear here; delete them once their topics show as registered.</p>
+                        <p class="text-sm text-red-700 mt-1" x-show="error" x-text="error"></p>
+                    </div>
+                    <button @click="sync()" :disabled="syncing || !pending" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 whitespace-nowrap ml-6">
+                        <i class="fas fa-sync-alt mr-2" :class="syncing ? 'fa-spin' : ''"></i>Sync Webhooks
+                    </button>
+                </div>
+
+                <div class="bg-white rounded-lg shadow-sm overflow-hidden">
+                    <table class="w-full">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Topic</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Address</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">API Version</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            <template x-for="(item, index) in plan" :key="index">
+                                <tr>
+                                    <td class="px-6 py-4 text-sm font-medium text-gray-900" x-text="item.topic"></td>
+                                    <td class="px-6 py-4 text-sm">
+                                        <span class="px-2 py-1 rounded-full text-xs font-medium" :class="badgeClass(item)" x-text="item.status.replace('_', ' ')"></span>
+                                        <span class="ml-2 text-xs" :class="item.result === 'failed' ? 'text-red-700' : 'text-green-700'" x-show="item.result" x-text="item.result === 'failed' ? item.action + ' failed: ' + item.error : item.action + ' done'"></span>
+                                        <div class="text-xs text-gray-500 mt-1" x-text="statuses[item.status]"></div>
+                                        <template x-for="warning in item.warnings" :key="warning">
+                                            <div class="text-xs text-yellow-700 mt-1"><i class="fas fa-exclamation-triangle mr-1"></i><span x-text="warning"></span></div>
+                                        </template>
+                                    </td>
+                                    <td class="px-6 py-4 text-sm text-gray-700 font-mono break-all">
+                                        <div x-text="item.subscription ? (item.subscription.callbackUrl || item.subscription.endpointType) : '-'"></div>
+                                        <div class="text-xs text-gray-500" x-show="item.expectedUrl && (!item.subscription || item.subscription.callbackUrl !== item.expectedUrl)" x-text="'Expected ' + item.expectedUrl"></div>
+                                    </td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="item.subscription ? item.subscription.apiVersion : '-'"></td>
+                                </tr>
+                            </template>
+                            <tr x-show="plan.length === 0">
+                                <td colspan="4" class="px-6 py-8 text-center text-sm text-gray-500" x-text="loading ? 'Loading...' : 'No subscriptions'"></td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+    `,
+    script: `
+            function webhookSubscriptions() {
+                return {
+                    plan: [],
+                    statuses: {},
+                    error: null,
+                    loading: false,
+                    syncing: false,
+
+                    get pending() {
+                        return this.plan.some(item => item.action && item.result !== 'done');
+                    },
+
+                    async load() {
+                        this.loading = true;
+                        const response = await fetch('/api/webhooks/subscriptions');
+                        const data = await response.json();
+                        this.loading = false;
+                        if (!response.ok) {
+                            this.error = data.error;
+                            return;
+                        }
+                        this.error = null;
+                        this.plan = data.plan;
+                        this.statuses = data.statuses;
+                    },
+
+                    async sync() {
+                        if (!confirm('Register, update and remove webhook subscriptions as listed?')) {
+                            return;
+                        }
+                        this.syncing = true;
+                        const response = await fetch('/api/webhooks/subscriptions/sync', { method: 'POST' });
+                        const data = await response.json();
+                        this.syncing = false;
+                        if (!response.ok) {
+                            this.error = data.error;
+                            return;
+                        }
+                        this.error = data.success ? null : 'Some changes failed; see the rows below.';
+                        this.plan = data.plan;
+                    },
+
+                    badgeClass(item) {
+                        if (item.status === 'ok') {
+                            return item.warnings.length ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800';
+                        }
+                        return item.status === 'other' ? 'bg-gray-100 text-gray-800' : 'bg-red-100 text-red-800';
+                    }
+                }
+            }
+    `
+  }));
+});
+
+// Webhook event log with payload inspector and replay (protected)
+app.get('/dashboard/webhook-events', requireAuth, (req, res) => {
+  res.send(renderAdminPage({
+    title: 'Webhook Log',
+    subtitle: 'Every webhook delivery, how it was handled, and its payload with customer details redacted',
+    body: `
+            <div x-data="webhookLog()" x-init="load()" class="space-y-8">
+                <!-- Filters -->
+                <div class="bg-white rounded-lg shadow-sm p-6 flex flex-wrap items-end gap-4">
+                    <div>
+                        <label class="block text-xs font-medium text-gray-500 uppercase tracking-wider mb-1">Order or webhook id</label>
+                        <input type="text" x-model="search" @keydown.enter="page = 1; load()" placeholder="#1001" class="px-3 py-2 border border-gray-300 rounded-lg w-64">
+                    </div>
+                    <div>
+                        <label class="block text-xs font-medium text-gray-500 uppercase tracking-wider mb-1">Topic</label>
+                        <select x-model="topic" @change="page = 1; load()" class="px-3 py-2 border border-gray-300 rounded-lg">
+                            <option value="">All</option>
+                            <template x-for="name in topics" :key="name">
+                                <option :value="name" x-text="name"></option>
+                            </template>
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-xs font-medium text-gray-500 uppercase tracking-wider mb-1">Outcome</label>
+                        <select x-model="outcome" @change="page = 1; load()" class="px-3 py-2 border border-gray-300 rounded-lg">
+                            <option value="">All</option>
+                            <template x-for="name in outcomes" :key="name">
+                                <option :value="name" x-text="name"></option>
+                            </template>
+                        </select>
+                    </div>
+                    <button @click="page = 1; load()" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-700">
+                        <i class="fas fa-search mr-2"></i>Search
+                    </button>
+                </div>
+
+                <!-- Events -->
+                <div class="bg-white rounded-lg shadow-sm overflow-hidden">
+                    <table class="w-full">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Topic</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">HMAC</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Outcome</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Duration</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            <template x-for="event in events" :key="event.id">
+                                <tr>
+                                    <td class="px-6 py-4 text-sm">
+                                        <div class="text-gray-900" x-text="event.received_at"></div>
+                                        <div class="text-gray-500 text-xs font-mono" x-text="event.webhook_id || 'no webhook id'"></div>
+                                    </td>
+                                    <td class="px-6 py-4 text-sm">
+                                        <div class="text-gray-900" x-text="event.topic"></div>
+                                        <div class="text-gray-500 text-xs" x-text="event.shop_domain || ''"></div>
+                                    </td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="event.order_name || event.order_id || '-'"></td>
+                                    <td class="px-6 py-4 text-sm">
+                                        <span class="px-2 py-1 rounded-full text-xs font-medium" :class="event.hmac === 'valid' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'" x-text="event.hmac"></span>
+                                    </td>
+                                    <td class="px-6 py-4 text-sm">
+                                        <span class="px-2 py-1 rounded-full text-xs font-medium" :class="outcomeClass(event.outcome)" x-text="event.outcome"></span>
+                                        <div class="text-xs text-red-700 font-mono break-all mt-1" x-show="event.error" x-text="event.error"></div>
+                                    </td>
+                                    <td class="px-6 py-4 text-sm text-gray-700" x-text="event.duration_ms === null ? '-' : event.duration_ms + ' ms'"></td>
+                                    <td class="px-6 py-4 text-sm font-medium whitespace-nowrap">
+                                        <button @click="inspect(event)" class="text-blue-600 hover:text-blue-900"><i class="fas fa-eye"></i> Inspect</button>
+                                    </td>
+                                </tr>
+                            </template>
+                            <tr x-show="events.length === 0">
+                                <td colspan="7" class="px-6 py-8 text-center text-sm text-gray-500">No webhook events</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                    <div class="px-6 py-3 bg-gray-50 flex items-center justify-between text-sm text-gray-600">
+                        <span x-text="total + ' event' + (total === 1 ? '' : 's')"></span>
+                        <div class="space-x-2">
+                            <button @click="page--; load()" :disabled="page <= 1" class="px-3 py-1 border rounded disabled:opacity-50">Previous</button>
+                            <span x-text="'Page ' + page + ' of ' + Math.max(1, Math.ceil(total / pageSize))"></span>
+                            <button @click="page++; load()" :disabled="page * pageSize >= total" class="px-3 py-1 border rounded disabled:opacity-50">Next</button>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Event Modal -->
+                <div x-show="selected" class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" style="display: none;">
+                    <div class="bg-white rounded-lg shadow-xl max-w-4xl w-full mx-4 max-h-screen overflow-y-auto p-6">
+                        <div class="flex items-center justify-between mb-4">
+                            <h3 class="text-lg font-semibold text-gray-900" x-text="selected ? 'Event #' + selected.event.id + ' ' + selected.event.topic : ''"></h3>
+                            <button @click="selected = null" class="text-gray-400 hover:text-gray-600"><i class="fas fa-times text-xl"></i></button>
+                        </div>
+
+                        <div class="flex items-center space-x-3 mb-4" x-show="selected && selected.event.outcome !== 'rejected'">
+                            <button @click="replay(true)" :disabled="replaying" class="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg text-sm disabled:opacity-50">
+                                <i class="fas fa-vial mr-2"></i>Dry Run
+                            </button>
+                            <button @click="replay(false)" :disabled="replaying" class="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm disabled:opacity-50">
+                                <i class="fas fa-redo mr-2"></i>Replay
+                            </button>
+                            <span class="text-xs text-gray-500">Replays use the original payload while the job is kept, otherwise the order as it is now in Shopify.</span>
+                        </div>
+
+                        <template x-for="replay in (selected ? selected.replays : [])" :key="replay.id">
+                            <div class="mb-3 border rounded-lg p-3 text-sm" :class="replay.outcome === 'failed' ? 'border-red-200 bg-red-50' : 'border-gray-200 bg-gray-50'">
+                                <div class="font-medium text-gray-900" x-text="(replay.dry_run ? 'Dry run' : 'Replay') + ' ' + replay.outcome + ' - ' + replay.created_at + ' by ' + (replay.replayed_by || 'unknown') + ' (' + replay.payload_source + ' payload, ' + replay.duration_ms + ' ms)'"></div>
+                                <div class="text-red-700 font-mono break-all" x-show="replay.error" x-text="replay.error"></div>
+                                <ul class="mt-1 text-gray-700 list-disc list-inside">
+                                    <template x-for="action in replay.actions" :key="action">
+                                        <li x-text="action"></li>
+                                    </template>
+                                </ul>
+                            </div>
+                        </template>
+
+                        <pre class="bg-gray-50 rounded-lg p-4 text-xs overflow-x-auto" x-text="selected ? (selected.event.payload ? JSON.stringify(selected.event.payload, null, 2) : 'No payload') : ''"></pre>
+                    </div>
+                </div>
+            </div>
+    `,
+    script: `
+            function webhookLog() {
+                return {
+                    events: [],
+                    topics: [],
+                    outcomes: ['queued', 'processed', 'retrying', 'dead', 'duplicate', 'rejected', 'error'],
+                    total: 0,
+                    page: 1,
+                    pageSize: 50,
+                    search: '',
+                    topic: '',
+                    outcome: '',
+                    selected: null,
+                    replaying: false,
+
+                    async load() {
+                        const params = new URLSearchParams({ page: this.page, pageSize: this.pageSize, search: this.search, topic: this.topic, outcome: this.outcome });
+                        const response = await fetch('/api/webhook-events?' + params);
+                        if (response.ok) {
+                            const data = await response.json();
+                            this.events = data.events;
+                            this.total = data.total;
+                            this.topics = data.topics;
+                        }
+                    },
+
+                    async inspect(event) {
+                        const response = await fetch('/api/webhook-events/' + event.id);
+                        if (response.ok) {
+                            this.selected = await response.json();
+                        }
+                    },
+
+                    async replay(dryRun) {
+                        if (!dryRun && !confirm('Replay this webhook for real? Tags, ledger entries and emails not already done will be made.')) {
+                            return;
+                        }
+                        this.replaying = true;
+                        const response = await fetch('/api/webhook-events/' + this.selected.event.id + '/replay', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ dryRun })
+                        });
+                        if (!response.ok) {
+                            alert('Error: ' + (await response.json()).error);
+                        }
+                        this.replaying = false;
+                        await this.inspect(this.selected.event);
+                    },
+
+                    outcomeClass(outcome) {
+                        if (outcome === 'processed') return 'bg-green-100 text-green-800';
+                        if (['queued', 'received', 'retrying'].includes(outcome)) return 'bg-yellow-100 text-yellow-800';
+                        if (outcome === 'duplicate') return 'bg-gray-100 text-gray-800';
+                        return 'bg-red-100 text-red-800';
+                    }
+                }
+            }
+    `
+  }));
+});
+
+// API endpoint to get paginated orders from the local order index (protected)
+app.get('/api/orders', requireAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(parseInt(req.query.pageSize) || 25, 100);
+    const search = (req.query.search || '').trim();
+    const statusFilter = req.query.status || '';
+    const { from, to } = req.query;
+
+    const conditions = [];
+    const params = [];
+
+    // Search order number, customer and charity
+    if (search) {
+      const term = `%${search.replace(/^#/, '')}%`;
+      conditions.push('(order_number LIKE ? OR customer_name LIKE ? OR customer_email LIKE ? OR charity LIKE ?)');
+      params.push(term, term, term, term);
+    }
+    if (statusFilter) {
+      conditions.push('design_status = ?');
+      params.push(statusFilter);
+    }
+    if (from) {
+      const fromTimestamp = toUtcTimestamp(from);
+      if (!fromTimestamp) {
+        return res.status(400).json({ error: 'from must be a date, e.g. 2024-01-31' });
+      }
+      conditions.push('shopify_created_at >= ?');
+      params.push(fromTimestamp);
+    }
+    if (to) {
+      const toTimestamp = toUtcTimestamp(new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000));
+      if (!toTimestamp) {
+        return res.status(400).json({ error: 'to must be a date, e.g. 2024-01-31' });
+      }
+      conditions.push('shopify_created_at < ?');
+      params.push(toTimestamp);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = await dbGet(`SELECT COUNT(*) AS total FROM orders ${where}`, params);
+    const rows = await dbAll(
+      `SELECT * FROM orders ${where} ORDER BY shopify_created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+
+    const registry = await loadCharityRegistry();
+    const rates = await loadDonationRates({ enabledOnly: true });
+    const orders = await Promise.all(rows.map(async (row) => {
+      const order = JSON.parse(row.payload);
+      const charities = await getOrderCharities(order, registry);
+
+      return {
+        id: row.id,
+        orderNumber: row.order_number,
+        customerName: row.customer_name,
+        customerEmail: row.customer_email,
+        totalPrice: row.total_price,
+        createdAt: order.created_at,
+        properties: JSON.parse(row.properties || '{}'),
+        charityValue: row.charity,
+        charities: (await calculateDonation(order, charities, rates)).allocations,
+        status: row.design_status,
+        statusUpdatedAt: row.design_status_updated_at,
+        designComment: row.design_comment,
+        revision: row.design_revision,
+        sentAt: row.sent_at,
+        approveProOrderId: row.approvepro_order_id
+      };
+    }));
+
+    const totalPages = Math.ceil(total / pageSize);
+    console.log(`Returning page ${page}/${totalPages} with ${orders.length} of ${total} indexed orders`);
+
+    res.json({
+      orders,
+      pagination: {
+        currentPage: page,
+        pageSize: pageSize,
+        totalPages: totalPages,
+        totalOrders: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      },
+      filters: {
+        search: search,
+        status: statusFilter,
+        from: from || null,
+        to: to || null
+      }
+    });
+  } catch (error) {
+    console.error('Error querying order index:', error);
+    res.status(500).json({ error: 'Failed to load orders' });
+  }
+});
+
+// API endpoint for order sync progress (protected)
+app.get('/api/orders/sync', requireAuth, async (req, res) => {
+  try {
+    const runs = await dbAll('SELECT * FROM order_sync_runs ORDER BY id DESC LIMIT 10');
+    const { indexed } = await dbGet('SELECT COUNT(*) AS indexed FROM orders');
+
+    res.json({
+      running: runs[0]?.status === 'running',
+      checkpoint: await getOrderSyncCheckpoint(),
+      indexedOrders: indexed,
+      runs
+    });
+  } catch (error) {
+    console.error('Error loading order sync status:', error);
+    res.status(500).json({ error: 'Failed to load order sync status' });
+  }
+});
+
+// API endpoint to start an order sync in the background (protected)
+// Body: { full: true } walks the whole order history instead of changes since the checkpoint;
+// { bulk: true, tag } exports it with a bulk operation, optionally running the tagging rules.
+app.post('/api/orders/sync', requireAuth, async (req, res) => {
+  try {
+    const run = await beginOrderSyncRun({
+      mode: req.body.bulk ? 'bulk' : req.body.full ? 'full' : 'incremental',
+      tag: !!req.body.tag,
+      triggeredBy: req.session.username
+    });
+
+    walkOrderSyncRun(run).catch(error =>
+      console.error(`Order sync run ${run.id} failed:`, error.response?.data || error.message)
+    );
+
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('Error starting order sync:', error.response?.data || error.message);
+    res.status(error.statusCode || 500).json({ error: error.response?.data?.errors || error.message });
+  }
+});
+
+// Function to download and rename PDF. The temp file gets a random suffix,
+// so two downloads for the same order never write to the same file.
+async function downloadAndRenamePdf(originalUrl, newFilename) {
+  try {
+
+    // Create temp directory if it doesn't exist
+    const tempDir = path.join(__dirname, 'temp');
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
+    }
+
+    const { name, ext } = path.parse(newFilename);
+    const tempFilePath = path.join(tempDir, `${name}-${crypto.randomBytes(6).toString('hex')}${ext}`);
+    await downloadToFile(originalUrl, tempFilePath, APPROVEPRO_CONFIG.proofDownloadTimeout);
+
+    console.log(`PDF downloaded and renamed to ${path.basename(tempFilePath)}`);
+    return tempFilePath;
+  } catch (error) {
+    console.error('Error downloading/renaming PDF:', error.message);
+    throw error;
+  }
+}
+
+// Keep a proof as a versioned file under public/proofs, so earlier versions
+// stay available after a new one is sent. The file keeps the order id as its
+// name (what the customer sees in ApprovePro); the random part of the
+// directory stops proof URLs being guessed from order ids.
+function storeProofVersion(localFilePath, orderId, version) {
+  if (!APPROVEPRO_CONFIG.publicBaseUrl) {
+    const error = new Error('PUBLIC_BASE_URL is not set, so ApprovePro cannot be given a link to the proof');
+    error.statusCode = 500;
+    throw error;
+  }
+
+  const filePath = path.posix.join('proofs', String(orderId), `v${version}-${crypto.randomBytes(6).toString('hex')}`, `${orderId}.pdf`);
+  const publicFilePath = path.join(__dirname, 'public', filePath);
+  fs.mkdirSync(path.dirname(publicFilePath), { recursive: true });
+  fs.copyFileSync(localFilePath, publicFilePath);
+
+  const publicUrl = `${APPROVEPRO_CONFIG.publicBaseUrl.replace(/\/+$/, '')}/public/${filePath}`;
+  console.log(`Proof v${version} of order ${orderId} available at: ${publicUrl}`);
+  return { filePath, publicUrl };
+}
+
+// Orders this process is sending a proof for right now
+const proofSendsInFlight = new Set();
+
+// Download an order's design file, store it as the order's next proof
+// version and send it to the customer. If ApprovePro answers with a 4xx the
+// stored file is removed again; after a timeout or 5xx it is kept, since
+// ApprovePro may still have created the design. Only one proof per order is
+// sent at a time; a second send while one is in flight is refused with a 409.
+async function sendProof(orderId, sourceUrl, options = {}) {
+  const key = String(orderId);
+  if (proofSendsInFlight.has(key)) {
+    const error = new Error('A design is already being sent for this order');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  proofSendsInFlight.add(key);
+  try {
+    return await sendProofVersion(orderId, sourceUrl, options);
+  } finally {
+    proofSendsInFlight.delete(key);
+  }
+}
+
+async function sendProofVersion(orderId, sourceUrl, { comment = '', sentBy = null } = {}) {
+  const order = await getIndexedOrder(orderId);
+  if (!order) {
+    const error = new Error('Order not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const version = order.design_revision + 1;
+  console.log(`Processing design v${version} for order ${order.id}...`);
+
+  // Download and rename PDF with order ID
+  const localFilePath = await downloadAndRenamePdf(sourceUrl, `${order.id}-v${version}.pdf`);
+  let proof;
+  try {
+    proof = storeProofVersion(localFilePath, order.id, version);
+  } finally {
+    // Clean up temporary files
+    try {
+      fs.unlinkSync(localFilePath);
+    } catch (cleanupError) {
+      console.warn('Could not clean up temp file:', cleanupError.message);
+    }
+  }
+
+  try {
+    return await sendDesignToCustomer(order.id, proof.publicUrl, { comment, sentBy, filePath: proof.filePath, sourceUrl });
+  } catch (error) {
+    if (error instanceof approveProClient.ApproveProError && error.status >= 400 && error.status < 500) {
+      fs.rmSync(path.dirname(path.join(__dirname, 'public', proof.filePath)), { recursive: true, force: true });
+    }
+    throw error;
+  }
+}
+
+// API endpoint to send design to customer (protected)
+app.post('/api/orders/:orderId/send-to-customer', requireAuth, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { pdfUrl, comment } = req.body;
+
+    if (!pdfUrl) {
+      return res.status(400).json({ error: 'PDF URL is required' });
+    }
+
+    if (!APPROVEPRO_CONFIG.apiKey) {
+      return res.status(500).json({ error: 'ApprovePro API key not configured' });
+    }
+
+    const order = await getIndexedOrder(orderId);
+    const blocker = getSendBlocker(order);
+    if (blocker) {
+      return res.status(order ? 409 : 404).json({ error: blocker });
+    }
+    const sending = await dbGet(
+      `SELECT i.batch_id FROM design_send_items i JOIN design_send_batches b ON b.id = i.batch_id
+       WHERE i.order_id = ? AND i.status = 'sending' AND b.status = 'running'`,
+      [order.id]
+    );
+    if (sending) {
+      return res.status(409).json({ error: `Already being sent by bulk send ${sending.batch_id}` });
+    }
+
+    const design = await sendProof(orderId, pdfUrl, { comment, sentBy: req.session.username });
+    res.json({ success: true, message: 'Design sent to customer successfully', data: design });
+  } catch (error) {
+    console.error('Error sending design to customer:', error.message);
+    res.status(approveProErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Why an order can't be sent to the customer right now, or null if it can
+function getSendBlocker(order) {
+  if (!order) {
+    return 'Order not found';
+  }
+  if (!JSON.parse(order.properties || '{}')['_customily-production-url']) {
+    return 'No design file (_customily-production-url) on the order';
+  }
+  if (!designRevisions.SENDABLE_STATUSES.includes(order.design_status)) {
+    return `Design is ${order.design_status}`;
+  }
+  return null;
+}
+
+// Recount a bulk send batch's items, and finish it once none are left to send
+async function updateDesignSendBatch(batchId) {
+  await dbRun(
+    `UPDATE design_send_batches SET
+       sent = (SELECT COUNT(*) FROM design_send_items WHERE batch_id = design_send_batches.id AND status = 'sent'),
+       failed = (SELECT COUNT(*) FROM design_send_items WHERE batch_id = design_send_batches.id AND status = 'failed'),
+       skipped = (SELECT COUNT(*) FROM design_send_items WHERE batch_id = design_send_batches.id AND status = 'skipped')
+     WHERE id = ?`,
+    [batchId]
+  );
+  await dbRun(
+    `UPDATE design_send_batches SET status = 'completed', finished_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'running'
+       AND NOT EXISTS (SELECT 1 FROM design_send_items WHERE batch_id = ? AND status IN ('queued', 'sending'))`,
+    [batchId, batchId]
+  );
+}
+
+// Set a bulk send item's outcome
+async function setDesignSendItem(item, status, { error = null, revision = null } = {}) {
+  await dbRun(
+    'UPDATE design_send_items SET status = ?, error = ?, revision = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [status, error, revision, item.id]
+  );
+  await updateDesignSendBatch(item.batch_id);
+}
+
+// Queue a bulk send for the selected orders. Orders that can't be sent (no
+// design file, already sent, already queued) are recorded as skipped with the
+// reason, so every selected order shows up in the batch.
+async function createDesignSendBatch(orderIds, { comment = '', createdBy = null } = {}) {
+  if (!APPROVEPRO_CONFIG.apiKey) {
+    throw new Error('ApprovePro API key not configured');
+  }
+  if (!Array.isArray(orderIds) || orderIds.length === 0) {
+    const error = new Error('orderIds must be a non-empty array');
+    error.statusCode = 400;
+    throw error;
+  }
+  const uniqueIds = [...new Set(orderIds.map(String))];
+  if (uniqueIds.length > BULK_SEND_CONFIG.maxOrders) {
+    const error = new Error(`At most ${BULK_SEND_CONFIG.maxOrders} orders can be sent at once`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const batch = await dbRun(
+    'INSERT INTO design_send_batches (comment, total, created_by) VALUES (?, ?, ?)',
+    [comment || null, uniqueIds.length, createdBy]
+  );
+  for (const orderId of uniqueIds) {
+    const order = await getIndexedOrder(orderId);
+    let blocker = getSendBlocker(order);
+    if (!blocker) {
+      const queued = await dbGet(
+        `SELECT i.batch_id FROM design_send_items i JOIN design_send_batches b ON b.id = i.batch_id
+         WHERE i.order_id = ? AND i.status IN ('queued', 'sending') AND b.status = 'running' AND b.id != ?`,
+        [orderId, batch.lastID]
+      );
+      blocker = queued ? `Already queued in bulk send ${queued.batch_id}` : null;
+    }
+    await dbRun(
+      'INSERT INTO design_send_items (batch_id, order_id, order_number, status, error) VALUES (?, ?, ?, ?, ?)',
+      [batch.lastID, orderId, order?.order_number || null, blocker ? 'skipped' : 'queued', blocker]
+    );
+  }
+  await updateDesignSendBatch(batch.lastID);
+
+  console.log(`Queued bulk send ${batch.lastID} of ${uniqueIds.length} orders by ${createdBy}`);
+  return getDesignSendBatch(batch.lastID);
+}
+
+// A bulk send batch and its items, or null
+async function getDesignSendBatch(batchId) {
+  const batch = await dbGet('SELECT * FROM design_send_batches WHERE id = ?', [batchId]);
+  if (!batch) {
+    return null;
+  }
+  batch.items = await dbAll('SELECT * FROM design_send_items WHERE batch_id = ? ORDER BY id', [batch.id]);
+  return batch;
+}
+
+// Whether this process is currently working through bulk sends
+let designSendActive = false;
+
+// Send every queued bulk send item, oldest batch first, one order at a time.
+// Each order's outcome is stored; one failure doesn't stop the batch.
+async function processDesignSends() {
+  if (designSendActive) {
+    return;
+  }
+
+  designSendActive = true;
+  try {
+    let item;
+    while ((item = await dbGet(
+      `SELECT i.*, b.comment, b.created_by FROM design_send_items i JOIN design_send_batches b ON b.id = i.batch_id
+       WHERE i.status = 'queued' AND b.status = 'running' ORDER BY i.batch_id, i.id LIMIT 1`
+    ))) {
+      await setDesignSendItem(item, 'sending');
+
+      // The order may have been sent from the order modal since it was queued
+      const order = await getIndexedOrder(item.order_id);
+      const blocker = getSendBlocker(order);
+      if (blocker) {
+        await setDesignSendItem(item, 'skipped', { error: blocker });
+        continue;
+      }
+
+      try {
+        const design = await sendProof(order.id, JSON.parse(order.properties)['_customily-production-url'], {
+          comment: item.comment || '',
+          sentBy: item.created_by
+        });
+        await setDesignSendItem(item, 'sent', { revision: design.revision });
+      } catch (error) {
+        console.error(`Bulk send ${item.batch_id}: failed to send order ${item.order_id}:`, error.message);
+        await setDesignSendItem(item, 'failed', { error: error.message });
+      }
+
+      if (BULK_SEND_CONFIG.throttleMs > 0) {
+        await sleep(BULK_SEND_CONFIG.throttleMs);
+      }
+    }
+  } catch (error) {
+    console.error('Bulk send worker error:', error);
+  } finally {
+    designSendActive = false;
+  }
+}
+
+// Pick up bulk sends left running by a restart. An order that was mid-send
+// may already be in ApprovePro, so it's marked failed rather than sent twice.
+async function startDesignSendWorker() {
+  const interrupted = await dbAll(`SELECT * FROM design_send_items WHERE status = 'sending'`);
+  for (const item of interrupted) {
+    await setDesignSendItem(item, 'failed', {
+      error: 'Interrupted by a server restart while sending; check ApprovePro before sending it again'
+    });
+  }
+
+  const pending = await dbGet(`SELECT COUNT(*) AS count FROM design_send_items WHERE status = 'queued'`);
+  if (pending.count > 0) {
+    console.log(`Resuming bulk sends: ${pending.count} orders queued`);
+  }
+
+  // Also catches a batch queued just as the worker was finishing
+  setInterval(processDesignSends, JOB_QUEUE_CONFIG.pollInterval);
+  processDesignSends();
+}
+
+// API endpoint to queue a bulk send to customer for selected orders (protected)
+// Body: { orderIds: ['123', ...], comment }
+app.post('/api/design-sends', requireAuth, async (req, res) => {
+  try {
+    const batch = await createDesignSendBatch(req.body.orderIds, {
+      comment: typeof req.body.comment === 'string' ? req.body.comment.trim() : '',
+      createdBy: req.session.username
+    });
+    processDesignSends();
+    res.json({ success: true, batch });
+  } catch (error) {
+    console.error('Error queuing bulk send:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// API endpoint to list recent bulk sends (protected)
+app.get('/api/design-sends', requireAuth, async (req, res) => {
+  try {
+    const batches = await dbAll('SELECT * FROM design_send_batches ORDER BY id DESC LIMIT 20');
+    res.json({ batches });
+  } catch (error) {
+    console.error('Error loading bulk sends:', error);
+    res.status(500).json({ error: 'Failed to load bulk sends' });
+  }
+});
+
+// API endpoint for a bulk send's progress and per-order outcomes (protected)
+app.get('/api/design-sends/:batchId', requireAuth, async (req, res) => {
+  try {
+    const batch = await getDesignSendBatch(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ error: 'Bulk send not found' });
+    }
+    res.json({ batch });
+  } catch (error) {
+    console.error('Error loading bulk send:', error);
+    res.status(500).json({ error: 'Failed to load bulk send' });
+  }
+});
+
+// API endpoint to cancel the orders a bulk send hasn't reached yet (protected)
+app.post('/api/design-sends/:batchId/cancel', requireAuth, async (req, res) => {
+  try {
+    const batch = await dbGet('SELECT * FROM design_send_batches WHERE id = ?', [req.params.batchId]);
+    if (!batch) {
+      return res.status(404).json({ error: 'Bulk send not found' });
+    }
+    if (batch.status !== 'running') {
+      return res.status(409).json({ error: `Bulk send is already ${batch.status}` });
+    }
+
+    await dbRun(
+      `UPDATE design_send_items SET status = 'skipped', error = ?, updated_at = CURRENT_TIMESTAMP WHERE batch_id = ? AND status = 'queued'`,
+      [`Cancelled by ${req.session.username}`, batch.id]
+    );
+    await dbRun(`UPDATE design_send_batches SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP WHERE id = ?`, [batch.id]);
+    await updateDesignSendBatch(batch.id);
+    console.log(`Bulk send ${batch.id} cancelled by ${req.session.username}`);
+    res.json({ success: true, batch: await getDesignSendBatch(batch.id) });
+  } catch (error) {
+    console.error('Error cancelling bulk send:', error);
+    res.status(500).json({ error: 'Failed to cancel bulk send' });
+  }
+});
+
+// API endpoint to reject an order's design with a reason code (protected)
+app.post('/api/orders/:orderId/reject', requireAuth, async (req, res) => {
+  try {
+    const rejection = designRevisions.parseRejection(req.body);
+    const result = await rejectDesign(req.params.orderId, rejection, req.session.username);
+    res.json({ success: true, message: 'Design rejected; a new revision is needed', ...result });
+  } catch (error) {
+    console.error('Error rejecting design:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// API endpoint to get an order's design revision history (protected)
+app.get('/api/orders/:orderId/revisions', requireAuth, async (req, res) => {
+  try {
+    const order = await getIndexedOrder(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({ revision: order.design_revision, revisions: await getDesignRevisions(order.id) });
+  } catch (error) {
+    console.error('Error getting design revisions:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// API endpoint to resync one order's design status from ApprovePro (protected)
+app.post('/api/orders/:orderId/design-status/refresh', requireAuth, async (req, res) => {
+  try {
+    if (!APPROVEPRO_CONFIG.apiKey) {
+      return res.status(500).json({ error: 'ApprovePro API key not configured' });
+    }
+
+    const order = await getIndexedOrder(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const status = await approvePro.getDesignStatus(order.approvepro_order_id || order.id);
+    await setOrderDesignStatus(order.id, status);
+    console.log(`Design status of order ${order.id} refreshed from ApprovePro by ${req.session.username}: ${status}`);
+    res.json({ success: true, status });
+  } catch (error) {
+    console.error('Error refreshing design status:', error.message);
+    res.status(approveProErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Apply an ApprovePro event to the stored design status. Events older than
+// the order's last status change (delivered out of order) are recorded only.
+async function applyDesignEvent(event, payload) {
+  const order = await dbGet(
+    'SELECT id, design_status, design_status_updated_at FROM orders WHERE approvepro_order_id = ? OR id = ? LIMIT 1',
+    [event.orderId, event.orderId]
+  );
+
+  const inserted = await dbRun(
+    `INSERT OR IGNORE INTO design_events (event_id, event_type, approvepro_order_id, order_id, design_id, status, comment, author, occurred_at, payload)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [event.eventId, event.type, event.orderId, order?.id || null, event.designId, event.status, event.comment, event.author, event.occurredAt, JSON.stringify(payload)]
+  );
+  if (inserted.changes === 0) {
+    return { duplicate: true };
+  }
+  if (!order) {
+    console.warn(`ApprovePro ${event.type} for unknown order ${event.orderId}; recorded only`);
+    return { matched: false };
+  }
+  if (order.design_status_updated_at && event.occurredAt < order.design_status_updated_at) {
+    console.log(`ApprovePro ${event.type} for order ${order.id} is older than its current status; recorded only`);
+    return { matched: true, updated: false, status: order.design_status };
+  }
+
+  const status = approveProEvents.nextDesignStatus(order.design_status, event);
+  await dbRun(
+    'UPDATE orders SET design_status = ?, design_status_updated_at = ?, design_comment = COALESCE(?, design_comment) WHERE id = ?',
+    [status, event.occurredAt, event.comment, order.id]
+  );
+  if (designRevisions.REVISION_ACTIONS.includes(event.action)) {
+    await recordDesignRevision(order.id, event.action, {
+      source: 'approvepro',
+      designId: event.designId,
+      comment: event.comment,
+      actor: event.author || 'customer',
+      createdAt: event.occurredAt
+    });
+  }
+  console.log(`Design status of order ${order.id} is now ${status} (ApprovePro ${event.type})`);
+  return { matched: true, updated: true, status };
+}
+
+// Webhook endpoint for ApprovePro proof events (signed with APPROVEPRO_WEBHOOK_SECRET)
+app.post('/approvepro/webhook', async (req, res) => {
+  try {
+    if (!APPROVEPRO_CONFIG.webhookSecret) {
+      console.error('ApprovePro webhook rejected: APPROVEPRO_WEBHOOK_SECRET is not set');
+      return res.status(500).json({ error: 'Webhook verification unavailable' });
+    }
+    if (!approveProEvents.verifySignature(req.body, req.get('X-ApprovePro-Signature'), APPROVEPRO_CONFIG.webhookSecret)) {
+      console.error('ApprovePro webhook rejected: signature does not match');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // A signed body that isn't JSON or isn't an event we understand is the
+    // sender's mistake, so it gets a 400 rather than a 500
+    let payload;
+    let event;
+    try {
+      payload = JSON.parse(req.body);
+      event = approveProEvents.parseEvent(payload);
+    } catch (error) {
+      console.warn(`ApprovePro webhook ignored: ${error.message}`);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const result = await applyDesignEvent(event, payload);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error processing ApprovePro webhook:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// API endpoint to list tagging rules (protected)
+app.get('/api/rules', requireAuth, async (req, res) => {
+  try {
+    const rules = await loadTaggingRules();
+    res.json({
+      rules,
+      matchTypes: taggingRules.MATCH_TYPES,
+      operators: taggingRules.OPERATORS
+    });
+  } catch (error) {
+    console.error('Error loading tagging rules:', error);
+    res.status(500).json({ error: 'Failed to load tagging rules' });
+  }
+});
+
+// API endpoint to create a tagging rule (protected)
+app.post('/api/rules', requireAuth, async (req, res) => {
+  try {
+    const rule = parseRuleInput(req.body);
+    const validationError = taggingRules.validateRule(rule);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await dbRun(
+      `INSERT INTO tagging_rules (name, match_type, property_name, operator, match_value, tag_template, enabled, position)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [rule.name, rule.match_type, rule.property_name, rule.operator, rule.match_value, rule.tag_template, rule.enabled, rule.position]
+    );
+
+    console.log(`Tagging rule created: ${rule.name}`);
+    res.json({ success: true, rule: await dbGet('SELECT * FROM tagging_rules WHERE id = ?', [result.lastID]) });
+  } catch (error) {
+    console.error('Error creating tagging rule:', error);
+    res.status(500).json({ error: 'Failed to create tagging rule' });
+  }
+});
+
+// API endpoint to update a tagging rule (protected)
+app.put('/api/rules/:ruleId', requireAuth, async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const rule = parseRuleInput(req.body);
+    const validationError = taggingRules.validateRule(rule);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await dbRun(
+      `UPDATE tagging_rules
+       SET name = ?, match_type = ?, property_name = ?, operator = ?, match_value = ?, tag_template = ?, enabled = ?, position = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [rule.name, rule.match_type, rule.property_name, rule.operator, rule.match_value, rule.tag_template, rule.enabled, rule.position, ruleId]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    console.log(`Tagging rule ${ruleId} updated`);
+    res.json({ success: true, rule: await dbGet('SELECT * FROM tagging_rules WHERE id = ?', [ruleId]) });
+  } catch (error) {
+    console.error('Error updating tagging rule:', error);
+    res.status(500).json({ error: 'Failed to update tagging rule' });
+  }
+});
+
+// API endpoint to delete a tagging rule (protected)
+app.delete('/api/rules/:ruleId', requireAuth, async (req, res) => {
+  try {
+    const result = await dbRun('DELETE FROM tagging_rules WHERE id = ?', [req.params.ruleId]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    console.log(`Tagging rule ${req.params.ruleId} deleted`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting tagging rule:', error);
+    res.status(500).json({ error: 'Failed to delete tagging rule' });
+  }
+});
+
+// API endpoint to preview the tags the current rules would add (protected)
+// Accepts either a raw Shopify order payload or a Shopify order ID to fetch.
+app.post('/api/rules/dry-run', requireAuth, async (req, res) => {
+  try {
+    let order = req.body.order;
+
+    if (!order && req.body.orderId) {
+      order = await fetchShopifyOrder(req.body.orderId);
+    }
+
+    if (!order) {
+      return res.status(400).json({ error: 'An order payload or orderId is required' });
+    }
+
+    const { tags, matches } = await getTagsForOrder(order);
+    const existingTags = parseTags(order.tags);
+
+    res.json({
+      orderId: order.id,
+      existingTags,
+      tags,
+      newTags: tags.filter(tag => !hasTag(existingTags, tag)),
+      matches
+    });
+  } catch (error) {
+    console.error('Error running tagging rules dry run:', error.response?.data || error.message);
+    res.status(500).json({ error: error.response?.data?.errors || error.message });
+  }
+});
+
+// Add an alias to a charity, returning false if it is already taken
+async function addCharityAlias(charityId, alias) {
+  const normalized = charityRegistry.normalizeCharityName(alias);
+  if (!normalized) {
+    return false;
+  }
+
+  const result = await dbRun(
+    'INSERT OR IGNORE INTO charity_aliases (charity_id, alias, normalized) VALUES (?, ?, ?)',
+    [charityId, alias.trim(), normalized]
+  );
+  return result.changes > 0;
+}
+
+// Close queued values that match the registry after it has changed
+async function resolveUnmatchedCharities() {
+  const registry = await loadCharityRegistry();
+  const pending = await dbAll('SELECT * FROM unmatched_charities WHERE resolved_charity_id IS NULL');
+
+  for (const item of pending) {
+    const match = charityRegistry.matchCharity(registry, item.raw_value);
+    if (match) {
+      await dbRun('UPDATE unmatched_charities SET resolved_charity_id = ? WHERE id = ?', [match.charity.id, item.id]);
+    }
+  }
+}
+
+// API endpoint to list the charity registry (protected)
+app.get('/api/charities', requireAuth, async (req, res) => {
+  try {
+    const charities = await dbAll('SELECT * FROM charities ORDER BY name');
+    const aliases = await dbAll('SELECT id, charity_id, alias FROM charity_aliases ORDER BY alias');
+
+    res.json({
+      charities: charities.map(charity => ({
+        ...charity,
+        active: !!charity.active,
+        aliases: aliases.filter(alias => alias.charity_id === charity.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Error loading charities:', error);
+    res.status(500).json({ error: 'Failed to load charities' });
+  }
+});
+
+// API endpoint to add a canonical charity (protected)
+app.post('/api/charities', requireAuth, async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Charity name is required' });
+    }
+
+    const existing = charityRegistry.matchCharity(await loadCharityRegistry(), name);
+    if (existing && existing.method === 'exact') {
+      return res.status(409).json({ error: `"${name}" already matches ${existing.charity.name}` });
+    }
+
+    const result = await dbRun('INSERT INTO charities (name) VALUES (?)', [name]);
+    for (const alias of req.body.aliases || []) {
+      await addCharityAlias(result.lastID, alias);
+    }
+    await resolveUnmatchedCharities();
+
+    console.log(`Charity created: ${name}`);
+    res.json({ success: true, charity: await dbGet('SELECT * FROM charities WHERE id = ?', [result.lastID]) });
+  } catch (error) {
+    console.error('Error creating charity:', error);
+    res.status(500).json({ error: 'Failed to create charity' });
+  }
+});
+
+// API endpoint to rename or (de)activate a charity (protected)
+app.put('/api/charities/:charityId', requireAuth, async (req, res) => {
+  try {
+    const { charityId } = req.params;
+    const charity = await dbGet('SELECT * FROM charities WHERE id = ?', [charityId]);
+    if (!charity) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+
+    const name = req.body.name !== undefined ? String(req.body.name).trim() : charity.name;
+    const active = req.body.active !== undefined ? (req.body.active ? 1 : 0) : charity.active;
+    if (!name) {
+      return res.status(400).json({ error: 'Charity name is required' });
+    }
+
+    await dbRun('UPDATE charities SET name = ?, active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [name, active, charityId]);
+
+    // Keep the old spelling matching after a rename
+    if (name !== charity.name) {
+      await addCharityAlias(charityId, charity.name);
+    }
+
+    console.log(`Charity ${charityId} updated: ${name} (${active ? 'active' : 'inactive'})`);
+    res.json({ success: true, charity: await dbGet('SELECT * FROM charities WHERE id = ?', [charityId]) });
+  } catch (error) {
+    console.error('Error updating charity:', error);
+    res.status(500).json({ error: 'Failed to update charity' });
+  }
+});
+
+// API endpoint to add an alias to a charity (protected)
+app.post('/api/charities/:charityId/aliases', requireAuth, async (req, res) => {
+  try {
+    const { charityId } = req.params;
+    const alias = (req.body.alias || '').trim();
+
+    if (!await dbGet('SELECT id FROM charities WHERE id = ?', [charityId])) {
+      return res.status(404).json({ error: 'Charity not found' });
+    }
+    if (!alias) {
+      return res.status(400).json({ error: 'Alias is required' });
+    }
+    if (!await addCharityAlias(charityId, alias)) {
+      return res.status(409).json({ error: 'Alias is already assigned to a charity' });
+    }
+    await resolveUnmatchedCharities();
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error adding charity alias:', error);
+    res.status(500).json({ error: 'Failed to add alias' });
+  }
+});
+
+// API endpoint to remove a charity alias (protected)
+app.delete('/api/charities/:charityId/aliases/:aliasId', requireAuth, async (req, res) => {
+  try {
+    const result = await dbRun('DELETE FROM charity_aliases WHERE id = ? AND charity_id = ?', [req.params.aliasId, req.params.charityId]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing charity alias:', error);
+    res.status(500).json({ error: 'Failed to remove alias' });
+  }
+});
+
+// API endpoint to list charity values awaiting review (protected)
+app.get('/api/charities/unmatched', requireAuth, async (req, res) => {
+  try {
+    const unmatched = await dbAll('SELECT * FROM unmatched_charities WHERE resolved_charity_id IS NULL ORDER BY occurrences DESC, last_seen_at DESC');
+    res.json({ unmatched });
+  } catch (error) {
+    console.error('Error loading unmatched charities:', error);
+    res.status(500).json({ error: 'Failed to load unmatched charities' });
+  }
+});
+
+// API endpoint to map an unmatched value to a charity (protected)
+// Body: { charityId } to map onto an existing charity, or { name } to create a new one.
+app.post('/api/charities/unmatched/:unmatchedId/map', requireAuth, async (req, res) => {
+  try {
+    const unmatched = await dbGet('SELECT * FROM unmatched_charities WHERE id = ?', [req.params.unmatchedId]);
+    if (!unmatched) {
+      return res.status(404).json({ error: 'Unmatched value not found' });
+    }
+
+    let charityId = req.body.charityId;
+    if (!charityId && req.body.name) {
+      const name = String(req.body.name).trim();
+      const existing = await dbGet('SELECT id FROM charities WHERE name = ?', [name]);
+      charityId = existing ? existing.id : (await dbRun('INSERT INTO charities (name) VALUES (?)', [name])).lastID;
+    }
+
+    const charity = charityId ? await dbGet('SELECT * FROM charities WHERE id = ?', [charityId]) : null;
+    if (!charity) {
+      return res.status(400).json({ error: 'A valid charityId or name is required' });
+    }
+
+    await addCharityAlias(charity.id, unmatched.raw_value);
+    await dbRun('UPDATE unmatched_charities SET resolved_charity_id = ? WHERE id = ?', [charity.id, unmatched.id]);
+    await resolveUnmatchedCharities();
+
+    console.log(`Mapped charity value "${unmatched.raw_value}" to ${charity.name}`);
+    res.json({ success: true, charity });
+  } catch (error) {
+    console.error('Error mapping unmatched charity:', error);
+    res.status(500).json({ error: 'Failed to map charity' });
+  }
+});
+
+// Build the WHERE clause for ledger queries from request filters
+function buildDonationFilters(query) {
+  const conditions = [];
+  const params = [];
+
+  if (query.state) {
+    conditions.push('state = ?');
+    params.push(query.state);
+  }
+  if (query.charity) {
+    conditions.push('charity = ?');
+    params.push(query.charity);
+  }
+  if (query.orderId) {
+    conditions.push('(order_id = ? OR order_number = ?)');
+    params.push(query.orderId, query.orderId.replace(/^#/, ''));
+  }
+  if (query.from) {
+    conditions.push('date(created_at) >= date(?)');
+    params.push(query.from);
+  }
+  if (query.to) {
+    conditions.push('date(created_at) <= date(?)');
+    params.push(query.to);
+  }
+
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// API endpoint to list donation rates (protected)
+app.get('/api/donation-rates', requireAuth, async (req, res) => {
+  try {
+    const rates = await loadDonationRates();
+    res.json({
+      rates: rates.map(formatDonationRate),
+      rateTypes: donationCalculator.RATE_TYPES,
+      bases: donationCalculator.BASES
+    });
+  } catch (error) {
+    console.error('Error loading donation rates:', error);
+    res.status(500).json({ error: 'Failed to load donation rates' });
+  }
+});
+
+// API endpoint to create a donation rate (protected)
+app.post('/api/donation-rates', requireAuth, async (req, res) => {
+  try {
+    const rate = parseRateInput(req.body);
+    const validationError = donationCalculator.validateRate(rate);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await dbRun(
+      `INSERT INTO donation_rates (name, charity, product, starts_on, ends_on, rate_type, percentage, fixed_cents, basis, enabled)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [rate.name, rate.charity, rate.product, rate.starts_on, rate.ends_on, rate.rate_type, rate.percentage, rate.fixed_cents, rate.basis, rate.enabled]
+    );
+
+    console.log(`Donation rate created: ${rate.name}`);
+    res.json({ success: true, rate: formatDonationRate(await dbGet('SELECT * FROM donation_rates WHERE id = ?', [result.lastID])) });
+  } catch (error) {
+    console.error('Error creating donation rate:', error);
+    res.status(500).json({ error: 'Failed to create donation rate' });
+  }
+});
+
+// API endpoint to update a donation rate (protected)
+// Only affects donations calculated from now on; existing ledger rows keep their amounts.
+app.put('/api/donation-rates/:rateId', requireAuth, async (req, res) => {
+  try {
+    const { rateId } = req.params;
+    const rate = parseRateInput(req.body);
+    const validationError = donationCalculator.validateRate(rate);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await dbRun(
+      `UPDATE donation_rates
+       SET name = ?, charity = ?, product = ?, starts_on = ?, ends_on = ?, rate_type = ?, percentage = ?, fixed_cents = ?, basis = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [rate.name, rate.charity, rate.product, rate.starts_on, rate.ends_on, rate.rate_type, rate.percentage, rate.fixed_cents, rate.basis, rate.enabled, rateId]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Rate not found' });
+    }
+
+    console.log(`Donation rate ${rateId} updated`);
+    res.json({ success: true, rate: formatDonationRate(await dbGet('SELECT * FROM donation_rates WHERE id = ?', [rateId])) });
+  } catch (error) {
+    console.error('Error updating donation rate:', error);
+    res.status(500).json({ error: 'Failed to update donation rate' });
+  }
+});
+
+// API endpoint to delete a donation rate (protected)
+app.delete('/api/donation-rates/:rateId', requireAuth, async (req, res) => {
+  try {
+    const result = await dbRun('DELETE FROM donation_rates WHERE id = ?', [req.params.rateId]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Rate not found' });
+    }
+
+    console.log(`Donation rate ${req.params.rateId} deleted`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting donation rate:', error);
+    res.status(500).json({ error: 'Failed to delete donation rate' });
+  }
+});
+
+// API endpoint to preview the donation the current rates give an order (protected)
+// Accepts either a raw Shopify order payload or a Shopify order ID to fetch.
+app.post('/api/donation-rates/preview', requireAuth, async (req, res) => {
+  try {
+    let order = req.body.order;
+
+    if (!order && req.body.orderId) {
+      order = await fetchShopifyOrder(req.body.orderId);
+    }
+
+    if (!order) {
+      return res.status(400).json({ error: 'An order payload or orderId is required' });
+    }
+
+    const charities = await getOrderCharities(order, await loadCharityRegistry());
+    const { donationAmount, allocations } = await calculateDonation(order, charities);
+
+    res.json({ orderId: order.id, totalPrice: order.total_price, donationAmount, allocations });
+  } catch (error) {
+    console.error('Error previewing donation:', error.response?.data || error.message);
+    res.status(500).json({ error: error.response?.data?.errors || error.message });
+  }
+});
+
+// API endpoint to query the donation ledger (protected)
+app.get('/api/donations', requireAuth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = Math.min(parseInt(req.query.pageSize) || 50, 500);
+    const { where, params } = buildDonationFilters(req.query);
+
+    const rows = await dbAll(
+      `SELECT * FROM donations ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+    const { count } = await dbGet(`SELECT COUNT(*) AS count FROM donations ${where}`, params);
+    const totals = await dbAll(
+      `SELECT state, currency, COUNT(*) AS count, SUM(donation_cents) AS donation_cents FROM donations ${where} GROUP BY state, currency`,
+      params
+    );
+
+    res.json({
+      donations: rows.map(formatDonationRow),
+      totals: totals.map(total => ({ ...total, donationAmount: (total.donation_cents / 100).toFixed(2) })),
+      pagination: {
+        currentPage: page,
+        pageSize: pageSize,
+        totalPages: Math.ceil(count / pageSize),
+        totalRows: count
+      }
+    });
+  } catch (error) {
+    console.error('Error loading donations:', error);
+    res.status(500).json({ error: 'Failed to load donations' });
+  }
+});
+
+// API endpoint to get the ledger rows for one order (protected)
+app.get('/api/orders/:orderId/donations', requireAuth, async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM donations WHERE order_id = ? ORDER BY charity', [req.params.orderId]);
+    res.json({ donations: rows.map(formatDonationRow) });
+  } catch (error) {
+    console.error('Error loading order donations:', error);
+    res.status(500).json({ error: 'Failed to load order donations' });
+  }
+});
+
+// API endpoint for the per-charity payout report (protected)
+app.get('/api/reports/payouts', requireAuth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const charities = await donationLedger.getPayoutSummary(from, to);
+    const batches = await dbAll('SELECT * FROM payout_batches ORDER BY created_at DESC LIMIT 50');
+
+    res.json({
+      from: from || null,
+      to: to || null,
+      charities,
+      batches: batches.map(batch => ({ ...batch, totalAmount: (batch.total_cents / 100).toFixed(2) }))
+    });
+  } catch (error) {
+    console.error('Error building payout report:', error);
+    res.status(500).json({ error: 'Failed to build payout report' });
+  }
+});
+
+// CSV export of the payout report; with ?charity= it lists that charity's owed donations (protected)
+app.get('/api/reports/payouts.csv', requireAuth, async (req, res) => {
+  try {
+    const { from, to, charity, batchId } = req.query;
+    let csv;
+    let filename;
+
+    if (charity || batchId) {
+      const rows = await donationLedger.getStatementRows({ charity, from, to, batchId });
+      csv = payoutStatement.statementCsv(rows);
+      filename = batchId ? `payout-batch-${batchId}.csv` : `donations-${charity.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.csv`;
+    } else {
+      csv = payoutStatement.summaryCsv(await donationLedger.getPayoutSummary(from, to));
+      filename = 'charity-payouts.csv';
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting payout CSV:', error);
+    res.status(500).json({ error: 'Failed to export payout report' });
+  }
+});
+
+// Printable per-charity statement PDF (protected)
+app.get('/api/reports/payouts/statement.pdf', requireAuth, async (req, res) => {
+  try {
+    const { from, to, batchId } = req.query;
+    let { charity } = req.query;
+
+    if (batchId) {
+      const batch = await dbGet('SELECT * FROM payout_batches WHERE id = ?', [batchId]);
+      if (!batch) {
+        return res.status(404).json({ error: 'Payout batch not found' });
+      }
+      charity = batch.charity;
+    } else if (!charity) {
+      return res.status(400).json({ error: 'charity or batchId is required' });
+    }
+
+    const rows = await donationLedger.getStatementRows({ charity, from, to, batchId });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="statement-${charity.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.pdf"`);
+    payoutStatement.writePayoutStatement({
+      charity,
+      from,
+      to,
+      currency: rows[0]?.currency,
+      rows
+    }, res);
+  } catch (error) {
+    console.error('Error generating payout statement:', error);
+    res.status(500).json({ error: 'Failed to generate statement' });
+  }
+});
+
+// API endpoint to mark a charity's owed donations as paid out (protected)
+// Moves the confirmed rows in the range into a payout batch so they are never counted twice.
+app.post('/api/reports/payouts/mark-paid', requireAuth, async (req, res) => {
+  try {
+    const { charity, from, to, reference } = req.body;
+    if (!charity) {
+      return res.status(400).json({ error: 'Charity is required' });
+    }
+
+    // Select and update the rows in one transaction (see markPaidOut)
+    const batch = await withTransaction(tx => createDonationLedger(tx).markPaidOut({
+      charity,
+      from,
+      to,
+      reference,
+      createdBy: req.session.username
+    }));
+
+    console.log(`Payout batch ${batch.batchId}: ${batch.donationCount} donations to ${charity} marked paid out by ${req.session.username}`);
+    res.json({ success: true, batchId: batch.batchId, donationCount: batch.donationCount, totalAmount: (batch.totalCents / 100).toFixed(2) });
+  } catch (error) {
+    console.error('Error marking payout:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to mark donations as paid out' });
+  }
+});
+
+// Tag one historical order the way orders/create does, returning its outcome for the report
+async function backfillOrder(order, registry, dryRun, scope) {
+  // Queue unknown charity values for review, as the webhook would have
+  if (!dryRun) {
+    await getOrderCharities(order, registry, { record: true });
+  }
+
+  const { tags } = await getTagsForOrder(order, registry);
+  const missingTags = tags.filter(tag => !hasTag(order.tags, tag));
+
+  if (missingTags.length === 0) {
+    return { outcome: 'skipped', tags: [], reason: tags.length > 0 ? 'Already tagged' : 'No tagging rules matched' };
+  }
+  if (dryRun) {
+    return { outcome: 'would_tag', tags: missingTags, reason: null };
+  }
+
+  const { skipped } = await idempotency.runOnce(tagWriteKey(order.id, missingTags, scope), () => updateOrderTags(order.id, missingTags));
+  if (skipped) {
+    return { outcome: 'skipped', tags: [], reason: 'Already tagged by this run' };
+  }
+  return { outcome: 'tagged', tags: missingTags, reason: null };
+}
+
+// Validate backfill options and create the run that records its results
+async function beginTagBackfill({ from, to, dryRun = false, throttleMs = BACKFILL_CONFIG.throttleMs, createdBy = null }) {
+  if (!SHOPIFY_CONFIG.accessToken || !SHOPIFY_CONFIG.shopDomain) {
+    throw new Error('Shopify configuration missing');
+  }
+  if (![from, to].every(date => /^\d{4}-\d{2}-\d{2}$/.test(date || ''))) {
+    const error = new Error('from and to are required, in YYYY-MM-DD format');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (from > to) {
+    const error = new Error('from must be on or before to');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const throttle = Math.max(0, parseInt(throttleMs) || 0);
+  const result = await dbRun(
+    'INSERT INTO backfill_runs (date_from, date_to, dry_run, throttle_ms, created_by) VALUES (?, ?, ?, ?, ?)',
+    [from, to, dryRun ? 1 : 0, throttle, createdBy]
+  );
+  console.log(`Started tag backfill ${result.lastID} for ${from} to ${to}${dryRun ? ' (dry run)' : ''}`);
+  return dbGet('SELECT * FROM backfill_runs WHERE id = ?', [result.lastID]);
+}
+
+// Scan every order created in the run's date range and tag the ones missing
+// rule tags. Each order's outcome is stored; one failure doesn't stop the run.
+async function walkTagBackfill(run) {
+  const counters = { would_tag: 'tagged', tagged: 'tagged', skipped: 'skipped', failed: 'failed' };
+
+  try {
+    const registry = await loadCharityRegistry();
+    let cursor = null;
+
+    do {
+      const page = await orderApi.listOrders({
+        cursor,
+        sortKey: 'created_at',
+        createdAtMin: `${run.date_from}T00:00:00`,
+        createdAtMax: `${run.date_to}T23:59:59`
+      });
+
+      for (const order of page.orders) {
+        let result;
+        try {
+          result = await backfillOrder(order, registry, !!run.dry_run, `backfill-${run.id}`);
+        } catch (error) {
+          console.error(`Backfill ${run.id}: failed to tag order ${order.id}:`, error.response?.data || error.message);
+          result = { outcome: 'failed', tags: [], reason: error.response ? `${error.response.status}: ${JSON.stringify(error.response.data)}` : error.message };
+        }
+
+        await dbRun(
+          `INSERT INTO backfill_results (run_id, order_id, order_number, order_created_at, outcome, tags, reason)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [run.id, order.id.toString(), String(order.order_number || order.name || ''), order.created_at, result.outcome, result.tags.join(', '), result.reason]
+        );
+        await dbRun(
+          `UPDATE backfill_runs SET scanned = scanned + 1, ${counters[result.outcome]} = ${counters[result.outcome]} + 1 WHERE id = ?`,
+          [run.id]
+        );
+
+        // Only writes to Shopify are throttled
+        if (['tagged', 'failed'].includes(result.outcome) && run.throttle_ms > 0) {
+          await sleep(run.throttle_ms);
+        }
+      }
+
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    await dbRun(`UPDATE backfill_runs SET status = 'completed', finished_at = CURRENT_TIMESTAMP WHERE id = ?`, [run.id]);
+  } catch (error) {
+    await dbRun(
+      `UPDATE backfill_runs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [error.response ? `${error.response.status}: ${JSON.stringify(error.response.data)}` : error.message, run.id]
+    );
+    throw error;
+  }
+
+  const finished = await dbGet('SELECT * FROM backfill_runs WHERE id = ?', [run.id]);
+  console.log(`Tag backfill ${run.id} completed: ${finished.scanned} scanned, ${finished.tagged} ${finished.dry_run ? 'would be tagged' : 'tagged'}, ${finished.skipped} skipped, ${finished.failed} failed`);
+  return finished;
+}
+
+// Run a tag backfill to completion (used by backfill-tags.js)
+async function runTagBackfill(options) {
+  const run = await beginTagBackfill(options);
+  return walkTagBackfill(run);
+}
+
+// A backfill run's per-order results as CSV
+async function getBackfillCsv(runId) {
+  const results = await dbAll('SELECT * FROM backfill_results WHERE run_id = ? ORDER BY id', [runId]);
+  return toCsv([
+    { key: 'order_number', label: 'Order' },
+    { key: 'order_id', label: 'Shopify Order ID' },
+    { key: 'order_created_at', label: 'Created' },
+    { key: 'outcome', label: 'Outcome' },
+    { key: 'tags', label: 'Tags' },
+    { key: 'reason', label: 'Reason' }
+  ], results);
+}
+
+// API endpoint to start a tag backfill in the background (protected)
+// Body: { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', dryRun, throttleMs }
+app.post('/api/backfill', requireAuth, async (req, res) => {
+  try {
+    const run = await beginTagBackfill({
+      from: req.body.from,
+      to: req.body.to,
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+      throttleMs: req.body.throttleMs ?? BACKFILL_CONFIG.throttleMs,
+      createdBy: req.session.username
+    });
+
+    walkTagBackfill(run).catch(error =>
+      console.error(`Tag backfill ${run.id} failed:`, error.response?.data || error.message)
+    );
+
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('Error starting tag backfill:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// API endpoint to list tag backfill runs (protected)
+app.get('/api/backfill', requireAuth, async (req, res) => {
+  try {
+    const runs = await dbAll('SELECT * FROM backfill_runs ORDER BY id DESC LIMIT 50');
+    res.json({ runs });
+  } catch (error) {
+    console.error('Error loading backfill runs:', error);
+    res.status(500).json({ error: 'Failed to load backfill runs' });
+  }
+});
+
+// CSV download of a backfill run's results (protected)
+app.get('/api/backfill/:runId.csv', requireAuth, async (req, res) => {
+  try {
+    const run = await dbGet('SELECT * FROM backfill_runs WHERE id = ?', [req.params.runId]);
+    if (!run) {
+      return res.status(404).json({ error: 'Backfill run not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="tag-backfill-${run.id}${run.dry_run ? '-dry-run' : ''}.csv"`);
+    res.send(await getBackfillCsv(run.id));
+  } catch (error) {
+    console.error('Error exporting backfill CSV:', error);
+    res.status(500).json({ error: 'Failed to export backfill results' });
+  }
+});
+
+// API endpoint for a backfill run's summary and per-order results (protected)
+app.get('/api/backfill/:runId', requireAuth, async (req, res) => {
+  try {
+    const run = await dbGet('SELECT * FROM backfill_runs WHERE id = ?', [req.params.runId]);
+    if (!run) {
+      return res.status(404).json({ error: 'Backfill run not found' });
+    }
+
+    const results = await dbAll('SELECT * FROM backfill_results WHERE run_id = ? ORDER BY id', [run.id]);
+    res.json({ run, results });
+  } catch (error) {
+    console.error('Error loading backfill run:', error);
+    res.status(500).json({ error: 'Failed to load backfill run' });
+  }
+});
+
+// Check one recent Shopify order against what this service has processed and
+// repair what it can. Returns { repairs: [], drift: [] } describing the order.
+async function reconcileOrder(order, registry, scope) {
+  const orderId = order.id.toString();
+  const label = `#${order.order_number || order.name || orderId}`;
+  const repairs = [];
+  const drift = [];
+
+  // Leave orders the job queue is still working on alone
+  const jobs = await dbAll(
+    `SELECT id, type, status FROM jobs
+     WHERE status IN ('pending', 'processing', 'dead')
+       AND (json_extract(payload, '$.id') = ? OR json_extract(payload, '$.order_id') = ?)`,
+    [order.id, order.id]
+  );
+  for (const job of jobs.filter(job => job.status === 'dead')) {
+    drift.push({ orderId, order: label, issue: `${job.type} job #${job.id} is dead-lettered; replay it from /dashboard/jobs` });
+  }
+  if (jobs.some(job => job.status !== 'dead')) {
+    return { repairs, drift };
+  }
+
+  // Never processed: the orders/create webhook was missed, so replay it (and
+  // any later state it has reached) through the job queue
+  const indexed = await getIndexedOrder(orderId);
+  if (!indexed || !indexed.processed_at) {
+    // GraphQL order pages leave out refunds, which the donation jobs need
+    if (orderApi.api === 'graphql') {
+      order = await orderApi.getOrder(order.id);
+    }
+    await jobQueue.enqueueJob('orders/create', order);
+    if (order.fulfillment_status === 'fulfilled') {
+      await jobQueue.enqueueJob('orders/fulfilled', order);
+    }
+    if (order.cancelled_at) {
+      await jobQueue.enqueueJob('orders/cancelled', order);
+    }
+    repairs.push(`${label}: missed webhook replayed`);
+    return { repairs, drift };
+  }
+
+  // Cancelled orders have their charity tags handled by the cancellation flow
+  if (order.cancelled_at) {
+    return { repairs, drift };
+  }
+
+  const { tags } = await getTagsForOrder(order, registry);
+  const missingTags = tags.filter(tag => !hasTag(order.tags, tag));
+  const adjustmentTags = [DONATION_ADJUSTMENT_CONFIG.voidTag, DONATION_ADJUSTMENT_CONFIG.adjustedTag];
+  const managed = await dbAll('SELECT tag FROM managed_tags WHERE order_id = ?', [orderId]);
+  const staleTags = managed
+    .map(row => row.tag)
+    .filter(tag => hasTag(order.tags, tag) && !hasTag(tags, tag) && !hasTag(adjustmentTags, tag));
+
+  try {
+    if (missingTags.length > 0) {
+      const { skipped } = await idempotency.runOnce(tagWriteKey(order.id, missingTags, scope), () => updateOrderTags(order.id, missingTags));
+      if (!skipped) {
+        repairs.push(`${label}: added ${missingTags.join(', ')}`);
+      }
+    }
+    if (staleTags.length > 0) {
+      await removeOrderTags(order.id, staleTags);
+      repairs.push(`${label}: removed ${staleTags.join(', ')}`);
+    }
+  } catch (error) {
+    drift.push({
+      orderId,
+      order: label,
+      issue: `Tags out of date (missing: ${missingTags.join(', ') || 'none'}; stale: ${staleTags.join(', ') || 'none'}) and could not be fixed: ${error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message}`
+    });
+  }
+
+  return { repairs, drift };
+}
+
+// Raise an alert for drift the reconciler could not fix
+async function raiseReconciliationAlert(runId, drift) {
+  const summary = `${drift.length} order${drift.length === 1 ? '' : 's'} out of sync with Shopify`;
+  await dbRun(
+    'INSERT INTO reconciliation_alerts (run_id, summary, details) VALUES (?, ?, ?)',
+    [runId, summary, JSON.stringify(drift)]
+  );
+  console.warn(`Reconciliation run ${runId}: ${summary}`);
+
+  if (RECONCILE_CONFIG.alertEmail && process.env.EMAIL_USER) {
+    try {
+      await emailTransporter.sendMail({
+        from: process.env.EMAIL_FROM || 'Charity Greeting Cards Pty Ltd <orders@charitygreetingcards.com.au>',
+        to: RECONCILE_CONFIG.alertEmail,
+        subject: `Reconciliation alert: ${summary}`,
+        text: drift.map(item => `${item.order}: ${item.issue}`).join('\n')
+      });
+    } catch (error) {
+      console.error('Error sending reconciliation alert email:', error.message);
+    }
+  }
+}
+
+// Compare orders changed in Shopify during the look-back window with what this
+// service has processed, repair missed webhooks and tag drift, and raise an
+// alert listing anything left over
+let reconcileActive = false;
+async function runReconciliation(triggeredBy = 'schedule') {
+  if (reconcileActive) {
+    const error = new Error('Reconciliation is already running');
+    error.statusCode = 409;
+    throw error;
+  }
+  if (!SHOPIFY_CONFIG.accessToken || !SHOPIFY_CONFIG.shopDomain) {
+    throw new Error('Shopify configuration missing');
+  }
+
+  // Everything after taking the flag is inside the try, so it is always released
+  reconcileActive = true;
+  let runId = null;
+
+  try {
+    const now = Date.now();
+    const windowStart = new Date(now - RECONCILE_CONFIG.lookbackHours * 60 * 60 * 1000).toISOString();
+    const windowEnd = new Date(now - RECONCILE_CONFIG.graceMinutes * 60 * 1000).toISOString();
+    runId = (await dbRun(
+      'INSERT INTO reconciliation_runs (window_start, window_end, triggered_by) VALUES (?, ?, ?)',
+      [windowStart, windowEnd, triggeredBy]
+    )).lastID;
+
+    const registry = await loadCharityRegistry();
+    const repairs = [];
+    const drift = [];
+    let checked = 0;
+    let cursor = null;
+
+    // Orders changed during the grace period may still have webhooks on the way
+    do {
+      const page = await orderApi.listOrders({ cursor, updatedAtMin: windowStart, updatedAtMax: windowEnd });
+
+      for (const order of page.orders) {
+        checked++;
+        try {
+          const result = await reconcileOrder(order, registry, `reconcile-${runId}`);
+          repairs.push(...result.repairs);
+          drift.push(...result.drift);
+        } catch (error) {
+          drift.push({ orderId: order.id.toString(), order: `#${order.order_number || order.id}`, issue: `Could not be checked: ${error.message}` });
+        }
+      }
+
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    if (drift.length > 0) {
+      await raiseReconciliationAlert(runId, drift);
+    }
+
+    await dbRun(
+      `UPDATE reconciliation_runs SET status = 'completed', checked = ?, repaired = ?, repairs = ?, drift = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [checked, repairs.length, JSON.stringify(repairs), drift.length, runId]
+    );
+    console.log(`Reconciliation run ${runId}: checked ${checked} orders, ${repairs.length} repaired, ${drift.length} unresolved`);
+    return dbGet('SELECT * FROM reconciliation_runs WHERE id = ?', [runId]);
+  } catch (error) {
+    if (runId) {
+      await dbRun(
+        `UPDATE reconciliation_runs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [error.response ? `${error.response.status}: ${JSON.stringify(error.response.data)}` : error.message, runId]
+      );
+    }
+    throw error;
+  } finally {
+    reconcileActive = false;
+  }
+}
+
+// Start the scheduled reconciliation
+function startReconciler() {
+  if (!SHOPIFY_CONFIG.accessToken || !SHOPIFY_CONFIG.shopDomain) {
+    console.warn('Shopify configuration missing, reconciliation disabled');
+    return;
+  }
+
+  const run = triggeredBy => {
+    runReconciliation(triggeredBy).catch(error =>
+      console.error('Reconciliation error:', error.response?.data || error.message)
+    );
+  };
+  run('startup');
+  setInterval(() => run('schedule'), RECONCILE_CONFIG.interval);
+}
+
+// API endpoint for recent reconciliation runs and open alerts (protected)
+app.get('/api/reconciliation', requireAuth, async (req, res) => {
+  try {
+    const runs = await dbAll('SELECT * FROM reconciliation_runs ORDER BY id DESC LIMIT 20');
+    const alerts = await dbAll('SELECT * FROM reconciliation_alerts WHERE acknowledged_at IS NULL ORDER BY id DESC');
+
+    res.json({
+      runs: runs.map(run => ({ ...run, repairs: JSON.parse(run.repairs || '[]') })),
+      alerts: alerts.map(alert => ({ ...alert, details: JSON.parse(alert.details) }))
+    });
+  } catch (error) {
+    console.error('Error loading reconciliation status:', error);
+    res.status(500).json({ error: 'Failed to load reconciliation status' });
+  }
+});
+
+// API endpoint to run reconciliation now (protected)
+app.post('/api/reconciliation/run', requireAuth, async (req, res) => {
   try {
-    if (!APPROVEPRO_CONFIG.apiKey) {
-      return 'pending'; // Default if no API key
-    }
+    const run = await runReconciliation(req.session.username);
+    res.json({ success: true, run: { ...run, repairs: JSON.parse(run.repairs || '[]') } });
+  } catch (error) {
+    console.error('Error running reconciliation:', error.response?.data || error.message);
+    res.status(error.statusCode || 500).json({ error: error.response?.data?.errors || error.message });
+  }
+});
 
-    const response = await axios.get(
-      `${APPROVEPRO_CONFIG.baseUrl}/orders/${orderId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${APPROVEPRO_CONFIG.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      }
+// API endpoint to acknowledge a reconciliation alert (protected)
+app.post('/api/reconciliation/alerts/:alertId/acknowledge', requireAuth, async (req, res) => {
+  try {
+    const result = await dbRun(
+      'UPDATE reconciliation_alerts SET acknowledged_at = CURRENT_TIMESTAMP, acknowledged_by = ? WHERE id = ? AND acknowledged_at IS NULL',
+      [req.session.username, req.params.alertId]
     );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Alert not found or already acknowledged' });
+    }
 
-    const approveProOrder = response.data;
+    console.log(`Reconciliation alert ${req.params.alertId} acknowledged by ${req.session.username}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error acknowledging reconciliation alert:', error);
+    res.status(500).json({ error: 'Failed to acknowledge alert' });
+  }
+});
 
-    // Return the exact ApprovePro status
-    const status = approveProOrder.status || 'Pending';
+// API endpoint to inspect the job queue (protected)
+app.get('/api/jobs', requireAuth, async (req, res) => {
+  try {
+    const status = req.query.status || 'dead';
+    const jobs = await dbAll('SELECT * FROM jobs WHERE status = ? ORDER BY updated_at DESC LIMIT 200', [status]);
+    const counts = await dbAll('SELECT status, COUNT(*) AS count FROM jobs GROUP BY status');
 
-    // Map common ApprovePro statuses to display names
-    switch (status) {
-      case 'Approved':
-        return 'approved';
-      case 'Rejected':
-        return 'rejected';
-      case 'Awaiting Design':
-        return 'awaiting_design';
-      case 'Design Ready':
-        return 'design_ready';
-      case 'Pending':
-        return 'pending';
-      case 'Draft':
-        return 'draft';
-      default:
-        return status.toLowerCase().replace(/\s+/g, '_');
-    }
+    res.json({
+      jobs: jobs.map(job => ({ ...job, payload: JSON.parse(job.payload) })),
+      counts: Object.fromEntries(counts.map(row => [row.status, row.count]))
+    });
   } catch (error) {
-    // If order doesn't exist in ApprovePro or API error, assume pending
-    console.log(`ApprovePro status check failed for order ${orderId}: ${error.message}`);
-    return 'pending';
+    console.error('Error loading jobs:', error);
+    res.status(500).json({ error: 'Failed to load jobs' });
   }
-}
+});
 
-// API endpoint to get paginated orders from Shopify (protected)
-app.get('/api/orders', requireAuth, async (req, res) => {
+// API endpoint to replay a dead-lettered job (protected)
+app.post('/api/jobs/:jobId/replay', requireAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const pageSize = parseInt(req.query.pageSize) || 25;
-    const search = req.query.search || '';
-    const statusFilter = req.query.status || '';
+    if (!await jobQueue.replayJob(req.params.jobId)) {
+      return res.status(404).json({ error: 'Dead job not found' });
+    }
 
-    console.log(`Fetching orders from Shopify - Page: ${page}, Size: ${pageSize}, Search: "${search}", Status: "${statusFilter}"`);
+    console.log(`Job ${req.params.jobId} replayed by ${req.session.username}`);
+    res.json({ success: true });
+    processDueJobs();
+  } catch (error) {
+    console.error('Error replaying job:', error);
+    res.status(500).json({ error: 'Failed to replay job' });
+  }
+});
 
-    if (!SHOPIFY_CONFIG.accessToken || !SHOPIFY_CONFIG.shopDomain) {
-      return res.status(500).json({ error: 'Shopify configuration missing' });
+// API endpoint to discard a dead-lettered job (protected)
+app.delete('/api/jobs/:jobId', requireAuth, async (req, res) => {
+  try {
+    const result = await dbRun(`DELETE FROM jobs WHERE id = ? AND status = 'dead'`, [req.params.jobId]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Dead job not found' });
     }
 
-    // Fetch more orders to allow for filtering
-    const fetchLimit = Math.max(pageSize * 10, 250); // Fetch extra to allow filtering
-    const url = `https://${SHOPIFY_CONFIG.shopDomain}/admin/api/${SHOPIFY_CONFIG.apiVersion}/orders.json?limit=${fetchLimit}&status=any`;
+    console.log(`Job ${req.params.jobId} discarded by ${req.session.username}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error discarding job:', error);
+    res.status(500).json({ error: 'Failed to discard job' });
+  }
+});
+
+// Carries out a job handler's side effects, or in a dry run only lists them.
+// Every write goes through perform() or once(), so actions always holds a
+// readable list of what the handler did (or would do). scope names the job
+// or replay for keys that only apply to one run, like tagWriteKey.
+function createJobContext({ dryRun = false, scope = `run-${crypto.randomUUID()}` } = {}) {
+  const actions = [];
+
+  return {
+    dryRun,
+    scope,
+    actions,
+
+    // A local write that is safe to repeat (order index, donation ledger)
+    async perform(description, fn) {
+      actions.push(description);
+      return dryRun ? undefined : fn();
+    },
 
-    const response = await axios.get(url, {
-      headers: {
-        'X-Shopify-Access-Token': SHOPIFY_CONFIG.accessToken,
-        'Content-Type': 'application/json'
+    // A side effect that must only ever happen once, keyed like runOnce
+    async once(key, description, fn) {
+      if (dryRun) {
+        const done = await idempotency.isDone(key);
+        actions.push(done ? `${description} (already done, skipped)` : description);
+        return { skipped: done };
       }
-    });
 
-    const shopifyOrders = response.data.orders || [];
-    console.log(`Fetched ${shopifyOrders.length} orders from Shopify`);
+      const index = actions.push(description) - 1;
+      const outcome = await idempotency.runOnce(key, fn);
+      if (outcome.skipped) {
+        actions[index] = `${description} (already done, skipped)`;
+      }
+      return outcome;
+    }
+  };
+}
 
-    // Transform all orders first
-    const allOrders = await Promise.all(shopifyOrders.map(async (order) => {
-      const properties = extractCustomilyProperties(order.line_items || []);
-      const charityValue = extractCharityFromProperties(order.line_items || []);
+// Process an orders/create webhook: store, resolve charities and tag the order
+async function processOrderCreated(order, context = createJobContext()) {
+  console.log(`Processing order ${order.id}${context.dryRun ? ' (dry run)' : ''}...`);
 
-      // Get ApprovePro status for this order (only for first batch to avoid too many API calls)
-      const approveProStatus = shopifyOrders.indexOf(order) < 50 ? await getApproveProOrderStatus(order.id) : 'pending';
+  // Resolve the canonical charity name, queueing unknown values for review
+  const registry = await loadCharityRegistry();
+  const charityValue = formatCharityNames(await getOrderCharities(order, registry, { record: !context.dryRun }));
 
-      return {
-        id: order.id,
-        orderNumber: order.order_number || order.name,
-        customerName: `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim() || 'Unknown',
-        customerEmail: order.customer?.email,
-        totalPrice: order.total_price,
-        createdAt: order.created_at,
-        properties: properties,
-        charityValue: charityValue,
-        status: approveProStatus,
-        sentAt: approveProStatus === 'sent_to_customer' ? order.updated_at : null,
-        approveProOrderId: order.id
-      };
-    }));
+  // Index the order for the dashboard
+  await context.perform('Index order for the dashboard', () => indexOrder(order, registry));
 
-    // Apply filters
-    let filteredOrders = allOrders;
+  // Record the expected donation in the ledger until the order is fulfilled
+  const charities = await getOrderCharities(order, registry);
+  const { donationAmount, allocations } = await calculateDonation(order, charities);
+  await context.perform(`Record pending donation of $${donationAmount}`, () =>
+    donationLedger.writeDonationLedger(order, allocations, 'pending', { preserveState: true })
+  );
 
-    // Filter by search term
-    if (search) {
-      const searchLower = search.toLowerCase();
-      filteredOrders = filteredOrders.filter(order =>
-        order.orderNumber.toLowerCase().includes(searchLower) ||
-        order.customerName.toLowerCase().includes(searchLower) ||
-        order.customerEmail?.toLowerCase().includes(searchLower) ||
-        order.charityValue?.toLowerCase().includes(searchLower)
-      );
-    }
+  // Evaluate tagging rules against the order
+  const { tags } = await getTagsForOrder(order, registry);
 
-    // Filter by status
-    if (statusFilter) {
-      filteredOrders = filteredOrders.filter(order => order.status === statusFilter);
-    }
+  if (tags.length > 0) {
+    console.log(`Tagging rules matched: ${tags.join(', ')}`);
+    await context.once(tagWriteKey(order.id, tags, context.scope), `Add tags ${tags.join(', ')}`, () => updateOrderTags(order.id, tags));
+    console.log(`Order ${order.id} ${context.dryRun ? 'would be tagged' : 'tagged successfully'} with: ${tags.join(', ')}`);
+  } else {
+    console.log(`No tagging rules matched order ${order.id}`);
+  }
 
-    // Calculate pagination
-    const totalOrders = filteredOrders.length;
-    const totalPages = Math.ceil(totalOrders / pageSize);
-    const startIndex = (page - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    const paginatedOrders = filteredOrders.slice(startIndex, endIndex);
+  await context.perform('Mark order processed', () => markOrderProcessed(order.id));
+  return { orderId: order.id, charityValue, tags };
+}
 
+// Process an orders/updated webhook: add any rule tags the order is missing
+async function processOrderUpdated(order, context = createJobContext()) {
+  console.log(`Processing order update ${order.id}${context.dryRun ? ' (dry run)' : ''}...`);
 
-    console.log(`Returning page ${page}/${totalPages} with ${paginatedOrders.length} orders`);
+  // Resolve the canonical charity name, queueing unknown values for review
+  const registry = await loadCharityRegistry();
+  const charityValue = formatCharityNames(await getOrderCharities(order, registry, { record: !context.dryRun }));
+  await context.perform('Index order for the dashboard', () => indexOrder(order, registry));
 
-    res.json({
-      orders: paginatedOrders,
-      pagination: {
-        currentPage: page,
-        pageSize: pageSize,
-        totalPages: totalPages,
-        totalOrders: totalOrders,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      },
-      filters: {
-        search: search,
-        status: statusFilter
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching orders from Shopify:', error.response?.data || error.message);
-    res.status(500).json({ error: 'Failed to fetch orders from Shopify' });
+  // Only tag with rule output the order doesn't already carry
+  const { tags } = await getTagsForOrder(order, registry);
+  const missingTags = tags.filter(tag => !hasTag(order.tags, tag));
+
+  if (missingTags.length > 0) {
+    console.log(`Tagging rules matched: ${missingTags.join(', ')}`);
+    await context.once(tagWriteKey(order.id, missingTags, context.scope), `Add tags ${missingTags.join(', ')}`, () => updateOrderTags(order.id, missingTags));
+    console.log(`Order ${order.id} ${context.dryRun ? 'would be tagged' : 'tagged successfully'} with: ${missingTags.join(', ')}`);
+  } else {
+    console.log(`No tagging rules matched or already tagged in order ${order.id}`);
   }
-});
 
-// Function to download and rename PDF
-async function downloadAndRenamePdf(originalUrl, newFilename) {
-  try {
+  await context.perform('Mark order processed', () => markOrderProcessed(order.id));
+  return { orderId: order.id, charityValue, tags: missingTags };
+}
 
-    // Create temp directory if it doesn't exist
-    const tempDir = path.join(__dirname, 'temp');
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
+// Process an orders/fulfilled webhook: send the donation confirmation email
+async function processOrderFulfilled(order, context = createJobContext()) {
+  console.log(`Processing order fulfillment ${order.id}${context.dryRun ? ' (dry run)' : ''}...`);
 
-    // Download the PDF
-    const response = await axios.get(originalUrl, { responseType: 'stream' });
+  // Extract customer email and order details
+  const customerEmail = order.customer?.email;
+  const orderNumber = order.order_number || order.name;
 
-    // Save with new filename
-    const tempFilePath = path.join(tempDir, newFilename);
-    const writer = fs.createWriteStream(tempFilePath);
+  // Use canonical charity names in the ledger and email
+  const registry = await loadCharityRegistry();
+  const charities = await getOrderCharities(order, registry, { record: !context.dryRun });
+  await context.perform('Index order for the dashboard', () => indexOrder(order, registry));
 
-    response.data.pipe(writer);
+  // Calculate each charity's donation from the configured rates
+  const { donationAmount, allocations } = await calculateDonation(order, charities);
 
-    return new Promise((resolve, reject) => {
-      writer.on('finish', () => {
-        console.log(`PDF downloaded and renamed to ${newFilename}`);
-        resolve(tempFilePath);
-      });
-      writer.on('error', reject);
-    });
-  } catch (error) {
-    console.error('Error downloading/renaming PDF:', error);
-    throw error;
+  // The donation is confirmed once the order is fulfilled
+  await context.perform(`Confirm donation of $${donationAmount}`, () => donationLedger.writeDonationLedger(order, allocations, 'confirmed'));
+
+  if (!customerEmail) {
+    console.log(`No customer email found for order ${order.id}`);
+    return { orderId: order.id, emailed: false, donationAmount };
   }
-}
 
-// Function to upload PDF to a temporary hosting service (or return original URL with renamed reference)
-async function getPublicPdfUrl(localFilePath, filename) {
-  try {
-    // For now, we'll use the original URL but with a renamed reference
-    // In a production environment, you might want to upload to a cloud storage service
+  console.log(`${context.dryRun ? 'Would send' : 'Sending'} donation confirmation email to ${customerEmail} for order #${orderNumber}`);
+  console.log(`Donation amount: $${donationAmount} to charity: ${allocations.map(a => `${a.charity} ($${a.donationAmount})`).join(', ') || 'Not specified'}`);
 
-    // Option 1: Return original URL (ApprovePro will handle the filename)
-    // Option 2: Upload to cloud storage and return new URL
-    // Option 3: Serve from local server temporarily
+  // Send donation confirmation email, at most once per order
+  const { skipped } = await context.once(`donation-email:${order.id}`, 'Send donation confirmation email', () =>
+    sendDonationConfirmationEmail(customerEmail, orderNumber, donationAmount, allocations)
+  );
+  if (!skipped && !context.dryRun) {
+    console.log(`Donation confirmation email sent successfully to ${customerEmail}`);
+  }
 
-    // For now, let's serve it from our local server
-    const publicDir = path.join(__dirname, 'public', 'temp');
+  return { orderId: order.id, emailed: !skipped && !context.dryRun, donationAmount };
+}
 
-    if (!fs.existsSync(publicDir)) {
-      fs.mkdirSync(publicDir, { recursive: true });
-    }
+// Whether the customer was sent a donation confirmation for this order
+async function wasDonationEmailSent(orderId) {
+  return idempotency.isDone(`donation-email:${orderId}`);
+}
 
-    const publicFilePath = path.join(publicDir, filename);
-    fs.copyFileSync(localFilePath, publicFilePath);
+// Process an orders/cancelled webhook: void the donation
+async function processOrderCancelled(order, context = createJobContext()) {
+  console.log(`Processing order cancellation ${order.id}${context.dryRun ? ' (dry run)' : ''}...`);
 
-    // Return the public URL
-    const publicUrl = `https://flow.charitygreetingcards.com.au/public/temp/${filename}`;
-    console.log(`PDF available at: ${publicUrl}`);
+  const registry = await loadCharityRegistry();
+  const charities = await getOrderCharities(order, registry);
+  await context.perform('Index order for the dashboard', () => indexOrder(order, registry));
 
-    return publicUrl;
-  } catch (error) {
-    console.error('Error creating public PDF URL:', error);
-    throw error;
+  // Keep the original amounts on the voided rows for the audit trail
+  const { allocations } = await calculateDonation(order, charities);
+  await context.perform('Void donation', async () => {
+    await donationLedger.writeDonationLedger(order, allocations, 'voided');
+    await donationLedger.voidOrderDonations(order.id);
+  });
+  console.log(`Donation ${context.dryRun ? 'would be voided' : 'voided'} for cancelled order ${order.id}`);
+
+  if (DONATION_ADJUSTMENT_CONFIG.tagOrders) {
+    // Every tag this service added (rule output, not just charity names), except earlier adjustment tags
+    const adjustmentTags = [DONATION_ADJUSTMENT_CONFIG.voidTag, DONATION_ADJUSTMENT_CONFIG.adjustedTag];
+    const managed = await dbAll('SELECT tag FROM managed_tags WHERE order_id = ?', [order.id.toString()]);
+    const managedTags = managed.map(row => row.tag).filter(tag => !hasTag(adjustmentTags, tag));
+    await context.once(
+      `order-void-tags:${order.id}`,
+      `Replace tags ${managedTags.join(', ') || '(none)'} with ${DONATION_ADJUSTMENT_CONFIG.voidTag}`,
+      async () => {
+        await removeOrderTags(order.id, managedTags);
+        await updateOrderTags(order.id, [DONATION_ADJUSTMENT_CONFIG.voidTag]);
+      }
+    );
+  }
+
+  const customerEmail = order.customer?.email;
+  if (DONATION_ADJUSTMENT_CONFIG.emailCustomers && customerEmail && await wasDonationEmailSent(order.id)) {
+    await context.once(`donation-void-email:${order.id}`, 'Send donation cancellation email', () =>
+      sendDonationAdjustmentEmail(customerEmail, order.order_number || order.name, '0.00', [], true)
+    );
   }
+
+  return { orderId: order.id, voided: !context.dryRun };
 }
 
-// API endpoint to send design to customer (protected)
-app.post('/api/orders/:orderId/send-to-customer', requireAuth, async (req, res) => {
-  try {
-    const { orderId } = req.params;
-    const { pdfUrl, comment } = req.body;
+// Process a refunds/create webhook: recalculate the donation on the net amount
+async function processRefundCreated(refund, context = createJobContext()) {
+  console.log(`Processing refund ${refund.id} for order ${refund.order_id}${context.dryRun ? ' (dry run)' : ''}...`);
 
-    if (!pdfUrl) {
-      return res.status(400).json({ error: 'PDF URL is required' });
-    }
+  // The refund payload only covers this refund, so work from the full order
+  const order = await fetchShopifyOrder(refund.order_id);
+  if (!(order.refunds || []).some(existing => existing.id === refund.id)) {
+    order.refunds = [...(order.refunds || []), refund];
+  }
 
-    if (!APPROVEPRO_CONFIG.apiKey) {
-      return res.status(500).json({ error: 'ApprovePro API key not configured' });
-    }
+  // Refunded quantities and amounts are taken out by the calculator
+  const netTotalCents = donationCalculator.getNetTotalCents(order);
+  const registry = await loadCharityRegistry();
+  const charities = await getOrderCharities(order, registry);
+  await context.perform('Index order for the dashboard', () => indexOrder(order, registry));
 
-    console.log(`Processing design for order ${orderId}...`);
+  const { donationAmount, allocations } = await calculateDonation(order, charities);
+  const fullyRefunded = netTotalCents === 0;
 
-    // Download and rename PDF with order ID
-    const newFilename = `${orderId}.pdf`;
-    const localFilePath = await downloadAndRenamePdf(pdfUrl, newFilename);
+  if (fullyRefunded) {
+    await context.perform('Void donation (fully refunded)', async () => {
+      await donationLedger.writeDonationLedger(order, allocations, 'voided');
+      await donationLedger.voidOrderDonations(order.id);
+    });
+  } else {
+    const state = order.fulfillment_status === 'fulfilled' ? 'confirmed' : 'pending';
+    await context.perform(`Record ${state} donation of $${donationAmount}`, () =>
+      donationLedger.writeDonationLedger(order, allocations, state, { preserveState: true })
+    );
+  }
+  console.log(`Donation for order ${order.id} recalculated on net $${donationCalculator.formatCents(netTotalCents)}: $${donationAmount}`);
 
-    // Get public URL for the renamed PDF
-    const renamedPdfUrl = await getPublicPdfUrl(localFilePath, newFilename);
+  if (DONATION_ADJUSTMENT_CONFIG.tagOrders) {
+    const tag = fullyRefunded ? DONATION_ADJUSTMENT_CONFIG.voidTag : DONATION_ADJUSTMENT_CONFIG.adjustedTag;
+    await context.once(`order-refund-tags:${order.id}:${refund.id}`, `Add tag ${tag}`, () => updateOrderTags(order.id, [tag]));
+  }
 
-    // Send to ApprovePro with renamed PDF
-    const response = await axios.post(
-      `${APPROVEPRO_CONFIG.baseUrl}/orders/${orderId}/designs`,
-      {
-        comment: comment || `Design for order #${orderId}`,
-        files: [renamedPdfUrl],
-        approval_mode: 'AS_ONE'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${APPROVEPRO_CONFIG.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      }
+  const customerEmail = order.customer?.email;
+  if (DONATION_ADJUSTMENT_CONFIG.emailCustomers && customerEmail && await wasDonationEmailSent(order.id)) {
+    await context.once(`donation-adjustment-email:${order.id}:${refund.id}`, 'Send donation adjustment email', () =>
+      sendDonationAdjustmentEmail(customerEmail, order.order_number || order.name, donationAmount, allocations, fullyRefunded)
     );
+  }
 
-    console.log(`Successfully sent design to customer for order ${orderId} with filename ${newFilename}`);
+  return { orderId: order.id, refundId: refund.id, netTotal: donationCalculator.formatCents(netTotalCents), donationAmount };
+}
 
-    // Clean up temporary files
-    try {
-      fs.unlinkSync(localFilePath);
-    } catch (cleanupError) {
-      console.warn('Could not clean up temp file:', cleanupError.message);
-    }
+// Job handlers keyed by job type (the Shopify webhook topic)
+const JOB_HANDLERS = {
+  'orders/create': processOrderCreated,
+  'orders/updated': processOrderUpdated,
+  'orders/fulfilled': processOrderFulfilled,
+  'orders/cancelled': processOrderCancelled,
+  'refunds/create': processRefundCreated
+};
 
-    res.json({ success: true, message: 'Design sent to customer successfully', data: response.data });
-  } catch (error) {
-    console.error('Error sending design to customer:', error);
-    res.status(500).json({ error: error.response?.data?.message || error.message });
-  }
+// The webhook job queue, running JOB_HANDLERS with a job context each
+const jobQueue = createJobQueue(dbHandle, {
+  handlers: JOB_HANDLERS,
+  createContext: job => createJobContext({ scope: `job-${job.id}` }),
+  onOutcome: (job, outcome, error, durationMs) => recordWebhookEventOutcome(job.webhook_event_id, outcome, error, durationMs),
+  maxAttempts: JOB_QUEUE_CONFIG.maxAttempts,
+  baseDelay: JOB_QUEUE_CONFIG.baseDelay,
+  maxDelay: JOB_QUEUE_CONFIG.maxDelay
 });
 
-// API endpoint to reject design (protected)
-app.post('/api/orders/:orderId/reject', requireAuth, async (req, res) => {
-  try {
-    const { orderId } = req.params;
-    const { comment } = req.body;
+// Work through every due job, one at a time
+let jobWorkerBusy = false;
+async function processDueJobs() {
+  if (jobWorkerBusy) {
+    return;
+  }
 
-    if (!APPROVEPRO_CONFIG.apiKey) {
-      return res.status(500).json({ error: 'ApprovePro API key not configured' });
+  jobWorkerBusy = true;
+  try {
+    let job;
+    while ((job = await jobQueue.claimNextJob())) {
+      await jobQueue.runJob(job);
     }
+  } catch (error) {
+    console.error('Job worker error:', error);
+  } finally {
+    jobWorkerBusy = false;
+  }
+}
 
-    // Note: ApprovePro API doesn't seem to have a direct reject endpoint
-    // This is a placeholder - you might need to check ApprovePro documentation
-    // for the correct way to reject designs. For now, we'll log the rejection.
+// Start the background job worker
+async function startJobWorker() {
+  await jobQueue.requeueInterruptedJobs();
 
-    console.log(`Design rejection requested for order ${orderId}`);
+  setInterval(processDueJobs, JOB_QUEUE_CONFIG.pollInterval);
 
-    // You might need to implement this based on ApprovePro's actual reject API
-    // For now, we'll return success and let the status check handle the update
+  // Completed jobs and old webhook events are only kept for a while
+  const cleanup = async () => {
+    await dbRun(
+      `DELETE FROM jobs WHERE status = 'completed' AND completed_at < datetime('now', ?)`,
+      [`-${JOB_QUEUE_CONFIG.retentionDays} days`]
+    );
 
-    res.json({ success: true, message: 'Design rejection processed' });
-  } catch (error) {
-    console.error('Error rejecting design:', error);
-    res.status(500).json({ error: error.response?.data?.message || error.message });
-  }
-});
+    const logCutoff = `-${WEBHOOK_LOG_RETENTION_DAYS} days`;
+    await dbRun(
+      `DELETE FROM webhook_event_replays WHERE event_id IN (SELECT id FROM webhook_events WHERE received_at < datetime('now', ?))`,
+      [logCutoff]
+    );
+    await dbRun(`DELETE FROM webhook_events WHERE received_at < datetime('now', ?)`, [logCutoff]);
 
-// Webhook endpoint for order creation
-app.post('/webhook/orders/create', (req, res) => {
+    // Tag write keys only matter while their job or run is in progress
+    await dbRun(
+      `DELETE FROM idempotency_keys WHERE key LIKE 'order-tags:%' AND created_at < datetime('now', ?)`,
+      [`-${JOB_QUEUE_CONFIG.retentionDays} days`]
+    );
+  };
+  const runCleanup = () => cleanup().catch(error => console.error('Job cleanup error:', error));
+  runCleanup();
+  setInterval(runCleanup, 60 * 60 * 1000);
+
+  processDueJobs();
+}
+
+// Store a webhook delivery in the event log, returning its id. Logging
+// failures are reported but never fail the webhook itself.
+async function logWebhookEvent({ topic, shopDomain, webhookId, hmac, payload }, outcome, { error = null, durationMs = null } = {}) {
   try {
-    const signature = req.get('X-Shopify-Hmac-Sha256');
-    const rawBody = req.body;
+    const orderId = payload?.order_id || payload?.id || null;
+    const result = await dbRun(
+      `INSERT INTO webhook_events (topic, shop_domain, webhook_id, hmac, outcome, order_id, order_name, error, duration_ms, payload)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        topic,
+        shopDomain,
+        webhookId,
+        hmac,
+        outcome,
+        orderId ? String(orderId) : null,
+        payload?.name || null,
+        error,
+        durationMs,
+        payload ? JSON.stringify(redactPayload(payload)) : null
+      ]
+    );
+    return result.lastID;
+  } catch (logError) {
+    console.error('Failed to log webhook event:', logError.message);
+    return null;
+  }
+}
 
-    // Verify webhook authenticity
-    if (!verifyWebhook(rawBody, signature)) {
-      console.error('Webhook verification failed');
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+// Record a job's outcome on the webhook event that queued it
+async function recordWebhookEventOutcome(eventId, outcome, error, durationMs) {
+  if (!eventId) {
+    return;
+  }
+  await dbRun(
+    'UPDATE webhook_events SET outcome = ?, error = ?, duration_ms = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [outcome, error, durationMs, eventId]
+  ).catch(error => console.error('Failed to log webhook event outcome:', error.message));
+}
+
+// Queue a verified Shopify webhook for the job worker
+function handleShopifyWebhook(topic) {
+  return async (req, res) => {
+    // Verified by verifyShopifyWebhook, which checked the topic header too
+    const event = req.webhook;
+    const startedAt = event.startedAt;
+    let eventId = null;
 
-    const order = JSON.parse(rawBody);
-    console.log(`Processing order ${order.id}...`);
+    try {
+      const payload = JSON.parse(req.body);
+      event.payload = payload;
+      const orderId = payload.order_id || payload.id;
+      const webhookId = event.webhookId;
+
+      // Short-circuit redeliveries of a webhook we have already queued
+      if (webhookId && !await idempotency.recordWebhookDelivery(webhookId, topic)) {
+        console.log(`Duplicate ${topic} webhook ${webhookId} for order ${orderId}, skipping`);
+        await logWebhookEvent(event, 'duplicate', { durationMs: Date.now() - startedAt });
+        return res.status(200).json({
+          success: true,
+          message: 'Duplicate webhook ignored',
+          orderId,
+          duplicate: true
+        });
+      }
 
-    // Store order data for dashboard
-    storeOrderData(order);
+      // Logged before queueing so the job can record its outcome against it
+      eventId = await logWebhookEvent(event, 'received');
 
-    // Extract charity value from line items
-    const charityValue = extractCharityFromProperties(order.line_items || []);
+      let jobId;
+      try {
+        jobId = await jobQueue.enqueueJob(topic, payload, eventId);
+      } catch (error) {
+        // Forget the delivery so Shopify's retry is not treated as a duplicate
+        if (webhookId) {
+          await idempotency.forgetWebhookDelivery(webhookId, topic);
+        }
+        throw error;
+      }
+      if (eventId) {
+        await dbRun(
+          `UPDATE webhook_events SET job_id = ?, outcome = 'queued' WHERE id = ? AND outcome = 'received'`,
+          [jobId, eventId]
+        ).catch(error => console.error('Failed to log webhook event:', error.message));
+      }
+      console.log(`Queued ${topic} webhook ${webhookId || '(no id)'} for order ${orderId} as job ${jobId}`);
 
-    if (charityValue) {
-      console.log(`Found charity value: ${charityValue}`);
+      res.status(200).json({
+        success: true,
+        message: 'Webhook queued for processing',
+        orderId,
+        jobId
+      });
 
-      // Update order with charity tag
-      updateOrderTags(order.id, charityValue)
-        .then(() => {
-          console.log(`Order ${order.id} tagged successfully with: ${charityValue}`);
-        })
-        .catch((error) => {
-          console.error(`Failed to tag order ${order.id}:`, error.message);
-        });
-    } else {
-      console.log(`No charity value found in order ${order.id}`);
+      // Pick the job up straight away rather than waiting for the next poll
+      processDueJobs();
+    } catch (error) {
+      console.error('Error processing webhook:', error);
+      if (eventId) {
+        await recordWebhookEventOutcome(eventId, 'error', error.message, Date.now() - startedAt);
+      } else {
+        await logWebhookEvent(event, 'error', { error: error.message, durationMs: Date.now() - startedAt });
+      }
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
     }
+  };
+}
 
-    res.status(200).json({
-      success: true,
-      message: 'Webhook processed successfully',
-      orderId: order.id,
-      charityValue: charityValue || 'Not found'
-    });
-
-  } catch (error) {
-    console.error('Error processing webhook:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
-  }
-});
+// Webhook endpoint for order creation
+app.post('/webhook/orders/create', handleShopifyWebhook('orders/create'));
 
 // Webhook endpoint for order updates (optional)
-app.post('/webhook/orders/updated', (req, res) => {
-  try {
-    const signature = req.get('X-Shopify-Hmac-Sha256');
-    const rawBody = req.body;
+app.post('/webhook/orders/updated', handleShopifyWebhook('orders/updated'));
 
-    // Verify webhook authenticity
-    if (!verifyWebhook(rawBody, signature)) {
-      console.error('Webhook verification failed');
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+// Webhook endpoint for order fulfillment (donation confirmation email)
+app.post('/webhook/orders/fulfilled', handleShopifyWebhook('orders/fulfilled'));
 
-    const order = JSON.parse(rawBody);
-    console.log(`Processing order update ${order.id}...`);
+// Webhook endpoint for order cancellation (void the donation)
+app.post('/webhook/orders/cancelled', handleShopifyWebhook('orders/cancelled'));
 
-    // Extract charity value from line items
-    const charityValue = extractCharityFromProperties(order.line_items || []);
+// Webhook endpoint for refunds (recalculate the donation on the net amount)
+app.post('/webhook/refunds/create', handleShopifyWebhook('refunds/create'));
 
-    if (charityValue && !order.tags?.includes(charityValue)) {
-      console.log(`Found charity value: ${charityValue}`);
+// Compare the app's webhook subscriptions with the topics this server handles
+async function getWebhookSubscriptionPlan() {
+  if (!SHOPIFY_CONFIG.accessToken || !SHOPIFY_CONFIG.shopDomain) {
+    throw new Error('Shopify configuration missing');
+  }
+  if (!SHOPIFY_CONFIG.webhookBaseUrl) {
+    const error = new Error('WEBHOOK_BASE_URL is not set, so the webhook address cannot be checked');
+    error.statusCode = 400;
+    throw error;
+  }
 
-      // Update order with charity tag
-      updateOrderTags(order.id, charityValue)
-        .then(() => {
-          console.log(`Order ${order.id} tagged successfully with: ${charityValue}`);
-        })
-        .catch((error) => {
-          console.error(`Failed to tag order ${order.id}:`, error.message);
-        });
-    } else {
-      console.log(`No charity value found or already tagged in order ${order.id}`);
+  const subscriptions = await webhookApi.listSubscriptions();
+  return shopifyWebhooks.planWebhookSubscriptions(subscriptions, {
+    topics: Object.keys(JOB_HANDLERS),
+    baseUrl: SHOPIFY_CONFIG.webhookBaseUrl,
+    apiVersion: SHOPIFY_CONFIG.apiVersion
+  });
+}
+
+// Register missing topics, fix wrong addresses and remove stale subscriptions.
+// Each plan entry with an action gets a result of 'done' or 'failed' (with error).
+async function syncWebhookSubscriptions() {
+  const plan = await getWebhookSubscriptionPlan();
+
+  for (const item of plan.filter(entry => entry.action)) {
+    try {
+      if (item.action === 'register') {
+        item.subscription = await webhookApi.createSubscription(item.topic, item.expectedUrl);
+      } else if (item.action === 'update') {
+        item.subscription = await webhookApi.updateSubscription(item.subscription.id, item.expectedUrl);
+      } else if (item.action === 'remove') {
+        await webhookApi.deleteSubscription(item.subscription.id);
+      }
+      item.result = 'done';
+      console.log(`Webhook ${item.topic}: ${item.action} done`);
+    } catch (error) {
+      item.result = 'failed';
+      item.error = error.message;
+      console.error(`Webhook ${item.topic}: ${item.action} failed:`, error.message);
     }
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Webhook processed successfully',
-      orderId: order.id,
-      charityValue: charityValue || 'Not found'
-    });
+  return plan;
+}
 
+// API endpoint for webhook subscriptions and what syncing would change (protected)
+app.get('/api/webhooks/subscriptions', requireAuth, async (req, res) => {
+  try {
+    const plan = await getWebhookSubscriptionPlan();
+    res.json({ plan, statuses: shopifyWebhooks.SUBSCRIPTION_STATUSES });
   } catch (error) {
-    console.error('Error processing webhook:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
+    console.error('Error loading webhook subscriptions:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-// Webhook endpoint for order fulfillment (donation confirmation email)
-app.post('/webhook/orders/fulfilled', (req, res) => {
+// API endpoint to register, fix and remove webhook subscriptions (protected)
+app.post('/api/webhooks/subscriptions/sync', requireAuth, async (req, res) => {
   try {
-    const signature = req.get('X-Shopify-Hmac-Sha256');
-    const rawBody = req.body;
+    const plan = await syncWebhookSubscriptions();
+    console.log(`Webhook subscriptions synced by ${req.session.username}`);
+    res.json({ success: plan.every(item => item.result !== 'failed'), plan, statuses: shopifyWebhooks.SUBSCRIPTION_STATUSES });
+  } catch (error) {
+    console.error('Error syncing webhook subscriptions:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
 
-    // Verify webhook authenticity
-    if (!verifyWebhook(rawBody, signature)) {
-      console.error('Webhook verification failed');
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+// The payload to replay a logged webhook with: the original from the job
+// queue while it is still kept, otherwise the order as it is now in Shopify.
+// The logged payload is redacted, so it is only replayed for refunds, whose
+// handler fetches the order itself.
+async function getReplayPayload(event) {
+  const job = event.job_id ? await dbGet('SELECT payload FROM jobs WHERE id = ?', [event.job_id]) : null;
+  if (job) {
+    return { payload: JSON.parse(job.payload), source: 'original' };
+  }
+  if (event.topic === 'refunds/create' && event.payload) {
+    return { payload: JSON.parse(event.payload), source: 'log' };
+  }
+  if (!event.order_id) {
+    const error = new Error('Webhook event has no order to replay');
+    error.statusCode = 400;
+    throw error;
+  }
+  return { payload: await orderApi.getOrder(event.order_id), source: 'shopify' };
+}
+
+// Run a logged webhook through its job handler again. A dry run goes through
+// the same handler but only lists the writes, tags and emails it would make.
+async function replayWebhookEvent(eventId, { dryRun = false, replayedBy = null } = {}) {
+  const event = await dbGet('SELECT * FROM webhook_events WHERE id = ?', [eventId]);
+  if (!event) {
+    const error = new Error('Webhook event not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const handler = JOB_HANDLERS[event.topic];
+  if (!handler) {
+    const error = new Error(`No handler for webhook topic ${event.topic}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  if (event.outcome === 'rejected') {
+    const error = new Error('Rejected deliveries cannot be replayed');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { payload, source } = await getReplayPayload(event);
+  const context = createJobContext({ dryRun });
+  const startedAt = Date.now();
+  let result = null;
+  let errorMessage = null;
+
+  try {
+    result = await handler(payload, context);
+  } catch (error) {
+    errorMessage = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+  }
 
-    const order = JSON.parse(rawBody);
-    console.log(`Processing order fulfillment ${order.id}...`);
+  const durationMs = Date.now() - startedAt;
+  const outcome = errorMessage ? 'failed' : 'processed';
+  const insert = await dbRun(
+    `INSERT INTO webhook_event_replays (event_id, dry_run, payload_source, outcome, actions, result, error, duration_ms, replayed_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [event.id, dryRun ? 1 : 0, source, outcome, JSON.stringify(context.actions), result ? JSON.stringify(result) : null, errorMessage, durationMs, replayedBy]
+  );
+  console.log(`Webhook event ${event.id} (${event.topic}) replayed${dryRun ? ' as a dry run' : ''} by ${replayedBy || 'unknown'}: ${outcome}${errorMessage ? ` (${errorMessage})` : ''}`);
+
+  return {
+    id: insert.lastID,
+    eventId: event.id,
+    dryRun,
+    payloadSource: source,
+    outcome,
+    actions: context.actions,
+    result,
+    error: errorMessage,
+    durationMs
+  };
+}
 
-    // Extract customer email and order details
-    const customerEmail = order.customer?.email;
-    const orderNumber = order.order_number || order.name;
-    const orderTotal = order.total_price;
+// API endpoint to search the webhook event log (protected)
+app.get('/api/webhook-events', requireAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(parseInt(req.query.pageSize) || 50, 200);
+    const search = (req.query.search || '').trim();
 
-    if (customerEmail) {
-      // Extract charity value from line items
-      const charityValue = extractCharityFromProperties(order.line_items || []);
+    const conditions = [];
+    const params = [];
 
-      // Calculate donation amount (10% of order total)
-      const donationAmount = calculateDonationAmount(orderTotal);
+    // Search order number or id and webhook id
+    if (search) {
+      const term = search.replace(/^#/, '');
+      conditions.push('(order_name LIKE ? OR order_id = ? OR webhook_id = ?)');
+      params.push(`%${term}%`, term, search);
+    }
+    if (req.query.topic) {
+      conditions.push('topic = ?');
+      params.push(req.query.topic);
+    }
+    if (req.query.outcome) {
+      conditions.push('outcome = ?');
+      params.push(req.query.outcome);
+    }
 
-      console.log(`Sending donation confirmation email to ${customerEmail} for order #${orderNumber}`);
-      console.log(`Donation amount: $${donationAmount} to charity: ${charityValue || 'Not specified'}`);
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = await dbGet(`SELECT COUNT(*) AS total FROM webhook_events ${where}`, params);
+    const events = await dbAll(
+      `SELECT id, topic, shop_domain, webhook_id, hmac, outcome, order_id, order_name, job_id, error, duration_ms, received_at, processed_at
+       FROM webhook_events ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
 
-      // Send donation confirmation email
-      sendDonationConfirmationEmail(customerEmail, orderNumber, donationAmount, charityValue)
-        .then(() => {
-          console.log(`Donation confirmation email sent successfully to ${customerEmail}`);
-        })
-        .catch((error) => {
-          console.error(`Failed to send donation confirmation email to ${customerEmail}:`, error.message);
-        });
-    } else {
-      console.log(`No customer email found for order ${order.id}`);
+    res.json({ events, total, page, pageSize, topics: Object.keys(JOB_HANDLERS) });
+  } catch (error) {
+    console.error('Error loading webhook events:', error);
+    res.status(500).json({ error: 'Failed to load webhook events' });
+  }
+});
+
+// API endpoint for one webhook event with its redacted payload and replays (protected)
+app.get('/api/webhook-events/:eventId', requireAuth, async (req, res) => {
+  try {
+    const event = await dbGet('SELECT * FROM webhook_events WHERE id = ?', [req.params.eventId]);
+    if (!event) {
+      return res.status(404).json({ error: 'Webhook event not found' });
     }
 
-    res.status(200).json({
-      success: true,
-      message: 'Fulfillment webhook processed successfully',
-      orderId: order.id,
-      orderNumber: orderNumber,
-      customerEmail: customerEmail || 'Not found',
-      donationAmount: orderTotal ? calculateDonationAmount(orderTotal) : 'N/A'
+    const replays = await dbAll('SELECT * FROM webhook_event_replays WHERE event_id = ? ORDER BY id DESC', [event.id]);
+    res.json({
+      event: { ...event, payload: event.payload ? JSON.parse(event.payload) : null },
+      replays: replays.map(replay => ({
+        ...replay,
+        actions: JSON.parse(replay.actions || '[]'),
+        result: replay.result ? JSON.parse(replay.result) : null
+      }))
     });
-
   } catch (error) {
-    console.error('Error processing fulfillment webhook:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
+    console.error('Error loading webhook event:', error);
+    res.status(500).json({ error: 'Failed to load webhook event' });
+  }
+});
+
+// API endpoint to replay a webhook event through its handler (protected)
+// Body: { dryRun }
+app.post('/api/webhook-events/:eventId/replay', requireAuth, async (req, res) => {
+  try {
+    const replay = await replayWebhookEvent(req.params.eventId, {
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+      replayedBy: req.session.username
     });
+    res.json({ success: replay.outcome === 'processed', replay });
+  } catch (error) {
+    console.error('Error replaying webhook event:', error.response?.data || error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -1694,21 +6641,65 @@ app.use('*', (req, res) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Shopify Tag Automation Server running on port ${PORT}`);
-  console.log(`📡 Webhook endpoints:`);
-  console.log(`   POST /webhook/orders/create`);
-  console.log(`   POST /webhook/orders/updated`);
-  console.log(`   POST /webhook/orders/fulfilled`);
-  console.log(`🎨 Dashboard: GET /dashboard`);
-  console.log(`📊 API endpoints:`);
-  console.log(`   GET /api/orders`);
-  console.log(`   POST /api/orders/:orderId/send-to-customer`);
-  console.log(`🏥 Health check: GET /health`);
-  console.log(`📧 Email functionality: ${process.env.EMAIL_USER ? 'Enabled' : 'Disabled'}`);
-  console.log(`🔗 ApprovePro integration: ${process.env.APPROVEPRO_API_KEY ? 'Enabled' : 'Disabled'}`);
-  console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Start server, unless loaded by a command-line script such as sync-orders.js
+if (require.main === module) {
+  // Without a secret every webhook is rejected, so don't run production that way
+  if (SHOPIFY_CONFIG.webhookSecrets.length === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('❌ SHOPIFY_WEBHOOK_SECRET is not set; refusing to start in production without webhook verification');
+      process.exit(1);
+    }
+    console.warn('⚠️  SHOPIFY_WEBHOOK_SECRET is not set; every webhook will be rejected');
+  }
+
+  app.listen(PORT, () => {
+    console.log(`🚀 Shopify Tag Automation Server running on port ${PORT}`);
+    console.log(`📡 Webhook endpoints:`);
+    console.log(`   POST /webhook/orders/create`);
+    console.log(`   POST /webhook/orders/updated`);
+    console.log(`   POST /webhook/orders/fulfilled`);
+    console.log(`   POST /webhook/orders/cancelled`);
+    console.log(`   POST /webhook/refunds/create`);
+    console.log(`🎨 Dashboard: GET /dashboard`);
+    console.log(`🏷️  Tagging rules: GET /dashboard/rules`);
+    console.log(`💝 Charity registry: GET /dashboard/charities`);
+    console.log(`📐 Donation rates: GET /dashboard/donation-rates`);
+    console.log(`💰 Donation ledger: GET /dashboard/donations`);
+    console.log(`🧾 Charity payouts: GET /dashboard/reports`);
+    console.log(`📬 Webhook jobs: GET /dashboard/jobs`);
+    console.log(`🪝 Webhook subscriptions: GET /dashboard/webhooks`);
+    console.log(`🔎 Webhook log: GET /dashboard/webhook-events`);
+    console.log(`📊 API endpoints:`);
+    console.log(`   GET /api/orders`);
+    console.log(`   GET/POST /api/orders/sync`);
+    console.log(`   POST /api/orders/:orderId/send-to-customer`);
+    console.log(`   GET/POST /api/design-sends`);
+    console.log(`   GET/POST/PUT/DELETE /api/rules`);
+    console.log(`   POST /api/rules/dry-run`);
+    console.log(`   GET/POST /api/backfill`);
+    console.log(`   GET /api/reconciliation`);
+    console.log(`   GET /api/webhooks/subscriptions`);
+    console.log(`   POST /api/webhooks/subscriptions/sync`);
+    console.log(`   GET /api/webhook-events`);
+    console.log(`   POST /api/webhook-events/:eventId/replay`);
+    console.log(`🏥 Health check: GET /health`);
+    console.log(`🔐 Webhook secrets: ${SHOPIFY_CONFIG.webhookSecrets.length}${SHOPIFY_CONFIG.webhookSecrets.length > 1 ? ' (rotating)' : ''}`);
+    console.log(`📧 Email functionality: ${process.env.EMAIL_USER ? 'Enabled' : 'Disabled'}`);
+    console.log(`🛍️  Shopify Admin API: ${SHOPIFY_CONFIG.api === 'graphql' ? 'GraphQL' : 'REST'} (${SHOPIFY_CONFIG.apiVersion})`);
+    console.log(`🔗 ApprovePro integration: ${process.env.APPROVEPRO_API_KEY ? 'Enabled' : 'Disabled'}`);
+    console.log(`📝 ApprovePro webhook: POST /approvepro/webhook (${APPROVEPRO_CONFIG.webhookSecret ? 'enabled' : 'disabled, APPROVEPRO_WEBHOOK_SECRET not set'})`);
+    console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+    startJobWorker().catch(error => console.error('Failed to start job worker:', error));
+    startDesignSendWorker().catch(error => console.error('Failed to start bulk send worker:', error));
+    startOrderSync();
+    startReconciler();
+  });
+}
 
 module.exports = app;
+module.exports.runOrderSync = runOrderSync;
+module.exports.runTagBackfill = runTagBackfill;
+module.exports.getBackfillCsv = getBackfillCsv;
+module.exports.getWebhookSubscriptionPlan = getWebhookSubscriptionPlan;
+module.exports.syncWebhookSubscriptions = syncWebhookSubscriptions;
@@ -0,0 +1,348 @@
+// Shopify Admin API client
+// Every call to the Shopify Admin API goes through one client so they share
+// its rate limiters. REST calls use Shopify's leaky bucket (40 calls, leaking
+// 2 per second on standard plans), kept in step with the
+// X-Shopify-Shop-Api-Call-Limit header. GraphQL calls use the separate
+// query cost bucket reported in each response's extensions.cost. 429s and
+// THROTTLED responses are retried after the wait Shopify asks for, and 5xx
+// and network errors with exponential backoff.
+//
+// Failed calls throw a ShopifyError subclass. The axios response is kept on
+// error.response, so error.response.status and .data still work.
+
+const axios = require('axios');
+
+const DEFAULT_OPTIONS = {
+  apiVersion: '2024-10',
+  bucketSize: 40, // calls the bucket holds
+  leakRate: 2, // calls per second that drain from the bucket
+  throttleAt: 0.8, // wait once the bucket is this full
+  maxRetries: 5, // attempts per request for 429, 5xx and network errors
+  baseDelay: 1000, // first backoff delay in ms, doubled on each attempt
+  maxDelay: 30000,
+  timeout: 30000,
+  graphqlBucketSize: 1000, // query cost points, until a response reports the real figure
+  graphqlRestoreRate: 50, // points restored per second
+  graphqlDefaultCost: 100 // cost assumed for a query before Shopify has priced it
+};
+
+// Base class for failed Shopify calls
+class ShopifyError extends Error {
+  constructor(message, { status = null, response = null, method = null, resource = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.response = response;
+    this.method = method;
+    this.resource = resource;
+  }
+}
+
+// 429 after every retry
+class ShopifyRateLimitError extends ShopifyError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+// 401 / 403: bad access token or missing API scope
+class ShopifyAuthError extends ShopifyError {}
+
+// 404
+class ShopifyNotFoundError extends ShopifyError {}
+
+// 400 / 422: Shopify rejected the request
+class ShopifyValidationError extends ShopifyError {}
+
+// 5xx after every retry
+class ShopifyServerError extends ShopifyError {}
+
+// No response: timeout, DNS or connection failure, after every retry
+class ShopifyNetworkError extends ShopifyError {}
+
+// GraphQL errors in a 200 response, or userErrors from a mutation
+class ShopifyGraphQLError extends ShopifyValidationError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.errors = details.errors || [];
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Parse an X-Shopify-Shop-Api-Call-Limit header ("36/40")
+function parseCallLimit(header) {
+  const [used, limit] = String(header || '').split('/').map(Number);
+  return used >= 0 && limit > 0 ? { used, limit } : null;
+}
+
+// Cursor for the next page from a Shopify Link header, or null on the last page
+function getNextPageInfo(linkHeader) {
+  const match = /<([^>]+)>;\s*rel="next"/.exec(linkHeader || '');
+  return match ? new URL(match[1]).searchParams.get('page_info') : null;
+}
+
+// Shopify's error body as a readable string
+function describeErrors(data) {
+  const errors = data?.errors ?? data?.error ?? data;
+  if (!errors) return '';
+  return typeof errors === 'string' ? errors : JSON.stringify(errors);
+}
+
+// Wrap an axios error in the matching ShopifyError subclass
+function toShopifyError(error, method, resource) {
+  const response = error.response || null;
+  const details = { status: response?.status ?? null, response, method, resource };
+
+  if (!response) {
+    return new ShopifyNetworkError(`Shopify ${method} ${resource} failed: ${error.message}`, details);
+  }
+
+  const message = `Shopify ${method} ${resource} failed with ${response.status}: ${describeErrors(response.data)}`;
+  if (response.status === 429) {
+    return new ShopifyRateLimitError(message, { ...details, retryAfter: parseFloat(response.headers?.['retry-after']) || null });
+  }
+  if (response.status === 401 || response.status === 403) {
+    return new ShopifyAuthError(message, details);
+  }
+  if (response.status === 404) {
+    return new ShopifyNotFoundError(message, details);
+  }
+  if (response.status === 400 || response.status === 422) {
+    return new ShopifyValidationError(message, details);
+  }
+  if (response.status >= 500) {
+    return new ShopifyServerError(message, details);
+  }
+  return new ShopifyError(message, details);
+}
+
+// Throw if a GraphQL mutation came back with userErrors
+function checkUserErrors(result, mutation) {
+  const userErrors = result?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new ShopifyGraphQLError(`Shopify ${mutation} failed: ${userErrors.map(error => error.message).join('; ')}`, {
+      method: 'POST',
+      resource: 'graphql.json',
+      errors: userErrors
+    });
+  }
+}
+
+// Create a client for one shop.
+// options: { shopDomain, accessToken, apiVersion, ...DEFAULT_OPTIONS overrides }
+function createShopifyClient(options) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  // Our estimate of the bucket, drained at leakRate since lastLeak
+  const bucket = { used: 0, limit: config.bucketSize, lastLeak: Date.now() };
+  let queue = Promise.resolve();
+
+  function leak() {
+    const now = Date.now();
+    bucket.used = Math.max(0, bucket.used - ((now - bucket.lastLeak) / 1000) * config.leakRate);
+    bucket.lastLeak = now;
+  }
+
+  // Wait for room in the bucket, then take a slot. Calls queue up so a burst
+  // of concurrent requests is spread out rather than all sent at once.
+  function acquire() {
+    const turn = queue.then(async () => {
+      leak();
+      const ceiling = bucket.limit * config.throttleAt;
+      if (bucket.used >= ceiling) {
+        const waitMs = Math.ceil(((bucket.used - ceiling + 1) / config.leakRate) * 1000);
+        console.log(`Shopify call limit at ${Math.ceil(bucket.used)}/${bucket.limit}, waiting ${waitMs / 1000}s`);
+        await sleep(waitMs);
+        leak();
+      }
+      bucket.used += 1;
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  // Shopify's own count is the truth, so adopt it whenever a response carries it
+  function syncBucket(headers) {
+    const callLimit = parseCallLimit(headers?.['x-shopify-shop-api-call-limit']);
+    if (callLimit) {
+      leak();
+      bucket.used = callLimit.used;
+      bucket.limit = callLimit.limit;
+    }
+  }
+
+  // GraphQL cost bucket: points available, restored at restoreRate since lastRestore
+  const costBucket = {
+    available: config.graphqlBucketSize,
+    maximum: config.graphqlBucketSize,
+    restoreRate: config.graphqlRestoreRate,
+    lastRestore: Date.now()
+  };
+  const queryCosts = new Map();
+  let graphqlQueue = Promise.resolve();
+
+  function restore() {
+    const now = Date.now();
+    costBucket.available = Math.min(
+      costBucket.maximum,
+      costBucket.available + ((now - costBucket.lastRestore) / 1000) * costBucket.restoreRate
+    );
+    costBucket.lastRestore = now;
+  }
+
+  // Wait until the bucket can pay for a query, then reserve its cost
+  function acquireCost(cost) {
+    const turn = graphqlQueue.then(async () => {
+      restore();
+      if (costBucket.available < cost) {
+        const waitMs = Math.ceil(((cost - costBucket.available) / costBucket.restoreRate) * 1000);
+        console.log(`Shopify GraphQL cost ${cost} with ${Math.floor(costBucket.available)}/${costBucket.maximum} available, waiting ${waitMs / 1000}s`);
+        await sleep(waitMs);
+        restore();
+      }
+      costBucket.available -= cost;
+    });
+    graphqlQueue = turn.catch(() => {});
+    return turn;
+  }
+
+  function syncCostBucket(cost) {
+    const status = cost?.throttleStatus;
+    if (status) {
+      costBucket.available = status.currentlyAvailable;
+      costBucket.maximum = status.maximumAvailable;
+      costBucket.restoreRate = status.restoreRate;
+      costBucket.lastRestore = Date.now();
+    }
+  }
+
+  function retryDelay(error, attempt) {
+    const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+    if (!isNaN(retryAfter)) {
+      return retryAfter * 1000;
+    }
+    return Math.min(config.baseDelay * Math.pow(2, attempt - 1), config.maxDelay);
+  }
+
+  function isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+  }
+
+  // Make an Admin API request. resource is relative to the versioned API root,
+  // e.g. 'orders/123.json'. Resolves with the axios response.
+  async function request(method, resource, { params, data, apiVersion, throttle = true } = {}) {
+    if (!config.shopDomain || !config.accessToken) {
+      throw new ShopifyAuthError('Shopify configuration missing', { method, resource });
+    }
+
+    const url = `https://${config.shopDomain}/admin/api/${apiVersion || config.apiVersion}/${resource}`;
+
+    for (let attempt = 1; ; attempt++) {
+      if (throttle) {
+        await acquire();
+      }
+
+      try {
+        const response = await axios.request({
+          method,
+          url,
+          params,
+          data,
+          timeout: config.timeout,
+          headers: {
+            'X-Shopify-Access-Token': config.accessToken,
+            'Content-Type': 'application/json'
+          }
+        });
+        if (throttle) {
+          syncBucket(response.headers);
+        }
+        return response;
+      } catch (error) {
+        if (throttle) {
+          syncBucket(error.response?.headers);
+        }
+
+        if (!isRetryable(error) || attempt >= config.maxRetries) {
+          throw toShopifyError(error, method.toUpperCase(), resource);
+        }
+
+        if (error.response?.status === 429) {
+          // Shopify says the bucket is full, whatever our estimate thinks, so
+          // hold back other callers too while this one waits out Retry-After
+          leak();
+          bucket.used = Math.max(bucket.used, bucket.limit * config.throttleAt);
+        }
+
+        const delay = retryDelay(error, attempt);
+        console.log(`Shopify ${method.toUpperCase()} ${resource} failed (${error.response?.status || error.code || error.message}), retrying in ${delay / 1000}s (attempt ${attempt})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Run a GraphQL Admin API query or mutation. Resolves with the data object;
+  // throws ShopifyGraphQLError for errors in the response.
+  async function graphql(query, variables = {}, { apiVersion } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      await acquireCost(queryCosts.get(query) || config.graphqlDefaultCost);
+
+      // GraphQL calls don't count against the REST bucket
+      const response = await request('post', 'graphql.json', { data: { query, variables }, apiVersion, throttle: false });
+      const { data, errors, extensions } = response.data;
+      syncCostBucket(extensions?.cost);
+      if (extensions?.cost?.requestedQueryCost) {
+        queryCosts.set(query, extensions.cost.requestedQueryCost);
+      }
+
+      if (!errors || errors.length === 0) {
+        return data;
+      }
+
+      const throttled = errors.some(error => error.extensions?.code === 'THROTTLED');
+      const details = { status: response.status, response, method: 'POST', resource: 'graphql.json', errors };
+      if (!throttled) {
+        throw new ShopifyGraphQLError(`Shopify GraphQL request failed: ${errors.map(error => error.message).join('; ')}`, details);
+      }
+      if (attempt >= config.maxRetries) {
+        throw new ShopifyRateLimitError('Shopify GraphQL request throttled', details);
+      }
+
+      // The next acquireCost waits for enough points to be restored
+      if (!extensions?.cost?.throttleStatus) {
+        costBucket.available = 0;
+        costBucket.lastRestore = Date.now();
+      }
+      console.log(`Shopify GraphQL throttled, retrying once the query cost is restored (attempt ${attempt})`);
+    }
+  }
+
+  return {
+    config,
+    request,
+    graphql,
+    get: (resource, params, options = {}) => request('get', resource, { ...options, params }),
+    post: (resource, data, options = {}) => request('post', resource, { ...options, data }),
+    put: (resource, data, options = {}) => request('put', resource, { ...options, data }),
+    delete: (resource, options = {}) => request('delete', resource, options)
+  };
+}
+
+module.exports = {
+  ShopifyError,
+  ShopifyRateLimitError,
+  ShopifyAuthError,
+  ShopifyNotFoundError,
+  ShopifyValidationError,
+  ShopifyServerError,
+  ShopifyNetworkError,
+  ShopifyGraphQLError,
+  createShopifyClient,
+  checkUserErrors,
+  getNextPageInfo
+};
@@ -0,0 +1,572 @@
+// Shopify order reads and tag writes
+// Orders are read through the GraphQL Admin API by default, asking only for
+// the fields this service uses, and tags are written with the tagsAdd and
+// tagsRemove mutations. The REST orders.json path is kept as a fallback
+// (SHOPIFY_API=rest).
+//
+// Either way, orders come back in the REST / webhook payload shape (order_number,
+// line_items[].properties, comma-separated tags...) so the tagging rules,
+// charity matching, donation calculator and order index don't care which API
+// was used.
+//
+// Large order histories can also be exported with a GraphQL bulk operation
+// and read back from its JSONL file (readBulkOrders).
+
+const readline = require('readline');
+const { ShopifyGraphQLError, ShopifyNotFoundError, checkUserErrors, getNextPageInfo } = require('./shopify-client');
+
+const ORDER_APIS = ['graphql', 'rest'];
+
+// Line items are paged, so a GraphQL order page stays under Shopify's
+// 1000-point single query cost limit
+const LINE_ITEM_FIELDS = `
+  id
+  sku
+  title
+  quantity
+  product { legacyResourceId productType }
+  originalUnitPriceSet { shopMoney { amount } }
+  customAttributes { key value }
+  discountAllocations { allocatedAmountSet { shopMoney { amount } } }
+`;
+
+const ORDER_FIELDS = `
+  id
+  legacyResourceId
+  name
+  email
+  createdAt
+  updatedAt
+  cancelledAt
+  tags
+  displayFinancialStatus
+  displayFulfillmentStatus
+  currencyCode
+  totalPriceSet { shopMoney { amount } }
+  customer { firstName lastName email }
+  shippingAddress { country countryCodeV2 }
+`;
+
+const ORDERS_QUERY = `
+  query Orders($first: Int!, $after: String, $query: String, $sortKey: OrderSortKeys) {
+    orders(first: $first, after: $after, query: $query, sortKey: $sortKey) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        ${ORDER_FIELDS}
+        lineItems(first: 10) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${LINE_ITEM_FIELDS} }
+        }
+      }
+    }
+  }
+`;
+
+// Order.refunds is a plain list, so it can't be paged. One more than the
+// limit is asked for, so an order with too many refunds fails loudly instead
+// of having its donation calculated from some of them.
+const MAX_REFUNDS = 20;
+
+const REFUND_LINE_ITEM_FIELDS = 'quantity lineItem { id }';
+const REFUND_TRANSACTION_FIELDS = 'kind status amountSet { shopMoney { amount } }';
+
+// A single order also carries its refunds, for the donation calculator.
+// Refund line items and transactions are paged like line items.
+const ORDER_QUERY = `
+  query Order($id: ID!) {
+    order(id: $id) {
+      ${ORDER_FIELDS}
+      lineItems(first: 50) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${LINE_ITEM_FIELDS} }
+      }
+      refunds(first: ${MAX_REFUNDS + 1}) {
+        id
+        legacyResourceId
+        refundLineItems(first: 20) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${REFUND_LINE_ITEM_FIELDS} }
+        }
+        transactions(first: 5) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${REFUND_TRANSACTION_FIELDS} }
+        }
+      }
+    }
+  }
+`;
+
+const LINE_ITEMS_QUERY = `
+  query OrderLineItems($id: ID!, $after: String) {
+    order(id: $id) {
+      lineItems(first: 50, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${LINE_ITEM_FIELDS} }
+      }
+    }
+  }
+`;
+
+const REFUND_LINE_ITEMS_QUERY = `
+  query RefundLineItems($id: ID!, $after: String) {
+    node(id: $id) {
+      ... on Refund {
+        refundLineItems(first: 50, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${REFUND_LINE_ITEM_FIELDS} }
+        }
+      }
+    }
+  }
+`;
+
+const REFUND_TRANSACTIONS_QUERY = `
+  query RefundTransactions($id: ID!, $after: String) {
+    node(id: $id) {
+      ... on Refund {
+        transactions(first: 50, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${REFUND_TRANSACTION_FIELDS} }
+        }
+      }
+    }
+  }
+`;
+
+const ORDER_TAGS_QUERY = `
+  query OrderTags($id: ID!) {
+    order(id: $id) { tags }
+  }
+`;
+
+const ORDERS_COUNT_QUERY = `
+  query OrdersCount($query: String) {
+    ordersCount(query: $query) { count }
+  }
+`;
+
+const TAGS_ADD_MUTATION = `
+  mutation TagsAdd($id: ID!, $tags: [String!]!) {
+    tagsAdd(id: $id, tags: $tags) { userErrors { field message } }
+  }
+`;
+
+const TAGS_REMOVE_MUTATION = `
+  mutation TagsRemove($id: ID!, $tags: [String!]!) {
+    tagsRemove(id: $id, tags: $tags) { userErrors { field message } }
+  }
+`;
+
+// Bulk operations have no page sizes. Line items come back as their own JSONL
+// lines, after their order, with the order's id in __parentId.
+function buildBulkOrdersQuery(search) {
+  return `
+    {
+      orders(sortKey: UPDATED_AT${search ? `, query: ${JSON.stringify(search)}` : ''}) {
+        edges {
+          node {
+            ${ORDER_FIELDS}
+            lineItems { edges { node { ${LINE_ITEM_FIELDS} } } }
+          }
+        }
+      }
+    }
+  `;
+}
+
+const BULK_RUN_MUTATION = `
+  mutation BulkOperationRunQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_OPERATION_QUERY = `
+  query BulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation { id status errorCode objectCount url createdAt completedAt }
+    }
+  }
+`;
+
+// Bulk operation statuses that won't change again
+const BULK_FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+// GraphQL sort keys for the REST-style sort fields
+const SORT_KEYS = { updated_at: 'UPDATED_AT', created_at: 'CREATED_AT', id: 'ID' };
+
+function toOrderGid(orderId) {
+  return `gid://shopify/Order/${orderId}`;
+}
+
+// Numeric ID from a gid, e.g. gid://shopify/LineItem/123 -> 123
+function fromGid(gid) {
+  return Number(String(gid).split('/').pop());
+}
+
+function money(set) {
+  return set?.shopMoney?.amount ?? null;
+}
+
+// Split a comma-separated tag string
+function splitTags(tags) {
+  return String(tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// Whether a tag list contains a tag, ignoring case
+function containsTag(tags, tag) {
+  return tags.some(existing => existing.toLowerCase() === tag.toLowerCase());
+}
+
+// GraphQL fulfillment status -> REST fulfillment_status (null when unfulfilled)
+function toFulfillmentStatus(status) {
+  switch (status) {
+    case 'FULFILLED':
+      return 'fulfilled';
+    case 'PARTIALLY_FULFILLED':
+      return 'partial';
+    case 'RESTOCKED':
+      return 'restocked';
+    default:
+      return null;
+  }
+}
+
+function toRestLineItem(node) {
+  return {
+    id: fromGid(node.id),
+    sku: node.sku,
+    title: node.title,
+    quantity: node.quantity,
+    price: money(node.originalUnitPriceSet),
+    product_id: node.product ? Number(node.product.legacyResourceId) : null,
+    product_type: node.product?.productType || null,
+    properties: (node.customAttributes || []).map(attribute => ({ name: attribute.key, value: attribute.value })),
+    discount_allocations: (node.discountAllocations || []).map(allocation => ({ amount: money(allocation.allocatedAmountSet) }))
+  };
+}
+
+function toRestRefund(refund) {
+  return {
+    id: Number(refund.legacyResourceId),
+    refund_line_items: refund.refundLineItems.nodes.map(line => ({
+      line_item_id: fromGid(line.lineItem.id),
+      quantity: line.quantity
+    })),
+    transactions: refund.transactions.nodes.map(transaction => ({
+      kind: transaction.kind.toLowerCase(),
+      status: transaction.status.toLowerCase(),
+      amount: money(transaction.amountSet)
+    }))
+  };
+}
+
+// A GraphQL order node in the REST / webhook payload shape
+function toRestOrder(node, lineItems) {
+  const order = {
+    id: Number(node.legacyResourceId),
+    name: node.name,
+    order_number: Number(String(node.name).replace(/\D/g, '')) || node.name,
+    email: node.email,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    cancelled_at: node.cancelledAt,
+    tags: (node.tags || []).join(', '),
+    financial_status: node.displayFinancialStatus ? node.displayFinancialStatus.toLowerCase() : null,
+    fulfillment_status: toFulfillmentStatus(node.displayFulfillmentStatus),
+    currency: node.currencyCode,
+    total_price: money(node.totalPriceSet),
+    customer: node.customer
+      ? { first_name: node.customer.firstName, last_name: node.customer.lastName, email: node.customer.email }
+      : null,
+    shipping_address: node.shippingAddress
+      ? { country: node.shippingAddress.country, country_code: node.shippingAddress.countryCodeV2 }
+      : null,
+    line_items: lineItems.map(toRestLineItem)
+  };
+
+  if (node.refunds) {
+    order.refunds = node.refunds.map(toRestRefund);
+  }
+  return order;
+}
+
+// Shopify search syntax for a date-range filter
+function buildSearchQuery({ updatedAtMin, updatedAtMax, createdAtMin, createdAtMax }) {
+  return [
+    updatedAtMin && `updated_at:>='${updatedAtMin}'`,
+    updatedAtMax && `updated_at:<='${updatedAtMax}'`,
+    createdAtMin && `created_at:>='${createdAtMin}'`,
+    createdAtMax && `created_at:<='${createdAtMax}'`
+  ].filter(Boolean).join(' ') || null;
+}
+
+// REST query parameters for the same filter
+function buildRestParams({ updatedAtMin, updatedAtMax, createdAtMin, createdAtMax, sortKey }) {
+  const params = { status: 'any', order: `${sortKey} asc` };
+  if (updatedAtMin) params.updated_at_min = updatedAtMin;
+  if (updatedAtMax) params.updated_at_max = updatedAtMax;
+  if (createdAtMin) params.created_at_min = createdAtMin;
+  if (createdAtMax) params.created_at_max = createdAtMax;
+  return params;
+}
+
+// Order reads and tag writes for one shop, through a shopify-client instance.
+// options: { api: 'graphql' | 'rest', restPageSize, graphqlPageSize }
+function createOrderApi(client, { api = 'graphql', restPageSize = 250, graphqlPageSize = 10 } = {}) {
+  const useGraphql = api !== 'rest';
+
+  // Every node of a connection, fetching further pages with fetchPage(after)
+  // when the first page didn't hold them all
+  async function collectNodes(connection, fetchPage) {
+    const nodes = [...connection.nodes];
+    let pageInfo = connection.pageInfo;
+
+    while (pageInfo?.hasNextPage) {
+      const page = await fetchPage(pageInfo.endCursor);
+      nodes.push(...page.nodes);
+      pageInfo = page.pageInfo;
+    }
+
+    return nodes;
+  }
+
+  // An order's line items, all pages
+  function completeLineItems(node, connection) {
+    return collectNodes(connection, async after =>
+      (await client.graphql(LINE_ITEMS_QUERY, { id: toOrderGid(node.legacyResourceId), after })).order.lineItems
+    );
+  }
+
+  // An order's refunds with all of their refund line items and transactions
+  async function completeRefunds(node) {
+    if (node.refunds.length > MAX_REFUNDS) {
+      throw new ShopifyGraphQLError(`Shopify order ${node.legacyResourceId} has more than ${MAX_REFUNDS} refunds, which can't be read over GraphQL; use SHOPIFY_API=rest`, { method: 'POST', resource: 'graphql.json' });
+    }
+
+    const refunds = [];
+    for (const refund of node.refunds) {
+      const refundLineItems = await collectNodes(refund.refundLineItems, async after =>
+        (await client.graphql(REFUND_LINE_ITEMS_QUERY, { id: refund.id, after })).node.refundLineItems
+      );
+      const transactions = await collectNodes(refund.transactions, async after =>
+        (await client.graphql(REFUND_TRANSACTIONS_QUERY, { id: refund.id, after })).node.transactions
+      );
+      refunds.push({ ...refund, refundLineItems: { nodes: refundLineItems }, transactions: { nodes: transactions } });
+    }
+    return refunds;
+  }
+
+  // One page of orders matching a date filter, oldest first by sortKey.
+  // Returns { orders, nextCursor }; pass nextCursor back to get the next page.
+  // Like REST's page_info, a cursor carries its own filter and sort, so the
+  // filters are ignored when one is given.
+  async function listOrders({ cursor = null, sortKey = 'updated_at', ...filters } = {}) {
+    if (!useGraphql) {
+      const params = cursor ? { limit: restPageSize, page_info: cursor } : { limit: restPageSize, ...buildRestParams({ ...filters, sortKey }) };
+      const response = await client.get('orders.json', params);
+      return { orders: response.data.orders || [], nextCursor: getNextPageInfo(response.headers.link) };
+    }
+
+    const page = cursor ? parseCursor(cursor) : { after: null, query: buildSearchQuery(filters), sortKey: SORT_KEYS[sortKey] || 'UPDATED_AT' };
+    const data = await client.graphql(ORDERS_QUERY, { first: graphqlPageSize, ...page });
+
+    const orders = [];
+    for (const node of data.orders.nodes) {
+      orders.push(toRestOrder(node, await completeLineItems(node, node.lineItems)));
+    }
+
+    const { hasNextPage, endCursor } = data.orders.pageInfo;
+    return { orders, nextCursor: hasNextPage ? JSON.stringify({ ...page, after: endCursor }) : null };
+  }
+
+  // A saved GraphQL cursor; a REST page_info left over from before a switch of API is rejected
+  function parseCursor(cursor) {
+    try {
+      const page = JSON.parse(cursor);
+      if (page && page.after) {
+        return page;
+      }
+    } catch (error) {
+      // fall through
+    }
+    throw new ShopifyGraphQLError('Invalid GraphQL order cursor', { method: 'POST', resource: 'graphql.json' });
+  }
+
+  // Number of orders (any status) matching a date filter. GraphQL counts stop
+  // at Shopify's default limit of 10,000.
+  async function countOrders(filters = {}) {
+    if (!useGraphql) {
+      const { order, ...params } = buildRestParams({ ...filters, sortKey: 'id' });
+      const response = await client.get('orders/count.json', params);
+      return response.data.count ?? null;
+    }
+
+    const data = await client.graphql(ORDERS_COUNT_QUERY, { query: buildSearchQuery(filters) });
+    return data.ordersCount?.count ?? null;
+  }
+
+  // A single order, including its refunds
+  async function getOrder(orderId) {
+    if (!useGraphql) {
+      const response = await client.get(`orders/${orderId}.json`);
+      return response.data.order;
+    }
+
+    const data = await client.graphql(ORDER_QUERY, { id: toOrderGid(orderId) });
+    if (!data.order) {
+      // Match the REST path, which 404s
+      throw new ShopifyNotFoundError(`Shopify order ${orderId} not found`, { method: 'POST', resource: 'graphql.json' });
+    }
+    const refunds = await completeRefunds(data.order);
+    return toRestOrder({ ...data.order, refunds }, await completeLineItems(data.order, data.order.lineItems));
+  }
+
+  // An order's current tags, as a list
+  async function getOrderTags(orderId) {
+    if (!useGraphql) {
+      const response = await client.get(`orders/${orderId}.json`, { fields: 'id,tags' });
+      return splitTags(response.data.order?.tags);
+    }
+
+    const data = await client.graphql(ORDER_TAGS_QUERY, { id: toOrderGid(orderId) });
+    return data.order?.tags || [];
+  }
+
+  // Add tags to an order, keeping the tags it already has. Returns
+  // { added, tags }: the tags that were new, and the order's tags afterwards.
+  async function addOrderTags(orderId, tags) {
+    const existing = await getOrderTags(orderId);
+    const added = [];
+    for (const tag of tags) {
+      if (!containsTag(existing, tag) && !containsTag(added, tag)) {
+        added.push(tag);
+      }
+    }
+
+    if (added.length > 0) {
+      if (useGraphql) {
+        const data = await client.graphql(TAGS_ADD_MUTATION, { id: toOrderGid(orderId), tags: added });
+        checkUserErrors(data.tagsAdd, 'tagsAdd');
+      } else {
+        await client.put(`orders/${orderId}.json`, { order: { id: orderId, tags: [...existing, ...added].join(', ') } });
+      }
+    }
+
+    return { added, tags: [...existing, ...added] };
+  }
+
+  // Remove tags from an order, ignoring case. Returns the order's tags afterwards.
+  async function removeOrderTags(orderId, tags) {
+    const existing = await getOrderTags(orderId);
+    const remaining = existing.filter(tag => !containsTag(tags, tag));
+    const removed = existing.filter(tag => containsTag(tags, tag));
+
+    if (removed.length > 0) {
+      if (useGraphql) {
+        const data = await client.graphql(TAGS_REMOVE_MUTATION, { id: toOrderGid(orderId), tags: removed });
+        checkUserErrors(data.tagsRemove, 'tagsRemove');
+      } else {
+        await client.put(`orders/${orderId}.json`, { order: { id: orderId, tags: remaining.join(', ') } });
+      }
+    }
+
+    return remaining;
+  }
+
+  // Start a bulk export of every order matching a date filter. Shopify runs one
+  // bulk query per shop at a time. Bulk operations are GraphQL only, so this
+  // works whichever API the other calls use.
+  async function startBulkExport(filters = {}) {
+    const data = await client.graphql(BULK_RUN_MUTATION, { query: buildBulkOrdersQuery(buildSearchQuery(filters)) });
+    checkUserErrors(data.bulkOperationRunQuery, 'bulkOperationRunQuery');
+    return data.bulkOperationRunQuery.bulkOperation;
+  }
+
+  // A bulk operation's status, and its JSONL url once COMPLETED
+  async function getBulkOperation(operationId) {
+    const data = await client.graphql(BULK_OPERATION_QUERY, { id: operationId });
+    if (!data.node) {
+      throw new ShopifyNotFoundError(`Shopify bulk operation ${operationId} not found`, { method: 'POST', resource: 'graphql.json' });
+    }
+    return data.node;
+  }
+
+  return {
+    api: useGraphql ? 'graphql' : 'rest',
+    listOrders,
+    countOrders,
+    getOrder,
+    getOrderTags,
+    addOrderTags,
+    removeOrderTags,
+    startBulkExport,
+    getBulkOperation
+  };
+}
+
+// Read the orders in a bulk export's JSONL, from a stream (the download or a
+// local file), in the REST / webhook shape. A line item names its order in
+// __parentId, but is not guaranteed to follow it directly, so orders are kept
+// by id and yielded in file order once the whole file has been read.
+async function* readBulkOrders(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const orders = new Map();
+  // Line items seen before their order, by order id, with their line numbers
+  const orphans = new Map();
+  let lineNumber = 0;
+
+  // readline ends quietly when its input fails, so stop and rethrow the error
+  let inputError = null;
+  input.once('error', error => {
+    inputError = error;
+    lines.close();
+  });
+
+  for await (const line of lines) {
+    if (inputError) break;
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let object;
+    try {
+      object = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${lineNumber} of the bulk export: ${error.message}`);
+    }
+
+    if (!object.__parentId) {
+      const waiting = orphans.get(object.id) || [];
+      orphans.delete(object.id);
+      orders.set(object.id, { node: object, lineItems: waiting.map(orphan => orphan.object) });
+    } else if (orders.has(object.__parentId)) {
+      orders.get(object.__parentId).lineItems.push(object);
+    } else {
+      if (!orphans.has(object.__parentId)) {
+        orphans.set(object.__parentId, []);
+      }
+      orphans.get(object.__parentId).push({ object, lineNumber });
+    }
+  }
+
+  if (inputError) {
+    throw inputError;
+  }
+  if (orphans.size > 0) {
+    const [[parentId, waiting]] = orphans;
+    throw new Error(`Line ${waiting[0].lineNumber} of the bulk export belongs to ${parentId}, which is not in the export`);
+  }
+  for (const { node, lineItems } of orders.values()) {
+    yield toRestOrder(node, lineItems);
+  }
+}
+
+module.exports = {
+  ORDER_APIS,
+  BULK_FINISHED_STATUSES,
+  createOrderApi,
+  readBulkOrders,
+  toRestOrder
+};
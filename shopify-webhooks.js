@@ -0,0 +1,283 @@
+// Shopify webhooks
+// Verifies incoming webhook requests (HMAC signature, shop and topic), and
+// lists the app's webhook subscriptions through the GraphQL Admin API and
+// compares them with the topics this server handles, so missing topics can be
+// registered, wrong addresses corrected and stale subscriptions removed.
+//
+// Only subscriptions owned by the app (its access token) are visible.
+// Webhooks added by hand under Settings -> Notifications in the Shopify admin
+// are not returned by the API.
+
+const crypto = require('crypto');
+const { checkUserErrors } = require('./shopify-client');
+
+const SUBSCRIPTION_FIELDS = `
+  id
+  topic
+  format
+  createdAt
+  apiVersion { handle }
+  endpoint {
+    __typename
+    ... on WebhookHttpEndpoint { callbackUrl }
+  }
+`;
+
+const SUBSCRIPTIONS_QUERY = `
+  query WebhookSubscriptions {
+    webhookSubscriptions(first: 100) {
+      nodes { ${SUBSCRIPTION_FIELDS} }
+    }
+  }
+`;
+
+const CREATE_MUTATION = `
+  mutation WebhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $callbackUrl: URL!) {
+    webhookSubscriptionCreate(topic: $topic, webhookSubscription: { callbackUrl: $callbackUrl, format: JSON }) {
+      webhookSubscription { ${SUBSCRIPTION_FIELDS} }
+      userErrors { field message }
+    }
+  }
+`;
+
+const UPDATE_MUTATION = `
+  mutation WebhookSubscriptionUpdate($id: ID!, $callbackUrl: URL!) {
+    webhookSubscriptionUpdate(id: $id, webhookSubscription: { callbackUrl: $callbackUrl }) {
+      webhookSubscription { ${SUBSCRIPTION_FIELDS} }
+      userErrors { field message }
+    }
+  }
+`;
+
+const DELETE_MUTATION = `
+  mutation WebhookSubscriptionDelete($id: ID!) {
+    webhookSubscriptionDelete(id: $id) {
+      deletedWebhookSubscriptionId
+      userErrors { field message }
+    }
+  }
+`;
+
+// What each plan status means, and what syncing does about it
+const SUBSCRIPTION_STATUSES = {
+  ok: 'Registered at the right address',
+  missing: 'Not registered; will be registered',
+  address_mismatch: 'Registered at another address; will be pointed at this server',
+  duplicate: 'A second subscription for the topic; will be removed',
+  unhandled: 'Points at this server for a topic it does not handle; will be removed',
+  other: 'Points somewhere else for a topic this server does not handle; left alone'
+};
+
+const WEBHOOK_REJECTION_ERRORS = {
+  400: 'Bad request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  500: 'Webhook verification unavailable'
+};
+
+// Whether a webhook's raw body was signed with any of the secrets (the current
+// one first, then any still accepted while rotating). False when there are no
+// secrets or the signature is missing or malformed.
+function verifyWebhookSignature(rawBody, signature, secrets) {
+  if (secrets.length === 0 || !signature || !Buffer.isBuffer(rawBody)) {
+    return false;
+  }
+
+  const received = Buffer.from(signature, 'base64');
+  return secrets.some(secret => {
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+}
+
+// Express middleware that rejects webhook requests that aren't signed by
+// Shopify, or that come from another shop or carry a different topic than the
+// route they were sent to. Mount it under /webhook after express.raw, so the
+// topic is the rest of the path and the body is still a Buffer.
+// options: {
+//   secrets: accepted webhook secrets,
+//   shopDomain: the shop webhooks must come from (any shop when not set),
+//   onReject: async (event, reason) => ..., to log the rejection
+// }
+// Accepted requests carry their event details on req.webhook for the handler:
+// { topic, shopDomain, webhookId, hmac, payload, startedAt }
+function createWebhookVerifier({ secrets, shopDomain, onReject = async () => {} }) {
+  return async function verifyShopifyWebhook(req, res, next) {
+    const topic = req.path.replace(/^\/+|\/+$/g, '');
+    const signature = req.get('X-Shopify-Hmac-Sha256');
+    const event = {
+      topic,
+      shopDomain: req.get('X-Shopify-Shop-Domain') || null,
+      webhookId: req.get('X-Shopify-Webhook-Id') || null,
+      hmac: signature ? 'invalid' : 'missing',
+      payload: null,
+      startedAt: Date.now()
+    };
+
+    const reject = async (status, reason) => {
+      console.error(`Webhook ${topic} from ${event.shopDomain || 'unknown shop'} rejected: ${reason}`);
+      // Only keep the body once the HMAC shows Shopify sent it; an unverified
+      // request is logged with its headers and the reason alone
+      if (event.hmac === 'valid') {
+        try {
+          event.payload = JSON.parse(req.body);
+        } catch (error) {
+          // Not JSON; logged without a payload
+        }
+      }
+      await onReject(event, reason);
+      res.status(status).json({ error: WEBHOOK_REJECTION_ERRORS[status] });
+    };
+
+    if (secrets.length === 0) {
+      return reject(500, 'SHOPIFY_WEBHOOK_SECRET is not set');
+    }
+    if (!signature) {
+      return reject(401, 'Missing X-Shopify-Hmac-Sha256 header');
+    }
+    if (!verifyWebhookSignature(req.body, signature, secrets)) {
+      return reject(401, 'HMAC signature does not match');
+    }
+    event.hmac = 'valid';
+
+    const configuredShop = (shopDomain || '').toLowerCase();
+    if (configuredShop && (event.shopDomain || '').toLowerCase() !== configuredShop) {
+      return reject(403, `X-Shopify-Shop-Domain ${event.shopDomain || '(missing)'} is not ${shopDomain}`);
+    }
+    const headerTopic = req.get('X-Shopify-Topic');
+    if (headerTopic !== topic) {
+      return reject(400, `X-Shopify-Topic ${headerTopic || '(missing)'} does not match ${topic}`);
+    }
+
+    req.webhook = event;
+    next();
+  };
+}
+
+// REST-style topic ("orders/create") -> GraphQL enum ("ORDERS_CREATE")
+function toTopicEnum(topic) {
+  return topic.toUpperCase().replace('/', '_');
+}
+
+// Where this server receives a topic
+function getCallbackUrl(baseUrl, topic) {
+  return `${baseUrl.replace(/\/+$/, '')}/webhook/${topic}`;
+}
+
+// A subscription node in a flat, display-friendly shape
+function toSubscription(node) {
+  return {
+    id: node.id,
+    topic: node.topic,
+    format: node.format,
+    apiVersion: node.apiVersion?.handle || null,
+    callbackUrl: node.endpoint?.callbackUrl || null,
+    endpointType: node.endpoint?.__typename || null,
+    createdAt: node.createdAt
+  };
+}
+
+// Compare subscriptions with the topics this server handles.
+// options: { topics: ['orders/create', ...], baseUrl, apiVersion }
+// Returns one entry per handled topic and per other subscription:
+// { topic, status, action: register | update | remove | null, expectedUrl, subscription, warnings }
+function planWebhookSubscriptions(subscriptions, { topics, baseUrl, apiVersion }) {
+  const plan = [];
+  const claimed = new Set();
+
+  // Version and format problems can't be fixed from here, only flagged
+  const warningsFor = subscription => {
+    const warnings = [];
+    if (subscription.apiVersion && apiVersion && subscription.apiVersion !== apiVersion) {
+      warnings.push(`Delivered with API version ${subscription.apiVersion}, but this server uses ${apiVersion}. Change the app's webhook API version in Shopify.`);
+    }
+    if (subscription.format && subscription.format !== 'JSON') {
+      warnings.push(`Delivered as ${subscription.format}; this server only accepts JSON.`);
+    }
+    return warnings;
+  };
+
+  for (const topic of topics) {
+    const expectedUrl = getCallbackUrl(baseUrl, topic);
+    const matching = subscriptions.filter(subscription => subscription.topic === toTopicEnum(topic));
+    matching.forEach(subscription => claimed.add(subscription.id));
+
+    if (matching.length === 0) {
+      plan.push({ topic, status: 'missing', action: 'register', expectedUrl, subscription: null, warnings: [] });
+      continue;
+    }
+
+    // Keep the one already at the right address, or else the oldest
+    const oldestFirst = [...matching].sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    const keep = oldestFirst.find(subscription => subscription.callbackUrl === expectedUrl) || oldestFirst[0];
+    plan.push({
+      topic,
+      status: keep.callbackUrl === expectedUrl ? 'ok' : 'address_mismatch',
+      action: keep.callbackUrl === expectedUrl ? null : 'update',
+      expectedUrl,
+      subscription: keep,
+      warnings: warningsFor(keep)
+    });
+
+    for (const extra of matching.filter(subscription => subscription !== keep)) {
+      plan.push({ topic, status: 'duplicate', action: 'remove', expectedUrl, subscription: extra, warnings: [] });
+    }
+  }
+
+  const ownPrefix = getCallbackUrl(baseUrl, '');
+  for (const subscription of subscriptions.filter(subscription => !claimed.has(subscription.id))) {
+    const ours = (subscription.callbackUrl || '').startsWith(ownPrefix);
+    plan.push({
+      topic: subscription.topic,
+      status: ours ? 'unhandled' : 'other',
+      action: ours ? 'remove' : null,
+      expectedUrl: null,
+      subscription,
+      warnings: []
+    });
+  }
+
+  return plan;
+}
+
+// Webhook subscription calls for one shop, through a shopify-client instance
+function createWebhookApi(client) {
+  async function listSubscriptions() {
+    const data = await client.graphql(SUBSCRIPTIONS_QUERY);
+    return data.webhookSubscriptions.nodes.map(toSubscription);
+  }
+
+  async function createSubscription(topic, callbackUrl) {
+    const data = await client.graphql(CREATE_MUTATION, { topic: toTopicEnum(topic), callbackUrl });
+    checkUserErrors(data.webhookSubscriptionCreate, 'webhookSubscriptionCreate');
+    return toSubscription(data.webhookSubscriptionCreate.webhookSubscription);
+  }
+
+  async function updateSubscription(id, callbackUrl) {
+    const data = await client.graphql(UPDATE_MUTATION, { id, callbackUrl });
+    checkUserErrors(data.webhookSubscriptionUpdate, 'webhookSubscriptionUpdate');
+    return toSubscription(data.webhookSubscriptionUpdate.webhookSubscription);
+  }
+
+  async function deleteSubscription(id) {
+    const data = await client.graphql(DELETE_MUTATION, { id });
+    checkUserErrors(data.webhookSubscriptionDelete, 'webhookSubscriptionDelete');
+    return data.webhookSubscriptionDelete.deletedWebhookSubscriptionId;
+  }
+
+  return {
+    listSubscriptions,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription
+  };
+}
+
+module.exports = {
+  SUBSCRIPTION_STATUSES,
+  verifyWebhookSignature,
+  createWebhookVerifier,
+  getCallbackUrl,
+  planWebhookSubscriptions,
+  createWebhookApi
+};
@@ -0,0 +1,34 @@
+// Sync Shopify orders into the local order index
+// Run with: npm run sync:orders                              (changes since the last completed sync)
+//           npm run sync:orders -- --full                    (the whole order history, page by page)
+//           npm run sync:orders -- --bulk [--tag]            (the whole history, as a GraphQL bulk export)
+//           npm run sync:orders -- --import orders.jsonl [--tag]  (a bulk export JSONL file, e.g. a fixture)
+// --tag also runs the tagging rules over the exported orders.
+// An interrupted run is resumed where it stopped.
+
+const { runOrderSync } = require('./server');
+
+// Value following a --flag, e.g. --import orders.jsonl
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function main() {
+  const file = getArg('import');
+  const mode = file ? 'import'
+    : process.argv.includes('--bulk') ? 'bulk'
+      : process.argv.includes('--full') ? 'full' : 'incremental';
+  const tag = process.argv.includes('--tag');
+  console.log(`🔄 Starting ${mode} order sync${file ? ` from ${file}` : ''}${tag ? ' with tagging' : ''}...`);
+
+  const run = await runOrderSync({ mode, file, tag, triggeredBy: 'cli' });
+  console.log(`✅ Order sync run ${run.id} completed: ${run.orders_synced} orders${run.pages ? ` in ${run.pages} pages` : ''}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Order sync failed:', error.response?.data || error.message);
+    process.exit(1);
+  });
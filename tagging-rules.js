@@ -0,0 +1,194 @@
+// Tagging rules engine
+// Evaluates rules stored in the tagging_rules table against a Shopify order
+// and returns the tags they produce. Shared by the webhook handlers and the
+// dry-run API so both always agree on what an order should be tagged with.
+
+const MATCH_TYPES = ['property', 'sku', 'product_type', 'order_total', 'shipping_country'];
+const OPERATORS = ['exists', 'equals', 'contains', 'gte', 'lte'];
+
+// Line-item rules are checked once per line item, order rules once per order
+const LINE_ITEM_MATCH_TYPES = ['property', 'sku', 'product_type'];
+
+// Shopify tags are comma separated, so a tag can never contain a comma
+function sanitizeTag(tag) {
+  return String(tag).replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Compare a value against a rule's operator and match value
+function matchesOperator(actual, operator, expected) {
+  if (actual === undefined || actual === null || String(actual).trim() === '') {
+    return false;
+  }
+
+  const actualText = String(actual).trim().toLowerCase();
+  const expectedText = String(expected ?? '').trim().toLowerCase();
+
+  switch (operator) {
+    case 'exists':
+      return true;
+    case 'equals':
+      return actualText === expectedText;
+    case 'contains':
+      return actualText.includes(expectedText);
+    case 'gte':
+      return parseFloat(actual) >= parseFloat(expected);
+    case 'lte':
+      return parseFloat(actual) <= parseFloat(expected);
+    default:
+      return false;
+  }
+}
+
+// Find a property value by exact name (case-insensitive)
+function findPropertyValue(properties, name) {
+  const wanted = name.trim().toLowerCase();
+  const property = (properties || []).find(p => p.name && p.name.trim().toLowerCase() === wanted);
+  return property ? property.value : undefined;
+}
+
+// Fill {placeholders} in a tag template. {value} is the matched value, any
+// other placeholder is looked up as a property name, first on the matched
+// line item and then on the rest of the order. Returns null if a placeholder
+// cannot be resolved so we never emit half-filled tags like "font:".
+function renderTagTemplate(template, context) {
+  let unresolved = false;
+
+  const rendered = template.replace(/\{([^{}]+)\}/g, (placeholder, name) => {
+    let value;
+
+    if (name.trim().toLowerCase() === 'value') {
+      value = context.value;
+    } else {
+      value = findPropertyValue(context.lineItem?.properties, name);
+      if (value === undefined) {
+        for (const item of context.order.line_items || []) {
+          value = findPropertyValue(item.properties, name);
+          if (value !== undefined) break;
+        }
+      }
+    }
+
+    if (value === undefined || value === null || String(value).trim() === '') {
+      unresolved = true;
+      return '';
+    }
+    return String(value).trim();
+  });
+
+  if (unresolved) {
+    return null;
+  }
+
+  const tag = sanitizeTag(rendered);
+  return tag || null;
+}
+
+// Values a line-item rule should be tested against
+function lineItemCandidates(rule, lineItem) {
+  switch (rule.match_type) {
+    case 'property': {
+      const nameFilter = (rule.property_name || '').trim().toLowerCase();
+      return (lineItem.properties || [])
+        .filter(p => p.name && (!nameFilter || p.name.toLowerCase().includes(nameFilter)))
+        .map(p => p.value);
+    }
+    case 'sku':
+      return [lineItem.sku];
+    case 'product_type':
+      return [lineItem.product_type];
+    default:
+      return [];
+  }
+}
+
+// Value an order-level rule should be tested against
+function orderCandidate(rule, order) {
+  switch (rule.match_type) {
+    case 'order_total':
+      return order.total_price;
+    case 'shipping_country':
+      return order.shipping_address?.country_code || order.shipping_address?.country;
+    default:
+      return undefined;
+  }
+}
+
+// Evaluate a single rule, returning the tags it produces for the order
+function evaluateRule(rule, order) {
+  const tags = [];
+
+  if (LINE_ITEM_MATCH_TYPES.includes(rule.match_type)) {
+    for (const lineItem of order.line_items || []) {
+      for (const value of lineItemCandidates(rule, lineItem)) {
+        if (matchesOperator(value, rule.operator, rule.match_value)) {
+          const tag = renderTagTemplate(rule.tag_template, { order, lineItem, value });
+          if (tag) tags.push(tag);
+        }
+      }
+    }
+  } else {
+    const value = orderCandidate(rule, order);
+    if (matchesOperator(value, rule.operator, rule.match_value)) {
+      const tag = renderTagTemplate(rule.tag_template, { order, lineItem: null, value });
+      if (tag) tags.push(tag);
+    }
+  }
+
+  return tags;
+}
+
+// Evaluate every enabled rule and return the de-duplicated tags plus a per-rule breakdown
+function evaluateRules(rules, order) {
+  const tags = [];
+  const seen = new Set();
+  const matches = [];
+
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+
+    const ruleTags = evaluateRule(rule, order);
+    if (ruleTags.length > 0) {
+      matches.push({ ruleId: rule.id, ruleName: rule.name, tags: ruleTags });
+    }
+
+    for (const tag of ruleTags) {
+      if (!seen.has(tag.toLowerCase())) {
+        seen.add(tag.toLowerCase());
+        tags.push(tag);
+      }
+    }
+  }
+
+  return { tags, matches };
+}
+
+// Validate a rule coming from the dashboard editor, returning an error message or null
+function validateRule(rule) {
+  if (!rule.name || !String(rule.name).trim()) {
+    return 'Rule name is required';
+  }
+  if (!MATCH_TYPES.includes(rule.match_type)) {
+    return `Match type must be one of: ${MATCH_TYPES.join(', ')}`;
+  }
+  if (!OPERATORS.includes(rule.operator)) {
+    return `Operator must be one of: ${OPERATORS.join(', ')}`;
+  }
+  if (rule.operator !== 'exists' && (rule.match_value === undefined || rule.match_value === null || String(rule.match_value).trim() === '')) {
+    return 'Match value is required for this operator';
+  }
+  if ((rule.operator === 'gte' || rule.operator === 'lte') && isNaN(parseFloat(rule.match_value))) {
+    return 'Match value must be a number for gte/lte';
+  }
+  if (!rule.tag_template || !String(rule.tag_template).trim()) {
+    return 'Tag template is required';
+  }
+  return null;
+}
+
+module.exports = {
+  MATCH_TYPES,
+  OPERATORS,
+  evaluateRules,
+  renderTagTemplate,
+  validateRule
+};
@@ -1,6 +1,7 @@
 // Test script to simulate Shopify webhook payload
 // Run with: node test-webhook.js
 
+require('dotenv').config();
 const axios = require('axios');
 
 // Test webhook payload simulating a Shopify order
@@ -67,7 +68,9 @@ function createWebhookSignature(payload, secret) {
 // Test function
 async function testWebhook() {
     const webhookUrl = 'http://localhost:3000/webhook/orders/create';
-    const webhookSecret = '8d22a403b70f0bc6dc4e88bcb40e59cb';
+    // Signed and addressed like Shopify would, so the server's verification accepts it
+    const webhookSecret = process.env.SHOPIFY_WEBHOOK_SECRET || '8d22a403b70f0bc6dc4e88bcb40e59cb';
+    const shopDomain = process.env.SHOPIFY_SHOP_DOMAIN || 'test-shop.myshopify.com';
 
     try {
         console.log('🧪 Testing Shopify webhook...');
@@ -84,7 +87,8 @@ async function testWebhook() {
                 'Content-Type': 'application/json',
                 'X-Shopify-Hmac-Sha256': signature,
                 'X-Shopify-Topic': 'orders/create',
-                'X-Shopify-Shop-Domain': 'test-shop.myshopify.com'
+                'X-Shopify-Shop-Domain': shopDomain,
+                'X-Shopify-Webhook-Id': `test-${Date.now()}`
             }
         });
 